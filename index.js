@@ -6,11 +6,12 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { createClient } from "@libsql/client";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import * as fs from 'fs';
 import * as path from 'path';
+import * as os from 'os';
+import { createHash, createCipheriv, createDecipheriv, randomBytes } from 'crypto';
 
 // Load environment variables if they don't exist in process.env
 if (!process.env.TURSO_DATABASE_URL || !process.env.TURSO_AUTH_TOKEN) {
@@ -29,17 +30,22 @@ if (!process.env.TURSO_DATABASE_URL || !process.env.TURSO_AUTH_TOKEN) {
       for (const envFile of possibleEnvFiles) {
         if (fs.existsSync(envFile)) {
           dotenv.config({ path: envFile });
-          console.log(`Loaded environment variables from ${envFile}`);
+          console.error(`Loaded environment variables from ${envFile}`);
           break;
         }
       }
     }
   } catch (error) {
     // Just log and continue - don't stop execution
-    console.log(`Note: Could not load environment variables from file: ${error.message}`);
+    console.error(`Note: Could not load environment variables from file: ${error.message}`);
   }
 }
 
+// The native libsql module logs embedded replica sync errors to stdout, which
+// carries the MCP protocol, unless RUST_LOG is set before it loads
+process.env.RUST_LOG ??= 'off';
+const { createClient } = await import("@libsql/client");
+
 // Set up proper paths for ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -87,94 +93,448 @@ function formatTimestamp(timestamp) {
 
 // Vector embedding and similarity search utilities
 
+/**
+ * Read the configured vector dimensionality from the environment
+ * @returns {number} Configured dimensions (default: 128)
+ */
+function getConfiguredVectorDims() {
+  const DEFAULT_VECTOR_DIMS = 128;
+  return process.env.VECTOR_DIMENSIONS ? 
+    parseInt(process.env.VECTOR_DIMENSIONS, 10) : DEFAULT_VECTOR_DIMS;
+}
+
 /**
  * Generate a simple vector embedding from text using a basic hashing technique
- * This is a placeholder for a proper embedding model that would be integrated
- * with an actual ML model or embedding API
+ * This is the default "hash" provider: deterministic and dependency free, but it
+ * only captures character distribution rather than meaning
  * 
  * @param {string} text - Text to generate embedding for
- * @param {number} dimensions - Dimensionality of the vector (default: 128)
- * @returns {Float32Array} A float32 vector representation
+ * @param {number} dimensions - Dimensionality of the vector
+ * @returns {Float32Array} A unit-length float32 vector
  */
-async function createEmbedding(text, dimensions = 128) {
-  try {
-    // In a production system, this would call an embedding API or model
-    // For this implementation, we'll use a simple deterministic approach
-    // that creates vector representations that maintain some text similarity
-    
-    // Normalize text
-    const normalizedText = text.toLowerCase().trim();
+function createHashEmbedding(text, dimensions) {
+  // Normalize text
+  const normalizedText = text.toLowerCase().trim();
+  
+  // Create a fixed size Float32Array
+  const vector = new Float32Array(dimensions);
+  
+  // Simple hash function to generate vector elements
+  for (let i = 0; i < dimensions; i++) {
+    // Use different character combinations to influence each dimension
+    let value = 0;
+    for (let j = 0; j < normalizedText.length; j++) {
+      const charCode = normalizedText.charCodeAt(j);
+      // Use different seeds for each dimension to vary the representation
+      value += Math.sin(charCode * (i + 1) * 0.01) * Math.cos(j * 0.01);
+    }
+    // Normalize to a value between -1 and 1
+    vector[i] = Math.tanh(value);
+  }
+  
+  // Ensure values are in a good range for cosine similarity
+  // Normalize the vector to unit length which is best for cosine similarity
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  if (magnitude > 0) {
+    for (let i = 0; i < dimensions; i++) {
+      vector[i] = vector[i] / magnitude;
+    }
+  }
+  
+  return vector;
+}
+
+/**
+ * Create the built-in hash embedding provider
+ * @returns {Object} Embedding provider
+ */
+function createHashEmbeddingProvider() {
+  const dimensions = getConfiguredVectorDims();
+  
+  return {
+    name: 'hash',
+    model: 'sincos-v1',
+    dimensions,
+    async embed(texts, dims = dimensions) {
+      return texts.map(text => createHashEmbedding(text, dims));
+    }
+  };
+}
+
+// Output sizes of common embedding models. Models not listed here report their
+// size with the first embedding they produce, unless EMBEDDING_DIMENSIONS is set
+const KNOWN_EMBEDDING_DIMENSIONS = {
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/all-MiniLM-L12-v2': 384,
+  'Xenova/paraphrase-MiniLM-L6-v2': 384,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/bge-base-en-v1.5': 768,
+  'Xenova/bge-large-en-v1.5': 1024,
+  'Xenova/all-mpnet-base-v2': 768,
+  'nomic-ai/nomic-embed-text-v1.5': 768,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'nomic-embed-text': 768,
+  'mxbai-embed-large': 1024,
+  'all-minilm': 384
+};
+
+/**
+ * Read the output size of a model provider from EMBEDDING_DIMENSIONS or the known models
+ * @param {string} model - Model name
+ * @returns {number|null} Dimensions, or null when they can only be detected from an embedding
+ */
+function getModelDimensions(model) {
+  if (process.env.EMBEDDING_DIMENSIONS) {
+    return parseInt(process.env.EMBEDDING_DIMENSIONS, 10);
+  }
+  return KNOWN_EMBEDDING_DIMENSIONS[model] || null;
+}
+
+/**
+ * Create an embedding provider backed by a local ONNX model through transformers.js
+ * The model is loaded lazily on first use. Set EMBEDDING_MODEL_PATH to load models
+ * from disk only (no downloads).
+ * 
+ * Requires the optional @huggingface/transformers (or @xenova/transformers) package
+ * @returns {Object} Embedding provider
+ */
+function createLocalEmbeddingProvider() {
+  const model = process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+  const modelPath = process.env.EMBEDDING_MODEL_PATH;
+  let extractorPromise = null;
+  
+  async function loadExtractor() {
+    const transformers = await import('@huggingface/transformers')
+      .catch(() => import('@xenova/transformers'))
+      .catch(() => {
+        throw new Error("EMBEDDING_PROVIDER=local requires the @huggingface/transformers package (npm install @huggingface/transformers)");
+      });
     
-    // Create a fixed size Float32Array
-    const vector = new Float32Array(dimensions);
+    if (modelPath) {
+      transformers.env.localModelPath = path.isAbsolute(modelPath) ? modelPath : path.join(process.cwd(), modelPath);
+      transformers.env.allowRemoteModels = false;
+    }
     
-    // Simple hash function to generate vector elements
-    for (let i = 0; i < dimensions; i++) {
-      // Use different character combinations to influence each dimension
-      let value = 0;
-      for (let j = 0; j < normalizedText.length; j++) {
-        const charCode = normalizedText.charCodeAt(j);
-        // Use different seeds for each dimension to vary the representation
-        value += Math.sin(charCode * (i + 1) * 0.01) * Math.cos(j * 0.01);
+    log(`Loading local embedding model ${model}${modelPath ? ` from ${modelPath}` : ''}`);
+    return transformers.pipeline('feature-extraction', model);
+  }
+  
+  return {
+    name: 'local',
+    model,
+    dimensions: getModelDimensions(model),
+    async embed(texts) {
+      if (!extractorPromise) {
+        extractorPromise = loadExtractor().catch(error => {
+          // Allow a later call to retry loading the model
+          extractorPromise = null;
+          throw error;
+        });
       }
-      // Normalize to a value between -1 and 1
-      vector[i] = Math.tanh(value);
+      const extractor = await extractorPromise;
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist().map(values => new Float32Array(values));
     }
-    
-    // Ensure values are in a good range for cosine similarity
-    // Normalize the vector to unit length which is best for cosine similarity
-    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-    if (magnitude > 0) {
-      for (let i = 0; i < dimensions; i++) {
-        vector[i] = vector[i] / magnitude;
+  };
+}
+
+/**
+ * Create an embedding provider for any OpenAI-compatible /embeddings HTTP endpoint
+ * (OpenAI, Azure-style proxies, Ollama, LM Studio, a local stub, ...)
+ * @returns {Object} Embedding provider
+ */
+function createOpenAIEmbeddingProvider() {
+  const baseUrl = (process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  const timeoutMs = parseInt(process.env.EMBEDDING_TIMEOUT_MS || '30000', 10);
+  // Only forward a dimensions request when explicitly configured; not every
+  // compatible server understands the parameter
+  const requestedDims = process.env.EMBEDDING_DIMENSIONS ? 
+    parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : null;
+  
+  return {
+    name: 'openai',
+    model,
+    dimensions: requestedDims || getModelDimensions(model),
+    async embed(texts) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      
+      const body = { model, input: texts };
+      if (requestedDims) {
+        body.dimensions = requestedDims;
+      }
+      
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`Embedding API returned ${response.status}: ${errorText.substring(0, 200)}`);
+      }
+      
+      const payload = await response.json();
+      if (!payload || !Array.isArray(payload.data) || payload.data.length !== texts.length) {
+        throw new Error("Embedding API returned an unexpected response shape");
       }
+      
+      // Results may come back out of order, so sort by index before mapping
+      return payload.data
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(item => new Float32Array(item.embedding));
+    }
+  };
+}
+
+// Registry of available embedding providers, selected with EMBEDDING_PROVIDER
+const EMBEDDING_PROVIDERS = {
+  hash: createHashEmbeddingProvider,
+  local: createLocalEmbeddingProvider,
+  openai: createOpenAIEmbeddingProvider
+};
+
+let embeddingProvider = null;
+
+/**
+ * Get the configured embedding provider, creating it on first use
+ * @returns {Object} Provider with name, model, dimensions and embed(texts)
+ */
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    const providerName = (process.env.EMBEDDING_PROVIDER || 'hash').toLowerCase();
+    const factory = EMBEDDING_PROVIDERS[providerName];
+    
+    if (!factory) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${providerName}". Supported providers: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
     }
     
-    logDebug(`Generated ${dimensions}-d embedding for text`);
+    embeddingProvider = factory();
+    embeddingProvider.id = null;
+    if (embeddingProvider.dimensions) {
+      setProviderDimensions(embeddingProvider, embeddingProvider.dimensions);
+    } else {
+      log(`Using embedding provider ${embeddingProvider.name}:${embeddingProvider.model}, dimensions will be detected from the first embedding`);
+    }
+  }
+  
+  return embeddingProvider;
+}
+
+/**
+ * Record the vector size of an embedding provider and derive its id from it
+ * @param {Object} provider - Embedding provider
+ * @param {number} dimensions - Length of the vectors the model produces
+ */
+function setProviderDimensions(provider, dimensions) {
+  provider.dimensions = dimensions;
+  // The id changes whenever the model or vector size changes, which is what
+  // decides whether stored vectors are still comparable
+  provider.id = `${provider.name}:${provider.model}@${dimensions}`;
+  log(`Using embedding provider ${provider.id} (${dimensions} dimensions)`);
+}
+
+/**
+ * Make sure the vector size of the embedding provider is known, embedding a probe
+ * text for models that are not in KNOWN_EMBEDDING_DIMENSIONS
+ * 
+ * @returns {Promise<number>} Dimensions of the active provider
+ */
+async function resolveEmbeddingDimensions() {
+  const provider = getEmbeddingProvider();
+  if (!provider.dimensions) {
+    await createEmbeddings(['dimension probe']);
+  }
+  return provider.dimensions;
+}
+
+/**
+ * Generate vector embeddings for several texts with the configured provider
+ * Texts are sent to the provider in batches of EMBEDDING_BATCH_SIZE
+ * 
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @param {number} dimensions - Dimensionality override (hash provider only)
+ * @returns {Promise<Array<Float32Array>>} One vector per input text
+ */
+async function createEmbeddings(texts, dimensions = null) {
+  const provider = getEmbeddingProvider();
+  const batchSize = Math.max(parseInt(process.env.EMBEDDING_BATCH_SIZE || '32', 10), 1);
+  const vectors = [];
+  
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize).map(text => text || '');
+    const batchVectors = dimensions && provider.name === 'hash'
+      ? await provider.embed(batch, dimensions)
+      : await provider.embed(batch);
+    
+    // The first embedding tells the size of models with unknown dimensions; any
+    // other size afterwards would make the vectors incomparable, so fail instead
+    if (!provider.dimensions && batchVectors.length > 0) {
+      setProviderDimensions(provider, batchVectors[0].length);
+    }
+    const expectedDims = dimensions && provider.name === 'hash' ? dimensions : provider.dimensions;
+    const mismatch = batchVectors.find(vector => vector.length !== expectedDims);
+    if (mismatch) {
+      throw new Error(`Embedding model ${provider.model} returned ${mismatch.length}-dimension vectors, expected ${expectedDims}; set EMBEDDING_DIMENSIONS to the model's output size`);
+    }
+    vectors.push(...batchVectors);
+  }
+  
+  logDebug(`Generated ${vectors.length} embeddings with ${provider.id}`);
+  return vectors;
+}
+
+/**
+ * Generate a vector embedding for text with the configured provider
+ * Errors from the provider are thrown rather than replaced with a zero vector,
+ * so a failed embedding is never stored as if it were valid
+ * 
+ * @param {string} text - Text to generate embedding for
+ * @param {number} dimensions - Dimensionality override (hash provider only)
+ * @returns {Promise<Float32Array>} A float32 vector representation
+ */
+async function createEmbedding(text, dimensions = null) {
+  try {
+    const [vector] = await createEmbeddings([text], dimensions);
     return vector;
   } catch (error) {
     log(`Error creating embedding: ${error.message}`, "error");
-    // Return zero vector as fallback
-    return new Float32Array(dimensions);
+    throw error;
+  }
+}
+
+// Quantized vector blobs start with a 4-byte tag, followed by a float32 scale
+// (int8) or a uint32 dimension count (binary), then the codes
+const QUANTIZED_VECTOR_TAGS = {
+  int8: Buffer.from('CQI8'),
+  binary: Buffer.from('CQB1')
+};
+const VECTOR_QUANTIZATION_MODES = ['none', 'int8', 'binary'];
+
+/**
+ * Get the configured vector storage encoding
+ * @returns {string} 'none' (float32), 'int8' or 'binary'
+ */
+function getVectorQuantization() {
+  const mode = (process.env.VECTOR_QUANTIZATION || 'none').toLowerCase();
+  if (!VECTOR_QUANTIZATION_MODES.includes(mode)) {
+    throw new Error(`Unknown VECTOR_QUANTIZATION "${mode}". Supported modes: ${VECTOR_QUANTIZATION_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Whether quantized vectors keep a full precision copy for re-scoring
+ * @returns {boolean} True unless VECTOR_RESCORE=false
+ */
+function keepsFullPrecision() {
+  return process.env.VECTOR_RESCORE !== 'false';
+}
+
+/**
+ * Encode a vector as int8 codes with one scale, or as sign bits
+ * @param {Float32Array} vector - Vector to quantize
+ * @param {string} encoding - 'int8' or 'binary'
+ * @returns {Buffer} Tagged quantized blob
+ */
+function quantizeVector(vector, encoding) {
+  if (encoding === 'int8') {
+    let maxAbs = 0;
+    for (let i = 0; i < vector.length; i++) {
+      maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+    }
+    const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+    
+    const buffer = Buffer.alloc(8 + vector.length);
+    QUANTIZED_VECTOR_TAGS.int8.copy(buffer, 0);
+    buffer.writeFloatLE(scale, 4);
+    for (let i = 0; i < vector.length; i++) {
+      buffer.writeInt8(Math.round(vector[i] / scale), 8 + i);
+    }
+    return buffer;
+  }
+  
+  const buffer = Buffer.alloc(8 + Math.ceil(vector.length / 8));
+  QUANTIZED_VECTOR_TAGS.binary.copy(buffer, 0);
+  buffer.writeUInt32LE(vector.length, 4);
+  for (let i = 0; i < vector.length; i++) {
+    if (vector[i] > 0) {
+      buffer[8 + (i >> 3)] |= 1 << (i & 7);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Get the encoding of a stored vector blob
+ * @param {Buffer} buffer - Vector blob
+ * @returns {string} 'f32', 'int8' or 'binary'
+ */
+function getVectorEncoding(buffer) {
+  if (buffer && buffer.length >= 8) {
+    for (const [encoding, tag] of Object.entries(QUANTIZED_VECTOR_TAGS)) {
+      if (buffer.subarray(0, 4).equals(tag)) {
+        return encoding;
+      }
+    }
+  }
+  return 'f32';
+}
+
+/**
+ * Decode a quantized blob back to an approximate float vector. Binary vectors
+ * become +1/-1 per dimension, which keeps their cosine similarities
+ * @param {Buffer} buffer - Tagged quantized blob
+ * @param {string} encoding - 'int8' or 'binary'
+ * @returns {Float32Array} Approximate vector
+ */
+function dequantizeVector(buffer, encoding) {
+  if (encoding === 'int8') {
+    const scale = buffer.readFloatLE(4);
+    const vector = new Float32Array(buffer.length - 8);
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] = buffer.readInt8(8 + i) * scale;
+    }
+    return vector;
+  }
+  
+  const vector = new Float32Array(buffer.readUInt32LE(4));
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = buffer[8 + (i >> 3)] & (1 << (i & 7)) ? 1 : -1;
   }
+  return vector;
 }
 
 /**
  * Convert a Float32Array to a Buffer for database storage
  * 
  * @param {Float32Array} vector - Vector to convert
+ * @param {string} encoding - 'f32' (default), or 'int8'/'binary' for a quantized blob
  * @returns {Buffer} Buffer representation of the vector
  */
-function vectorToBuffer(vector) {
+function vectorToBuffer(vector, encoding = 'f32') {
   try {
-    // Get the vector dimensions from environment or default to 128
-    const DEFAULT_VECTOR_DIMS = 128;
-    const configuredDims = process.env.VECTOR_DIMENSIONS ? 
-      parseInt(process.env.VECTOR_DIMENSIONS, 10) : DEFAULT_VECTOR_DIMS;
-    
-    // Check if the vector dimensions match the configured dimensions
-    if (vector.length !== configuredDims) {
-      log(`VECTOR WARNING: Vector dimension mismatch. Expected ${configuredDims}, got ${vector.length}`, "error");
-      
-      // Adjust vector dimensions if needed
-      if (vector.length < configuredDims) {
-        // Pad with zeros if too short
-        const paddedVector = new Float32Array(configuredDims);
-        paddedVector.set(vector);
-        vector = paddedVector;
-        log(`VECTOR DEBUG: Padded vector to ${configuredDims} dimensions`, "info");
-      } else if (vector.length > configuredDims) {
-        // Truncate if too long
-        vector = vector.slice(0, configuredDims);
-        log(`VECTOR DEBUG: Truncated vector to ${configuredDims} dimensions`, "info");
-      }
+    // Vectors are stored at the size the model produced them; callers check the
+    // size against the model, so nothing is padded or truncated here
+    if (encoding !== 'f32') {
+      return quantizeVector(vector, encoding);
     }
     
     // Convert Float32Array to a string representation for vector32()
     const vectorString = '[' + Array.from(vector).join(', ') + ']';
     
-    // Try using the new Turso vector32 function
-    if (db) {
+    // Try using the new Turso vector32 function (only where it exists, otherwise
+    // the failed query would surface as an unhandled rejection)
+    if (db && vectorFunctionSupport === true) {
       try {
         const result = db.prepare(`SELECT vector32(?) AS vec`).get(vectorString);
         if (result && result.vec) {
@@ -185,7 +545,7 @@ function vectorToBuffer(vector) {
         
         // Try fallback with explicit dimensions parameter
         try {
-          const resultWithDims = db.prepare(`SELECT vector32(?, ${configuredDims}) AS vec`).get(vectorString);
+          const resultWithDims = db.prepare(`SELECT vector32(?, ${vector.length}) AS vec`).get(vectorString);
           if (resultWithDims && resultWithDims.vec) {
             return resultWithDims.vec;
           }
@@ -218,13 +578,18 @@ function bufferToVector(buffer) {
       return new Float32Array(0);
     }
     
-    // Get the expected vector dimensions
-    const DEFAULT_VECTOR_DIMS = 128;
-    const configuredDims = process.env.VECTOR_DIMENSIONS ? 
-      parseInt(process.env.VECTOR_DIMENSIONS, 10) : DEFAULT_VECTOR_DIMS;
+    // libsql returns BLOB columns as ArrayBuffer rather than Buffer
+    if (buffer instanceof ArrayBuffer) {
+      buffer = Buffer.from(buffer);
+    }
+    
+    const encoding = getVectorEncoding(buffer);
+    if (encoding !== 'f32') {
+      return dequantizeVector(buffer, encoding);
+    }
     
     // Try to use Turso's vector_to_json function first for better F32_BLOB handling
-    if (db) {
+    if (db && vectorFunctionSupport === true) {
       try {
         // Use the built-in vector_to_json function
         const result = db.prepare(`SELECT vector_to_json(?) AS vec_json`).get(buffer);
@@ -244,37 +609,13 @@ function bufferToVector(buffer) {
       }
     }
     
-    // If Turso's function fails, use standard buffer conversion
-    // Check if the buffer length matches what we expect for a Float32Array
-    const expectedByteLength = 4 * configuredDims; // 4 bytes per float32
-    
-    if (buffer.length !== expectedByteLength) {
-      log(`VECTOR WARNING: Buffer size mismatch. Expected ${expectedByteLength} bytes, got ${buffer.length}`, "error");
-      
-      // Try to interpret as Float32Array anyway, resulting in potentially wrong dimensions
-      const floatArray = new Float32Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.length / 4));
-      
-      // Adjust to the expected dimensions
-      if (floatArray.length !== configuredDims) {
-        log(`VECTOR WARNING: Converted vector has ${floatArray.length} dimensions, expected ${configuredDims}`, "error");
-        
-        // Create a properly sized array
-        const properVector = new Float32Array(configuredDims);
-        
-        // Copy values, truncating or padding as needed
-        const copyLength = Math.min(floatArray.length, configuredDims);
-        for (let i = 0; i < copyLength; i++) {
-          properVector[i] = floatArray[i];
-        }
-        
-        return properVector;
-      }
-      
-      return floatArray;
+    // If Turso's function fails, use standard buffer conversion; the blob holds
+    // 4 bytes per float32 at whatever size the model produced
+    if (buffer.length % 4 !== 0) {
+      log(`VECTOR WARNING: Buffer of ${buffer.length} bytes is not a float32 vector`, "error");
     }
     
-    // Normal case - buffer size matches expectations
-    return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+    return new Float32Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.length / 4));
   } catch (error) {
     log(`VECTOR ERROR: Error converting buffer to vector: ${error.message}`, "error");
     // Return an empty vector on error
@@ -282,6 +623,182 @@ function bufferToVector(buffer) {
   }
 }
 
+let vectorFunctionSupport = null;
+
+/**
+ * Check once whether the database provides libsql vector functions (vector32 etc.)
+ * Plain SQLite files and older libsql builds do not, in which case vectors are
+ * stored as raw float32 blobs and compared in JS
+ * 
+ * @returns {Promise<boolean>} Whether vector32() is available
+ */
+async function hasVectorFunctions() {
+  if (vectorFunctionSupport === null) {
+    try {
+      await db.prepare("SELECT vector32('[0.1, 0.2, 0.3]') AS vec").get();
+      vectorFunctionSupport = true;
+    } catch (fnError) {
+      vectorFunctionSupport = false;
+      log(`VECTOR DEBUG: vector32 not available, storing raw float32 blobs: ${fnError.message}`, "info");
+    }
+  }
+  
+  return vectorFunctionSupport;
+}
+
+/**
+ * Get the model id that search should match against, i.e. the configured provider
+ * @returns {string} Model id in the form "<provider>:<model>@<dimensions>"
+ */
+function getActiveModelId() {
+  const provider = getEmbeddingProvider();
+  if (!provider.id) {
+    throw new Error(`Dimensions of embedding model ${provider.model} are not known yet; set EMBEDDING_DIMENSIONS or wait for the first embedding`);
+  }
+  return provider.id;
+}
+
+// Embedding cache lookups since startup, reported by getMemoryStats
+const embeddingCacheStats = { hits: 0, misses: 0 };
+
+/**
+ * Hash text for the embedding cache
+ * @param {string} text - Text that gets embedded
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashContent(text) {
+  return createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Generate embeddings for content being stored, reusing the cached vector of
+ * any text already embedded with the active model. Re-indexing a file then only
+ * embeds the functions that changed. Cache errors fall back to embedding
+ * everything, so the cache never makes storage fail
+ * 
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @returns {Promise<Array<Float32Array>>} One vector per input text
+ */
+async function createCachedEmbeddings(texts) {
+  if (!db || process.env.EMBEDDING_CACHE === 'false' || texts.length === 0) {
+    return createEmbeddings(texts);
+  }
+  
+  const modelId = getActiveModelId();
+  const hashes = texts.map(hashContent);
+  const cached = new Map();
+  
+  try {
+    const uniqueHashes = [...new Set(hashes)];
+    // Stay well below SQLite's bound parameter limit
+    for (let i = 0; i < uniqueHashes.length; i += 500) {
+      const batch = uniqueHashes.slice(i, i + 500);
+      const rows = await db.prepare(`
+        SELECT content_hash, vector FROM embedding_cache
+        WHERE model_id = ? AND content_hash IN (${batch.map(() => '?').join(', ')})
+      `).all(modelId, ...batch);
+      rows.forEach(row => cached.set(row.content_hash, bufferToVector(row.vector)));
+    }
+  } catch (cacheError) {
+    log(`Embedding cache lookup failed, embedding all content: ${cacheError.message}`, "error");
+    cached.clear();
+  }
+  
+  // Embed each missing text once, even if it appears several times
+  const missing = new Map();
+  hashes.forEach((hash, i) => {
+    if (!cached.has(hash) && !missing.has(hash)) {
+      missing.set(hash, texts[i]);
+    }
+  });
+  
+  const hitCount = hashes.filter(hash => cached.has(hash)).length;
+  const hitHashes = [...new Set(hashes.filter(hash => cached.has(hash)))];
+  embeddingCacheStats.hits += hitCount;
+  embeddingCacheStats.misses += hashes.length - hitCount;
+  
+  const freshVectors = await createEmbeddings([...missing.values()]);
+  const now = Date.now();
+  
+  try {
+    const missingHashes = [...missing.keys()];
+    for (let i = 0; i < missingHashes.length; i++) {
+      const vector = freshVectors[i];
+      cached.set(missingHashes[i], vector);
+      await db.prepare(`
+        INSERT OR REPLACE INTO embedding_cache (content_hash, model_id, vector, dimensions, hit_count, created_at, last_used_at)
+        VALUES (?, ?, ?, ?, 0, ?, ?)
+      `).run(missingHashes[i], modelId, Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength), vector.length, now, now);
+    }
+    
+    for (let i = 0; i < hitHashes.length; i += 500) {
+      const batch = hitHashes.slice(i, i + 500);
+      await db.prepare(`
+        UPDATE embedding_cache SET hit_count = hit_count + 1, last_used_at = ?
+        WHERE model_id = ? AND content_hash IN (${batch.map(() => '?').join(', ')})
+      `).run(now, modelId, ...batch);
+    }
+    
+    if (missingHashes.length > 0) {
+      await pruneEmbeddingCache();
+    }
+  } catch (cacheError) {
+    log(`Failed to update embedding cache: ${cacheError.message}`, "error");
+    [...missing.keys()].forEach((hash, i) => cached.set(hash, freshVectors[i]));
+  }
+  
+  if (hitCount > 0) {
+    logDebug(`Embedding cache: reused ${hitCount} vectors, embedded ${missing.size} texts`);
+  }
+  
+  return hashes.map(hash => cached.get(hash));
+}
+
+/**
+ * Evict least recently used entries once the cache exceeds EMBEDDING_CACHE_MAX_ENTRIES
+ * @returns {Promise<number>} Number of evicted entries
+ */
+async function pruneEmbeddingCache() {
+  const maxEntries = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES || '50000', 10);
+  const { count } = await db.prepare('SELECT COUNT(*) as count FROM embedding_cache').get();
+  if (count <= maxEntries) {
+    return 0;
+  }
+  
+  await db.prepare(`
+    DELETE FROM embedding_cache WHERE rowid IN (
+      SELECT rowid FROM embedding_cache ORDER BY last_used_at ASC LIMIT ?
+    )
+  `).run(count - maxEntries);
+  
+  logDebug(`Evicted ${count - maxEntries} entries from the embedding cache`);
+  return count - maxEntries;
+}
+
+/**
+ * Summarize the embedding cache for getMemoryStats
+ * @returns {Promise<Object>} Cache size and hit rate since startup
+ */
+async function getEmbeddingCacheStats() {
+  const lookups = embeddingCacheStats.hits + embeddingCacheStats.misses;
+  const stats = {
+    enabled: process.env.EMBEDDING_CACHE !== 'false',
+    entries: 0,
+    hits: embeddingCacheStats.hits,
+    misses: embeddingCacheStats.misses,
+    hit_rate: lookups > 0 ? Math.round(embeddingCacheStats.hits / lookups * 1000) / 1000 : null,
+    lifetime_hits: 0
+  };
+  
+  if (db) {
+    const row = await db.prepare('SELECT COUNT(*) as count, SUM(hit_count) as hits FROM embedding_cache').get();
+    stats.entries = row?.count || 0;
+    stats.lifetime_hits = row?.hits || 0;
+  }
+  
+  return stats;
+}
+
 /**
  * Store an embedding vector in the database
  * 
@@ -289,9 +806,13 @@ function bufferToVector(buffer) {
  * @param {string} contentType - Type of content (message, file, snippet, etc.)
  * @param {Float32Array} vector - The embedding vector
  * @param {Object} metadata - Additional info about the vector (optional)
+ * @param {string} modelId - Model that produced the vector (default: active provider)
+ * @param {Object} chunk - Position of the chunk within the content, {index, start, end} (optional)
+ * @param {string} project - Project the content belongs to (default: current project)
+ * @param {Object} conn - Database or transaction to write with (default: db)
  * @returns {Promise<Object>} Result of the insert operation
  */
-async function storeEmbedding(contentId, contentType, vector, metadata = null) {
+async function storeEmbedding(contentId, contentType, vector, metadata = null, modelId = null, chunk = null, project = getCurrentProject(), conn = db) {
   try {
     if (!db) {
       log("ERROR: Database not initialized in storeEmbedding", "error");
@@ -301,6 +822,14 @@ async function storeEmbedding(contentId, contentType, vector, metadata = null) {
     // Convert the Float32Array to a string representation for vector32()
     const vectorString = '[' + Array.from(vector).join(', ') + ']';
     const now = Date.now();
+    const vectorModelId = modelId || getActiveModelId();
+    
+    // Vectors of another size than their model's can never be compared, so refuse
+    // them rather than storing something search silently scores as 0
+    const modelDims = parseInt(vectorModelId.match(/@(\d+)$/)?.[1] || '0', 10);
+    if (modelDims && vector.length !== modelDims) {
+      throw new Error(`Vector has ${vector.length} dimensions but model ${vectorModelId} produces ${modelDims}`);
+    }
     
     // Detailed logging for debugging vector storage issues
     log(`VECTOR DEBUG: Attempting to store vector for ${contentType} with ID ${contentId}`, "info");
@@ -309,43 +838,87 @@ async function storeEmbedding(contentId, contentType, vector, metadata = null) {
     // Store in the vectors table using vector32() function
     try {
       // First check if the table has F32_BLOB column
-      const tableInfo = await db.prepare("PRAGMA table_info(vectors)").all();
+      const tableInfo = await conn.prepare("PRAGMA table_info(vectors)").all();
       const vectorColumn = tableInfo.find(col => col.name === 'vector');
       const isF32Blob = vectorColumn && vectorColumn.type.includes('F32_BLOB');
+      const quantization = getVectorQuantization();
       
       let result;
       
-      if (isF32Blob) {
+      if (quantization !== 'none') {
+        // Quantized blob for scanning, with the full vector kept aside for re-scoring
+        result = await conn.prepare(`
+          INSERT INTO vectors (content_id, content_type, vector, created_at, metadata, model_id, dimensions, chunk_index, chunk_start, chunk_end, encoding, project_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          contentId,
+          contentType,
+          vectorToBuffer(vector, quantization),
+          now,
+          metadata ? JSON.stringify(metadata) : null,
+          vectorModelId,
+          vector.length,
+          chunk?.index ?? null,
+          chunk?.start ?? null,
+          chunk?.end ?? null,
+          quantization,
+          project
+        );
+        
+        if (keepsFullPrecision()) {
+          await conn.prepare(`
+            INSERT OR REPLACE INTO vector_full_precision (vector_id, vector) VALUES (?, ?)
+          `).run(result.lastInsertRowid, Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength));
+        }
+      } else if (isF32Blob && await hasVectorFunctions()) {
         // Use vector32 function for F32_BLOB column
-        result = await db.prepare(`
-          INSERT INTO vectors (content_id, content_type, vector, created_at, metadata)
-          VALUES (?, ?, vector32(?), ?, ?)
+        result = await conn.prepare(`
+          INSERT INTO vectors (content_id, content_type, vector, created_at, metadata, model_id, dimensions, chunk_index, chunk_start, chunk_end, project_id)
+          VALUES (?, ?, vector32(?), ?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
           contentId,
           contentType,
           vectorString,
           now,
-          metadata ? JSON.stringify(metadata) : null
+          metadata ? JSON.stringify(metadata) : null,
+          vectorModelId,
+          vector.length,
+          chunk?.index ?? null,
+          chunk?.start ?? null,
+          chunk?.end ?? null,
+          project
         );
       } else {
-        // Fall back to BLOB for old schema
+        // Fall back to a raw BLOB for old schemas and databases without vector functions
         const vectorBuffer = vectorToBuffer(vector);
-        result = await db.prepare(`
-          INSERT INTO vectors (content_id, content_type, vector, created_at, metadata)
-          VALUES (?, ?, ?, ?, ?)
+        result = await conn.prepare(`
+          INSERT INTO vectors (content_id, content_type, vector, created_at, metadata, model_id, dimensions, chunk_index, chunk_start, chunk_end, project_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
           contentId,
           contentType,
           vectorBuffer,
           now,
-          metadata ? JSON.stringify(metadata) : null
+          metadata ? JSON.stringify(metadata) : null,
+          vectorModelId,
+          vector.length,
+          chunk?.index ?? null,
+          chunk?.start ?? null,
+          chunk?.end ?? null,
+          project
         );
       }
       
       log(`VECTOR SUCCESS: Stored ${vector.length}-d vector for ${contentType} with ID ${contentId}`, "info");
       
+      // A vector buffered while the database is unreachable has no real id yet, and
+      // one stored in a transaction is indexed by the caller once it commits
+      if (result.lastInsertRowid > 0 && conn === db) {
+        addToAnnIndex(result.lastInsertRowid, contentId, contentType, vector, vectorModelId, project);
+      }
+      
       // Verify storage by trying to read it back
-      const verification = await db.prepare(`
+      const verification = await conn.prepare(`
         SELECT id FROM vectors 
         WHERE content_id = ? AND content_type = ?
         ORDER BY created_at DESC LIMIT 1
@@ -365,15 +938,65 @@ async function storeEmbedding(contentId, contentType, vector, metadata = null) {
 }
 
 /**
- * Find similar content using vector similarity
+ * Find similar content using vector similarity. Records embedded in chunks
+ * are returned once, scored by their best matching chunk
  * 
  * @param {Float32Array} queryVector - Vector to search for
  * @param {string} contentType - Type of content to search (optional)
  * @param {number} limit - Maximum number of results (default: 10)
  * @param {number} threshold - Similarity threshold (default: 0.7)
- * @returns {Promise<Array>} Array of similar content with similarity scores
+ * @param {string|null} project - Project to search, or null for all projects (default: current project)
+ * @returns {Promise<Array>} Array of similar content with similarity scores, the best chunk and the number of matching chunks
+ */
+async function findSimilarVectors(queryVector, contentType = null, limit = 10, threshold = 0.7, project = getCurrentProject()) {
+  // Several chunks of one record can crowd the nearest vectors, so oversample
+  // before collapsing them
+  const rows = await findSimilarChunks(queryVector, contentType, limit * 4, threshold, project);
+  return aggregateChunkHits(rows, limit);
+}
+
+/**
+ * Collapse vector hits to one result per record, keeping the best chunk
+ * @param {Array} rows - Vector rows with similarity and chunk columns
+ * @param {number} limit - Maximum number of records
+ * @returns {Array} Results with chunk {index, start, end} and chunk_hits
+ */
+function aggregateChunkHits(rows, limit) {
+  const byRecord = new Map();
+  
+  for (const { chunk_index, chunk_start, chunk_end, ...row } of rows) {
+    const key = `${row.content_type}:${row.content_id}`;
+    const existing = byRecord.get(key);
+    if (existing) {
+      existing.chunk_hits++;
+      if (row.similarity <= existing.similarity) continue;
+    }
+    
+    byRecord.set(key, {
+      ...row,
+      chunk: chunk_index === null || chunk_index === undefined
+        ? null
+        : { index: chunk_index, start: chunk_start, end: chunk_end },
+      chunk_hits: existing ? existing.chunk_hits : 1
+    });
+  }
+  
+  return Array.from(byRecord.values())
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Find the vectors (chunks) most similar to a query vector
+ * 
+ * @param {Float32Array} queryVector - Vector to search for
+ * @param {string} contentType - Type of content to search (optional)
+ * @param {number} limit - Maximum number of vectors
+ * @param {number} threshold - Similarity threshold
+ * @param {string|null} project - Project to search, or null for all projects
+ * @returns {Promise<Array>} Vector rows with similarity scores
  */
-async function findSimilarVectors(queryVector, contentType = null, limit = 10, threshold = 0.7) {
+async function findSimilarChunks(queryVector, contentType, limit, threshold, project) {
   try {
     if (!db) {
       throw new Error("Database not initialized");
@@ -382,20 +1005,23 @@ async function findSimilarVectors(queryVector, contentType = null, limit = 10, t
     // Convert the query vector to string format for vector32
     const vectorString = '[' + Array.from(queryVector).join(', ') + ']';
     
+    // Only compare against vectors produced by the active model; rows from a
+    // previous model are ignored until the re-embedding job replaces them
+    const modelId = getActiveModelId();
+    
+    // Quantized vectors are scanned approximately; take extra candidates and
+    // re-score them at full precision
+    const quantized = getVectorQuantization() !== 'none';
+    const rescoreFactor = Math.max(parseInt(process.env.VECTOR_RESCORE_FACTOR || '4', 10), 1);
+    const candidateLimit = quantized ? limit * rescoreFactor : limit;
+    
+    // Every query below is limited to the project unless searching across projects
+    const projectFilter = project === null ? '' : 'AND project_id = ?';
+    const projectParams = project === null ? [] : [project];
+    
     // First, try to use vector_top_k with ANN index for optimal performance
     try {
-      // Check if vector_top_k is available
-      let hasVectorTopK = false;
-      try {
-        await db.prepare("SELECT 1 FROM vector_top_k('idx_vectors_ann', vector32('[0.1, 0.2, 0.3]'), 1) LIMIT 0").all();
-        hasVectorTopK = true;
-        log(`VECTOR DEBUG: vector_top_k function available`, "info");
-      } catch (topkError) {
-        hasVectorTopK = false;
-        log(`VECTOR DEBUG: vector_top_k function not available: ${topkError.message}`, "info");
-      }
-      
-      if (hasVectorTopK) {
+      if (!quantized && await hasVectorTopK()) {
         log(`VECTOR DEBUG: Running ANN similarity search with vector_top_k`, "info");
         
         // Build the query based on whether contentType is specified
@@ -408,28 +1034,38 @@ async function findSimilarVectors(queryVector, contentType = null, limit = 10, t
               v.id, 
               v.content_id, 
               v.content_type, 
+              v.chunk_index, 
+              v.chunk_start, 
+              v.chunk_end, 
               t.score AS similarity
             FROM vector_top_k('idx_vectors_ann', vector32(?), ?) t
             JOIN vectors v ON v.rowid = t.rowid
             WHERE v.content_type = ?
+            AND v.model_id = ?
+            ${project === null ? '' : 'AND v.project_id = ?'}
             AND t.score >= ?
             ORDER BY t.score DESC
           `;
-          params = [vectorString, limit * 2, contentType, threshold]; // Query more than needed to filter by content_type
+          params = [vectorString, limit * 2, contentType, modelId, ...projectParams, threshold]; // Query more than needed to filter by content_type
         } else {
           sql = `
             SELECT 
               v.id, 
               v.content_id, 
               v.content_type, 
+              v.chunk_index, 
+              v.chunk_start, 
+              v.chunk_end, 
               t.score AS similarity
             FROM vector_top_k('idx_vectors_ann', vector32(?), ?) t
             JOIN vectors v ON v.rowid = t.rowid
-            WHERE t.score >= ?
+            WHERE v.model_id = ?
+            ${project === null ? '' : 'AND v.project_id = ?'}
+            AND t.score >= ?
             ORDER BY t.score DESC
             LIMIT ?
           `;
-          params = [vectorString, limit, threshold, limit];
+          params = [vectorString, limit * 2, modelId, ...projectParams, threshold, limit];
         }
         
         const results = await db.prepare(sql).all(...params);
@@ -445,8 +1081,45 @@ async function findSimilarVectors(queryVector, contentType = null, limit = 10, t
       log(`VECTOR WARNING: ANN search failed, falling back to cosine distance: ${annError.message}`, "error");
     }
     
+    // Without database ANN support, use the in-process HNSW index once it is ready
+    if (annIndex && annIndex.modelId === modelId && queryVector.length === annIndex.dimensions) {
+      try {
+        const efSearch = parseInt(process.env.ANN_EF_SEARCH || '64', 10);
+        const candidates = annIndex.search(queryVector, candidateLimit, { ef: efSearch, contentType, project })
+          .filter(candidate => quantized || candidate.similarity >= threshold);
+        
+        // Vectors deleted by other code paths are dropped from the index lazily
+        if (candidates.length === 0) {
+          return candidates;
+        }
+        const existing = await db.prepare(`
+          SELECT id, chunk_index, chunk_start, chunk_end FROM vectors WHERE id IN (${candidates.map(() => '?').join(', ')})
+        `).all(...candidates.map(candidate => candidate.id));
+        const existingRows = new Map(existing.map(row => [row.id, row]));
+        
+        const stale = candidates.filter(candidate => !existingRows.has(candidate.id));
+        if (stale.length > 0) {
+          stale.forEach(candidate => annIndex.remove(candidate.id));
+          scheduleAnnIndexSave();
+        }
+        
+        log(`VECTOR DEBUG: Served similarity search from in-process ANN index`, "info");
+        const results = candidates
+          .filter(candidate => existingRows.has(candidate.id))
+          .map(candidate => ({ ...candidate, ...existingRows.get(candidate.id) }));
+        return quantized ? rescoreCandidates(queryVector, results, limit, threshold) : results;
+      } catch (hnswError) {
+        log(`VECTOR WARNING: In-process ANN search failed, falling back to cosine distance: ${hnswError.message}`, "error");
+      }
+    }
+    
     // Fall back to vector_distance_cos if ANN search isn't available or returns no results
+    // (quantized blobs are not float32 vectors, so they always take the manual scan)
     try {
+      if (quantized) {
+        throw new Error("vector_distance_cos does not read quantized vectors");
+      }
+      
       // Build the query based on whether contentType is specified
       let sql;
       let params;
@@ -457,27 +1130,37 @@ async function findSimilarVectors(queryVector, contentType = null, limit = 10, t
             id, 
             content_id, 
             content_type, 
+            chunk_index, 
+            chunk_start, 
+            chunk_end, 
             (1 - vector_distance_cos(vector, vector32(?))) AS similarity
           FROM vectors
           WHERE content_type = ?
+          AND model_id = ?
+          ${projectFilter}
           AND (1 - vector_distance_cos(vector, vector32(?))) >= ?
           ORDER BY similarity DESC
           LIMIT ?
         `;
-        params = [vectorString, contentType, vectorString, threshold, limit];
+        params = [vectorString, contentType, modelId, ...projectParams, vectorString, threshold, limit];
       } else {
         sql = `
           SELECT 
             id, 
             content_id, 
             content_type, 
+            chunk_index, 
+            chunk_start, 
+            chunk_end, 
             (1 - vector_distance_cos(vector, vector32(?))) AS similarity
           FROM vectors
-          WHERE (1 - vector_distance_cos(vector, vector32(?))) >= ?
+          WHERE model_id = ?
+          ${projectFilter}
+          AND (1 - vector_distance_cos(vector, vector32(?))) >= ?
           ORDER BY similarity DESC
           LIMIT ?
         `;
-        params = [vectorString, vectorString, threshold, limit];
+        params = [vectorString, modelId, ...projectParams, vectorString, threshold, limit];
       }
       
       log(`VECTOR DEBUG: Running vector similarity search with vector_distance_cos`, "info");
@@ -485,26 +1168,35 @@ async function findSimilarVectors(queryVector, contentType = null, limit = 10, t
       return results;
     } catch (vectorError) {
       // If vector_distance_cos fails, fall back to manual calculation
-      log(`VECTOR WARNING: Vector function search failed, falling back to manual: ${vectorError.message}`, "error");
+      if (!quantized) {
+        log(`VECTOR WARNING: Vector function search failed, falling back to manual: ${vectorError.message}`, "error");
+      }
       
       // Get all vectors of the requested type
-      let sql = 'SELECT id, content_id, content_type, vector FROM vectors';
-      let params = [];
+      let sql = `SELECT id, content_id, content_type, chunk_index, chunk_start, chunk_end, vector FROM vectors WHERE model_id = ? ${projectFilter}`;
+      let params = [modelId, ...projectParams];
       
       if (contentType) {
-        sql += ' WHERE content_type = ?';
+        sql += ' AND content_type = ?';
         params.push(contentType);
       }
       
       const allVectors = await db.prepare(sql).all(...params);
       
       // Calculate similarities manually
-      const withSimilarity = allVectors.map(row => {
-        const storedVector = bufferToVector(row.vector);
+      const withSimilarity = allVectors.map(({ vector, ...row }) => {
+        const storedVector = bufferToVector(vector);
         const similarity = cosineSimilarity(queryVector, storedVector);
         return { ...row, similarity };
       });
       
+      if (quantized) {
+        const candidates = withSimilarity
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, candidateLimit);
+        return rescoreCandidates(queryVector, candidates, limit, threshold);
+      }
+      
       // Filter by threshold, sort by similarity, and limit results
       return withSimilarity
         .filter(row => row.similarity >= threshold)
@@ -517,6 +1209,35 @@ async function findSimilarVectors(queryVector, contentType = null, limit = 10, t
   }
 }
 
+/**
+ * Re-score approximate candidates from quantized vectors against their full
+ * precision copies. Candidates without a copy keep their approximate score
+ * 
+ * @param {Float32Array} queryVector - Query vector
+ * @param {Array} candidates - Vector rows with id and approximate similarity
+ * @param {number} limit - Maximum number of results
+ * @param {number} threshold - Similarity threshold
+ * @returns {Promise<Array>} Re-scored rows above the threshold, most similar first
+ */
+async function rescoreCandidates(queryVector, candidates, limit, threshold) {
+  if (candidates.length > 0 && keepsFullPrecision()) {
+    const rows = await db.prepare(`
+      SELECT vector_id, vector FROM vector_full_precision
+      WHERE vector_id IN (${candidates.map(() => '?').join(', ')})
+    `).all(...candidates.map(candidate => candidate.id));
+    const fullVectors = new Map(rows.map(row => [row.vector_id, bufferToVector(row.vector)]));
+    
+    candidates = candidates.map(candidate => fullVectors.has(candidate.id)
+      ? { ...candidate, similarity: cosineSimilarity(queryVector, fullVectors.get(candidate.id)) }
+      : candidate);
+  }
+  
+  return candidates
+    .filter(candidate => candidate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
 /**
  * Calculate cosine similarity between two vectors
  * 
@@ -545,6 +1266,547 @@ function cosineSimilarity(a, b) {
   return dotProduct / (normA * normB);
 }
 
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest neighbor
+ * search by cosine similarity. Used when the database has no ANN index of its
+ * own (local file: databases, Turso without vector_top_k). Nodes are keyed by
+ * vectors.id and carry the content id, type and project of the vector
+ */
+class HnswIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {string} options.modelId - Embedding model of the indexed vectors
+   * @param {number} options.dimensions - Vector dimensions
+   * @param {number} options.M - Links per node and layer (default: 16, doubled on layer 0)
+   * @param {number} options.efConstruction - Candidate list size while inserting (default: 200)
+   */
+  constructor({ modelId, dimensions, M = 16, efConstruction = 200 }) {
+    this.modelId = modelId;
+    this.dimensions = dimensions;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+  
+  get size() {
+    return this.nodes.size;
+  }
+  
+  /**
+   * Copy a vector scaled to unit length, so cosine distance is 1 - dot product
+   * @param {Float32Array} vector - Vector to normalize
+   * @returns {Float32Array} Unit-length copy
+   */
+  static normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) {
+      norm += normalized[i] * normalized[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < normalized.length; i++) {
+        normalized[i] /= norm;
+      }
+    }
+    return normalized;
+  }
+  
+  distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return 1 - dot;
+  }
+  
+  /**
+   * Greedy best-first search within one layer
+   * @returns {Array<{id: number, distance: number}>} Up to ef closest nodes, closest first
+   */
+  searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = [];
+    const results = [];
+    const insertSorted = (list, item) => {
+      let low = 0;
+      let high = list.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (list[mid].distance < item.distance) low = mid + 1;
+        else high = mid;
+      }
+      list.splice(low, 0, item);
+    };
+    
+    for (const id of entryIds) {
+      const item = { id, distance: this.distance(query, this.nodes.get(id).vector) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    }
+    
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.distance > results[results.length - 1].distance) {
+        break;
+      }
+      
+      for (const neighborId of this.nodes.get(current.id).neighbors[level] || []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+        
+        const neighbor = this.nodes.get(neighborId);
+        if (!neighbor) continue;
+        
+        const distance = this.distance(query, neighbor.vector);
+        if (results.length < ef || distance < results[results.length - 1].distance) {
+          insertSorted(candidates, { id: neighborId, distance });
+          insertSorted(results, { id: neighborId, distance });
+          if (results.length > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Keep only the closest links of a node on one layer
+   */
+  pruneNeighbors(node, level, maxLinks) {
+    node.neighbors[level] = node.neighbors[level]
+      .filter(id => this.nodes.has(id))
+      .map(id => ({ id, distance: this.distance(node.vector, this.nodes.get(id).vector) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxLinks)
+      .map(item => item.id);
+  }
+  
+  /**
+   * Add or replace a vector
+   * @param {number} id - vectors.id of the row
+   * @param {Float32Array} vector - Vector to index
+   * @param {number} contentId - Content id of the row
+   * @param {string} contentType - Content type of the row
+   * @param {string} project - Project of the row
+   * @returns {boolean} Whether the vector was indexed (dimensions must match)
+   */
+  add(id, vector, contentId, contentType, project) {
+    if (vector.length !== this.dimensions) {
+      return false;
+    }
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+    
+    // Exponentially decaying probability of reaching each higher layer
+    const nodeLevel = Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+    const node = {
+      id,
+      contentId,
+      contentType,
+      project,
+      vector: HnswIndex.normalize(vector),
+      level: nodeLevel,
+      neighbors: Array.from({ length: nodeLevel + 1 }, () => [])
+    };
+    
+    if (this.entryPoint === null) {
+      this.nodes.set(id, node);
+      this.entryPoint = id;
+      this.maxLevel = nodeLevel;
+      return true;
+    }
+    
+    // Descend through the layers above the new node's top layer
+    let entryIds = [this.entryPoint];
+    for (let level = this.maxLevel; level > nodeLevel; level--) {
+      entryIds = [this.searchLayer(node.vector, entryIds, 1, level)[0].id];
+    }
+    
+    this.nodes.set(id, node);
+    
+    for (let level = Math.min(nodeLevel, this.maxLevel); level >= 0; level--) {
+      const candidates = this.searchLayer(node.vector, entryIds, this.efConstruction, level)
+        .filter(candidate => candidate.id !== id);
+      const maxLinks = level === 0 ? this.M * 2 : this.M;
+      
+      node.neighbors[level] = candidates.slice(0, this.M).map(candidate => candidate.id);
+      for (const neighborId of node.neighbors[level]) {
+        const neighbor = this.nodes.get(neighborId);
+        neighbor.neighbors[level].push(id);
+        if (neighbor.neighbors[level].length > maxLinks) {
+          this.pruneNeighbors(neighbor, level, maxLinks);
+        }
+      }
+      
+      entryIds = candidates.length > 0 ? candidates.map(candidate => candidate.id) : entryIds;
+    }
+    
+    if (nodeLevel > this.maxLevel) {
+      this.maxLevel = nodeLevel;
+      this.entryPoint = id;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Remove a vector and reconnect the nodes that linked to it
+   * @param {number} id - vectors.id of the row
+   * @returns {boolean} Whether the vector was indexed
+   */
+  remove(id) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      return false;
+    }
+    this.nodes.delete(id);
+    
+    for (const other of this.nodes.values()) {
+      other.neighbors.forEach((links, level) => {
+        const index = links.indexOf(id);
+        if (index === -1) return;
+        links.splice(index, 1);
+        
+        // Link through the removed node's neighbors to keep the graph navigable
+        for (const candidateId of node.neighbors[level] || []) {
+          if (candidateId !== other.id && !links.includes(candidateId) && this.nodes.has(candidateId)) {
+            links.push(candidateId);
+          }
+        }
+        const maxLinks = level === 0 ? this.M * 2 : this.M;
+        if (links.length > maxLinks) {
+          this.pruneNeighbors(other, level, maxLinks);
+        }
+      });
+    }
+    
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const other of this.nodes.values()) {
+        if (other.level > this.maxLevel) {
+          this.entryPoint = other.id;
+          this.maxLevel = other.level;
+        }
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Find the k most similar vectors
+   * @param {Float32Array} queryVector - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {number} options.ef - Candidate list size, trades speed for recall (default: 64)
+   * @param {string} options.contentType - Only return vectors of this content type (optional)
+   * @param {string} options.project - Only return vectors of this project (optional)
+   * @returns {Array<{id, content_id, content_type, similarity}>} Results, most similar first
+   */
+  search(queryVector, k, { ef = 64, contentType = null, project = null } = {}) {
+    if (this.entryPoint === null || queryVector.length !== this.dimensions) {
+      return [];
+    }
+    
+    const query = HnswIndex.normalize(queryVector);
+    const toResult = item => {
+      const node = this.nodes.get(item.id);
+      return { id: node.id, content_id: node.contentId, content_type: node.contentType, similarity: 1 - item.distance };
+    };
+    
+    let entryIds = [this.entryPoint];
+    for (let level = this.maxLevel; level > 0; level--) {
+      entryIds = [this.searchLayer(query, entryIds, 1, level)[0].id];
+    }
+    
+    // A content type or project filter discards part of the candidates, so search wider
+    const filtered = contentType !== null || project !== null;
+    const matches = node => (!contentType || node.contentType === contentType) && (project === null || node.project === project);
+    const candidates = this.searchLayer(query, entryIds, Math.max(ef, filtered ? k * 4 : k), 0);
+    const results = candidates
+      .filter(item => matches(this.nodes.get(item.id)))
+      .slice(0, k);
+    
+    if (filtered && results.length < k) {
+      // Rare content type or small project: scan its vectors exactly instead
+      const exact = [];
+      for (const node of this.nodes.values()) {
+        if (matches(node)) {
+          exact.push({ id: node.id, distance: this.distance(query, node.vector) });
+        }
+      }
+      return exact.sort((a, b) => a.distance - b.distance).slice(0, k).map(toResult);
+    }
+    
+    return results.map(toResult);
+  }
+  
+  /**
+   * Serialize the index: a length-prefixed JSON header with the graph, followed by
+   * the normalized vectors as float32 in node order
+   * @returns {Buffer} Serialized index
+   */
+  serialize() {
+    const nodes = Array.from(this.nodes.values());
+    const header = Buffer.from(JSON.stringify({
+      version: 1,
+      modelId: this.modelId,
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: nodes.map(node => [node.id, node.contentId, node.contentType, node.level, node.neighbors, node.project])
+    }));
+    
+    const vectors = new Float32Array(nodes.length * this.dimensions);
+    nodes.forEach((node, i) => vectors.set(node.vector, i * this.dimensions));
+    
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length, 0);
+    return Buffer.concat([length, header, Buffer.from(vectors.buffer)]);
+  }
+  
+  /**
+   * Restore an index written by serialize()
+   * @param {Buffer} buffer - Serialized index
+   * @returns {HnswIndex} Index
+   */
+  static deserialize(buffer) {
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString('utf8'));
+    if (header.version !== 1) {
+      throw new Error(`Unsupported ANN index version ${header.version}`);
+    }
+    
+    const index = new HnswIndex(header);
+    // Copy so the float32 view is aligned regardless of the header length
+    const data = Buffer.from(buffer.subarray(4 + headerLength));
+    const vectors = new Float32Array(data.buffer, data.byteOffset, data.length / 4);
+    
+    // Indexes saved before project namespaces have no project; initAnnIndex re-adds those nodes
+    header.nodes.forEach(([id, contentId, contentType, level, neighbors, project], i) => {
+      index.nodes.set(id, {
+        id,
+        contentId,
+        contentType,
+        project,
+        level,
+        neighbors,
+        vector: vectors.slice(i * header.dimensions, (i + 1) * header.dimensions)
+      });
+    });
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    
+    return index;
+  }
+}
+
+// In-process ANN index state; null until built or loaded
+let annIndex = null;
+let annIndexSaveTimer = null;
+let vectorTopKSupport = null;
+
+/**
+ * Check once whether libsql's vector_top_k and the idx_vectors_ann index are usable
+ * @returns {Promise<boolean>} Whether the database can answer ANN queries itself
+ */
+async function hasVectorTopK() {
+  if (vectorTopKSupport === null) {
+    try {
+      await db.prepare("SELECT 1 FROM vector_top_k('idx_vectors_ann', vector32('[0.1, 0.2, 0.3]'), 1) LIMIT 0").all();
+      vectorTopKSupport = true;
+    } catch (topkError) {
+      vectorTopKSupport = false;
+      log(`VECTOR DEBUG: vector_top_k function not available: ${topkError.message}`, "info");
+    }
+  }
+  
+  return vectorTopKSupport;
+}
+
+/**
+ * Get the file the in-process ANN index is persisted to. Defaults to a file next to
+ * a local database, or to ~/.cursor10x for remote databases
+ * @returns {string|null} Index file path, or null if the index is not persisted
+ */
+function getAnnIndexPath() {
+  // An in-memory database only outlives the process through its snapshot
+  if (useInMemory) {
+    return process.env.MEMORY_SNAPSHOT_PATH
+      ? `${path.resolve(process.env.MEMORY_SNAPSHOT_PATH)}.ann`
+      : null;
+  }
+  
+  if (process.env.ANN_INDEX_PATH) {
+    return process.env.ANN_INDEX_PATH;
+  }
+  
+  const url = process.env.TURSO_DATABASE_URL || '';
+  if (url.startsWith('file:')) {
+    return `${url.slice('file:'.length)}.ann`;
+  }
+  
+  const urlHash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+  return path.join(os.homedir(), '.cursor10x', `ann-${urlHash}.ann`);
+}
+
+/**
+ * Write the ANN index to disk
+ * @returns {boolean} Whether the index was saved
+ */
+function saveAnnIndex() {
+  if (annIndexSaveTimer) {
+    clearTimeout(annIndexSaveTimer);
+    annIndexSaveTimer = null;
+  }
+  const indexPath = getAnnIndexPath();
+  if (!annIndex || !indexPath) {
+    return false;
+  }
+  
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    // Write to a temporary file first so a crash never leaves a truncated index
+    fs.writeFileSync(`${indexPath}.tmp`, annIndex.serialize());
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+    logDebug(`Saved ANN index with ${annIndex.size} vectors to ${indexPath}`);
+    return true;
+  } catch (error) {
+    log(`Failed to save ANN index: ${error.message}`, "error");
+    return false;
+  }
+}
+
+/**
+ * Save the ANN index a few seconds after the last change
+ */
+function scheduleAnnIndexSave() {
+  if (annIndexSaveTimer) {
+    return;
+  }
+  annIndexSaveTimer = setTimeout(saveAnnIndex, 5000);
+  annIndexSaveTimer.unref();
+}
+
+/**
+ * Add a stored vector to the ANN index if it belongs to the indexed model
+ * @param {number} vectorId - vectors.id of the row
+ * @param {number} contentId - Content id of the row
+ * @param {string} contentType - Content type of the row
+ * @param {Float32Array} vector - Stored vector
+ * @param {string} modelId - Model that produced the vector
+ * @param {string} project - Project of the row
+ */
+function addToAnnIndex(vectorId, contentId, contentType, vector, modelId, project) {
+  if (!annIndex || !vectorId || modelId !== annIndex.modelId) {
+    return;
+  }
+  
+  if (annIndex.add(Number(vectorId), vector, Number(contentId), contentType, project)) {
+    scheduleAnnIndexSave();
+  }
+}
+
+/**
+ * Load the persisted ANN index, or build it from the vectors table, and bring it in
+ * sync with the rows of the active model. Only used when the database has no
+ * ANN support of its own; set ANN_INDEX=false to disable it
+ * 
+ * @returns {Promise<boolean>} Whether the in-process index is in use
+ */
+async function initAnnIndex() {
+  if (process.env.ANN_INDEX === 'false' || await hasVectorTopK()) {
+    return false;
+  }
+  
+  const modelId = getActiveModelId();
+  const dimensions = getEmbeddingProvider().dimensions;
+  const indexPath = getAnnIndexPath();
+  let index = null;
+  
+  if (indexPath && fs.existsSync(indexPath)) {
+    try {
+      index = HnswIndex.deserialize(fs.readFileSync(indexPath));
+      if (index.modelId !== modelId || index.dimensions !== dimensions) {
+        log(`ANN index at ${indexPath} was built for ${index.modelId}, rebuilding for ${modelId}`);
+        index = null;
+      }
+    } catch (error) {
+      log(`Could not load ANN index from ${indexPath}, rebuilding: ${error.message}`, "error");
+      index = null;
+    }
+  }
+  
+  if (!index) {
+    index = new HnswIndex({
+      modelId,
+      dimensions,
+      M: parseInt(process.env.ANN_M || '16', 10),
+      efConstruction: parseInt(process.env.ANN_EF_CONSTRUCTION || '200', 10)
+    });
+  }
+  
+  // Reconcile with the table: drop vectors that no longer exist or whose row
+  // changed, and add the ones written while the server was not running
+  const rows = await db.prepare(`
+    SELECT id, content_id, content_type, project_id FROM vectors WHERE model_id = ?
+  `).all(modelId);
+  const current = new Map(rows.map(row => [row.id, row]));
+  
+  let removed = 0;
+  for (const node of Array.from(index.nodes.values())) {
+    const row = current.get(node.id);
+    if (!row || row.content_id !== node.contentId || row.content_type !== node.contentType || row.project_id !== node.project) {
+      index.remove(node.id);
+      removed++;
+    }
+  }
+  
+  const missing = rows.filter(row => !index.nodes.has(row.id)).map(row => row.id);
+  const BATCH_SIZE = 500;
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = missing.slice(i, i + BATCH_SIZE);
+    const vectors = await db.prepare(`
+      SELECT id, content_id, content_type, project_id, vector FROM vectors
+      WHERE id IN (${batch.map(() => '?').join(', ')})
+    `).all(...batch);
+    
+    for (const row of vectors) {
+      index.add(row.id, bufferToVector(row.vector), row.content_id, row.content_type, row.project_id);
+    }
+  }
+  
+  annIndex = index;
+  
+  // Pick up vectors stored while the index was being built
+  const lastId = rows.reduce((max, row) => Math.max(max, row.id), 0);
+  const latest = await db.prepare(`
+    SELECT id, content_id, content_type, project_id, vector FROM vectors WHERE model_id = ? AND id > ?
+  `).all(modelId, lastId);
+  for (const row of latest) {
+    if (!index.nodes.has(row.id)) {
+      index.add(row.id, bufferToVector(row.vector), row.content_id, row.content_type, row.project_id);
+    }
+  }
+  
+  if (removed > 0 || missing.length > 0 || latest.length > 0) {
+    saveAnnIndex();
+  }
+  
+  log(`ANN index ready with ${index.size} vectors (${missing.length} added, ${removed} removed)`);
+  return true;
+}
+
 /**
  * Create vector indexes for efficient similarity search
  * Should be called after database schema changes
@@ -564,6 +1826,11 @@ async function createVectorIndexes() {
     const basicIndexes = [
       `CREATE INDEX IF NOT EXISTS idx_vectors_content_type ON vectors(content_type)`,
       `CREATE INDEX IF NOT EXISTS idx_vectors_content_id ON vectors(content_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_vectors_project ON vectors(project_id, content_type)`,
+      // Full precision copies go with their vector, whichever code path deletes it
+      `CREATE TRIGGER IF NOT EXISTS vectors_full_precision_delete AFTER DELETE ON vectors BEGIN
+        DELETE FROM vector_full_precision WHERE vector_id = old.id;
+      END`,
     ];
     
     // Try to create the basic indexes
@@ -599,8 +1866,16 @@ async function createVectorIndexes() {
         log(`VECTOR DEBUG: libsql_vector_idx function not available: ${fnError.message}`, "info");
       }
       
+      // libsql's vector index only accepts float32 blobs, so quantized storage
+      // relies on the in-process ANN index instead
+      const quantization = getVectorQuantization();
+      if (hasVectorIdxFunction && quantization !== 'none') {
+        await db.prepare('DROP INDEX IF EXISTS idx_vectors_ann').run();
+        log(`VECTOR DEBUG: Skipping Turso ANN index for ${quantization}-quantized vectors`, "info");
+      }
+      
       // Create optimized vector index using proper syntax based on Turso documentation
-      if (hasVectorIdxFunction) {
+      if (hasVectorIdxFunction && quantization === 'none') {
         const vectorIndexSQL = `
           CREATE INDEX IF NOT EXISTS idx_vectors_ann 
           ON vectors(libsql_vector_idx(vector)) 
@@ -674,13 +1949,51 @@ TURSO_AUTH_TOKEN: ${process.env.TURSO_AUTH_TOKEN ? "provided" : 'not set'}`);
 let debugLogging = process.env.LOG_LEVEL === "debug";
 
 /**
- * Log database operations when in debug mode
+ * Log database operations when in debug mode. Like log(), this writes to
+ * stderr since stdout carries the MCP protocol
  * @param {string} message - The message to log
  */
 function logDebug(message) {
   if (debugLogging) {
-    console.log(`[DB] ${message}`);
+    console.error(`[DB] ${message}`);
+  }
+}
+
+/**
+ * Resolve the file of a file: database URL, creating its directory if needed
+ * @param {string} dbUrl - Database URL starting with file:
+ * @returns {string} Absolute database file path
+ */
+function resolveLocalDatabasePath(dbUrl) {
+  // Get the file path from the URL
+  let filePath = dbUrl.replace("file:", "");
+
+  // Make path absolute if it isn't already
+  if (!path.isAbsolute(filePath)) {
+    filePath = path.join(process.cwd(), filePath);
+  }
+
+  const dirPath = path.dirname(filePath);
+
+  // Ensure directory exists
+  if (!fs.existsSync(dirPath)) {
+    log(`Creating database directory: ${dirPath}`);
+    fs.mkdirSync(dirPath, { recursive: true });
   }
+
+  // Log database path
+  log(`Local SQLite database path: ${filePath}`);
+  return filePath;
+}
+
+/**
+ * Check whether a database URL points at a libsql server rather than a local
+ * file. http(s):// URLs reach a self-hosted sqld, such as one running locally
+ * @param {string} dbUrl - Database URL
+ * @returns {boolean} Whether the database is remote
+ */
+function isRemoteDatabaseUrl(dbUrl) {
+  return /^(libsql|https?):\/\//.test(dbUrl || '');
 }
 
 /**
@@ -702,10 +2015,10 @@ function createTursoClient() {
     }
     
     // Check if URL has the correct protocol
-    if (!dbUrl.startsWith("libsql://") && !dbUrl.startsWith("file:")) {
+    if (!isRemoteDatabaseUrl(dbUrl) && !dbUrl.startsWith("file:")) {
       log(`Invalid database URL protocol: ${dbUrl.split("://")[0]}://`, "error");
-      log(`URL should start with libsql:// or file://`, "error");
-      throw new Error("Invalid database URL protocol. Must start with libsql:// or file://");
+      log(`URL should start with libsql://, http(s):// or file://`, "error");
+      throw new Error("Invalid database URL protocol. Must start with libsql://, http(s):// or file://");
     }
 
     // For remote Turso database, auth token is required
@@ -714,8 +2027,19 @@ function createTursoClient() {
       throw new Error("Auth token is required for remote Turso database");
     }
 
+    // Embedded replica: reads from a local copy that is synced from the remote database
+    if (isRemoteDatabaseUrl(dbUrl) && process.env.TURSO_REPLICA_PATH) {
+      const replicaPath = resolveLocalDatabasePath(`file:${process.env.TURSO_REPLICA_PATH}`);
+      log("Using embedded replica of remote Turso database");
+      return createClient({
+        url: `file:${replicaPath}`,
+        syncUrl: dbUrl,
+        authToken: authToken
+      });
+    }
+
     // Create remote Turso client
-    if (dbUrl.startsWith("libsql://")) {
+    if (isRemoteDatabaseUrl(dbUrl)) {
       log("Using remote Turso database");
       return createClient({
         url: dbUrl,
@@ -727,24 +2051,7 @@ function createTursoClient() {
     if (dbUrl.startsWith("file:")) {
       log("Using local SQLite database");
 
-      // Get the file path from the URL
-      let filePath = dbUrl.replace("file:", "");
-
-      // Make path absolute if it isn't already
-      if (!path.isAbsolute(filePath)) {
-        filePath = path.join(process.cwd(), filePath);
-      }
-
-      const dirPath = path.dirname(filePath);
-
-      // Ensure directory exists
-      if (!fs.existsSync(dirPath)) {
-        log(`Creating database directory: ${dirPath}`);
-        fs.mkdirSync(dirPath, { recursive: true });
-      }
-
-      // Log database path
-      log(`Local SQLite database path: ${filePath}`);
+      const filePath = resolveLocalDatabasePath(dbUrl);
 
       // Create local SQLite client
       const localClient = createClient({
@@ -801,9 +2108,11 @@ class Statement {
         args: namedParams,
       });
 
+      // libsql reports the rowid as a BigInt, which JSON.stringify rejects;
+      // row ids always fit in a Number
       return {
         changes: result.rowsAffected || 0,
-        lastInsertRowid: result.lastInsertRowid,
+        lastInsertRowid: result.lastInsertRowid !== undefined ? Number(result.lastInsertRowid) : undefined,
       };
     } catch (error) {
       log(`Error running SQL: ${this.sql}`, "error");
@@ -872,6 +2181,20 @@ class Statement {
       throw error;
     }
   }
+
+  /**
+   * Bind parameters into a statement for client.batch()
+   * @param {Array} params - Parameters for the statement
+   * @returns {Object} libsql statement with named arguments
+   */
+  bind(params) {
+    const namedParams = {};
+    for (let i = 0; i < params.length; i++) {
+      namedParams[`param${i + 1}`] = params[i];
+    }
+
+    return { sql: this.convertedSql, args: namedParams };
+  }
 }
 
 /**
@@ -900,28 +2223,73 @@ function createTursoAdapter() {
       logDebug(`Executing SQL: ${sql}`);
 
       try {
-        // Handle multiple statements separated by semicolons
-        const statements = sql.split(";").filter((stmt) => stmt.trim());
-
-        for (const statement of statements) {
-          if (statement.trim()) {
-            try {
-              await client.execute({ sql: statement.trim() });
-            } catch (stmtError) {
-              log(
-                `Error executing statement: ${statement.trim()}`,
-                "error"
-              );
-              throw stmtError;
-            }
-          }
-        }
+        // Run the statements as one script, so trigger bodies and transactions stay intact
+        await client.executeMultiple(sql);
       } catch (error) {
         log(`Error executing SQL: ${sql}`, "error");
         throw error;
       }
     },
 
+    /**
+     * Run statements in an interactive write transaction. Everything fn writes
+     * through the transaction's prepare() is committed together, or rolled back
+     * if fn throws
+     * @param {Function} fn - Async callback receiving an object with prepare()
+     * @returns {Promise<any>} Value returned by fn
+     */
+    async transaction(fn) {
+      const tx = await client.transaction("write");
+
+      try {
+        const result = await fn({ prepare: (sql) => new Statement(tx, sql) });
+        await tx.commit();
+        return result;
+      } catch (error) {
+        log(`Rolling back transaction: ${error.message}`, "error");
+        try {
+          await tx.rollback();
+        } catch (rollbackError) {
+          // The transaction is already closed
+        }
+        throw error;
+      } finally {
+        tx.close();
+      }
+    },
+
+    /**
+     * Run independent statements atomically in a single round trip
+     * @param {Array<{sql: string, params: Array}>} statements - Statements to run in order
+     * @returns {Promise<Array<Object>>} Result object of each statement
+     */
+    async batch(statements) {
+      logDebug(`Running batch of ${statements.length} statements`);
+
+      try {
+        const results = await client.batch(
+          statements.map(({ sql, params = [] }) => new Statement(client, sql).bind(params)),
+          "write"
+        );
+
+        return results.map((result) => ({
+          changes: result.rowsAffected || 0,
+          lastInsertRowid: result.lastInsertRowid !== undefined ? Number(result.lastInsertRowid) : undefined,
+        }));
+      } catch (error) {
+        log(`Error running batch: ${statements.map(({ sql }) => sql.trim()).join("; ")}`, "error");
+        throw error;
+      }
+    },
+
+    /**
+     * Pull changes from the remote database into an embedded replica
+     * @returns {Promise<void>}
+     */
+    async sync() {
+      await client.sync();
+    },
+
     /**
      * Close the database connection
      * @returns {void}
@@ -933,2031 +2301,4054 @@ function createTursoAdapter() {
   };
 }
 
-let db = null;
-let serverInstance = null;
+/**
+ * Statement backed by a better-sqlite3 prepared statement. Same interface as
+ * Statement, but runs synchronously; callers await the results either way
+ */
+class SqliteStatement {
+  constructor(sqlite, sql) {
+    this.sql = sql;
+    this.statement = sqlite.prepare(sql);
+  }
 
-// Define all memory tools
-const MEMORY_TOOLS = {
-  // System tools
-  BANNER: {
-    name: "generateBanner",
-    description: "Generates a banner containing memory system statistics and status",
-    inputSchema: {
-      type: "object",
-      properties: {}
+  /**
+   * Convert parameters to types better-sqlite3 can bind, as libsql does
+   * @param {Array} params - Statement parameters
+   * @returns {Array} Bindable parameters
+   */
+  static bindable(params) {
+    return params.map(param => {
+      if (param === undefined) return null;
+      if (typeof param === 'boolean') return param ? 1 : 0;
+      return param;
+    });
+  }
+
+  /**
+   * Run a SQL statement with parameters
+   * @param {...any} params - Parameters for the statement
+   * @returns {Object} Result object
+   */
+  run(...params) {
+    try {
+      logDebug(`Running SQL: ${this.sql}`);
+      
+      // better-sqlite3 refuses run() on statements that return rows (e.g. some PRAGMAs)
+      if (this.statement.reader) {
+        this.statement.all(...SqliteStatement.bindable(params));
+        return { changes: 0, lastInsertRowid: undefined };
+      }
+      
+      const result = this.statement.run(...SqliteStatement.bindable(params));
+      return {
+        changes: result.changes,
+        lastInsertRowid: Number(result.lastInsertRowid),
+      };
+    } catch (error) {
+      log(`Error running SQL: ${this.sql}`, "error");
+      throw error;
     }
-  },
-  HEALTH: {
-    name: "checkHealth",
-    description: "Checks the health of the memory system and its database",
-    inputSchema: {
-      type: "object",
-      properties: {}
+  }
+
+  /**
+   * Get a single row as an object
+   * @param {...any} params - Parameters for the statement
+   * @returns {Object|undefined} Row object or undefined
+   */
+  get(...params) {
+    try {
+      logDebug(`Getting row with SQL: ${this.sql}`);
+      
+      if (!this.statement.reader) {
+        this.statement.run(...SqliteStatement.bindable(params));
+        return undefined;
+      }
+      
+      return this.statement.get(...SqliteStatement.bindable(params));
+    } catch (error) {
+      log(`Error getting row with SQL: ${this.sql}`, "error");
+      throw error;
     }
-  },
-  
-  // Unified tool for beginning of conversation
-  INIT_CONVERSATION: {
-    name: "initConversation",
-    description: "Initializes a conversation by storing the user message, generating a banner, and retrieving context in one operation",
-    inputSchema: {
-      type: "object",
-      properties: {
-        content: {
-          type: "string",
-          description: "Content of the user message"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "low"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the message",
-          additionalProperties: true
-        }
-      },
-      required: ["content"]
+  }
+
+  /**
+   * Get all rows as objects
+   * @param {...any} params - Parameters for the statement
+   * @returns {Array<Object>} Array of row objects
+   */
+  all(...params) {
+    try {
+      logDebug(`Getting all rows with SQL: ${this.sql}`);
+      
+      if (!this.statement.reader) {
+        this.statement.run(...SqliteStatement.bindable(params));
+        return [];
+      }
+      
+      return this.statement.all(...SqliteStatement.bindable(params));
+    } catch (error) {
+      log(`Error getting all rows with SQL: ${this.sql}`, "error");
+      throw error;
     }
-  },
+  }
+}
+
+/**
+ * Create a database adapter on a local SQLite file using better-sqlite3, with
+ * the same interface as the Turso adapter
+ * @param {Function} Database - better-sqlite3 constructor
+ * @param {string|Buffer} filePath - Database file path, ':memory:', or a serialized database
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.snapshotPath] - File the database is serialized to on close
+ * @returns {Object} Database adapter object
+ */
+function createSqliteAdapter(Database, filePath, { snapshotPath } = {}) {
+  const sqlite = new Database(filePath);
   
-  // Unified tool for ending a conversation
-  END_CONVERSATION: {
-    name: "endConversation",
-    description: "Ends a conversation by storing the assistant message, recording a milestone, and logging an episode in one operation",
-    inputSchema: {
-      type: "object",
-      properties: {
-        content: {
-          type: "string",
-          description: "Content of the assistant's final message"
-        },
-        milestone_title: {
-          type: "string",
-          description: "Title of the milestone to record"
-        },
-        milestone_description: {
-          type: "string",
-          description: "Description of what was accomplished"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "medium"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata",
-          additionalProperties: true
-        }
-      },
-      required: ["content", "milestone_title", "milestone_description"]
-    }
-  },
+  // WAL lets readers continue while a write is in progress
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma(`busy_timeout = ${parseInt(process.env.SQLITE_BUSY_TIMEOUT || '5000', 10)}`);
   
-  // Short-term memory tools
-  STORE_USER_MESSAGE: {
-    name: "storeUserMessage",
-    description: "Stores a user message in the short-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        content: {
-          type: "string",
-          description: "Content of the message"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "low"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the message",
-          additionalProperties: true
-        }
-      },
-      required: ["content"]
-    }
-  },
-  STORE_ASSISTANT_MESSAGE: {
-    name: "storeAssistantMessage",
-    description: "Stores an assistant message in the short-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        content: {
-          type: "string",
-          description: "Content of the message"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "low"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the message",
-          additionalProperties: true
-        }
-      },
-      required: ["content"]
+  // Statements are compiled once and reused, as the same SQL runs on every call
+  const statements = new Map();
+  
+  // The connection is shared, so transactions take turns
+  let transactionQueue = Promise.resolve();
+  let transactionOpen = false;
+  
+  /**
+   * Get the compiled statement for SQL, compiling it on first use
+   * @param {string} sql - SQL statement
+   * @returns {SqliteStatement} Statement object
+   */
+  function prepareStatement(sql) {
+    let statement = statements.get(sql);
+    if (!statement) {
+      statement = new SqliteStatement(sqlite, sql);
+      // Schema changes can invalidate cached statements, so only cache plain DML
+      if (/^\s*(SELECT|INSERT|UPDATE|DELETE)\b/i.test(sql)) {
+        statements.set(sql, statement);
+      }
     }
-  },
-  TRACK_ACTIVE_FILE: {
-    name: "trackActiveFile",
-    description: "Tracks an active file being accessed by the user",
-    inputSchema: {
-      type: "object",
-      properties: {
-        filename: {
-          type: "string",
-          description: "Path to the file being tracked"
-        },
-        action: {
-          type: "string",
-          description: "Action performed on the file (open, edit, close, etc.)"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the file",
-          additionalProperties: true
-        }
-      },
-      required: ["filename", "action"]
+    return statement;
+  }
+  
+  /**
+   * Run a write outside of any transaction. While one is open on the shared
+   * connection the write waits for it, so it is neither committed nor rolled
+   * back with the transaction's own writes
+   * @param {Function} write - Synchronous write
+   * @returns {any|Promise<any>} Result of the write
+   */
+  function writeOutsideTransaction(write) {
+    if (!transactionOpen) {
+      return write();
     }
-  },
-  GET_RECENT_MESSAGES: {
-    name: "getRecentMessages",
-    description: "Retrieves recent messages from the short-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        limit: {
-          type: "number",
-          description: "Maximum number of messages to retrieve",
-          default: 10
-        },
-        importance: {
-          type: "string",
-          description: "Filter by importance level (low, medium, high)"
-        }
+    
+    const waitForTransactions = async () => {
+      // Another transaction may start before this one's turn comes
+      while (transactionOpen) {
+        await transactionQueue;
       }
-    }
-  },
-  GET_ACTIVE_FILES: {
-    name: "getActiveFiles",
-    description: "Retrieves active files from the short-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        limit: {
-          type: "number",
-          description: "Maximum number of files to retrieve",
-          default: 10
+      return write();
+    };
+    return waitForTransactions();
+  }
+
+  const adapter = {
+    backend: 'better-sqlite3',
+    
+    /**
+     * Prepare a SQL statement
+     * @param {string} sql - SQL statement
+     * @returns {Object} Statement object with run(), get() and all()
+     */
+    prepare(sql) {
+      const statement = prepareStatement(sql);
+      // Statements that do not return rows write when read, so they wait too
+      const reader = statement.statement.reader;
+      return {
+        run: (...params) => writeOutsideTransaction(() => statement.run(...params)),
+        get: (...params) => reader ? statement.get(...params) : writeOutsideTransaction(() => statement.get(...params)),
+        all: (...params) => reader ? statement.all(...params) : writeOutsideTransaction(() => statement.all(...params))
+      };
+    },
+
+    /**
+     * Execute one or more SQL statements
+     * @param {string} sql - SQL statements
+     * @returns {void}
+     */
+    exec(sql) {
+      logDebug(`Executing SQL: ${sql}`);
+      return writeOutsideTransaction(() => {
+        try {
+          sqlite.exec(sql);
+        } catch (error) {
+          log(`Error executing SQL: ${sql}`, "error");
+          throw error;
+        }
+      });
+    },
+
+    /**
+     * Run statements in a write transaction. Everything fn writes through the
+     * transaction's prepare() is committed together, or rolled back if fn throws.
+     * Writes through the adapter itself wait until it ends, so fn must not make
+     * them or start another transaction
+     * @param {Function} fn - Async callback receiving an object with prepare()
+     * @returns {Promise<any>} Value returned by fn
+     */
+    transaction(fn) {
+      const run = async () => {
+        sqlite.exec('BEGIN IMMEDIATE');
+        transactionOpen = true;
+        try {
+          const result = await fn({ prepare: prepareStatement });
+          sqlite.exec('COMMIT');
+          return result;
+        } catch (error) {
+          log(`Rolling back transaction: ${error.message}`, "error");
+          if (sqlite.inTransaction) {
+            sqlite.exec('ROLLBACK');
+          }
+          throw error;
+        } finally {
+          transactionOpen = false;
+        }
+      };
+      
+      const result = transactionQueue.then(run, run);
+      transactionQueue = result.catch(() => {});
+      return result;
+    },
+
+    /**
+     * Run independent statements atomically
+     * @param {Array<{sql: string, params: Array}>} statements - Statements to run in order
+     * @returns {Array<Object>} Result object of each statement
+     */
+    batch(statements) {
+      logDebug(`Running batch of ${statements.length} statements`);
+      return writeOutsideTransaction(() => sqlite.transaction(() => 
+        statements.map(({ sql, params = [] }) => prepareStatement(sql).run(...params))
+      )());
+    },
+
+    /**
+     * Close the database connection
+     * @returns {void}
+     */
+    close() {
+      log("Closing database connection");
+      if (!sqlite.open) {
+        return;
+      }
+      
+      if (snapshotPath) {
+        try {
+          fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+          // Write to a temporary file first so a crash never leaves a truncated snapshot
+          fs.writeFileSync(`${snapshotPath}.tmp`, sqlite.serialize());
+          fs.renameSync(`${snapshotPath}.tmp`, snapshotPath);
+          log(`Saved in-memory database snapshot to ${snapshotPath}`);
+        } catch (error) {
+          log(`Failed to save in-memory database snapshot: ${error.message}`, "error");
         }
       }
+      sqlite.close();
+    },
+  };
+  
+  return adapter;
+}
+
+/**
+ * Create an in-process SQLite database, used when TURSO_DATABASE_URL is not
+ * set or cannot be reached. With MEMORY_SNAPSHOT_PATH the database is loaded
+ * from that file on start and written back to it on close
+ * @returns {Promise<Object>} Database adapter object
+ */
+async function createMemoryAdapter() {
+  const { default: Database } = await import('better-sqlite3');
+  const snapshotPath = process.env.MEMORY_SNAPSHOT_PATH
+    ? path.resolve(process.env.MEMORY_SNAPSHOT_PATH)
+    : null;
+  
+  let source = ':memory:';
+  if (snapshotPath && fs.existsSync(snapshotPath)) {
+    source = fs.readFileSync(snapshotPath);
+    log(`Loading in-memory database snapshot from ${snapshotPath}`);
+  }
+  
+  return { ...createSqliteAdapter(Database, source, { snapshotPath }), backend: 'memory' };
+}
+
+// Error codes of a database that could not be reached, rather than of the statement
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+  'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'HRANA_WEBSOCKET_ERROR'
+]);
+
+/**
+ * Check whether an error means the database could not be reached, so the
+ * operation may succeed once the connection is back
+ * @param {Error} error - Error thrown by the libsql client
+ * @returns {boolean} Whether it is a connection error
+ */
+function isConnectionError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.name === 'FetchError' || error.name === 'AbortError') {
+    return true;
+  }
+  // Gateways answer 5xx while the database restarts, other HTTP errors are not transient
+  if (error.code === 'SERVER_ERROR') {
+    return (error.cause?.status ?? 0) >= 500;
+  }
+  return CONNECTION_ERROR_CODES.has(error.code) || CONNECTION_ERROR_CODES.has(error.cause?.code);
+}
+
+// Writes buffered while the database is unreachable return provisional row ids
+// counting down from here, far below any value stored as data, so parameters
+// can be told apart from them when the ids are replaced on replay
+const PROVISIONAL_ID_BASE = -1000000000;
+
+/**
+ * Check whether a value is a provisional row id handed out for a buffered write
+ * @param {any} value - Parameter or id to check
+ * @returns {boolean} Whether it is a provisional id
+ */
+function isProvisionalId(value) {
+  return Number.isInteger(value) && value <= PROVISIONAL_ID_BASE;
+}
+
+/**
+ * Check whether a value can be a record id: a positive integer, or a provisional
+ * id returned while the database was unreachable
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether it is a record id
+ */
+function isRecordId(value) {
+  return Number.isInteger(value) && (value > 0 || isProvisionalId(value));
+}
+
+/**
+ * Get the file writes are buffered in while the remote database is unreachable
+ * @returns {string} Buffer file path
+ */
+function getWriteBufferPath() {
+  if (process.env.TURSO_WRITE_BUFFER_PATH) {
+    return process.env.TURSO_WRITE_BUFFER_PATH;
+  }
+  
+  const urlHash = createHash('sha1').update(process.env.TURSO_DATABASE_URL || '').digest('hex').slice(0, 12);
+  return path.join(os.homedir(), '.cursor10x', `buffer-${urlHash}.jsonl`);
+}
+
+/**
+ * Convert a buffered write to a JSON line, with blobs as base64
+ * @param {Object} entry - Buffered write
+ * @param {Function} remap - Maps provisional row ids in parameters to real ones
+ * @returns {string} JSON line
+ */
+function encodeBufferedWrite(entry, remap) {
+  if (entry.exec) {
+    return JSON.stringify(entry);
+  }
+  
+  return JSON.stringify({
+    ...entry,
+    statements: entry.statements.map(statement => ({
+      ...statement,
+      params: remap(statement.params).map(param => ArrayBuffer.isView(param)
+        ? { blob: Buffer.from(param.buffer, param.byteOffset, param.byteLength).toString('base64') }
+        : param ?? null)
+    }))
+  });
+}
+
+/**
+ * Load the writes left in the buffer file by a previous run
+ * @param {string} bufferPath - Buffer file path
+ * @returns {Array<Object>} Buffered writes, oldest first
+ */
+function loadBufferedWrites(bufferPath) {
+  if (!fs.existsSync(bufferPath)) {
+    return [];
+  }
+  
+  const entries = [];
+  for (const line of fs.readFileSync(bufferPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      for (const statement of entry.statements || []) {
+        statement.params = statement.params.map(param => param?.blob !== undefined
+          ? Buffer.from(param.blob, 'base64')
+          : param);
+      }
+      entries.push(entry);
+    } catch (error) {
+      log(`Skipping unreadable buffered write in ${bufferPath}: ${error.message}`, "error");
     }
-  },
+  }
+  
+  if (entries.length > 0) {
+    log(`Loaded ${entries.length} buffered write(s) from ${bufferPath}`);
+  }
+  return entries;
+}
 
-  // Long-term memory tools
-  STORE_MILESTONE: {
-    name: "storeMilestone",
-    description: "Stores a project milestone in the long-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Title of the milestone"
-        },
-        description: {
-          type: "string",
-          description: "Description of the milestone"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "medium"
+/**
+ * Wrap a remote database adapter so it survives losing the connection. While
+ * the database is unreachable, reads fail and writes are appended to a buffer
+ * file, with provisional negative row ids. The connection is retried with
+ * exponential backoff (TURSO_RECONNECT_BACKOFF_MS up to
+ * TURSO_RECONNECT_MAX_BACKOFF_MS), and once it is back the buffered writes are
+ * replayed in order, replacing provisional ids in later parameters with the
+ * real ones. Writes that fail on replay for reasons other than the connection
+ * are moved to a .failed file next to the buffer
+ * @param {Object} adapter - Database adapter for the remote database
+ * @returns {Object} Database adapter object
+ */
+function createBufferedAdapter(adapter) {
+  const bufferPath = getWriteBufferPath();
+  const failedPath = `${bufferPath}.failed`;
+  const backoffMs = parseInt(process.env.TURSO_RECONNECT_BACKOFF_MS || '1000', 10);
+  const maxBackoffMs = parseInt(process.env.TURSO_RECONNECT_MAX_BACKOFF_MS || '60000', 10);
+  
+  // Writes not yet applied to the database, oldest first
+  const pending = loadBufferedWrites(bufferPath);
+  // Real row ids of replayed inserts by the provisional id their caller got
+  const idMap = new Map();
+  let nextProvisionalId = pending
+    .flatMap(entry => entry.statements || [])
+    .reduce((min, statement) => Math.min(min, statement.id), PROVISIONAL_ID_BASE + 1) - 1;
+  
+  // connected: writes go to the database; degraded: reachable again, but
+  // buffered writes are still being replayed; offline: writes are buffered
+  let state = pending.length > 0 ? 'degraded' : 'connected';
+  let lastError = null;
+  let offlineSince = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let nextRetryAt = null;
+  let failedWrites = 0;
+  let replaying = null;
+  let closed = false;
+  // Schema setup still to run once the database is reachable
+  let pendingSetUp = null;
+  // Setup writes go straight to the database, ahead of buffered writes
+  let settingUp = false;
+  
+  const remap = (params) => params.map(param =>
+    isProvisionalId(param) && idMap.has(param) ? idMap.get(param) : param);
+  
+  const isBuffering = () => state === 'offline' || (pending.length > 0 && !settingUp);
+  
+  const offlineError = () => new Error(
+    `Database is unreachable, ${pending.length} write(s) buffered until it is back` +
+    (lastError ? `: ${lastError}` : '')
+  );
+  
+  /**
+   * Append a write to the buffer
+   * @param {Object} entry - Statements to apply together, or SQL to execute
+   * @returns {void}
+   */
+  function bufferWrite(entry) {
+    pending.push({ ...entry, queued_at: Date.now() });
+    fs.mkdirSync(path.dirname(bufferPath), { recursive: true });
+    fs.appendFileSync(bufferPath, encodeBufferedWrite(pending[pending.length - 1], remap) + '\n');
+    logDebug(`Buffered write, ${pending.length} waiting for the database`);
+  }
+  
+  /**
+   * Buffer statements, giving each a provisional row id
+   * @param {Array<{sql: string, params: Array}>} statements - Statements to apply together
+   * @returns {Array<Object>} Result object of each statement
+   */
+  function bufferStatements(statements) {
+    const buffered = statements.map(({ sql, params = [] }) => ({ sql, params, id: nextProvisionalId-- }));
+    bufferWrite({ statements: buffered });
+    
+    // Nothing is known about the effect of a write until it is replayed
+    return buffered.map(({ id }) => ({ changes: 0, lastInsertRowid: id }));
+  }
+  
+  /**
+   * Run fn against a buffer instead of the database. Its writes are replayed
+   * together; reads fail as there is nothing to read from
+   * @param {Function} fn - Async callback receiving an object with prepare()
+   * @returns {Promise<any>} Value returned by fn
+   */
+  async function bufferTransaction(fn) {
+    const statements = [];
+    const result = await fn({
+      prepare: (sql) => ({
+        run: async (...params) => {
+          const id = nextProvisionalId--;
+          statements.push({ sql, params, id });
+          return { changes: 0, lastInsertRowid: id };
         },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the milestone",
-          additionalProperties: true
-        }
-      },
-      required: ["title", "description"]
+        get: async () => { throw offlineError(); },
+        all: async () => { throw offlineError(); }
+      })
+    });
+    
+    if (statements.length > 0) {
+      bufferWrite({ statements });
     }
-  },
-  STORE_DECISION: {
-    name: "storeDecision",
-    description: "Stores a project decision in the long-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Title of the decision"
-        },
-        content: {
-          type: "string",
-          description: "Content of the decision"
-        },
-        reasoning: {
-          type: "string",
-          description: "Reasoning behind the decision"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "medium"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the decision",
-          additionalProperties: true
+    return result;
+  }
+  
+  /**
+   * Remember the connection is gone and start retrying
+   * @param {Error} error - Connection error
+   * @returns {void}
+   */
+  function markOffline(error) {
+    lastError = error.message;
+    if (state !== 'offline') {
+      state = 'offline';
+      offlineSince = Date.now();
+      log(`Database unreachable, buffering writes until it is back: ${error.message}`, "error");
+    }
+    scheduleReconnect();
+  }
+  
+  /**
+   * Retry the connection after the next backoff delay
+   * @returns {void}
+   */
+  function scheduleReconnect() {
+    if (reconnectTimer || closed) {
+      return;
+    }
+    
+    const delay = Math.min(backoffMs * 2 ** reconnectAttempts, maxBackoffMs);
+    reconnectAttempts++;
+    nextRetryAt = Date.now() + delay;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      reconnect().catch(error => log(`Error reconnecting to the database: ${error.message}`, "error"));
+    }, delay);
+  }
+  
+  /**
+   * Check whether the database is reachable again, then finish any schema
+   * setup and replay the buffered writes
+   * @returns {Promise<void>}
+   */
+  async function reconnect() {
+    try {
+      await adapter.prepare('SELECT 1').get();
+    } catch (error) {
+      lastError = error.message;
+      logDebug(`Database still unreachable (attempt ${reconnectAttempts}): ${error.message}`);
+      scheduleReconnect();
+      return;
+    }
+    
+    if (state === 'offline') {
+      log(`Database reachable again after ${Math.round((Date.now() - offlineSince) / 1000)}s, ${pending.length} buffered write(s) to replay`);
+    }
+    state = 'degraded';
+    offlineSince = null;
+    nextRetryAt = null;
+    reconnectAttempts = 0;
+    
+    if (pendingSetUp) {
+      settingUp = true;
+      try {
+        await pendingSetUp();
+        pendingSetUp = null;
+      } catch (error) {
+        if (!isConnectionError(error)) {
+          lastError = error.message;
+          log(`Database setup failed after reconnecting, retrying: ${error.message}`, "error");
+          scheduleReconnect();
         }
-      },
-      required: ["title", "content"]
+        return;
+      } finally {
+        settingUp = false;
+      }
     }
-  },
-  STORE_REQUIREMENT: {
-    name: "storeRequirement",
-    description: "Stores a project requirement in the long-term memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Title of the requirement"
-        },
-        content: {
-          type: "string",
-          description: "Content of the requirement"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "medium"
-        },
-        metadata: {
-          type: "object",
-          description: "Optional metadata for the requirement",
-          additionalProperties: true
+    
+    await replay();
+  }
+  
+  /**
+   * Apply one buffered write to the database
+   * @param {Object} entry - Buffered write
+   * @returns {Promise<void>}
+   */
+  async function applyBufferedWrite(entry) {
+    if (entry.exec) {
+      await adapter.exec(entry.exec);
+      return;
+    }
+    
+    const apply = async (prepare) => {
+      for (const { sql, params, id } of entry.statements) {
+        // An upsert that updates reports the rowid of an earlier insert, so ask
+        // for the row it actually touched
+        if (/^\s*INSERT\b/i.test(sql) && /\bON\s+CONFLICT\b[\s\S]*\bDO\s+UPDATE\b/i.test(sql)) {
+          const row = await prepare(`${sql.trim().replace(/;$/, '')} RETURNING rowid AS id`).get(...remap(params));
+          if (row) {
+            idMap.set(id, Number(row.id));
+          }
+          continue;
         }
-      },
-      required: ["title", "content"]
+        
+        const result = await prepare(sql).run(...remap(params));
+        if (result.changes > 0 && result.lastInsertRowid > 0 && /^\s*(INSERT|REPLACE)\b/i.test(sql)) {
+          idMap.set(id, result.lastInsertRowid);
+        }
+      }
+    };
+    
+    if (entry.statements.length === 1) {
+      await apply((sql) => adapter.prepare(sql));
+    } else {
+      await adapter.transaction((tx) => apply(tx.prepare));
     }
-  },
-
-  // Episodic memory tools
-  RECORD_EPISODE: {
-    name: "recordEpisode",
-    description: "Records an episode (action) in the episodic memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        actor: {
-          type: "string",
-          description: "Actor performing the action (user, assistant, system)"
-        },
-        action: {
-          type: "string",
-          description: "Type of action performed"
-        },
-        content: {
-          type: "string",
-          description: "Content or details of the action"
-        },
-        importance: {
-          type: "string",
-          description: "Importance level (low, medium, high)",
-          default: "low"
-        },
-        context: {
-          type: "string",
-          description: "Context for the episode"
-        }
-      },
-      required: ["actor", "action", "content"]
+  }
+  
+  /**
+   * Replay buffered writes in order until the buffer is empty or the
+   * connection is lost again
+   * @returns {Promise<void>}
+   */
+  function replay() {
+    if (replaying) {
+      return replaying;
     }
-  },
-  GET_RECENT_EPISODES: {
-    name: "getRecentEpisodes",
-    description: "Retrieves recent episodes from the episodic memory",
-    inputSchema: {
-      type: "object",
-      properties: {
-        limit: {
-          type: "number",
-          description: "Maximum number of episodes to retrieve",
-          default: 10
-        },
-        context: {
-          type: "string",
-          description: "Filter by context"
+    
+    replaying = (async () => {
+      let replayed = 0;
+      
+      while (pending.length > 0) {
+        try {
+          await applyBufferedWrite(pending[0]);
+          replayed++;
+        } catch (error) {
+          if (isConnectionError(error)) {
+            markOffline(error);
+            return;
+          }
+          
+          // The write can never succeed, so keep it aside rather than blocking the ones after it
+          failedWrites++;
+          lastError = error.message;
+          log(`Buffered write failed on replay, moved to ${failedPath}: ${error.message}`, "error");
+          fs.appendFileSync(failedPath, encodeBufferedWrite({ ...pending[0], error: error.message }, remap) + '\n');
         }
+        
+        pending.shift();
+        // Rewrite the rest with real ids, so a restart does not need the id map
+        fs.writeFileSync(`${bufferPath}.tmp`, pending.map(entry => encodeBufferedWrite(entry, remap) + '\n').join(''));
+        fs.renameSync(`${bufferPath}.tmp`, bufferPath);
       }
-    }
-  },
-  
-  // Context tools
-  GET_COMPREHENSIVE_CONTEXT: {
-    name: "getComprehensiveContext",
-    description: "Retrieves comprehensive context from all memory systems",
-    inputSchema: {
-      type: "object",
-      properties: {
-        query: {
-          type: "string",
-          description: "Optional query for semantic search to find relevant context"
-        }
+      
+      state = 'connected';
+      if (replayed > 0) {
+        log(`Replayed ${replayed} buffered write(s)`);
       }
-    }
-  },
-  GET_MEMORY_STATS: {
-    name: "getMemoryStats",
-    description: "Retrieves statistics about the memory system",
-    inputSchema: {
-      type: "object",
-      properties: {}
-    }
-  },
-  
-  // Vector management tool
-  MANAGE_VECTOR: {
-    name: "manageVector",
-    description: "Unified tool for managing vector embeddings with operations for store, search, update, and delete",
-    inputSchema: {
-      type: "object",
-      properties: {
-        operation: {
-          type: "string",
-          description: "Operation to perform (store, search, update, delete)",
-          enum: ["store", "search", "update", "delete"]
-        },
-        contentId: {
-          type: "number",
-          description: "ID of the content this vector represents (for store, update, delete)"
-        },
-        contentType: {
-          type: "string",
-          description: "Type of content (message, file, snippet, etc.)"
-        },
-        vector: {
-          type: "array",
-          description: "Vector data as array of numbers (for store, update) or query vector (for search)"
-        },
-        metadata: {
-          type: "object",
-          description: "Additional info about the vector (optional)",
-          additionalProperties: true
-        },
-        vectorId: {
-          type: "number",
-          description: "ID of the vector to update or delete"
-        },
-        limit: {
-          type: "number",
-          description: "Maximum number of results for search operation",
-          default: 10
-        },
-        threshold: {
-          type: "number",
-          description: "Similarity threshold for search operation",
-          default: 0.7
-        }
-      },
-      required: ["operation"]
-    }
-  },
-  DIAGNOSE_VECTORS: {
-    name: "diagnoseVectors",
-    description: "Run diagnostics on the vector storage system to identify issues",
-    inputSchema: {
-      type: "object",
-      properties: {}
-    }
-  }
-};
-
-// In-memory store as fallback if database initialization fails
-const inMemoryStore = {
-  messages: [],
-  activeFiles: [],
-  milestones: [],
-  decisions: [],
-  requirements: [],
-  episodes: []
-};
-
-let useInMemory = false;
-
-// Initialize database
-async function initializeDatabase() {
-  try {
-    // Check if environment variables are set (from either process.env or .env.local)
-    if (!process.env.TURSO_DATABASE_URL) {
-      log('TURSO_DATABASE_URL environment variable not found - using in-memory database', 'error');
-      useInMemory = true;
-      return null;
-    }
+    })().finally(() => {
+      replaying = null;
+    });
     
-    if (process.env.TURSO_DATABASE_URL.startsWith('libsql://') && !process.env.TURSO_AUTH_TOKEN) {
-      log('TURSO_AUTH_TOKEN environment variable required for remote Turso database but not found - using in-memory database', 'error');
-      useInMemory = true;
-      return null;
+    return replaying;
+  }
+  
+  /**
+   * Run a write against the database, or buffer it if the database is unreachable
+   * @param {Function} write - Runs the write against the database
+   * @param {Function} buffer - Buffers the write instead
+   * @returns {Promise<any>} Result of the write
+   */
+  async function runWrite(write, buffer) {
+    if (isBuffering()) {
+      return buffer();
     }
     
-    log('Initializing database with Turso');
-    db = createTursoAdapter();
-    
-    // Test connection
     try {
-      const testResult = await db.prepare('SELECT 1 as test').get();
-      log(`Database connection test successful: ${JSON.stringify(testResult)}`);
+      return await write();
     } catch (error) {
-      log(`Failed to connect to Turso database: ${error.message}`, "error");
-      log('Falling back to in-memory database', 'error');
-      useInMemory = true;
-      return null;
-    }
-    
-    // Create tables if they don't exist
-    const tables = {
-      messages: `
-    CREATE TABLE IF NOT EXISTS messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      role TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at INTEGER NOT NULL,
-          metadata TEXT,
-          importance TEXT DEFAULT 'low'
-        )
-      `,
-      active_files: `
-    CREATE TABLE IF NOT EXISTS active_files (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-          filename TEXT UNIQUE,
-          last_accessed INTEGER,
-      metadata TEXT
-        )
-      `,
-      milestones: `
-    CREATE TABLE IF NOT EXISTS milestones (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT,
-          description TEXT,
-          importance TEXT DEFAULT 'medium',
-          created_at INTEGER,
-      metadata TEXT
-        )
-      `,
-      decisions: `
-    CREATE TABLE IF NOT EXISTS decisions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT,
-          content TEXT,
-      reasoning TEXT,
-          importance TEXT DEFAULT 'medium',
-          created_at INTEGER,
-      metadata TEXT
-        )
-      `,
-      requirements: `
-    CREATE TABLE IF NOT EXISTS requirements (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT,
-          content TEXT,
-          importance TEXT DEFAULT 'medium',
-          created_at INTEGER,
-      metadata TEXT
-        )
-      `,
-      episodes: `
-    CREATE TABLE IF NOT EXISTS episodes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-          actor TEXT,
-          action TEXT,
-          content TEXT,
-          timestamp INTEGER,
-          importance TEXT DEFAULT 'low',
-      context TEXT,
-      metadata TEXT
-        )
-      `,
-      // New vector-based tables for codebase indexing
-      vectors: `
-    CREATE TABLE IF NOT EXISTS vectors (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      content_id INTEGER NOT NULL,
-      content_type TEXT NOT NULL,
-      vector F32_BLOB(128) NOT NULL,
-      created_at INTEGER NOT NULL,
-      metadata TEXT
-    )
-      `,
-      code_files: `
-    CREATE TABLE IF NOT EXISTS code_files (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      file_path TEXT UNIQUE,
-      language TEXT,
-      last_indexed INTEGER,
-      size INTEGER,
-      metadata TEXT
-    )
-      `,
-      code_snippets: `
-    CREATE TABLE IF NOT EXISTS code_snippets (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      file_id INTEGER,
-      start_line INTEGER,
-      end_line INTEGER,
-      content TEXT,
-      symbol_type TEXT,
-      metadata TEXT,
-      FOREIGN KEY (file_id) REFERENCES code_files(id)
-    )
-      `
-    };
-    
-    // Verify or create each table
-    for (const [name, createStatement] of Object.entries(tables)) {
-      try {
-        await db.prepare(createStatement).run();
-        log(`Table ${name} verified/created`);
-        
-        // For vectors table, do an additional check
-        if (name === 'vectors') {
-          const tableInfo = await db.prepare("PRAGMA table_info(vectors)").all();
-          log(`VECTOR DEBUG: Vector table schema: ${JSON.stringify(tableInfo)}`, "info");
-        }
-      } catch (error) {
-        log(`Failed to create table ${name}: ${error.message}`, "error");
+      if (!isConnectionError(error)) {
         throw error;
       }
-    }
-    
-    // Create vector indexes for efficient similarity search
-    try {
-      log("VECTOR DEBUG: Initializing vector indexes", "info");
-      const indexResult = await createVectorIndexes();
-      
-      if (indexResult) {
-        log('VECTOR SUCCESS: Vector indexes setup completed successfully', "info");
-      } else {
-        log('VECTOR WARNING: Vector indexes setup partially completed with issues', "error");
+      markOffline(error);
+      // Setup must not be replayed later, after writes that depend on it
+      if (settingUp) {
+        throw error;
       }
-    } catch (indexError) {
-      log(`VECTOR ERROR: Vector indexes creation failed: ${indexError.message}`, "error");
-      log('VECTOR WARNING: Vector operations may be slower or unavailable', "error");
+      return buffer();
+    }
+  }
+  
+  /**
+   * Run a read against the database
+   * @param {Function} read - Runs the read against the database
+   * @returns {Promise<any>} Result of the read
+   */
+  async function runRead(read) {
+    if (state === 'offline') {
+      throw offlineError();
     }
     
-    // Create a test_connection table to verify write access
     try {
-      await db.prepare(`
-        CREATE TABLE IF NOT EXISTS test_connection (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name TEXT,
-          created_at TEXT
-        )
-      `).run();
-      
-      const now = new Date().toISOString();
-      await db.prepare(`
-        INSERT INTO test_connection (name, created_at)
-        VALUES ('test', ?)
-      `).run(now);
-      
-      const testResult = await db.prepare('SELECT * FROM test_connection ORDER BY id DESC LIMIT 1').get();
-      log(`Write test successful: ${JSON.stringify(testResult)}`);
+      return await read();
     } catch (error) {
-      log(`Failed to write to database: ${error.message}`, "error");
+      if (isConnectionError(error)) {
+        markOffline(error);
+      }
       throw error;
     }
+  }
+  
+  return {
+    backend: adapter.backend,
     
-    // Perform a quick test of the vector storage
-    try {
-      // Generate a simple test vector
-      log("VECTOR DEBUG: Testing vector storage during initialization", "info");
-      const testVector = new Float32Array(16).fill(0.1); // Simple test vector
-      
-      // Attempt to store it
-      const testResult = await storeEmbedding(
-        0, // Special ID 0 just for this test
-        'init_test', 
-        testVector, 
-        { test: true, timestamp: Date.now() }
+    /**
+     * Prepare a SQL statement
+     * @param {string} sql - SQL statement
+     * @returns {Object} Statement object
+     */
+    prepare(sql) {
+      return {
+        run: (...params) => runWrite(
+          () => adapter.prepare(sql).run(...remap(params)),
+          () => bufferStatements([{ sql, params }])[0]
+        ),
+        get: (...params) => runRead(() => adapter.prepare(sql).get(...remap(params))),
+        all: (...params) => runRead(() => adapter.prepare(sql).all(...remap(params)))
+      };
+    },
+    
+    /**
+     * Execute one or more SQL statements
+     * @param {string} sql - SQL statements
+     * @returns {Promise<void>}
+     */
+    exec(sql) {
+      return runWrite(() => adapter.exec(sql), () => bufferWrite({ exec: sql }));
+    },
+    
+    /**
+     * Run statements in a write transaction, or buffer its writes while the
+     * database is unreachable
+     * @param {Function} fn - Async callback receiving an object with prepare()
+     * @returns {Promise<any>} Value returned by fn
+     */
+    transaction(fn) {
+      return runWrite(
+        () => adapter.transaction((tx) => fn({
+          prepare: (sql) => {
+            const statement = tx.prepare(sql);
+            return {
+              run: (...params) => statement.run(...remap(params)),
+              get: (...params) => statement.get(...remap(params)),
+              all: (...params) => statement.all(...remap(params))
+            };
+          }
+        })),
+        () => bufferTransaction(fn)
       );
-      
-      log(`VECTOR SUCCESS: Test vector storage succeeded: ${testResult ? 'Yes' : 'No'}`, "info");
-    } catch (testError) {
-      log(`VECTOR ERROR: Test vector storage failed: ${testError.message}`, "error");
-      log('VECTOR WARNING: Vector operations may not work properly', "error");
-    }
+    },
     
-    useInMemory = false;
+    /**
+     * Run independent statements atomically
+     * @param {Array<{sql: string, params: Array}>} statements - Statements to run in order
+     * @returns {Promise<Array<Object>>} Result object of each statement
+     */
+    batch(statements) {
+      return runWrite(
+        () => adapter.batch(statements.map(({ sql, params = [] }) => ({ sql, params: remap(params) }))),
+        () => bufferStatements(statements)
+      );
+    },
     
-    // After creating tables, check if vectors table needs migration
-    if (!useInMemory) {
+    /**
+     * Set up the database now, or as soon as it is reachable, then replay
+     * writes buffered by a previous run
+     * @param {Function} setUp - Brings the schema up to date
+     * @returns {Promise<void>}
+     */
+    async open(setUp) {
+      if (state === 'offline') {
+        pendingSetUp = setUp;
+        return;
+      }
+      
+      settingUp = true;
       try {
-        await migrateVectorsTable();
-      } catch (migrationError) {
-        log(`VECTOR ERROR: Error during vector table migration: ${migrationError.message}`, "error");
-        // Continue anyway - the system can still function with the old schema
+        await setUp();
+      } catch (error) {
+        if (!isConnectionError(error)) {
+          throw error;
+        }
+        // Lost the connection part way, finish once it is back
+        pendingSetUp = setUp;
+        return;
+      } finally {
+        settingUp = false;
       }
-    }
+      
+      if (pending.length > 0) {
+        replay().catch(error => log(`Error replaying buffered writes: ${error.message}`, "error"));
+      }
+    },
     
-    return db;
-  } catch (error) {
-    log(`Database initialization failed: ${error.message}`, "error");
-    log("Falling back to in-memory storage", "error");
-    useInMemory = true;
-    return null;
-  }
+    /**
+     * Report whether the database is reachable and how many writes wait for it
+     * @returns {Object} Connection status
+     */
+    getConnectionStatus() {
+      return {
+        state,
+        buffered_writes: pending.length,
+        failed_writes: failedWrites,
+        offline_since: offlineSince ? new Date(offlineSince).toISOString() : null,
+        next_retry_at: state === 'offline' && nextRetryAt ? new Date(nextRetryAt).toISOString() : null,
+        last_error: lastError
+      };
+    },
+    
+    /**
+     * Stop reconnecting and close the database connection. Buffered writes
+     * stay in the buffer file for the next run
+     * @returns {Promise<void>}
+     */
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      return adapter.close();
+    },
+  };
 }
 
-// Define main function to start the server
-async function main() {
-  try {
-    // Initialize the database
-    await initializeDatabase();
-    log('Database initialization completed');
-    
-    // Create the server with metadata following the brave.ts pattern
-    const server = new Server(
-      {
-        name: "cursor10x-mcp",
-        version: "1.0.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
+/**
+ * Create the database adapter for TURSO_DATABASE_URL. Local file: databases use
+ * better-sqlite3 unless DATABASE_BACKEND=libsql; remote databases always use libsql
+ * @returns {Promise<Object>} Database adapter object
+ */
+async function createDatabaseAdapter() {
+  const dbUrl = process.env.TURSO_DATABASE_URL;
+  const backend = (process.env.DATABASE_BACKEND || 'auto').toLowerCase();
+  
+  if (!['auto', 'libsql', 'sqlite'].includes(backend)) {
+    throw new Error(`Unknown DATABASE_BACKEND "${backend}". Supported backends: auto, libsql, sqlite`);
+  }
+  
+  if (dbUrl && dbUrl.startsWith('file:') && backend !== 'libsql') {
+    try {
+      const { default: Database } = await import('better-sqlite3');
+      log("Using local SQLite database with better-sqlite3");
+      return createSqliteAdapter(Database, resolveLocalDatabasePath(dbUrl));
+    } catch (error) {
+      // The native module may not be built for this platform
+      if (backend === 'sqlite') {
+        throw error;
       }
-    );
-    
-    // Define the tools handler - returns list of available tools
-    server.setRequestHandler(ListToolsRequestSchema, async () => {
-      // Return all memory tools
-      return {
-        tools: Object.values(MEMORY_TOOLS).map(tool => ({
-          name: tool.name,
-          description: tool.description,
-          inputSchema: tool.inputSchema
-        }))
-      };
-    });
+      log(`better-sqlite3 unavailable, using libsql for the local database: ${error.message}`, "error");
+    }
+  } else if (backend === 'sqlite') {
+    throw new Error("DATABASE_BACKEND=sqlite requires a file: TURSO_DATABASE_URL");
+  }
+  
+  // Reads of an embedded replica are local, so it keeps answering them without the remote database
+  if (isRemoteDatabaseUrl(dbUrl) && process.env.TURSO_REPLICA_PATH) {
+    return { backend: 'libsql-replica', ...createTursoAdapter() };
+  }
+  
+  const adapter = { backend: 'libsql', ...createTursoAdapter() };
+  
+  // A remote database can go away for a while, so its writes are buffered meanwhile
+  return isRemoteDatabaseUrl(dbUrl) ? createBufferedAdapter(adapter) : adapter;
+}
+
+// Field-level encryption of memory content
+
+// Columns encrypted when an encryption key is configured. Titles, importance
+// levels, timestamps and vectors stay readable, so memories can still be listed
+// and searched by meaning
+const ENCRYPTED_COLUMNS = {
+  messages: ['content', 'metadata'],
+  milestones: ['description', 'metadata'],
+  decisions: ['content', 'reasoning', 'metadata'],
+  requirements: ['content', 'metadata'],
+  episodes: ['content', 'metadata'],
+  code_snippets: ['content', 'metadata'],
+  active_files: ['metadata'],
+  acceptance_criteria: ['description'],
+  archived_memories: ['record'],
+  memory_revisions: ['record']
+};
+
+// enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, AES-256-GCM with base64 parts
+const ENCRYPTION_PREFIX = 'enc:v1:';
+const ENCRYPTED_VALUE = /^enc:v1:([0-9a-f]{8}):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+let encryptionKeys = null;
+
+/**
+ * Whether an encryption key is configured, without loading it
+ * @returns {boolean} Whether ENCRYPTION_KEY or ENCRYPTION_KEY_FILE is set
+ */
+function isEncryptionEnabled() {
+  return Boolean(process.env.ENCRYPTION_KEY || process.env.ENCRYPTION_KEY_FILE);
+}
+
+/**
+ * Load the keys from ENCRYPTION_KEY or ENCRYPTION_KEY_FILE: 32-byte keys in
+ * base64 or hex, newest first, separated by commas or newlines. Values are
+ * encrypted with the first key; the others still decrypt values written before
+ * the last key rotation
+ * 
+ * @returns {Array<{id: string, key: Buffer}>|null} Keys, or null when encryption is off
+ */
+function getEncryptionKeys() {
+  if (!isEncryptionEnabled()) {
+    return null;
+  }
+  if (encryptionKeys) {
+    return encryptionKeys;
+  }
+  
+  const source = process.env.ENCRYPTION_KEY_FILE ? 'ENCRYPTION_KEY_FILE' : 'ENCRYPTION_KEY';
+  let text = process.env.ENCRYPTION_KEY;
+  if (process.env.ENCRYPTION_KEY_FILE) {
+    try {
+      text = fs.readFileSync(path.resolve(process.env.ENCRYPTION_KEY_FILE), 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read ENCRYPTION_KEY_FILE: ${error.message}`);
+    }
+  }
+  
+  const keys = text.split(/[,\n]/).map(value => value.trim()).filter(Boolean).map(value => {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`${source} must hold 32-byte keys in base64 or hex, e.g. from: openssl rand -base64 32`);
+    }
+    return { id: createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+  });
+  
+  if (keys.length === 0) {
+    throw new Error(`${source} is set but holds no key`);
+  }
+  
+  encryptionKeys = keys;
+  return keys;
+}
+
+/**
+ * Encrypt a column value with the current key. Values pass through unchanged
+ * when no key is configured
+ * @param {string|null} value - Plaintext value
+ * @returns {string|null} Encrypted value
+ */
+function encryptField(value) {
+  const keys = getEncryptionKeys();
+  if (!keys || value === null || value === undefined) {
+    return value;
+  }
+  
+  const [{ id, key }] = keys;
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  
+  return `${ENCRYPTION_PREFIX}${id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a value written by encryptField. Other values pass through unchanged
+ * @param {any} value - Column value
+ * @returns {any} Plaintext value
+ */
+function decryptField(value) {
+  const match = typeof value === 'string' && value.startsWith(ENCRYPTION_PREFIX) && value.match(ENCRYPTED_VALUE);
+  if (!match) {
+    return value;
+  }
+  
+  const [, keyId, iv, tag, ciphertext] = match;
+  const keys = getEncryptionKeys();
+  if (!keys) {
+    throw new Error("Memory content is encrypted but no encryption key is configured. Set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE to the key it was encrypted with");
+  }
+  
+  const entry = keys.find(candidate => candidate.id === keyId);
+  if (!entry) {
+    throw new Error(`Memory content is encrypted with key ${keyId}, which is not configured. Add that key after the current one to read it`);
+  }
+  
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Could not decrypt memory content with key ${keyId}: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt the encrypted values of a row
+ * @param {Object|undefined} row - Row as returned by the database
+ * @returns {Object|undefined} Row with plaintext values
+ */
+function decryptRow(row) {
+  if (!row) {
+    return row;
+  }
+  
+  let decrypted = null;
+  for (const [column, value] of Object.entries(row)) {
+    if (typeof value === 'string' && value.startsWith(ENCRYPTION_PREFIX)) {
+      decrypted ??= { ...row };
+      decrypted[column] = decryptField(value);
+    }
+  }
+  
+  return decrypted || row;
+}
+
+/**
+ * Wrap a database adapter so that rows are read with their values decrypted.
+ * Writes are left alone: the statements storing memory content encrypt it
+ * with encryptField
+ * 
+ * @param {Object} adapter - Database adapter
+ * @returns {Object} Adapter decrypting what it reads
+ */
+function createDecryptingAdapter(adapter) {
+  const decrypting = (statement) => ({
+    run: (...params) => statement.run(...params),
+    get: async (...params) => decryptRow(await statement.get(...params)),
+    all: async (...params) => (await statement.all(...params)).map(decryptRow)
+  });
+  
+  return {
+    ...adapter,
+    prepare: (sql) => decrypting(adapter.prepare(sql)),
+    transaction: (fn) => adapter.transaction((tx) => fn({ prepare: (sql) => decrypting(tx.prepare(sql)) }))
+  };
+}
+
+let db = null;
+let serverInstance = null;
+
+// Outcome of embedded replica syncs, reported by checkHealth
+const replicaSync = {
+  running: null,
+  timer: null,
+  count: 0,
+  failures: 0,
+  lastSyncAt: null,
+  lastDurationMs: null,
+  lastError: null
+};
+
+/**
+ * Check whether the remote database of an embedded replica answers at all.
+ * libsql blocks the event loop during a sync and keeps retrying until the
+ * remote database is back, so a sync is only started when it can get through
+ * @returns {Promise<boolean>} Whether the remote database is reachable
+ */
+async function isReplicaPrimaryReachable() {
+  const url = new URL(process.env.TURSO_DATABASE_URL);
+  let protocol = url.protocol;
+  if (protocol === 'libsql:') {
+    protocol = url.searchParams.get('tls') === '0' ? 'http:' : 'https:';
+  }
+  
+  try {
+    // Any response will do, even an error status means the server is up
+    await fetch(`${protocol}//${url.host}/health`, { signal: AbortSignal.timeout(5000) });
+    return true;
+  } catch (error) {
+    logDebug(`Embedded replica primary unreachable: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Pull the latest changes from the remote database into the embedded replica.
+ * A sync already in progress is shared rather than started again
+ * @returns {Promise<boolean>} Whether the sync succeeded
+ */
+function syncReplica() {
+  if (replicaSync.running) {
+    return replicaSync.running;
+  }
+  
+  replicaSync.running = (async () => {
+    const started = Date.now();
+    try {
+      if (!await isReplicaPrimaryReachable()) {
+        throw new Error('Remote database is unreachable');
+      }
+      await db.sync();
+      replicaSync.count++;
+      replicaSync.lastSyncAt = Date.now();
+      replicaSync.lastDurationMs = Date.now() - started;
+      replicaSync.lastError = null;
+      logDebug(`Synced embedded replica in ${replicaSync.lastDurationMs}ms`);
+    } catch (error) {
+      replicaSync.failures++;
+      replicaSync.lastError = error.message;
+      log(`Embedded replica sync failed, reads use the last synced copy: ${error.message}`, "error");
+      return false;
+    }
     
-    // Define the call handler - executes the tools
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    // Vectors stored by other clients of the database are not in the in-process index yet
+    if (annIndex) {
       try {
-        const { name, arguments: args } = request.params;
-        
-        // Some tools don't require arguments
-        const noArgsTools = [
-          MEMORY_TOOLS.BANNER.name,
-          MEMORY_TOOLS.HEALTH.name,
-          MEMORY_TOOLS.GET_COMPREHENSIVE_CONTEXT.name,
-          MEMORY_TOOLS.GET_MEMORY_STATS.name
-        ];
-        
-        if (!args && !noArgsTools.includes(name)) {
-          throw new Error("No arguments provided");
+        const lastId = Array.from(annIndex.nodes.keys()).reduce((max, id) => Math.max(max, id), 0);
+        const rows = await db.prepare(`
+          SELECT id, content_id, content_type, project_id, vector FROM vectors WHERE model_id = ? AND id > ?
+        `).all(annIndex.modelId, lastId);
+        for (const row of rows) {
+          addToAnnIndex(row.id, row.content_id, row.content_type, bufferToVector(row.vector), annIndex.modelId, row.project_id);
         }
+      } catch (error) {
+        log(`Error adding synced vectors to the ANN index: ${error.message}`, "error");
+      }
+    }
+    return true;
+  })().finally(() => {
+    replicaSync.running = null;
+  });
+  
+  return replicaSync.running;
+}
 
-        // Helper function to retrieve comprehensive context
-        async function getComprehensiveContext(userMessage = null) {
-          const context = {
-            shortTerm: {},
-            longTerm: {},
-            episodic: {},
-            semantic: {}, // Section for semantically similar content
-            system: { healthy: true, timestamp: new Date().toISOString() }
-          };
-          
-          try {
-            let queryVector = null;
-            // Generate embedding for the user message if provided
-            if (userMessage) {
-              queryVector = await createEmbedding(userMessage);
-              log(`Generated query vector for context relevance scoring`);
-            }
-            
-            // --- SHORT-TERM CONTEXT ---
-            // Fetch more messages than we'll ultimately use, so we can filter by relevance
-            const messages = await db.prepare(`
-              SELECT id, role, content, created_at, importance
-              FROM messages
-              ORDER BY created_at DESC
-              LIMIT 15
-            `).all();
-            
-            // Score messages by relevance if we have a query vector
-            let scoredMessages = messages;
-            if (queryVector) {
-              scoredMessages = await scoreItemsByRelevance(messages, queryVector, 'user_message', 'assistant_message');
-              // Take top 5 most relevant messages
-              scoredMessages = scoredMessages.slice(0, 5);
-            } else {
-              // Without a query, just take the 5 most recent
-              scoredMessages = messages.slice(0, 5);
-            }
-            
-            // Get active files (similar approach)
-            const files = await db.prepare(`
-              SELECT id, filename, last_accessed
-              FROM active_files
-              ORDER BY last_accessed DESC
-              LIMIT 10
-            `).all();
-            
-            // Score files by relevance if we have a query vector
-            let scoredFiles = files;
-            if (queryVector) {
-              scoredFiles = await scoreItemsByRelevance(files, queryVector, 'code_file');
-              // Take top 5 most relevant files
-              scoredFiles = scoredFiles.slice(0, 5);
-            } else {
-              // Without a query, just take the 5 most recent
-              scoredFiles = files.slice(0, 5);
-            }
-            
-            context.shortTerm = {
-              recentMessages: scoredMessages.map(msg => ({
-                ...msg,
-                created_at: new Date(msg.created_at).toISOString(),
-                relevance: msg.relevance || null
-              })),
-              activeFiles: scoredFiles.map(file => ({
-                ...file,
-                last_accessed: new Date(file.last_accessed).toISOString(),
-                relevance: file.relevance || null
-              }))
-            };
-            
-            // --- LONG-TERM CONTEXT ---
-            // Fetch more items than we'll need so we can filter by relevance
-            const milestones = await db.prepare(`
-              SELECT id, title, description, importance, created_at
-              FROM milestones
-              ORDER BY created_at DESC
-              LIMIT 10
-            `).all();
-            
-            const decisions = await db.prepare(`
-              SELECT id, title, content, reasoning, importance, created_at
-              FROM decisions
-              WHERE importance IN ('high', 'medium', 'critical')
-              ORDER BY created_at DESC
-              LIMIT 10
-            `).all();
-            
-            const requirements = await db.prepare(`
-              SELECT id, title, content, importance, created_at
-              FROM requirements
-              WHERE importance IN ('high', 'medium', 'critical')
-              ORDER BY created_at DESC
-              LIMIT 10
-            `).all();
-            
-            // Score long-term items by relevance if we have a query vector
-            let scoredMilestones = milestones;
-            let scoredDecisions = decisions;
-            let scoredRequirements = requirements;
-            
-            if (queryVector) {
-              // Score each type of item
-              scoredMilestones = await scoreItemsByRelevance(milestones, queryVector, 'milestone');
-              scoredDecisions = await scoreItemsByRelevance(decisions, queryVector, 'decision');
-              scoredRequirements = await scoreItemsByRelevance(requirements, queryVector, 'requirement');
-              
-              // Take top most relevant items
-              scoredMilestones = scoredMilestones.slice(0, 3);
-              scoredDecisions = scoredDecisions.slice(0, 3);
-              scoredRequirements = scoredRequirements.slice(0, 3);
-            } else {
-              // Without a query, just take the most recent
-              scoredMilestones = milestones.slice(0, 3);
-              scoredDecisions = decisions.slice(0, 3);
-              scoredRequirements = requirements.slice(0, 3);
-            }
-            
-            context.longTerm = {
-              milestones: scoredMilestones.map(m => ({
-                ...m,
-                created_at: new Date(m.created_at).toISOString(),
-                relevance: m.relevance || null
-              })),
-              decisions: scoredDecisions.map(d => ({
-                ...d,
-                created_at: new Date(d.created_at).toISOString(),
-                relevance: d.relevance || null
-              })),
-              requirements: scoredRequirements.map(r => ({
-                ...r,
-                created_at: new Date(r.created_at).toISOString(),
-                relevance: r.relevance || null
-              }))
-            };
-            
-            // --- EPISODIC CONTEXT ---
-            // Fetch episodes
-            const episodes = await db.prepare(`
-              SELECT id, actor, action, content, timestamp, importance, context
-              FROM episodes
-              ORDER BY timestamp DESC
-              LIMIT 15
-            `).all();
-            
-            // Score episodes by relevance if we have a query vector
-            let scoredEpisodes = episodes;
-            if (queryVector) {
-              scoredEpisodes = await scoreItemsByRelevance(episodes, queryVector, 'episode');
-              // Take top 5 most relevant episodes
-              scoredEpisodes = scoredEpisodes.slice(0, 5);
-            } else {
-              // Without a query, just take the 5 most recent
-              scoredEpisodes = episodes.slice(0, 5);
-            }
-            
-            context.episodic = {
-              recentEpisodes: scoredEpisodes.map(ep => ({
-                ...ep,
-                timestamp: new Date(ep.timestamp).toISOString(),
-                relevance: ep.relevance || null
-              }))
-            };
-            
-            // Add semantically similar content if userMessage is provided
-            if (userMessage && queryVector) {
-              try {
-                // Find similar messages with higher threshold for better quality matches
-                const similarMessages = await findSimilarItems(queryVector, 'user_message', 'assistant_message', 3, 0.6);
-                
-                // Find similar code files
-                const similarFiles = await findSimilarItems(queryVector, 'code_file', null, 2, 0.6);
-                
-                // Find similar code snippets
-                const similarSnippets = await findSimilarItems(queryVector, 'code_snippet', null, 3, 0.6);
-                
-                // Group similar code snippets by file to reduce redundancy
-                const groupedSnippets = groupSimilarSnippetsByFile(similarSnippets);
-                
-                // Add to context
-                context.semantic = {
-                  similarMessages,
-                  similarFiles,
-                  similarSnippets: groupedSnippets
-                };
-                
-                log(`Added semantic context with ${similarMessages.length} messages, ${similarFiles.length} files, and ${groupedSnippets.length} snippet groups`);
-              } catch (error) {
-                log(`Error adding semantic context: ${error.message}`, "error");
-                // Non-blocking error - we still return the basic context
-                context.semantic = { error: error.message };
-              }
-            }
-          } catch (error) {
-            log(`Error building comprehensive context: ${error.message}`, "error");
-            // Return minimal context in case of error
-            context.error = error.message;
-          }
-          
-          return context;
-        }
-        
-        /**
-         * Helper function to score items by relevance to a query vector
-         * @param {Array} items - Array of items to score
-         * @param {Float32Array} queryVector - Vector to compare against
-         * @param {string} primaryType - Primary content type to look for
-         * @param {string} secondaryType - Secondary content type to look for (optional)
-         * @param {number} threshold - Minimum similarity score to include (default: 0.5)
-         * @returns {Array} Items with relevance scores, sorted by relevance
-         */
-        async function scoreItemsByRelevance(items, queryVector, primaryType, secondaryType = null, threshold = 0.5) {
-          if (!items || items.length === 0 || !queryVector) {
-            return items;
-          }
-          
-          try {
-            // Get all vectors for these content types
-            let sql = `
-              SELECT content_id, content_type, vector 
-              FROM vectors 
-              WHERE content_type = ?
-            `;
-            let params = [primaryType];
-            
-            if (secondaryType) {
-              sql = `
-                SELECT content_id, content_type, vector 
-                FROM vectors 
-                WHERE content_type = ? OR content_type = ?
-              `;
-              params = [primaryType, secondaryType];
-            }
-            
-            const vectors = await db.prepare(sql).all(...params);
-            
-            // Create a map of content_id to vector
-            const vectorMap = new Map();
-            vectors.forEach(v => {
-              vectorMap.set(v.content_id, bufferToVector(v.vector));
-            });
-            
-            // Score each item by comparing its vector to the query vector
-            const scoredItems = items.map(item => {
-              const id = item.id;
-              let relevance = 0;
-              
-              // If we have a vector for this item, calculate similarity
-              if (vectorMap.has(id)) {
-                const itemVector = vectorMap.get(id);
-                relevance = cosineSimilarity(queryVector, itemVector);
-              }
-              
-              return {
-                ...item,
-                relevance
-              };
-            });
-            
-            // Filter by threshold and sort by relevance (highest first)
-            return scoredItems
-              .filter(item => item.relevance >= threshold)
-              .sort((a, b) => b.relevance - a.relevance);
-          } catch (error) {
-            log(`Error scoring items by relevance: ${error.message}`, "error");
-            return items;
-          }
-        }
-        
-        /**
-         * Groups similar code snippets by file to reduce redundancy
-         * @param {Array} snippets - Array of code snippets
-         * @returns {Array} Grouped snippets by file
-         */
-        function groupSimilarSnippetsByFile(snippets) {
-          if (!snippets || snippets.length === 0) {
-            return [];
-          }
-          
-          // Create a map to group snippets by file path
-          const fileGroups = new Map();
-          
-          snippets.forEach(snippet => {
-            const filePath = snippet.file_path;
-            
-            if (!fileGroups.has(filePath)) {
-              fileGroups.set(filePath, {
-                file_path: filePath,
-                relevance: snippet.similarity,
-                snippets: []
-              });
-            }
-            
-            // Add snippet to its file group
-            const group = fileGroups.get(filePath);
-            group.snippets.push(snippet);
-            
-            // Update group relevance to highest snippet similarity
-            if (snippet.similarity > group.relevance) {
-              group.relevance = snippet.similarity;
-            }
-          });
-          
-          // Convert map to array and sort by overall relevance
-          return Array.from(fileGroups.values())
-            .sort((a, b) => b.relevance - a.relevance);
-        }
-        
-        /**
-         * Helper function to find semantically similar items based on a query vector
-         * @param {Float32Array} queryVector - The vector to compare against
-         * @param {string} contentType - The type of content to search for
-         * @param {string} alternativeType - Alternative content type to include (optional)
-         * @param {number} limit - Maximum number of results
-         * @param {number} threshold - Minimum similarity threshold
-         * @returns {Promise<Array>} Array of similar items with their details
-         */
-        async function findSimilarItems(queryVector, contentType, alternativeType = null, limit = 3, threshold = 0.5) {
-          try {
-            let similarVectors;
-            
-            if (alternativeType) {
-              // Find all items of either contentType or alternativeType
-              const type1Results = await findSimilarVectors(queryVector, contentType, limit, threshold);
-              const type2Results = await findSimilarVectors(queryVector, alternativeType, limit, threshold);
-              
-              // Combine and sort by similarity
-              similarVectors = [...type1Results, ...type2Results]
-                .sort((a, b) => b.similarity - a.similarity)
-                .slice(0, limit);
-            } else {
-              // Just search for the specified content type
-              similarVectors = await findSimilarVectors(queryVector, contentType, limit, threshold);
-            }
-            
-            // Fetch detailed content for each vector based on content type
-            const items = [];
-            for (const vector of similarVectors) {
-              try {
-                let item = { 
-                  id: vector.content_id, 
-                  type: vector.content_type,
-                  similarity: vector.similarity
-                };
-                
-                // Fetch additional details based on content type
-                if (vector.content_type === 'user_message' || vector.content_type === 'assistant_message') {
-                  const message = await db.prepare(`
-                    SELECT role, content, created_at, importance
-                    FROM messages
-                    WHERE id = ?
-                  `).get(vector.content_id);
-                  
-                  if (message) {
-                    item = {
-                      ...item,
-                      role: message.role,
-                      content: message.content,
-                      created_at: new Date(message.created_at).toISOString(),
-                      importance: message.importance
-                    };
-                  }
-                } else if (vector.content_type === 'code_file') {
-                  const file = await db.prepare(`
-                    SELECT file_path, language, last_indexed
-                    FROM code_files
-                    WHERE id = ?
-                  `).get(vector.content_id);
-                  
-                  if (file) {
-                    item = {
-                      ...item,
-                      path: file.file_path,
-                      language: file.language,
-                      last_indexed: new Date(file.last_indexed).toISOString()
-                    };
-                  }
-                } else if (vector.content_type === 'code_snippet') {
-                  const snippet = await db.prepare(`
-                    SELECT cs.content, cs.start_line, cs.end_line, cs.symbol_type, cf.file_path
-                    FROM code_snippets cs
-                    JOIN code_files cf ON cs.file_id = cf.id
-                    WHERE cs.id = ?
-                  `).get(vector.content_id);
-                  
-                  if (snippet) {
-                    item = {
-                      ...item,
-                      content: snippet.content,
-                      file_path: snippet.file_path,
-                      lines: `${snippet.start_line}-${snippet.end_line}`,
-                      symbol_type: snippet.symbol_type
-                    };
-                  }
-                }
-                
-                items.push(item);
-              } catch (detailError) {
-                log(`Error fetching details for ${vector.content_type} id ${vector.content_id}: ${detailError.message}`, "error");
-                // Skip this item and continue with others
-              }
-            }
-            
-            return items;
-          } catch (error) {
-            log(`Error in findSimilarItems: ${error.message}`, "error");
-            return [];
-          }
-        }
-        
-        switch (name) {
-          case MEMORY_TOOLS.BANNER.name: {
-            // Generate banner with memory system stats
-            try {
-              let memoryCount = 0;
-              let lastAccessed = 'Never';
-              let systemStatus = 'Active';
-              let mode = '';
-              
-              if (useInMemory) {
-                memoryCount = inMemoryStore.messages.length + 
-                              inMemoryStore.milestones.length + 
-                              inMemoryStore.decisions.length + 
-                              inMemoryStore.requirements.length + 
-                              inMemoryStore.episodes.length;
-                
-                mode = 'in-memory';
-                if (inMemoryStore.messages.length > 0) {
-                  const latestTimestamp = Math.max(
-                    ...inMemoryStore.messages.map(m => m.created_at),
-                    ...inMemoryStore.episodes.map(e => e.timestamp || 0)
-                  );
-                  lastAccessed = formatTimestamp(latestTimestamp);
-                }
-              } else {
-                // Count all items
-                const messageCnt = await db.prepare('SELECT COUNT(*) as count FROM messages').get();
-                const milestoneCnt = await db.prepare('SELECT COUNT(*) as count FROM milestones').get();
-                const decisionCnt = await db.prepare('SELECT COUNT(*) as count FROM decisions').get();
-                const requirementCnt = await db.prepare('SELECT COUNT(*) as count FROM requirements').get();
-                const episodeCnt = await db.prepare('SELECT COUNT(*) as count FROM episodes').get();
-                
-                memoryCount = (messageCnt?.count || 0) + 
-                              (milestoneCnt?.count || 0) + 
-                              (decisionCnt?.count || 0) + 
-                              (requirementCnt?.count || 0) + 
-                              (episodeCnt?.count || 0);
-                
-                mode = 'turso';
-                
-                // Get most recent timestamp across all tables
-                const lastMsgTime = await db.prepare('SELECT MAX(created_at) as timestamp FROM messages').get();
-                const lastEpisodeTime = await db.prepare('SELECT MAX(timestamp) as timestamp FROM episodes').get();
-                
-                const timestamps = [
-                  lastMsgTime?.timestamp,
-                  lastEpisodeTime?.timestamp
-                ].filter(Boolean);
-                
-                if (timestamps.length > 0) {
-                  lastAccessed = formatTimestamp(Math.max(...timestamps));
-                }
-              }
-              
-              // Create formatted banner
-              const banner = [
-                `🧠 Memory System: ${systemStatus}`,
-                `🗂️ Total Memories: ${memoryCount}`,
-                `🕚 Latest Memory: ${lastAccessed}`
-              ].join('\n');
-              
-              // Also include the data for backward compatibility
-              const result = {
-                status: 'ok',
-                formatted_banner: banner,
-                memory_system: systemStatus.toLowerCase(),
-                mode,
-                memory_count: memoryCount,
-                last_accessed: lastAccessed
-              };
-              
-              return {
-                content: [{ type: "text", text: JSON.stringify(result) }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error generating banner: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ 
-                  status: 'error', 
-                  error: error.message,
-                  formatted_banner: "🧠 Memory System: Issue\n🗂️ Total Memories: Unknown\n🕚 Latest Memory: Unknown" 
-                }) }],
-                isError: true
-              };
-            }
-          }
-          
-          case MEMORY_TOOLS.HEALTH.name: {
-            // Check health of memory system
-            let result;
-            if (useInMemory) {
-              result = {
-                status: 'ok',
-                mode: 'in-memory',
-                message_count: inMemoryStore.messages.length,
-                active_files_count: inMemoryStore.activeFiles.length,
-                current_directory: process.cwd(),
-                timestamp: new Date().toISOString()
-              };
-            } else {
-              // Test database connection
-              const testResult = await db.prepare('SELECT 1 as test').get();
-              
-              result = {
-                status: 'ok',
-                mode: 'turso',
-                message_count: (await db.prepare('SELECT COUNT(*) as count FROM messages').get())?.count || 0,
-                active_files_count: (await db.prepare('SELECT COUNT(*) as count FROM active_files').get())?.count || 0,
-                current_directory: process.cwd(),
-                timestamp: new Date().toISOString()
-              };
-            }
-            
-            return {
-              content: [{ type: "text", text: JSON.stringify(result) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.INIT_CONVERSATION.name: {
-            // Store user message, generate banner, and retrieve context
-            const { content, importance = 'low', metadata = null } = args;
-            const now = Date.now();
-            
-            try {
-              // Store user message
-              if (useInMemory) {
-                inMemoryStore.messages.push({
-                  role: 'user',
-                  content,
-                  created_at: now,
-                  importance,
-                  metadata
-                });
-              } else {
-                await db.prepare(`
-                  INSERT INTO messages (role, content, created_at, importance, metadata)
-                  VALUES ('user', ?, ?, ?, ?)
-                `).run(content, now, importance, metadata ? JSON.stringify(metadata) : null);
-              }
-              
-              log(`Stored user message: "${content.substring(0, 30)}..." with importance: ${importance}`);
+/**
+ * Sync the embedded replica every TURSO_SYNC_INTERVAL seconds (default 60, 0 to
+ * only sync on startup and through the syncMemory tool)
+ * @returns {void}
+ */
+function scheduleReplicaSync() {
+  const intervalSeconds = parseInt(process.env.TURSO_SYNC_INTERVAL || '60', 10);
+  if (replicaSync.timer || !(intervalSeconds > 0)) {
+    return;
+  }
+  
+  replicaSync.timer = setInterval(() => {
+    syncReplica().catch(error => log(`Error syncing embedded replica: ${error.message}`, "error"));
+  }, intervalSeconds * 1000);
+}
 
-              // Check if query is code-related and trigger background indexing if needed
-              if (isCodeRelatedQuery(content)) {
-                log(`Detected code-related query: "${content.substring(0, 30)}..."`);
-                
-                // Trigger background indexing process
-                // We use setTimeout to ensure this doesn't block the main flow
-                setTimeout(() => {
-                  triggerCodeIndexing(content)
-                    .catch(error => log(`Error triggering code indexing: ${error.message}`, "error"));
-                }, 0);
-              }
-              
-              // Generate banner data
-              let memoryCount = 0;
-              let lastAccessed = formatTimestamp(now); // Use current message time as default
-              let systemStatus = 'Active';
-              let mode = '';
-              
-              if (useInMemory) {
-                memoryCount = inMemoryStore.messages.length + 
-                              inMemoryStore.milestones.length + 
-                              inMemoryStore.decisions.length + 
-                              inMemoryStore.requirements.length + 
-                              inMemoryStore.episodes.length;
-                
-                mode = 'in-memory';
-              } else {
-                // Count all items
-                const messageCnt = await db.prepare('SELECT COUNT(*) as count FROM messages').get();
-                const milestoneCnt = await db.prepare('SELECT COUNT(*) as count FROM milestones').get();
-                const decisionCnt = await db.prepare('SELECT COUNT(*) as count FROM decisions').get();
-                const requirementCnt = await db.prepare('SELECT COUNT(*) as count FROM requirements').get();
-                const episodeCnt = await db.prepare('SELECT COUNT(*) as count FROM episodes').get();
-                
-                memoryCount = (messageCnt?.count || 0) + 
-                              (milestoneCnt?.count || 0) + 
-                              (decisionCnt?.count || 0) + 
-                              (requirementCnt?.count || 0) + 
-                              (episodeCnt?.count || 0);
-                
-                mode = 'turso';
-              }
-              
-              // Create formatted banner
-              const formattedBanner = [
-                `🧠 Memory System: ${systemStatus}`,
-                `🗂️ Total Memories: ${memoryCount}`,
-                `🕚 Latest Memory: ${lastAccessed}`
-              ].join('\n');
-              
-              // Create banner object for backward compatibility
-              const bannerResult = {
-                status: 'ok',
-                formatted_banner: formattedBanner,
-                memory_system: systemStatus.toLowerCase(),
-                mode,
-                memory_count: memoryCount,
-                last_accessed: lastAccessed
-              };
-              
-              // Generate and store vector for future semantic search
-              try {
-                // Only in background after the main response
-                setTimeout(async () => {
-                  try {
-                    const messageId = await db.prepare('SELECT last_insert_rowid() as id').get().then(row => row.id);
-                    log(`Generated ID for user message: ${messageId}`);
-                    
-                    // Generate vector embedding for the message
-                    const messageVector = await createEmbedding(content);
-                    log(`Created embedding with ${messageVector.length} dimensions`);
-                    
-                    // Store the embedding with link to the message
-                    await storeEmbedding(messageId, 'user_message', messageVector, {
-                      importance,
-                      timestamp: now,
-                      role: 'user'
-                    });
-                    
-                    log(`Generated and stored embedding for user message ID ${messageId}`);
-                  } catch (vectorError) {
-                    log(`Failed to generate/store vector for user message: ${vectorError.message}`, "error");
-                  }
-                }, 0);
-              } catch (error) {
-                // Non-blocking
-                log(`Error in background vector processing: ${error.message}`, "error");
-              }
-              
-              // Retrieve FULL context instead of semantic-filtered context
-              const contextResult = await getFullContext();
-              
-              // Format the response with clear separation between banner and context
-              return {
-                content: [{ 
-                  type: "text", 
-                  text: JSON.stringify({ 
-                    status: 'ok', 
-                    display: {
-                      banner: bannerResult
-                    },
-                    internal: {
-                      context: contextResult,
-                      messageStored: true,
-                      timestamp: now
-                    }
-                  }) 
-                }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error in initConversation: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ 
-                  status: 'error', 
-                  error: error.message,
-                  display: {
-                    banner: {
-                      formatted_banner: "🧠 Memory System: Issue\n🗂️ Total Memories: Unknown\n🕚 Latest Memory: Unknown"
-                    }
-                  }
-                }) }],
-                isError: true
-              };
-            }
-          }
-          
-          case MEMORY_TOOLS.STORE_USER_MESSAGE.name: {
-            // Store user message
-            const { content, importance = 'low', metadata = null } = args;
-            const now = Date.now();
-            let messageId; // Moved declaration here to fix scoping
-            
-            try {
-              if (useInMemory) {
-                inMemoryStore.messages.push({
-                  role: 'user',
-                  content,
-                  created_at: now,
-                  importance,
-                  metadata
-                });
-                messageId = inMemoryStore.messages.length; // Simple ID for in-memory store
-              } else {
-                // Insert message into database
-                const result = await db.prepare(`
-                  INSERT INTO messages (role, content, created_at, importance, metadata)
-                  VALUES ('user', ?, ?, ?, ?)
-                `).run(content, now, importance, metadata ? JSON.stringify(metadata) : null);
-                
-                messageId = result.lastInsertRowid;
-                
-                // Generate and store embedding SYNCHRONOUSLY so we can catch errors
-                try {
-                  log(`VECTOR DEBUG: Starting vector generation for user message ID ${messageId}`, "info");
-                  
-                  // Generate vector embedding for the message
-                  const messageVector = await createEmbedding(content);
-                  log(`VECTOR DEBUG: Created embedding with ${messageVector.length} dimensions`, "info");
-                  
-                  // Store the embedding with link to the message
-                  await storeEmbedding(messageId, 'user_message', messageVector, {
-                    importance,
-                    timestamp: now,
-                    role: 'user'
-                  });
-                  
-                  log(`VECTOR SUCCESS: Generated and stored embedding for user message ID ${messageId}`, "info");
-                } catch (vectorError) {
-                  log(`VECTOR ERROR: Failed to generate/store vector for user message ID ${messageId}: ${vectorError.message}`, "error");
-                  // Still non-blocking, but we log more details
-                }
-              }
-            } catch (error) {
-              log(`Error storing user message: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
-                isError: true
-              };
-            }
-            
-            log(`Stored user message: "${content.substring(0, 30)}..." with importance: ${importance}`);
-            
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', messageId, timestamp: now }) }],
-              isError: false
-            };
-          }
+/**
+ * Report how recently the embedded replica was synced
+ * @returns {Object|null} Sync status, or null if the database is not a replica
+ */
+function getReplicaSyncStatus() {
+  if (db?.backend !== 'libsql-replica') {
+    return null;
+  }
+  
+  return {
+    replica_path: process.env.TURSO_REPLICA_PATH,
+    interval_seconds: parseInt(process.env.TURSO_SYNC_INTERVAL || '60', 10),
+    syncing: Boolean(replicaSync.running),
+    syncs: replicaSync.count,
+    failures: replicaSync.failures,
+    last_sync_at: replicaSync.lastSyncAt ? new Date(replicaSync.lastSyncAt).toISOString() : null,
+    last_duration_ms: replicaSync.lastDurationMs,
+    last_error: replicaSync.lastError
+  };
+}
 
-          case MEMORY_TOOLS.TRACK_ACTIVE_FILE.name: {
-            // Track an active file
-            const { filename, action, metadata = null } = args;
-            const now = Date.now();
-            
-            try {
-              if (useInMemory) {
-                // Find existing or create new entry
-                const existingFileIndex = inMemoryStore.activeFiles.findIndex(f => f.filename === filename);
-                if (existingFileIndex >= 0) {
-                  inMemoryStore.activeFiles[existingFileIndex] = {
-                    ...inMemoryStore.activeFiles[existingFileIndex],
-                    last_accessed: now,
-                    action,
-                    metadata
-                  };
-                } else {
-                  inMemoryStore.activeFiles.push({
-                    filename,
-                    action,
-                    last_accessed: now,
-                    metadata
-                  });
-                }
-                
-                // Record in episodes
-                inMemoryStore.episodes.push({
-                  actor: 'user',
-                  action,
-                  content: filename,
-                  timestamp: now,
-                  importance: 'low',
-                  context: 'file-tracking'
-                });
-              } else {
-                // Upsert active file
-                await db.prepare(`
-                  INSERT INTO active_files (filename, last_accessed, metadata)
-                  VALUES (?, ?, ?)
-                  ON CONFLICT(filename) DO UPDATE SET
-                    last_accessed = excluded.last_accessed,
-                    metadata = excluded.metadata
-                `).run(filename, now, metadata ? JSON.stringify(metadata) : null);
-                
-                // Record file action in episodes
-                await db.prepare(`
-                  INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata)
-                  VALUES ('user', ?, ?, ?, 'low', 'file-tracking', NULL)
-                `).run(action, filename, now);
-                
-                // Start code indexing process in the background if this is a code file
-                // Don't block the main operation - run this asynchronously
-                setTimeout(async () => {
-                  try {
-                    await indexCodeFile(filename, action);
-                  } catch (indexError) {
-                    log(`Background code indexing error for ${filename}: ${indexError.message}`, "error");
-                  }
-                }, 0);
-              }
-              
-              log(`Tracked file: ${filename} with action: ${action}`);
-              
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'ok', filename, action, timestamp: now }) }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error tracking file ${filename}: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
-                isError: true
-              };
-            }
-          }
-          
-          case MEMORY_TOOLS.GET_RECENT_MESSAGES.name: {
-            // Get recent messages
-            const { limit = 10, importance = null } = args || {};
-            
-            let messages;
-            if (useInMemory) {
-              // Filter by importance if specified
-              let filtered = inMemoryStore.messages;
-              if (importance) {
-                filtered = filtered.filter(m => m.importance === importance);
-              }
-              
-              // Sort by timestamp and take limit
-              messages = filtered
-                .sort((a, b) => b.created_at - a.created_at)
-                .slice(0, limit)
-                .map(msg => ({
-                  ...msg,
-                  created_at: new Date(msg.created_at).toISOString()
-                }));
-            } else {
-              let query = `
-                SELECT id, role, content, created_at, importance, metadata
-                FROM messages
-                ORDER BY created_at DESC
-                LIMIT ?
-              `;
-              let params = [limit];
-              
-              if (importance) {
-                query = `
-                  SELECT id, role, content, created_at, importance, metadata
-                  FROM messages
-                  WHERE importance = ?
-                  ORDER BY created_at DESC
-                  LIMIT ?
-                `;
-                params = [importance, limit];
-              }
-              
-              const rows = await db.prepare(query).all(...params);
-              messages = rows.map(msg => ({
-                ...msg,
-                metadata: msg.metadata ? JSON.parse(msg.metadata) : null,
-                created_at: new Date(msg.created_at).toISOString()
-              }));
-            }
+/**
+ * Check whether writes reach the database right away, rather than waiting in
+ * the buffer of an unreachable remote database
+ * @returns {boolean} Whether the database is connected
+ */
+function isDatabaseConnected() {
+  return !db?.getConnectionStatus || db.getConnectionStatus().state === 'connected';
+}
 
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', messages }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.GET_ACTIVE_FILES.name: {
-            // Get active files
-            const { limit = 10 } = args || {};
-            
-            let files;
-            if (useInMemory) {
-              files = inMemoryStore.activeFiles
-                .sort((a, b) => b.last_accessed - a.last_accessed)
-                .slice(0, limit)
-                .map(file => ({
-                  ...file,
-                  last_accessed: new Date(file.last_accessed).toISOString()
-                }));
-            } else {
-              const rows = await db.prepare(`
-                SELECT id, filename, last_accessed, metadata
-                FROM active_files
-                ORDER BY last_accessed DESC
-                LIMIT ?
-              `).all(limit);
-              
-              files = rows.map(file => ({
-                ...file,
-                metadata: file.metadata ? JSON.parse(file.metadata) : null,
-                last_accessed: new Date(file.last_accessed).toISOString()
-              }));
-            }
+// Tables whose rows belong to a project
+const PROJECT_TABLES = ['messages', 'active_files', 'milestones', 'decisions', 'requirements', 'episodes', 'code_files', 'code_snippets', 'acceptance_criteria', 'requirement_links', 'memory_relations', 'vectors'];
 
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', files }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.STORE_MILESTONE.name: {
-            // Store a milestone
-            const { title, description, importance = 'medium', metadata = null } = args;
-            const now = Date.now();
+let detectedProject = null;
 
-            if (useInMemory) {
-              inMemoryStore.milestones.push({
-                title,
-                description,
-                importance,
-                created_at: now,
-                metadata
-              });
-              
-              // Record milestone in episodes
-              inMemoryStore.episodes.push({
-                actor: 'system',
-                action: 'milestone_created',
-                content: title,
-                timestamp: now,
-                importance,
-                context: 'milestone-tracking'
-              });
-            } else {
-              await db.prepare(`
-                INSERT INTO milestones (title, description, importance, created_at, metadata)
-                VALUES (?, ?, ?, ?, ?)
-              `).run(title, description, importance, now, metadata ? JSON.stringify(metadata) : null);
-              
-              // Record milestone in episodes
-              await db.prepare(`
-                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata)
-                VALUES ('system', 'milestone_created', ?, ?, ?, 'milestone-tracking', NULL)
-              `).run(title, now, importance);
-            }
-            
-            log(`Stored milestone: "${title}" with importance: ${importance}`);
-            
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', title, timestamp: now }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.STORE_DECISION.name: {
-            // Store a decision
-            const { title, content, reasoning = null, importance = 'medium', metadata = null } = args;
-            const now = Date.now();
+/**
+ * Find the git repository a directory belongs to
+ * @param {string} dir - Directory to start from
+ * @returns {{root: string, gitDir: string}|null} Working tree root and git directory, or null outside a repository
+ */
+function findGitRepository(dir) {
+  let current = path.resolve(dir);
+  
+  while (true) {
+    const dotGit = path.join(current, '.git');
+    try {
+      if (fs.statSync(dotGit).isDirectory()) {
+        return { root: current, gitDir: dotGit };
+      }
+      // Worktrees and submodules have a .git file pointing to their git directory
+      const gitFile = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+?)\s*$/m);
+      if (gitFile) {
+        return { root: current, gitDir: path.resolve(current, gitFile[1]) };
+      }
+    } catch (statError) {
+      // No repository at this level
+    }
+    
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
 
-            if (useInMemory) {
-              inMemoryStore.decisions.push({
-                title,
-                content,
-                reasoning,
-                importance,
-                created_at: now,
-                metadata
-              });
-              
-              // Record decision in episodes
-              inMemoryStore.episodes.push({
-                actor: 'system',
-                action: 'decision_made',
-                content: title,
-                timestamp: now,
-                importance,
-                context: 'decision-tracking'
-              });
-            } else {
-              await db.prepare(`
-                INSERT INTO decisions (title, content, reasoning, importance, created_at, metadata)
-                VALUES (?, ?, ?, ?, ?, ?)
-              `).run(title, content, reasoning, importance, now, metadata ? JSON.stringify(metadata) : null);
-              
-              // Record decision in episodes
-              await db.prepare(`
-                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata)
-                VALUES ('system', 'decision_made', ?, ?, ?, 'decision-tracking', NULL)
-              `).run(title, now, importance);
-            }
-            
-            log(`Stored decision: "${title}" with importance: ${importance}`);
-            
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', title, timestamp: now }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.STORE_REQUIREMENT.name: {
-            // Store a requirement
-            const { title, content, importance = 'medium', metadata = null } = args;
-            const now = Date.now();
+/**
+ * Read the URL of the origin remote of a repository
+ * @param {string} gitDir - Git directory of the repository
+ * @returns {string|null} Remote URL, or null without an origin remote
+ */
+function readGitRemoteUrl(gitDir) {
+  // Worktrees share the config of the main repository
+  let configDir = gitDir;
+  try {
+    configDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim());
+  } catch (commondirError) {
+    // Not a worktree
+  }
+  
+  let config;
+  try {
+    config = fs.readFileSync(path.join(configDir, 'config'), 'utf8');
+  } catch (readError) {
+    return null;
+  }
+  
+  let inOrigin = false;
+  for (const line of config.split(/\r?\n/)) {
+    const section = line.match(/^\s*\[(.+)\]\s*$/);
+    if (section) {
+      inOrigin = /^remote\s+"origin"$/.test(section[1].trim());
+      continue;
+    }
+    
+    const url = inOrigin && line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+    if (url) {
+      return url[1];
+    }
+  }
+  
+  return null;
+}
 
-            if (useInMemory) {
-              inMemoryStore.requirements.push({
-                title,
-                content,
-                importance,
-                created_at: now,
-                metadata
-              });
-              
-              // Record requirement in episodes
-              inMemoryStore.episodes.push({
-                actor: 'system',
-                action: 'requirement_added',
-                content: title,
-                timestamp: now,
-                importance,
-                context: 'requirement-tracking'
-              });
-            } else {
-              await db.prepare(`
-                INSERT INTO requirements (title, content, importance, created_at, metadata)
-                VALUES (?, ?, ?, ?, ?)
-              `).run(title, content, importance, now, metadata ? JSON.stringify(metadata) : null);
-              
-              // Record requirement in episodes
-              await db.prepare(`
-                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata)
-                VALUES ('system', 'requirement_added', ?, ?, ?, 'requirement-tracking', NULL)
-              `).run(title, now, importance);
-            }
-            
-            log(`Stored requirement: "${title}" with importance: ${importance}`);
-            
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', title, timestamp: now }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.RECORD_EPISODE.name: {
-            // Record an episode
-            const { actor, action, content, importance = 'low', context = null } = args;
-            const now = Date.now();
+/**
+ * Reduce a git remote URL to host and path, so SSH and HTTPS clones of a
+ * repository name the same project, e.g. github.com/org/repo
+ * @param {string} url - Remote URL
+ * @returns {string} Normalized remote
+ */
+function normalizeGitRemote(url) {
+  const remote = url.replace(/\/+$/, '').replace(/\.git$/, '');
+  
+  // scp-like syntax: git@github.com:org/repo
+  const scpLike = remote.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.+)$/);
+  if (scpLike && !/^[a-z][\w+.-]*:\/\//i.test(remote)) {
+    return `${scpLike[1]}/${scpLike[2].replace(/^\/+/, '')}`;
+  }
+  
+  try {
+    const parsed = new URL(remote);
+    return `${parsed.hostname}${parsed.pathname}`;
+  } catch (parseError) {
+    // A local path
+    return remote;
+  }
+}
 
-            if (useInMemory) {
-              inMemoryStore.episodes.push({
-                actor,
-                action,
-                content,
-                timestamp: now,
-                importance,
-                context
-              });
-            } else {
-              await db.prepare(`
-                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata)
-                VALUES (?, ?, ?, ?, ?, ?, NULL)
-              `).run(actor, action, content, now, importance, context);
-            }
-            
-            log(`Recorded episode: ${actor} ${action} with importance: ${importance}`);
-            
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', actor, action, timestamp: now }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.GET_RECENT_EPISODES.name: {
-            // Get recent episodes
-            const { limit = 10, context = null } = args || {};
-            
-            let episodes;
-            if (useInMemory) {
-              // Filter by context if specified
-              let filtered = inMemoryStore.episodes;
-              if (context) {
-                filtered = filtered.filter(e => e.context === context);
-              }
-              
-              // Sort by timestamp and take limit
-              episodes = filtered
-                .sort((a, b) => b.timestamp - a.timestamp)
-                .slice(0, limit)
-                .map(ep => ({
-                  ...ep,
-                  timestamp: new Date(ep.timestamp).toISOString()
-                }));
-            } else {
-              let query = `
-                SELECT id, actor, action, content, timestamp, importance, context, metadata
-                FROM episodes
-                ORDER BY timestamp DESC
-                LIMIT ?
-              `;
-              let params = [limit];
-              
-              if (context) {
-                query = `
-                  SELECT id, actor, action, content, timestamp, importance, context, metadata
-                  FROM episodes
-                  WHERE context = ?
-                  ORDER BY timestamp DESC
-                  LIMIT ?
-                `;
-                params = [context, limit];
-              }
-              
-              const rows = await db.prepare(query).all(...params);
-              episodes = rows.map(ep => ({
-                ...ep,
-                metadata: ep.metadata ? JSON.parse(ep.metadata) : null,
-                timestamp: new Date(ep.timestamp).toISOString()
-              }));
-            }
+/**
+ * Detect the project the server runs for: MEMORY_PROJECT if set, otherwise the
+ * origin remote of the git repository containing the working directory, the
+ * repository root if it has no remote, or the working directory itself
+ * @returns {string} Project identifier
+ */
+function detectProject() {
+  if (process.env.MEMORY_PROJECT && process.env.MEMORY_PROJECT.trim()) {
+    return process.env.MEMORY_PROJECT.trim();
+  }
+  
+  const repository = findGitRepository(process.cwd());
+  if (!repository) {
+    return process.cwd();
+  }
+  
+  const remote = readGitRemoteUrl(repository.gitDir);
+  return remote ? normalizeGitRemote(remote) : repository.root;
+}
 
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'ok', episodes }) }],
-              isError: false
-            };
-          }
-          
-          case MEMORY_TOOLS.GET_COMPREHENSIVE_CONTEXT.name: {
-            // Get comprehensive context from all memory subsystems
-            try {
-              // Check if a query parameter is provided for semantic search
-              const { query = null } = args || {};
-              const context = await getComprehensiveContext(query);
+/**
+ * Get the project memories are stored in and read from by default
+ * @returns {string} Project identifier
+ */
+function getCurrentProject() {
+  if (detectedProject === null) {
+    detectedProject = detectProject();
+  }
+  return detectedProject;
+}
 
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'ok', context }) }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error getting comprehensive context: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
-                isError: true
-              };
-            }
-          }
-          
-          case MEMORY_TOOLS.GET_MEMORY_STATS.name: {
-            // Get memory system statistics
-            try {
-              let stats;
-              if (useInMemory) {
-                stats = {
-                  message_count: inMemoryStore.messages.length,
-                  active_file_count: inMemoryStore.activeFiles.length,
-                  milestone_count: inMemoryStore.milestones.length,
-                  decision_count: inMemoryStore.decisions.length,
-                  requirement_count: inMemoryStore.requirements.length,
-                  episode_count: inMemoryStore.episodes.length,
-                  oldest_memory: inMemoryStore.messages.length > 0 
-                    ? new Date(Math.min(...inMemoryStore.messages.map(m => m.created_at))).toISOString()
-                    : null,
-                  newest_memory: inMemoryStore.messages.length > 0
-                    ? new Date(Math.max(...inMemoryStore.messages.map(m => m.created_at))).toISOString()
-                    : null
-                };
-              } else {
-                // Count items in each table
-                const messageCount = await db.prepare('SELECT COUNT(*) as count FROM messages').get();
-                const fileCount = await db.prepare('SELECT COUNT(*) as count FROM active_files').get();
-                const milestoneCount = await db.prepare('SELECT COUNT(*) as count FROM milestones').get();
-                const decisionCount = await db.prepare('SELECT COUNT(*) as count FROM decisions').get();
-                const requirementCount = await db.prepare('SELECT COUNT(*) as count FROM requirements').get();
-                const episodeCount = await db.prepare('SELECT COUNT(*) as count FROM episodes').get();
-                
-                // Get oldest and newest timestamps
-                const oldestMessage = await db.prepare('SELECT MIN(created_at) as timestamp FROM messages').get();
-                const newestMessage = await db.prepare('SELECT MAX(created_at) as timestamp FROM messages').get();
-                
-                stats = {
-                  message_count: messageCount?.count || 0,
-                  active_file_count: fileCount?.count || 0,
-                  milestone_count: milestoneCount?.count || 0,
-                  decision_count: decisionCount?.count || 0,
-                  requirement_count: requirementCount?.count || 0,
-                  episode_count: episodeCount?.count || 0,
-                  oldest_memory: oldestMessage?.timestamp 
-                    ? new Date(oldestMessage.timestamp).toISOString() 
-                    : null,
-                  newest_memory: newestMessage?.timestamp 
-                    ? new Date(newestMessage.timestamp).toISOString() 
-                    : null
-                };
-              }
+/**
+ * Get the project a tool call works in: its project argument, or the current project
+ * @param {Object} args - Tool arguments
+ * @returns {string} Project identifier
+ */
+function resolveProject(args) {
+  const project = args?.project;
+  if (project === undefined || project === null) {
+    return getCurrentProject();
+  }
+  
+  if (typeof project !== 'string' || !project.trim()) {
+    throw new Error("project must be a non-empty string");
+  }
+  return project.trim();
+}
 
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'ok', stats }) }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error getting memory stats: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
-                isError: true
-              };
-            }
-          }
-          
-          case MEMORY_TOOLS.END_CONVERSATION.name: {
-            // Handle ending a conversation with multiple operations
-            try {
-              const { 
-                content, 
-                milestone_title, 
-                milestone_description, 
-                importance = 'medium', 
-                metadata = null 
-              } = args;
-              
-              const now = Date.now();
-              
-              // 1. Store assistant message
-              let messageId;
-              if (useInMemory) {
-                inMemoryStore.messages.push({
-                  role: 'assistant',
-                  content,
-                  created_at: now,
-                  importance,
-                  metadata
-                });
-                messageId = inMemoryStore.messages.length;
-              } else {
-                const result = await db.prepare(`
-                  INSERT INTO messages (role, content, created_at, importance, metadata)
-                  VALUES ('assistant', ?, ?, ?, ?)
-                `).run(content, now, importance, metadata ? JSON.stringify(metadata) : null);
-                
-                messageId = result.lastInsertRowid;
-                
-                // Generate and store embedding for the assistant message in the background
-                setTimeout(async () => {
-                  try {
-                    // Generate vector embedding for the message
-                    const messageVector = await createEmbedding(content);
-                    
-                    // Store the embedding with link to the message
-                    await storeEmbedding(messageId, 'assistant_message', messageVector, {
-                      importance,
-                      timestamp: now,
-                      role: 'assistant'
-                    });
-                    
-                    logDebug(`Generated and stored embedding for assistant message ID ${messageId}`);
-                    
-                    // Check if the message contains code and process it
-                    if (isCodeRelatedQuery(content)) {
-                      log(`Detected code-related content in assistant message ID ${messageId}`);
-                      
-                      // Extract code snippets if present using regex patterns
-                      const codeBlocks = extractCodeBlocks(content);
-                      if (codeBlocks.length > 0) {
-                        log(`Extracted ${codeBlocks.length} code blocks from assistant message`);
-                        
-                        // Store each code block with its own embedding
-                        for (let i = 0; i < codeBlocks.length; i++) {
-                          const block = codeBlocks[i];
-                          const snippetVector = await createEmbedding(block.content);
-                          
-                          // Store as a specialized code snippet type
-                          await storeEmbedding(messageId, 'assistant_code_snippet', snippetVector, {
-                            snippet_index: i,
-                            language: block.language || 'unknown',
-                            message_id: messageId
-                          });
-                        }
-                      }
-                    }
-                  } catch (vectorError) {
-                    log(`Error generating vector for assistant message: ${vectorError.message}`, "error");
-                    // Non-blocking - we continue even if vector generation fails
-                  }
-                }, 0);
-              }
-              
-              log(`Stored assistant message: "${content.substring(0, 30)}..." with importance: ${importance}`);
-              
-              // 2. Store milestone
-              if (useInMemory) {
-                inMemoryStore.milestones.push({
-                  title: milestone_title,
-                  description: milestone_description,
-                  created_at: now,
-                  importance,
-                  metadata
-                });
-              } else {
-                await db.prepare(`
-                  INSERT INTO milestones (title, description, created_at, importance, metadata)
-                  VALUES (?, ?, ?, ?, ?)
-                `).run(
-                  milestone_title, 
-                  milestone_description, 
-                  now, 
-                  importance, 
-                  metadata ? JSON.stringify(metadata) : null
-                );
-              }
-              
-              log(`Stored milestone: "${milestone_title}" with importance: ${importance}`);
-              
-              // 3. Record episode
-              if (useInMemory) {
-                inMemoryStore.episodes.push({
-                  actor: 'assistant',
-                  action: 'completion',
-                  content: `Completed: ${milestone_title}`,
-                  timestamp: now,
-                  importance,
-                  context: 'conversation',
-                  metadata
-                });
-              } else {
-                // Use the same format as other tools (recordEpisode, storeMilestone, etc.)
-                await db.prepare(`
-                  INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata)
-                  VALUES ('assistant', 'completion', ?, ?, ?, 'conversation', ?)
-                `).run(`Completed: ${milestone_title}`, now, importance, metadata ? JSON.stringify(metadata) : null);
-              }
-              
-              log(`Recorded episode: "Completed: ${milestone_title}" with importance: ${importance}`);
-              
-              // Return success response with timestamps
-              return {
-                content: [{ 
-                  type: "text", 
+// Project that memories stored before project namespaces are kept in, unless
+// MEMORY_PROJECT names the project they belong to
+const DEFAULT_PROJECT = 'default';
+
+/**
+ * Move memories stored before project namespaces into the project MEMORY_PROJECT
+ * names, or into DEFAULT_PROJECT. A detected project is never used, as the first
+ * repository to open the database would otherwise take them all
+ * @returns {Promise<number>} Number of rows adopted
+ */
+async function adoptUnassignedMemories() {
+  const explicitProject = process.env.MEMORY_PROJECT && process.env.MEMORY_PROJECT.trim();
+  const project = explicitProject || DEFAULT_PROJECT;
+  let adopted = 0;
+  
+  for (const table of PROJECT_TABLES) {
+    // Rows the project already has (e.g. the same active file) stay unassigned
+    const result = await db.prepare(`UPDATE OR IGNORE ${table} SET project_id = ? WHERE project_id = ''`).run(project);
+    adopted += result.changes;
+  }
+  
+  if (adopted > 0) {
+    log(`Assigned ${adopted} memories stored before project namespaces to project ${project}` +
+      (explicitProject ? '' : `; pass project "${DEFAULT_PROJECT}" to tools to use them, or move them to another project with export and import`));
+  }
+  return adopted;
+}
+
+// Optional on every tool that reads or writes memories
+const PROJECT_PARAMETER = {
+  type: "string",
+  description: "Project to use instead of the one detected from the server's git repository or working directory"
+};
+
+// Define all memory tools
+const MEMORY_TOOLS = {
+  // System tools
+  BANNER: {
+    name: "generateBanner",
+    description: "Generates a banner containing memory system statistics and status",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  HEALTH: {
+    name: "checkHealth",
+    description: "Checks the health of the memory system and its database",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  
+  // Unified tool for beginning of conversation
+  INIT_CONVERSATION: {
+    name: "initConversation",
+    description: "Initializes a conversation by storing the user message, generating a banner, and retrieving context in one operation",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Content of the user message"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "low"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the message",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["content"]
+    }
+  },
+  
+  // Unified tool for ending a conversation
+  END_CONVERSATION: {
+    name: "endConversation",
+    description: "Ends a conversation by storing the assistant message, recording a milestone, and logging an episode in one operation",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Content of the assistant's final message"
+        },
+        milestone_title: {
+          type: "string",
+          description: "Title of the milestone to record"
+        },
+        milestone_description: {
+          type: "string",
+          description: "Description of what was accomplished"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "medium"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["content", "milestone_title", "milestone_description"]
+    }
+  },
+  
+  // Short-term memory tools
+  STORE_USER_MESSAGE: {
+    name: "storeUserMessage",
+    description: "Stores a user message in the short-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Content of the message"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "low"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the message",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["content"]
+    }
+  },
+  STORE_ASSISTANT_MESSAGE: {
+    name: "storeAssistantMessage",
+    description: "Stores an assistant message in the short-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Content of the message"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "low"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the message",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["content"]
+    }
+  },
+  TRACK_ACTIVE_FILE: {
+    name: "trackActiveFile",
+    description: "Tracks an active file being accessed by the user",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filename: {
+          type: "string",
+          description: "Path to the file being tracked"
+        },
+        action: {
+          type: "string",
+          description: "Action performed on the file (open, edit, close, etc.)"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the file",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["filename", "action"]
+    }
+  },
+  GET_RECENT_MESSAGES: {
+    name: "getRecentMessages",
+    description: "Retrieves recent messages from the short-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: {
+          type: "number",
+          description: "Maximum number of messages to retrieve",
+          default: 10
+        },
+        importance: {
+          type: "string",
+          description: "Filter by importance level (low, medium, high)"
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  GET_ACTIVE_FILES: {
+    name: "getActiveFiles",
+    description: "Retrieves active files from the short-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: {
+          type: "number",
+          description: "Maximum number of files to retrieve",
+          default: 10
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+
+  // Long-term memory tools
+  STORE_MILESTONE: {
+    name: "storeMilestone",
+    description: "Stores a project milestone in the long-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "Title of the milestone"
+        },
+        description: {
+          type: "string",
+          description: "Description of the milestone"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "medium"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the milestone",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["title", "description"]
+    }
+  },
+  STORE_DECISION: {
+    name: "storeDecision",
+    description: "Stores a project decision in the long-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "Title of the decision"
+        },
+        content: {
+          type: "string",
+          description: "Content of the decision"
+        },
+        reasoning: {
+          type: "string",
+          description: "Reasoning behind the decision"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "medium"
+        },
+        status: {
+          type: "string",
+          description: "Status of the decision",
+          enum: ["proposed", "accepted", "deprecated", "superseded"],
+          default: "accepted"
+        },
+        supersedes: {
+          type: "number",
+          description: "ID of an earlier decision this one replaces; it is marked superseded"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the decision",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["title", "content"]
+    }
+  },
+  STORE_REQUIREMENT: {
+    name: "storeRequirement",
+    description: "Stores a project requirement in the long-term memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "Title of the requirement"
+        },
+        content: {
+          type: "string",
+          description: "Content of the requirement"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "medium"
+        },
+        status: {
+          type: "string",
+          description: "Status of the requirement",
+          enum: ["open", "in_progress", "done", "dropped"],
+          default: "open"
+        },
+        acceptanceCriteria: {
+          type: "array",
+          items: { type: "string" },
+          description: "Conditions the requirement must meet to be done, in order"
+        },
+        metadata: {
+          type: "object",
+          description: "Optional metadata for the requirement",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["title", "content"]
+    }
+  },
+  UPDATE_MEMORY: {
+    name: "updateMemory",
+    description: "Changes a stored milestone, decision or requirement, keeping its previous values in its history",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          description: "Type of the memory",
+          enum: ["milestone", "decision", "requirement"]
+        },
+        id: {
+          type: "number",
+          description: "ID of the memory"
+        },
+        title: {
+          type: "string",
+          description: "New title"
+        },
+        description: {
+          type: "string",
+          description: "New description (milestones)"
+        },
+        content: {
+          type: "string",
+          description: "New content (decisions and requirements)"
+        },
+        reasoning: {
+          type: "string",
+          description: "New reasoning (decisions)"
+        },
+        importance: {
+          type: "string",
+          description: "New importance level (low, medium, high)"
+        },
+        status: {
+          type: "string",
+          description: "New status; decisions: proposed, accepted, deprecated, superseded; requirements: open, in_progress, done, dropped",
+          enum: ["proposed", "accepted", "deprecated", "superseded", "open", "in_progress", "done", "dropped"]
+        },
+        supersedes: {
+          type: "number",
+          description: "ID of an earlier decision this one replaces, which is marked superseded (decisions)"
+        },
+        metadata: {
+          type: "object",
+          description: "New metadata, replacing the stored metadata",
+          additionalProperties: true
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["type", "id"]
+    }
+  },
+  DELETE_MEMORY: {
+    name: "deleteMemory",
+    description: "Deletes a stored milestone, decision or requirement and its vectors; its history keeps the deleted values",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          description: "Type of the memory",
+          enum: ["milestone", "decision", "requirement"]
+        },
+        id: {
+          type: "number",
+          description: "ID of the memory"
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["type", "id"]
+    }
+  },
+  EXPORT_DECISIONS: {
+    name: "exportDecisions",
+    description: "Writes the decisions of the project as numbered Markdown architecture decision records (ADRs), one file per decision",
+    inputSchema: {
+      type: "object",
+      properties: {
+        directory: {
+          type: "string",
+          description: "Folder to write the ADR files to, relative to the server's working directory (default: ADR_DIRECTORY or docs/adr)"
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  GET_HISTORY: {
+    name: "getHistory",
+    description: "Shows how a milestone, decision or requirement changed over time, with the values before each update or deletion",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          description: "Type of the memory",
+          enum: ["milestone", "decision", "requirement"]
+        },
+        id: {
+          type: "number",
+          description: "ID of the memory"
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["type", "id"]
+    }
+  },
+  MANAGE_REQUIREMENT: {
+    name: "manageRequirement",
+    description: "Adds, updates or removes acceptance criteria of a requirement, or links it to and unlinks it from the milestones, decisions and code that deliver it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          description: "What to change",
+          enum: ["addCriterion", "updateCriterion", "removeCriterion", "link", "unlink"]
+        },
+        requirementId: {
+          type: "number",
+          description: "ID of the requirement"
+        },
+        criterion: {
+          type: "string",
+          description: "Text of the acceptance criterion (addCriterion, updateCriterion)"
+        },
+        criterionId: {
+          type: "number",
+          description: "ID of the acceptance criterion (updateCriterion, removeCriterion)"
+        },
+        done: {
+          type: "boolean",
+          description: "Whether the acceptance criterion is met (updateCriterion)"
+        },
+        targetType: {
+          type: "string",
+          description: "Type of what the requirement is linked to (link, unlink)",
+          enum: ["milestone", "decision", "code_file", "code_snippet"]
+        },
+        targetId: {
+          type: "number",
+          description: "ID of the milestone, decision, code file or code snippet (link, unlink)"
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["operation", "requirementId"]
+    }
+  },
+  GET_TRACEABILITY: {
+    name: "getTraceability",
+    description: "Reports for each requirement its acceptance criteria, the milestones and decisions that claim it and the code that implements it, by requirement link or relation, flagging requirements with no linked work and requirements done with criteria still open",
+    inputSchema: {
+      type: "object",
+      properties: {
+        requirementId: {
+          type: "number",
+          description: "Only report this requirement"
+        },
+        status: {
+          type: "string",
+          description: "Only report requirements with this status",
+          enum: ["open", "in_progress", "done", "dropped"]
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+
+  // Relation tools
+  ADD_RELATION: {
+    name: "addRelation",
+    description: "Relates two memories, files or code snippets, e.g. a decision that affects a file or a milestone that implements a requirement, which getTraceability then reports like a requirement link; adding an existing relation changes its weight",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sourceType: {
+          type: "string",
+          description: "Type of the memory the relation starts from",
+          enum: ["message", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+        },
+        sourceId: {
+          type: "number",
+          description: "ID of the memory the relation starts from"
+        },
+        relation: {
+          type: "string",
+          description: "Name of the relation in lowercase words joined by underscores, e.g. affects, implements, depends_on"
+        },
+        targetType: {
+          type: "string",
+          description: "Type of the memory the relation points to",
+          enum: ["message", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+        },
+        targetId: {
+          type: "number",
+          description: "ID of the memory the relation points to"
+        },
+        weight: {
+          type: "number",
+          description: "Strength of the relation, above 0 and up to 1",
+          default: 1
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["sourceType", "sourceId", "relation", "targetType", "targetId"]
+    }
+  },
+  REMOVE_RELATION: {
+    name: "removeRelation",
+    description: "Removes a relation by its ID, or the relations from one memory to another",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "number",
+          description: "ID of the relation"
+        },
+        sourceType: {
+          type: "string",
+          description: "Type of the memory the relations start from",
+          enum: ["message", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+        },
+        sourceId: {
+          type: "number",
+          description: "ID of the memory the relations start from"
+        },
+        relation: {
+          type: "string",
+          description: "Only remove relations with this name"
+        },
+        targetType: {
+          type: "string",
+          description: "Type of the memory the relations point to",
+          enum: ["message", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+        },
+        targetId: {
+          type: "number",
+          description: "ID of the memory the relations point to"
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  TRAVERSE_RELATIONS: {
+    name: "traverseRelations",
+    description: "Follows the relations of a memory, file or code snippet to the items linked to it, up to a number of hops",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          description: "Type of the memory to start from",
+          enum: ["message", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+        },
+        id: {
+          type: "number",
+          description: "ID of the memory to start from"
+        },
+        relations: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only follow relations with these names"
+        },
+        direction: {
+          type: "string",
+          description: "Follow relations from the memory (out), to it (in) or both",
+          enum: ["out", "in", "both"],
+          default: "both"
+        },
+        depth: {
+          type: "number",
+          description: "Number of hops to follow, up to 3",
+          default: 1
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of linked items to return",
+          default: 20
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["type", "id"]
+    }
+  },
+
+  // Episodic memory tools
+  RECORD_EPISODE: {
+    name: "recordEpisode",
+    description: "Records an episode (action) in the episodic memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        actor: {
+          type: "string",
+          description: "Actor performing the action (user, assistant, system)"
+        },
+        action: {
+          type: "string",
+          description: "Type of action performed"
+        },
+        content: {
+          type: "string",
+          description: "Content or details of the action"
+        },
+        importance: {
+          type: "string",
+          description: "Importance level (low, medium, high)",
+          default: "low"
+        },
+        context: {
+          type: "string",
+          description: "Context for the episode"
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["actor", "action", "content"]
+    }
+  },
+  GET_RECENT_EPISODES: {
+    name: "getRecentEpisodes",
+    description: "Retrieves recent episodes from the episodic memory",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: {
+          type: "number",
+          description: "Maximum number of episodes to retrieve",
+          default: 10
+        },
+        context: {
+          type: "string",
+          description: "Filter by context"
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  
+  // Context tools
+  GET_COMPREHENSIVE_CONTEXT: {
+    name: "getComprehensiveContext",
+    description: "Retrieves comprehensive context from all memory systems",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Optional query for semantic search to find relevant context"
+        },
+        mmrLambda: {
+          type: "number",
+          description: "Relevance/diversity trade-off for relevant context, from 0 (most diverse) to 1 (relevance only)"
+        },
+        includeSuperseded: {
+          type: "boolean",
+          description: "Include decisions that were superseded by a later decision",
+          default: false
+        },
+        includeLinked: {
+          type: "boolean",
+          description: "Add the memories, files and snippets related to the items found",
+          default: true
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  GET_MEMORY_STATS: {
+    name: "getMemoryStats",
+    description: "Retrieves statistics about the memory system",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  
+  // Vector management tool
+  MANAGE_VECTOR: {
+    name: "manageVector",
+    description: "Unified tool for managing vector embeddings with operations for store, search, update, and delete",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          description: "Operation to perform (store, search, update, delete)",
+          enum: ["store", "search", "update", "delete"]
+        },
+        contentId: {
+          type: "number",
+          description: "ID of the content this vector represents (for store, update, delete)"
+        },
+        contentType: {
+          type: "string",
+          description: "Type of content (message, file, snippet, etc.)"
+        },
+        vector: {
+          type: "array",
+          description: "Vector data as array of numbers (for store, update) or query vector (for search)"
+        },
+        query: {
+          type: "string",
+          description: "Query text for search; matched by keywords and, if no vector is given, embedded for vector similarity"
+        },
+        metadata: {
+          type: "object",
+          description: "Additional info about the vector (optional)",
+          additionalProperties: true
+        },
+        vectorId: {
+          type: "number",
+          description: "ID of the vector to update or delete"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of results for search operation",
+          default: 10
+        },
+        threshold: {
+          type: "number",
+          description: "Similarity threshold for search operation",
+          default: 0.7
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["operation"]
+    }
+  },
+  SEARCH_MEMORY: {
+    name: "searchMemory",
+    description: "Searches all memory with hybrid (vector + full-text) ranking and returns the matching records, with optional filters and pagination",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Text to search for (natural language, identifiers or error strings)"
+        },
+        contentTypes: {
+          type: "array",
+          description: "Content types to search (default: all)",
+          items: {
+            type: "string",
+            enum: ["user_message", "assistant_message", "assistant_code_snippet", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+          }
+        },
+        importance: {
+          type: "array",
+          description: "Only include records with one of these importance levels (low, medium, high, critical)",
+          items: { type: "string" }
+        },
+        since: {
+          type: "string",
+          description: "Only include records created at or after this date (ISO 8601)"
+        },
+        until: {
+          type: "string",
+          description: "Only include records created at or before this date (ISO 8601)"
+        },
+        filePath: {
+          type: "string",
+          description: "Only include code files and snippets whose path contains this text"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of results to return",
+          default: 10
+        },
+        offset: {
+          type: "number",
+          description: "Number of results to skip, for pagination",
+          default: 0
+        },
+        threshold: {
+          type: "number",
+          description: "Minimum vector similarity for semantic matches",
+          default: 0.5
+        },
+        mmrLambda: {
+          type: "number",
+          description: "Relevance/diversity trade-off, from 0 (most diverse) to 1 (relevance only)"
+        },
+        crossProject: {
+          type: "boolean",
+          description: "Search the memories of all projects instead of only one",
+          default: false
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["query"]
+    }
+  },
+  FIND_RELATED: {
+    name: "findRelated",
+    description: "Finds memories related to a given memory (e.g. decision #42) by the similarity of their stored vectors, across all content types",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          description: "Content type of the memory",
+          enum: ["user_message", "assistant_message", "assistant_code_snippet", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+        },
+        id: {
+          type: "number",
+          description: "ID of the memory"
+        },
+        contentTypes: {
+          type: "array",
+          description: "Content types to return (default: all)",
+          items: {
+            type: "string",
+            enum: ["user_message", "assistant_message", "assistant_code_snippet", "milestone", "decision", "requirement", "episode", "code_file", "code_snippet"]
+          }
+        },
+        excludeSameConversation: {
+          type: "boolean",
+          description: "Leave out memories from the same conversation as the given memory",
+          default: false
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of related memories to return",
+          default: 10
+        },
+        threshold: {
+          type: "number",
+          description: "Minimum vector similarity",
+          default: 0.5
+        },
+        crossProject: {
+          type: "boolean",
+          description: "Look up the memory and its related memories in all projects instead of only one",
+          default: false
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["type", "id"]
+    }
+  },
+  DIAGNOSE_VECTORS: {
+    name: "diagnoseVectors",
+    description: "Run diagnostics on the vector storage system to identify issues",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  REEMBED_MEMORY: {
+    name: "reembedMemory",
+    description: "Re-embeds all stored memories with the configured embedding model as a resumable background job",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          description: "Operation to perform (status, start, cancel)",
+          enum: ["status", "start", "cancel"],
+          default: "status"
+        },
+        force: {
+          type: "boolean",
+          description: "Re-embed every record, even those already embedded with the current model (for start)",
+          default: false
+        }
+      }
+    }
+  },
+  GET_MIGRATION_STATUS: {
+    name: "getMigrationStatus",
+    description: "Shows the database schema version with applied and pending migrations",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dryRun: {
+          type: "boolean",
+          description: "Include the SQL each pending migration would run",
+          default: false
+        }
+      }
+    }
+  },
+  SYNC_MEMORY: {
+    name: "syncMemory",
+    description: "Pulls the latest changes from the remote Turso database into the local embedded replica",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  PRUNE_MEMORY: {
+    name: "pruneMemory",
+    description: "Reports the messages and episodes the retention policy would archive or delete, or prunes them now",
+    inputSchema: {
+      type: "object",
+      properties: {
+        dryRun: {
+          type: "boolean",
+          description: "Only report what would be pruned; set to false to prune now",
+          default: true
+        },
+        project: PROJECT_PARAMETER
+      }
+    }
+  },
+  EXPORT_MEMORY: {
+    name: "exportMemory",
+    description: "Writes all memories of the project and their vectors to a JSONL file, for backups or moving them to another machine",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "File to write, relative to the export directory (MEMORY_EXPORT_DIR)"
+        },
+        decrypt: {
+          type: "boolean",
+          description: "Write encrypted memory content in plaintext instead of as ciphertext",
+          default: false
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["path"]
+    }
+  },
+  IMPORT_MEMORY: {
+    name: "importMemory",
+    description: "Imports memories from a file written by exportMemory into the project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "File to read, relative to the export directory (MEMORY_EXPORT_DIR)"
+        },
+        mode: {
+          type: "string",
+          description: "merge adds the memories the project does not have yet; replace deletes the memories of the project first",
+          enum: ["merge", "replace"],
+          default: "merge"
+        },
+        project: PROJECT_PARAMETER
+      },
+      required: ["path"]
+    }
+  }
+};
+
+// Whether db is the in-process fallback database rather than TURSO_DATABASE_URL
+let useInMemory = false;
+
+/**
+ * Add a column to an existing table if it is not there yet
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<boolean>} Whether the column was added
+ */
+async function ensureColumn(table, column, definition) {
+  const tableInfo = await db.prepare(`PRAGMA table_info(${table})`).all();
+  if (tableInfo.some(col => col.name === column)) {
+    return false;
+  }
+  
+  await db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+  log(`Added column ${column} to table ${table}`);
+  return true;
+}
+
+// Ordered schema migrations, e.g. 002-add-decision-status.sql with an optional
+// 002-add-decision-status.down.sql to revert it
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+?)(\.down)?\.sql$/;
+
+/**
+ * Load the migrations shipped in the migrations directory
+ * @returns {Array<Object>} Migrations ordered by version
+ */
+function loadMigrations() {
+  const migrations = new Map();
+  const files = fs.existsSync(MIGRATIONS_DIR) ? fs.readdirSync(MIGRATIONS_DIR) : [];
+  
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+    
+    const version = parseInt(match[1], 10);
+    const migration = migrations.get(version) || { version, name: match[2], up: null, down: null };
+    
+    if (migration.name !== match[2]) {
+      throw new Error(`Migrations ${migration.name} and ${match[2]} share version ${version}`);
+    }
+    
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    if (match[3]) {
+      migration.down = sql;
+    } else {
+      migration.up = sql;
+      migration.checksum = createHash('sha256').update(sql).digest('hex');
+    }
+    migrations.set(version, migration);
+  }
+  
+  for (const migration of migrations.values()) {
+    if (migration.up === null) {
+      throw new Error(`Migration ${migration.version}-${migration.name} has a down file but no up file`);
+    }
+  }
+  
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the tables that track applied migrations
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationTables() {
+  await db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `).run();
+  
+  // Single row held by the process applying migrations
+  await db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_lock (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      owner TEXT NOT NULL,
+      acquired_at INTEGER NOT NULL
+    )
+  `).run();
+}
+
+/**
+ * Take the migration lock, waiting while another process holds it
+ * @returns {Promise<string>} Lock owner, to release the lock with
+ */
+async function acquireMigrationLock() {
+  const owner = `${os.hostname()}:${process.pid}:${Date.now()}`;
+  const timeoutMs = parseInt(process.env.MIGRATION_LOCK_TIMEOUT || '30000', 10);
+  const deadline = Date.now() + timeoutMs;
+  
+  while (true) {
+    // A lock older than the timeout belongs to a process that died while migrating
+    await db.prepare('DELETE FROM schema_lock WHERE acquired_at < ?').run(Date.now() - timeoutMs);
+    
+    const result = await db.prepare(`
+      INSERT OR IGNORE INTO schema_lock (id, owner, acquired_at)
+      VALUES (1, ?, ?)
+    `).run(owner, Date.now());
+    
+    if (result.changes > 0) {
+      return owner;
+    }
+    
+    if (Date.now() > deadline) {
+      const holder = await db.prepare('SELECT owner FROM schema_lock WHERE id = 1').get();
+      throw new Error(`Timed out waiting for the migration lock held by ${holder?.owner || 'another process'}`);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+/**
+ * Release the migration lock
+ * @param {string} owner - Owner returned by acquireMigrationLock
+ * @returns {Promise<void>}
+ */
+async function releaseMigrationLock(owner) {
+  await db.prepare('DELETE FROM schema_lock WHERE id = 1 AND owner = ?').run(owner);
+}
+
+/**
+ * Run a migration script and record it in schema_version, in one transaction
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<void>}
+ */
+async function runMigrationScript(migration, direction) {
+  const sql = migration[direction].trim().replace(/;?$/, ';');
+  const bookkeeping = direction === 'up'
+    ? `INSERT INTO schema_version (version, name, checksum, applied_at) VALUES (${migration.version}, '${migration.name}', '${migration.checksum}', ${Date.now()});`
+    : `DELETE FROM schema_version WHERE version = ${migration.version};`;
+  
+  try {
+    await db.exec(`BEGIN;\n${sql}\n${bookkeeping}\nCOMMIT;`);
+  } catch (error) {
+    try {
+      await db.exec('ROLLBACK;');
+    } catch (rollbackError) {
+      // No transaction left open
+    }
+    throw new Error(`Migration ${migration.version}-${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Compare the migrations on disk with those applied to the database
+ * @param {Object} options - Status options
+ * @param {boolean} options.dryRun - Include the SQL pending migrations would run
+ * @returns {Promise<Object>} Current and latest versions, applied and pending migrations
+ */
+async function getMigrationStatus({ dryRun = false } = {}) {
+  await ensureMigrationTables();
+  
+  const migrations = loadMigrations();
+  const applied = await db.prepare('SELECT * FROM schema_version ORDER BY version').all();
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  
+  return {
+    current_version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest_version: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied: applied.map(row => ({
+      version: row.version,
+      name: row.name,
+      applied_at: new Date(row.applied_at).toISOString(),
+      // The file was edited after it ran, or was removed
+      modified: byVersion.has(row.version) ? byVersion.get(row.version).checksum !== row.checksum : undefined,
+      missing: !byVersion.has(row.version) || undefined,
+      reversible: Boolean(byVersion.get(row.version)?.down)
+    })),
+    pending: migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        reversible: Boolean(migration.down),
+        sql: dryRun ? migration.up : undefined
+      }))
+  };
+}
+
+/**
+ * Apply pending migrations in version order, under the migration lock
+ * @param {Object} options - Migration options
+ * @param {number} options.target - Highest version to apply (default: all)
+ * @param {boolean} options.dryRun - Report the migrations that would run without applying them
+ * @returns {Promise<Array<Object>>} Migrations applied (or that would be applied)
+ */
+async function applyMigrations({ target = Infinity, dryRun = false } = {}) {
+  if (dryRun) {
+    const status = await getMigrationStatus({ dryRun: true });
+    return status.pending.filter(migration => migration.version <= target);
+  }
+  
+  await ensureMigrationTables();
+  const owner = await acquireMigrationLock();
+  
+  try {
+    // Read applied versions only once the lock is held, another process may just have migrated
+    const applied = new Set((await db.prepare('SELECT version FROM schema_version').all()).map(row => row.version));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version) && migration.version <= target);
+    
+    for (const migration of pending) {
+      log(`Applying migration ${migration.version}-${migration.name}`);
+      await runMigrationScript(migration, 'up');
+    }
+    
+    return pending.map(({ version, name }) => ({ version, name }));
+  } finally {
+    await releaseMigrationLock(owner);
+  }
+}
+
+/**
+ * Revert applied migrations newer than a version, newest first
+ * @param {Object} options - Migration options
+ * @param {number} options.target - Version to return to
+ * @param {boolean} options.dryRun - Report the migrations that would be reverted without reverting them
+ * @returns {Promise<Array<Object>>} Migrations reverted (or that would be reverted)
+ */
+async function revertMigrations({ target, dryRun = false }) {
+  if (!Number.isInteger(target) || target < 0) {
+    throw new Error("A target version is required to revert migrations");
+  }
+  
+  await ensureMigrationTables();
+  const owner = dryRun ? null : await acquireMigrationLock();
+  
+  try {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = await db.prepare('SELECT version, name FROM schema_version WHERE version > ? ORDER BY version DESC').all(target);
+    
+    const steps = applied.map(row => {
+      const migration = migrations.get(row.version);
+      if (!migration?.down) {
+        throw new Error(`Migration ${row.version}-${row.name} cannot be reverted, it has no down file`);
+      }
+      return migration;
+    });
+    
+    if (dryRun) {
+      return steps.map(({ version, name, down }) => ({ version, name, sql: down }));
+    }
+    
+    for (const migration of steps) {
+      log(`Reverting migration ${migration.version}-${migration.name}`);
+      await runMigrationScript(migration, 'down');
+    }
+    
+    return steps.map(({ version, name }) => ({ version, name }));
+  } finally {
+    if (owner) {
+      await releaseMigrationLock(owner);
+    }
+  }
+}
+
+/**
+ * Add the columns that databases created before versioned migrations may lack,
+ * so the initial schema migration finds them in the shape it creates
+ * @returns {Promise<void>}
+ */
+async function upgradeLegacySchema() {
+  const vectorsTable = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'vectors'").get();
+  if (!vectorsTable) {
+    return;
+  }
+  
+  // Older databases predate model tracking on vectors
+  await ensureColumn('vectors', 'model_id', 'TEXT');
+  await ensureColumn('vectors', 'dimensions', 'INTEGER');
+  // Position of the chunk within its record, for content embedded in chunks
+  await ensureColumn('vectors', 'chunk_index', 'INTEGER');
+  await ensureColumn('vectors', 'chunk_start', 'INTEGER');
+  await ensureColumn('vectors', 'chunk_end', 'INTEGER');
+  // Storage encoding of quantized vectors (NULL for float32)
+  await ensureColumn('vectors', 'encoding', 'TEXT');
+  
+  // Every vector stored before model tracking came from the hash provider
+  const legacyDims = getConfiguredVectorDims();
+  await db.prepare(`
+    UPDATE vectors
+    SET model_id = ?, dimensions = ?
+    WHERE model_id IS NULL
+  `).run(`hash:sincos-v1@${legacyDims}`, legacyDims);
+}
+
+/**
+ * Command line entry point: cursor10x-mcp migrate [status|up|down] [--to <version>] [--dry-run]
+ * @param {Array<string>} argv - Arguments after "migrate"
+ * @returns {Promise<number>} Process exit code
+ */
+async function runMigrationCli(argv) {
+  const command = argv.find(arg => !arg.startsWith('--')) || 'status';
+  const dryRun = argv.includes('--dry-run');
+  const toIndex = argv.indexOf('--to');
+  const target = toIndex !== -1 ? parseInt(argv[toIndex + 1], 10) : undefined;
+  
+  if (!process.env.TURSO_DATABASE_URL) {
+    console.error('TURSO_DATABASE_URL is not set');
+    return 1;
+  }
+  
+  try {
+    db = await createDatabaseAdapter();
+    
+    switch (command) {
+      case 'status': {
+        const status = await getMigrationStatus({ dryRun });
+        console.log(`Schema version ${status.current_version} (latest ${status.latest_version})`);
+        for (const migration of status.applied) {
+          const notes = [migration.modified && 'modified since applied', migration.missing && 'file missing'].filter(Boolean);
+          console.log(`  applied  ${migration.version}-${migration.name}  ${migration.applied_at}${notes.length ? `  (${notes.join(', ')})` : ''}`);
+        }
+        for (const migration of status.pending) {
+          console.log(`  pending  ${migration.version}-${migration.name}`);
+          if (dryRun) console.log(migration.sql);
+        }
+        break;
+      }
+      
+      case 'up': {
+        const steps = await applyMigrations({ target: target ?? Infinity, dryRun });
+        for (const migration of steps) {
+          console.log(`${dryRun ? 'Would apply' : 'Applied'} ${migration.version}-${migration.name}`);
+          if (dryRun) console.log(migration.sql);
+        }
+        if (steps.length === 0) console.log('No pending migrations');
+        break;
+      }
+      
+      case 'down': {
+        const steps = await revertMigrations({ target, dryRun });
+        for (const migration of steps) {
+          console.log(`${dryRun ? 'Would revert' : 'Reverted'} ${migration.version}-${migration.name}`);
+          if (dryRun) console.log(migration.sql);
+        }
+        if (steps.length === 0) console.log('Nothing to revert');
+        break;
+      }
+      
+      default:
+        console.error(`Unknown migrate command: ${command}. Supported commands are: status, up, down`);
+        return 1;
+    }
+    
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await db?.close();
+  }
+}
+
+// Rows re-encrypted per transaction by a key rotation
+const REENCRYPT_BATCH_SIZE = 200;
+
+/**
+ * List the encrypted columns of the tables that exist in the database
+ * @returns {Promise<Array<[string, Array<string>]>>} Table and column names
+ */
+async function getEncryptedColumns() {
+  const tables = await db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all();
+  const existing = new Set(tables.map(table => table.name));
+  return Object.entries(ENCRYPTED_COLUMNS).filter(([table]) => existing.has(table));
+}
+
+/**
+ * Count the values of encrypted columns in a project by the key they are
+ * encrypted with
+ * @param {string} project - Project to count
+ * @returns {Promise<Object>} Configured keys and value counts per key, "plaintext" for unencrypted values
+ */
+async function getEncryptionStatus(project = getCurrentProject()) {
+  const keys = getEncryptionKeys();
+  const values = {};
+  
+  for (const [table, columns] of await getEncryptedColumns()) {
+    for (const column of columns) {
+      const counts = await db.prepare(`
+        SELECT CASE WHEN ${column} LIKE '${ENCRYPTION_PREFIX}%' THEN substr(${column}, ${ENCRYPTION_PREFIX.length + 1}, 8) ELSE 'plaintext' END AS key_id,
+          COUNT(*) as count
+        FROM ${table}
+        WHERE project_id = ? AND ${column} IS NOT NULL
+        GROUP BY key_id
+      `).all(project);
+      
+      for (const row of counts) {
+        values[row.key_id] = (values[row.key_id] || 0) + row.count;
+      }
+    }
+  }
+  
+  return {
+    project,
+    enabled: Boolean(keys),
+    current_key: keys ? keys[0].id : null,
+    previous_keys: keys ? keys.slice(1).map(entry => entry.id) : [],
+    values
+  };
+}
+
+/**
+ * Re-encrypt the encrypted columns of a project with the current key: values
+ * still in plaintext and values encrypted with a previous key. With decrypt,
+ * write every value back in plaintext instead, before encryption is turned off
+ * 
+ * @param {Object} options - Rotation options
+ * @param {boolean} options.decrypt - Decrypt instead of re-encrypting
+ * @param {string} options.project - Project to re-encrypt
+ * @returns {Promise<Object>} Number of values rewritten per table
+ */
+async function reencryptMemories({ decrypt = false, project = getCurrentProject() } = {}) {
+  const keys = getEncryptionKeys();
+  if (!keys) {
+    throw new Error("No encryption key is configured. Set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE");
+  }
+  
+  // Values already in their target form are left alone, so an interrupted run can be repeated
+  const pending = decrypt
+    ? (column) => `${column} LIKE '${ENCRYPTION_PREFIX}%'`
+    : (column) => `${column} NOT LIKE '${ENCRYPTION_PREFIX}${keys[0].id}:%'`;
+  const rewritten = {};
+  
+  for (const [table, columns] of await getEncryptedColumns()) {
+    for (const column of columns) {
+      let lastId = 0;
+      
+      while (true) {
+        // Read through the adapter, which decrypts the values
+        const rows = await db.prepare(`
+          SELECT id, ${column} AS value FROM ${table}
+          WHERE project_id = ? AND ${column} IS NOT NULL AND ${pending(column)} AND id > ?
+          ORDER BY id
+          LIMIT ?
+        `).all(project, lastId, REENCRYPT_BATCH_SIZE);
+        
+        if (rows.length === 0) break;
+        
+        await db.transaction(async (tx) => {
+          for (const row of rows) {
+            await tx.prepare(`UPDATE ${table} SET ${column} = ? WHERE id = ?`)
+              .run(decrypt ? row.value : encryptField(row.value), row.id);
+          }
+        });
+        
+        lastId = rows[rows.length - 1].id;
+        rewritten[table] = (rewritten[table] || 0) + rows.length;
+      }
+    }
+  }
+  
+  return rewritten;
+}
+
+/**
+ * Warn at startup about encrypted memories that cannot be read because no
+ * encryption key is configured
+ * @returns {Promise<void>}
+ */
+async function checkEncryptedMemories() {
+  if (isEncryptionEnabled()) return;
+  
+  for (const [table, columns] of await getEncryptedColumns()) {
+    for (const column of columns) {
+      const encrypted = await db.prepare(`
+        SELECT 1 AS found FROM ${table} WHERE ${column} LIKE '${ENCRYPTION_PREFIX}%' LIMIT 1
+      `).get();
+      
+      if (encrypted) {
+        log("Some memories are encrypted but no encryption key is configured; reading them fails until ENCRYPTION_KEY or ENCRYPTION_KEY_FILE is set", "error");
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Command line entry point: cursor10x-mcp encryption [status|rotate|decrypt] [--project <id>]
+ * @param {Array<string>} argv - Arguments after "encryption"
+ * @returns {Promise<number>} Process exit code
+ */
+async function runEncryptionCli(argv) {
+  const projectIndex = argv.indexOf('--project');
+  const project = projectIndex !== -1 ? argv[projectIndex + 1] : getCurrentProject();
+  const command = argv.find((arg, i) => !arg.startsWith('--') && (projectIndex === -1 || i !== projectIndex + 1)) || 'status';
+  
+  if (!process.env.TURSO_DATABASE_URL) {
+    console.error('TURSO_DATABASE_URL is not set');
+    return 1;
+  }
+  
+  try {
+    db = createDecryptingAdapter(await createDatabaseAdapter());
+    
+    switch (command) {
+      case 'status': {
+        const status = await getEncryptionStatus(project);
+        console.log(`Project ${status.project}: encryption ${status.enabled ? `on, current key ${status.current_key}` : 'off'}`);
+        if (status.previous_keys.length > 0) {
+          console.log(`  previous keys: ${status.previous_keys.join(', ')}`);
+        }
+        for (const [keyId, count] of Object.entries(status.values)) {
+          console.log(`  ${keyId === 'plaintext' ? 'plaintext' : `key ${keyId}`}: ${count} value(s)`);
+        }
+        break;
+      }
+      
+      case 'rotate':
+      case 'decrypt': {
+        const rewritten = await reencryptMemories({ decrypt: command === 'decrypt', project });
+        for (const [table, count] of Object.entries(rewritten)) {
+          console.log(`${command === 'decrypt' ? 'Decrypted' : 'Re-encrypted'} ${count} value(s) in ${table}`);
+        }
+        if (Object.keys(rewritten).length === 0) console.log('Nothing to rewrite');
+        break;
+      }
+      
+      default:
+        console.error(`Unknown encryption command: ${command}. Supported commands are: status, rotate, decrypt`);
+        return 1;
+    }
+    
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await db?.close();
+  }
+}
+
+/**
+ * Connect to TURSO_DATABASE_URL, or to an in-memory database when it is not
+ * configured or cannot be reached
+ * @returns {Promise<Object>} Database adapter object
+ */
+async function connectDatabase() {
+  // Check if environment variables are set (from either process.env or .env.local)
+  if (!process.env.TURSO_DATABASE_URL) {
+    log('TURSO_DATABASE_URL environment variable not found - using in-memory database', 'error');
+    return connectMemoryDatabase();
+  }
+  
+  if (process.env.TURSO_DATABASE_URL.startsWith('libsql://') && !process.env.TURSO_AUTH_TOKEN) {
+    log('TURSO_AUTH_TOKEN environment variable required for remote Turso database but not found - using in-memory database', 'error');
+    return connectMemoryDatabase();
+  }
+  
+  let adapter = null;
+  try {
+    adapter = createDecryptingAdapter(await createDatabaseAdapter());
+    log(`Initializing database with ${adapter.backend}`);
+    
+    // Test connection
+    const testResult = await adapter.prepare('SELECT 1 as test').get();
+    log(`Database connection test successful: ${JSON.stringify(testResult)}`);
+  } catch (error) {
+    // A remote database that is only unreachable for now buffers writes until it is back
+    if (adapter?.getConnectionStatus?.().state === 'offline') {
+      log(`Turso database unreachable, starting offline: ${error.message}`, "error");
+      useInMemory = false;
+      return adapter;
+    }
+    
+    log(`Failed to connect to Turso database: ${error.message}`, "error");
+    log('Falling back to in-memory database', 'error');
+    await adapter?.close();
+    return connectMemoryDatabase();
+  }
+  
+  useInMemory = false;
+  return adapter;
+}
+
+/**
+ * Switch to the in-memory fallback database
+ * @returns {Promise<Object>} Database adapter object
+ */
+async function connectMemoryDatabase() {
+  const adapter = createDecryptingAdapter(await createMemoryAdapter());
+  useInMemory = true;
+  log(`Initializing database with ${adapter.backend}`);
+  return adapter;
+}
+
+// Initialize database
+async function initializeDatabase() {
+  db = await connectDatabase();
+  
+  try {
+    if (db.open) {
+      await db.open(setUpDatabase);
+    } else {
+      await setUpDatabase();
+    }
+  } catch (error) {
+    // Nothing left to fall back to
+    if (useInMemory) {
+      throw error;
+    }
+    
+    log(`Database initialization failed: ${error.message}`, "error");
+    log("Falling back to in-memory database", "error");
+    try {
+      await db.close();
+    } catch (closeError) {
+      log(`Error closing database: ${closeError.message}`, "error");
+    }
+    db = await connectMemoryDatabase();
+    await setUpDatabase();
+  }
+  
+  return db;
+}
+
+/**
+ * Bring the schema of db up to date and start its background tasks
+ * @returns {Promise<void>}
+ */
+async function setUpDatabase() {
+  // Start from the latest copy of an embedded replica; if the remote database is
+  // unreachable the local copy still answers reads
+  if (db.backend === 'libsql-replica') {
+    await syncReplica();
+  }
+  
+  // Bring the schema up to date
+  try {
+    await upgradeLegacySchema();
+    const applied = await applyMigrations();
+    const status = await getMigrationStatus();
+    log(`Schema version ${status.current_version}${applied.length > 0 ? `, applied ${applied.length} migration(s)` : ''}`);
+    
+    log(`Using project ${getCurrentProject()}`);
+    await adoptUnassignedMemories();
+    await checkEncryptedMemories();
+    
+    const tableInfo = await db.prepare("PRAGMA table_info(vectors)").all();
+    log(`VECTOR DEBUG: Vector table schema: ${JSON.stringify(tableInfo)}`, "info");
+  } catch (error) {
+    log(`Failed to migrate database schema: ${error.message}`, "error");
+    throw error;
+  }
+  
+  // Create vector indexes for efficient similarity search
+  try {
+    log("VECTOR DEBUG: Initializing vector indexes", "info");
+    const indexResult = await createVectorIndexes();
+    
+    if (indexResult) {
+      log('VECTOR SUCCESS: Vector indexes setup completed successfully', "info");
+    } else {
+      log('VECTOR WARNING: Vector indexes setup partially completed with issues', "error");
+    }
+  } catch (indexError) {
+    log(`VECTOR ERROR: Vector indexes creation failed: ${indexError.message}`, "error");
+    log('VECTOR WARNING: Vector operations may be slower or unavailable', "error");
+  }
+  
+  // Create full-text indexes for keyword search alongside vector search. An index
+  // of encrypted columns would keep their words in plaintext, so there is none
+  // while encryption is on
+  if (isEncryptionEnabled()) {
+    fullTextSupport = false;
+    await dropFullTextIndexes();
+    log('Full-text search disabled while memory content is encrypted, search will use vectors only');
+  } else {
+    try {
+      await createFullTextIndexes();
+      log('Full-text indexes verified/created');
+    } catch (ftsError) {
+      fullTextSupport = false;
+      log(`Full-text indexes unavailable, search will use vectors only: ${ftsError.message}`, "error");
+    }
+  }
+  
+  // Create a test_connection table to verify write access
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS test_connection (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        created_at TEXT
+      )
+    `).run();
+    
+    const now = new Date().toISOString();
+    await db.prepare(`
+      INSERT INTO test_connection (name, created_at)
+      VALUES ('test', ?)
+    `).run(now);
+    
+    const testResult = await db.prepare('SELECT * FROM test_connection ORDER BY id DESC LIMIT 1').get();
+    log(`Write test successful: ${JSON.stringify(testResult)}`);
+  } catch (error) {
+    log(`Failed to write to database: ${error.message}`, "error");
+    throw error;
+  }
+  
+  // Perform a quick test of the vector storage
+  try {
+    // Generate a simple test vector
+    log("VECTOR DEBUG: Testing vector storage during initialization", "info");
+    const testDims = getEmbeddingProvider().dimensions || getConfiguredVectorDims();
+    const testVector = new Float32Array(testDims).fill(0.1); // Simple test vector
+    
+    // Attempt to store it, under its own model id since no model produced it
+    const testResult = await storeEmbedding(
+      0, // Special ID 0 just for this test
+      'init_test', 
+      testVector, 
+      { test: true, timestamp: Date.now() },
+      `init-test@${testDims}`
+    );
+    
+    log(`VECTOR SUCCESS: Test vector storage succeeded: ${testResult ? 'Yes' : 'No'}`, "info");
+  } catch (testError) {
+    log(`VECTOR ERROR: Test vector storage failed: ${testError.message}`, "error");
+    log('VECTOR WARNING: Vector operations may not work properly', "error");
+  }
+  
+  // After creating tables, check if vectors table needs migration
+  try {
+    await migrateVectorsTable();
+  } catch (migrationError) {
+    log(`VECTOR ERROR: Error during vector table migration: ${migrationError.message}`, "error");
+    // Continue anyway - the system can still function with the old schema
+  }
+  
+  // Keep an embedded replica in sync with the remote database
+  if (db.backend === 'libsql-replica') {
+    scheduleReplicaSync();
+  }
+  
+  // The background work below compares vectors against the active model, so it
+  // waits until the model's dimensions are known
+  const dimensionsResolved = new Promise(resolve => setTimeout(resolve, 0))
+    .then(() => resolveEmbeddingDimensions());
+  
+  // Load or build the in-process ANN index in the background
+  dimensionsResolved
+    .then(() => initAnnIndex())
+    .catch(error => log(`Error initializing ANN index: ${error.message}`, "error"));
+  
+  // Re-embed in the background if the embedding model changed since vectors were stored
+  dimensionsResolved
+    .then(() => resumeReembedding())
+    .catch(error => log(`Error checking for re-embedding: ${error.message}`, "error"));
+  
+  // Embed records queued before the last shutdown
+  dimensionsResolved
+    .then(() => resumeEmbeddingJobs())
+    .catch(error => log(`Error resuming embedding jobs: ${error.message}`, "error"));
+  
+  // Prune messages and episodes past the retention policy
+  scheduleRetention();
+}
+
+// Define main function to start the server
+async function main() {
+  try {
+    // Initialize the database
+    await initializeDatabase();
+    log('Database initialization completed');
+    
+    // Resolve the embedding provider early so configuration errors show up at startup
+    try {
+      getEmbeddingProvider();
+    } catch (providerError) {
+      log(`Embedding provider configuration error: ${providerError.message}`, "error");
+    }
+    
+    // Load the encryption keys early too; until they load, storing memories fails
+    try {
+      getEncryptionKeys();
+    } catch (keyError) {
+      log(`Encryption key configuration error: ${keyError.message}`, "error");
+    }
+    
+    // Create the server with metadata following the brave.ts pattern
+    const server = new Server(
+      {
+        name: "cursor10x-mcp",
+        version: "1.0.0",
+      },
+      {
+        capabilities: {
+          tools: {},
+        },
+      }
+    );
+    
+    // Define the tools handler - returns list of available tools
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      // Return all memory tools
+      return {
+        tools: Object.values(MEMORY_TOOLS).map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          inputSchema: tool.inputSchema
+        }))
+      };
+    });
+    
+    // Define the call handler - executes the tools
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      try {
+        const { name, arguments: args } = request.params;
+        
+        // Some tools don't require arguments
+        const noArgsTools = [
+          MEMORY_TOOLS.BANNER.name,
+          MEMORY_TOOLS.HEALTH.name,
+          MEMORY_TOOLS.GET_COMPREHENSIVE_CONTEXT.name,
+          MEMORY_TOOLS.GET_MEMORY_STATS.name,
+          MEMORY_TOOLS.REEMBED_MEMORY.name,
+          MEMORY_TOOLS.GET_MIGRATION_STATUS.name,
+          MEMORY_TOOLS.SYNC_MEMORY.name,
+          MEMORY_TOOLS.PRUNE_MEMORY.name,
+          MEMORY_TOOLS.EXPORT_DECISIONS.name,
+          MEMORY_TOOLS.GET_TRACEABILITY.name
+        ];
+        
+        if (!args && !noArgsTools.includes(name)) {
+          throw new Error("No arguments provided");
+        }
+        
+        // Memories are read from and written to this project
+        const project = resolveProject(args);
+
+        switch (name) {
+          case MEMORY_TOOLS.BANNER.name: {
+            // Generate banner with memory system stats
+            try {
+              let memoryCount = 0;
+              let lastAccessed = 'Never';
+              let systemStatus = 'Active';
+              let mode = '';
+              
+              // Count all items
+              const messageCnt = await db.prepare('SELECT COUNT(*) as count FROM messages WHERE project_id = ?').get(project);
+              const milestoneCnt = await db.prepare('SELECT COUNT(*) as count FROM milestones WHERE project_id = ?').get(project);
+              const decisionCnt = await db.prepare('SELECT COUNT(*) as count FROM decisions WHERE project_id = ?').get(project);
+              const requirementCnt = await db.prepare('SELECT COUNT(*) as count FROM requirements WHERE project_id = ?').get(project);
+              const episodeCnt = await db.prepare('SELECT COUNT(*) as count FROM episodes WHERE project_id = ?').get(project);
+              
+              memoryCount = (messageCnt?.count || 0) + 
+                            (milestoneCnt?.count || 0) + 
+                            (decisionCnt?.count || 0) + 
+                            (requirementCnt?.count || 0) + 
+                            (episodeCnt?.count || 0);
+              
+              mode = useInMemory ? 'in-memory' : 'turso';
+              
+              // Get most recent timestamp across all tables
+              const lastMsgTime = await db.prepare('SELECT MAX(created_at) as timestamp FROM messages WHERE project_id = ?').get(project);
+              const lastEpisodeTime = await db.prepare('SELECT MAX(timestamp) as timestamp FROM episodes WHERE project_id = ?').get(project);
+              
+              const timestamps = [
+                lastMsgTime?.timestamp,
+                lastEpisodeTime?.timestamp
+              ].filter(Boolean);
+              
+              if (timestamps.length > 0) {
+                lastAccessed = formatTimestamp(Math.max(...timestamps));
+              }
+              
+              // Create formatted banner
+              const banner = [
+                `🧠 Memory System: ${systemStatus}`,
+                `🗂️ Total Memories: ${memoryCount}`,
+                `🕚 Latest Memory: ${lastAccessed}`
+              ].join('\n');
+              
+              // Also include the data for backward compatibility
+              const result = {
+                status: 'ok',
+                formatted_banner: banner,
+                memory_system: systemStatus.toLowerCase(),
+                mode,
+                project,
+                memory_count: memoryCount,
+                last_accessed: lastAccessed
+              };
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify(result) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error generating banner: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ 
+                  status: 'error', 
+                  error: error.message,
+                  formatted_banner: "🧠 Memory System: Issue\n🗂️ Total Memories: Unknown\n🕚 Latest Memory: Unknown" 
+                }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.HEALTH.name: {
+            // Check health of memory system
+            let result;
+            const connection = db.getConnectionStatus ? db.getConnectionStatus() : { state: 'connected' };
+            
+            // Nothing can be counted while the database is unreachable
+            if (connection.state === 'offline') {
+              result = {
+                status: 'offline',
+                mode: 'turso',
+                database_backend: db.backend,
+                connection,
+                project,
+                current_directory: process.cwd(),
+                timestamp: new Date().toISOString()
+              };
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify(result) }],
+                isError: false
+              };
+            }
+            
+            // Test database connection
+            const testResult = await db.prepare('SELECT 1 as test').get();
+            
+            result = {
+              status: connection.state === 'connected' ? 'ok' : connection.state,
+              mode: useInMemory ? 'in-memory' : 'turso',
+              database_backend: db.backend,
+              connection,
+              project,
+              message_count: (await db.prepare('SELECT COUNT(*) as count FROM messages WHERE project_id = ?').get(project))?.count || 0,
+              active_files_count: (await db.prepare('SELECT COUNT(*) as count FROM active_files WHERE project_id = ?').get(project))?.count || 0,
+              current_directory: process.cwd(),
+              timestamp: new Date().toISOString()
+            };
+            
+            // Report which embedding provider backs semantic search
+            try {
+              const provider = getEmbeddingProvider();
+              result.embedding_provider = {
+                name: provider.name,
+                model: provider.model,
+                dimensions: provider.dimensions
+              };
+            } catch (providerError) {
+              result.embedding_provider = { error: providerError.message };
+            }
+            
+            // Report whether memory content is encrypted, and with which key
+            try {
+              const keys = getEncryptionKeys();
+              result.encryption = keys
+                ? { enabled: true, current_key: keys[0].id, previous_keys: keys.length - 1 }
+                : { enabled: false };
+            } catch (keyError) {
+              result.encryption = { enabled: true, error: keyError.message };
+            }
+            
+            // Report records still waiting for their embeddings
+            try {
+              result.embedding_jobs = await getEmbeddingJobStatus();
+            } catch (jobError) {
+              result.embedding_jobs = { error: jobError.message };
+            }
+            
+            // Report when an embedded replica last caught up with the remote database
+            const replicaSyncStatus = getReplicaSyncStatus();
+            if (replicaSyncStatus) {
+              result.replica_sync = replicaSyncStatus;
+            }
+            
+            // Report how top-k vector queries are answered
+            result.vector_search = {
+              database_ann: vectorTopKSupport === true,
+              in_process_ann: annIndex ? { vectors: annIndex.size, model: annIndex.modelId } : null
+            };
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify(result) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.INIT_CONVERSATION.name: {
+            // Store user message, generate banner, and retrieve context
+            const { content, importance = 'low', metadata = null } = args;
+            const now = Date.now();
+            
+            try {
+              // Store user message
+              // Store the message together with the job that embeds it
+              await db.transaction(async (tx) => {
+                const result = await tx.prepare(`
+                  INSERT INTO messages (role, content, created_at, importance, metadata, project_id)
+                  VALUES ('user', ?, ?, ?, ?, ?)
+                `).run(encryptField(content), now, importance, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+                
+                await enqueueEmbeddingJob(tx, 'messages', result.lastInsertRowid);
+              });
+              
+              // Embed in the background after the response
+              scheduleEmbeddingJobs();
+              
+              log(`Stored user message: "${content.substring(0, 30)}..." with importance: ${importance}`);
+
+              // Check if query is code-related and trigger background indexing if needed
+              if (isCodeRelatedQuery(content)) {
+                log(`Detected code-related query: "${content.substring(0, 30)}..."`);
+                
+                // Trigger background indexing process
+                // We use setTimeout to ensure this doesn't block the main flow
+                setTimeout(() => {
+                  triggerCodeIndexing(content, project)
+                    .catch(error => log(`Error triggering code indexing: ${error.message}`, "error"));
+                }, 0);
+              }
+              
+              // Generate banner data
+              let memoryCount = 0;
+              let lastAccessed = formatTimestamp(now); // Use current message time as default
+              let systemStatus = 'Active';
+              let mode = '';
+              
+              // Count all items
+              const messageCnt = await db.prepare('SELECT COUNT(*) as count FROM messages WHERE project_id = ?').get(project);
+              const milestoneCnt = await db.prepare('SELECT COUNT(*) as count FROM milestones WHERE project_id = ?').get(project);
+              const decisionCnt = await db.prepare('SELECT COUNT(*) as count FROM decisions WHERE project_id = ?').get(project);
+              const requirementCnt = await db.prepare('SELECT COUNT(*) as count FROM requirements WHERE project_id = ?').get(project);
+              const episodeCnt = await db.prepare('SELECT COUNT(*) as count FROM episodes WHERE project_id = ?').get(project);
+              
+              memoryCount = (messageCnt?.count || 0) + 
+                            (milestoneCnt?.count || 0) + 
+                            (decisionCnt?.count || 0) + 
+                            (requirementCnt?.count || 0) + 
+                            (episodeCnt?.count || 0);
+              
+              mode = useInMemory ? 'in-memory' : 'turso';
+              
+              // Create formatted banner
+              const formattedBanner = [
+                `🧠 Memory System: ${systemStatus}`,
+                `🗂️ Total Memories: ${memoryCount}`,
+                `🕚 Latest Memory: ${lastAccessed}`
+              ].join('\n');
+              
+              // Create banner object for backward compatibility
+              const bannerResult = {
+                status: 'ok',
+                formatted_banner: formattedBanner,
+                memory_system: systemStatus.toLowerCase(),
+                mode,
+                project,
+                memory_count: memoryCount,
+                last_accessed: lastAccessed
+              };
+              
+              // Retrieve FULL context instead of semantic-filtered context
+              const contextResult = await getFullContext(project);
+              
+              // Format the response with clear separation between banner and context
+              return {
+                content: [{ 
+                  type: "text", 
+                  text: JSON.stringify({ 
+                    status: 'ok', 
+                    display: {
+                      banner: bannerResult
+                    },
+                    internal: {
+                      context: contextResult,
+                      messageStored: true,
+                      timestamp: now
+                    }
+                  }) 
+                }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in initConversation: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ 
+                  status: 'error', 
+                  error: error.message,
+                  display: {
+                    banner: {
+                      formatted_banner: "🧠 Memory System: Issue\n🗂️ Total Memories: Unknown\n🕚 Latest Memory: Unknown"
+                    }
+                  }
+                }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.STORE_USER_MESSAGE.name: {
+            // Store user message
+            const { content, importance = 'low', metadata = null } = args;
+            const now = Date.now();
+            let messageId; // Moved declaration here to fix scoping
+            
+            try {
+              // Insert message into database, together with the job that embeds it
+              let jobId;
+              await db.transaction(async (tx) => {
+                const result = await tx.prepare(`
+                  INSERT INTO messages (role, content, created_at, importance, metadata, project_id)
+                  VALUES ('user', ?, ?, ?, ?, ?)
+                `).run(encryptField(content), now, importance, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+                
+                messageId = result.lastInsertRowid;
+                jobId = await enqueueEmbeddingJob(tx, 'messages', messageId);
+              });
+              
+              // Embed right away so the message is searchable on return; a failed
+              // attempt stays queued and is retried in the background
+              log(`VECTOR DEBUG: Starting vector generation for user message ID ${messageId}`, "info");
+              if (await runEmbeddingJob(jobId)) {
+                log(`VECTOR SUCCESS: Generated and stored embedding for user message ID ${messageId}`, "info");
+              }
+            } catch (error) {
+              log(`Error storing user message: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+            
+            log(`Stored user message: "${content.substring(0, 30)}..." with importance: ${importance}`);
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', messageId, timestamp: now }) }],
+              isError: false
+            };
+          }
+
+          case MEMORY_TOOLS.TRACK_ACTIVE_FILE.name: {
+            // Track an active file
+            const { filename, action, metadata = null } = args;
+            const now = Date.now();
+            
+            try {
+              await db.batch([
+                // Upsert active file
+                {
+                  sql: `
+                    INSERT INTO active_files (filename, last_accessed, metadata, project_id)
+                    VALUES (?, ?, ?, ?)
+                    ON CONFLICT(project_id, filename) DO UPDATE SET
+                      last_accessed = excluded.last_accessed,
+                      metadata = excluded.metadata
+                  `,
+                  params: [filename, now, encryptField(metadata ? JSON.stringify(metadata) : null), project]
+                },
+                // Record file action in episodes
+                {
+                  sql: `
+                    INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+                    VALUES ('user', ?, ?, ?, 'low', 'file-tracking', NULL, ?)
+                  `,
+                  params: [action, encryptField(filename), now, project]
+                }
+              ]);
+              
+              // Start code indexing process in the background if this is a code file
+              // Don't block the main operation - run this asynchronously
+              setTimeout(async () => {
+                try {
+                  await indexCodeFile(filename, action, project);
+                } catch (indexError) {
+                  log(`Background code indexing error for ${filename}: ${indexError.message}`, "error");
+                }
+              }, 0);
+              
+              log(`Tracked file: ${filename} with action: ${action}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', filename, action, timestamp: now }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error tracking file ${filename}: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.GET_RECENT_MESSAGES.name: {
+            // Get recent messages
+            const { limit = 10, importance = null } = args || {};
+            
+            let messages;
+            let query = `
+              SELECT id, role, content, created_at, importance, metadata
+              FROM messages
+              WHERE project_id = ?
+              ORDER BY created_at DESC
+              LIMIT ?
+            `;
+            let params = [project, limit];
+            
+            if (importance) {
+              query = `
+                SELECT id, role, content, created_at, importance, metadata
+                FROM messages
+                WHERE project_id = ? AND importance = ?
+                ORDER BY created_at DESC
+                LIMIT ?
+              `;
+              params = [project, importance, limit];
+            }
+            
+            const rows = await db.prepare(query).all(...params);
+            messages = rows.map(msg => ({
+              ...msg,
+              metadata: msg.metadata ? JSON.parse(msg.metadata) : null,
+              created_at: new Date(msg.created_at).toISOString()
+            }));
+
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', messages }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.GET_ACTIVE_FILES.name: {
+            // Get active files
+            const { limit = 10 } = args || {};
+            
+            let files;
+            const rows = await db.prepare(`
+              SELECT id, filename, last_accessed, metadata
+              FROM active_files
+              WHERE project_id = ?
+              ORDER BY last_accessed DESC
+              LIMIT ?
+            `).all(project, limit);
+            
+            files = rows.map(file => ({
+              ...file,
+              metadata: file.metadata ? JSON.parse(file.metadata) : null,
+              last_accessed: new Date(file.last_accessed).toISOString()
+            }));
+
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', files }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.STORE_MILESTONE.name: {
+            // Store a milestone
+            const { title, description, importance = 'medium', metadata = null } = args;
+            const now = Date.now();
+
+            const { id, jobId } = await db.transaction(async (tx) => {
+              const result = await tx.prepare(`
+                INSERT INTO milestones (title, description, importance, created_at, metadata, project_id)
+                VALUES (?, ?, ?, ?, ?, ?)
+              `).run(title, encryptField(description), importance, now, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+              
+              // Record milestone in episodes
+              await tx.prepare(`
+                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+                VALUES ('system', 'milestone_created', ?, ?, ?, 'milestone-tracking', NULL, ?)
+              `).run(encryptField(title), now, importance, project);
+              
+              return { id: Number(result.lastInsertRowid), jobId: await enqueueEmbeddingJob(tx, 'milestones', result.lastInsertRowid) };
+            });
+            
+            // Embed the milestone; a failed attempt is retried in the background
+            await runEmbeddingJob(jobId);
+            
+            log(`Stored milestone: "${title}" with importance: ${importance}`);
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', id, title, timestamp: now }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.STORE_DECISION.name: {
+            // Store a decision
+            const { title, content, reasoning = null, importance = 'medium', status = 'accepted', supersedes = null, metadata = null } = args;
+            const now = Date.now();
+            validateMemoryStatus('decision', status);
+
+            const { id, jobId } = await db.transaction(async (tx) => {
+              const result = await tx.prepare(`
+                INSERT INTO decisions (title, content, reasoning, importance, status, supersedes, created_at, metadata, project_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+              `).run(title, encryptField(content), encryptField(reasoning), importance, status, supersedes, now, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+              
+              // The decision replaced is marked superseded
+              if (supersedes !== null) {
+                await supersedeDecision(tx, Number(result.lastInsertRowid), supersedes, project);
+              }
+              
+              // Record decision in episodes
+              await tx.prepare(`
+                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+                VALUES ('system', 'decision_made', ?, ?, ?, 'decision-tracking', NULL, ?)
+              `).run(encryptField(title), now, importance, project);
+              
+              return { id: Number(result.lastInsertRowid), jobId: await enqueueEmbeddingJob(tx, 'decisions', result.lastInsertRowid) };
+            });
+            
+            // Embed the decision, in chunks if it is long; a failed attempt is retried in the background
+            await runEmbeddingJob(jobId);
+            
+            log(`Stored decision: "${title}" with importance: ${importance}`);
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', id, title, timestamp: now }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.STORE_REQUIREMENT.name: {
+            // Store a requirement
+            const { title, content, importance = 'medium', status = 'open', acceptanceCriteria = [], metadata = null } = args;
+            const now = Date.now();
+            validateMemoryStatus('requirement', status);
+
+            const { id, criteria, jobId } = await db.transaction(async (tx) => {
+              const result = await tx.prepare(`
+                INSERT INTO requirements (title, content, importance, status, created_at, metadata, project_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+              `).run(title, encryptField(content), importance, status, now, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+              const requirementId = Number(result.lastInsertRowid);
+              
+              // Record requirement in episodes
+              await tx.prepare(`
+                INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+                VALUES ('system', 'requirement_added', ?, ?, ?, 'requirement-tracking', NULL, ?)
+              `).run(encryptField(title), now, importance, project);
+              
+              return {
+                id: requirementId,
+                criteria: await addAcceptanceCriteria(tx, requirementId, acceptanceCriteria, project, true),
+                jobId: await enqueueEmbeddingJob(tx, 'requirements', requirementId)
+              };
+            });
+            
+            // Embed the requirement; a failed attempt is retried in the background
+            await runEmbeddingJob(jobId);
+            
+            log(`Stored requirement: "${title}" with importance: ${importance}`);
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', id, title, acceptance_criteria: criteria, timestamp: now }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.UPDATE_MEMORY.name: {
+            // Change a long-term memory and keep its previous values
+            try {
+              const { type, id, title, description, content, reasoning, importance, status, supersedes, metadata } = args;
+              
+              const updated = await updateMemory({
+                type,
+                id,
+                changes: { title, description, content, reasoning, importance, status, supersedes, metadata },
+                project
+              });
+              
+              log(`Updated ${type} ${id}: ${updated.changed.length > 0 ? updated.changed.join(', ') : 'no changes'}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...updated }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in updateMemory tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.DELETE_MEMORY.name: {
+            // Delete a long-term memory, its history keeps the deleted values
+            try {
+              const { type, id } = args;
+              
+              const deleted = await deleteMemory({ type, id, project });
+              
+              log(`Deleted ${type} ${id}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...deleted }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in deleteMemory tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.EXPORT_DECISIONS.name: {
+            // Write the decisions of the project as ADR files
+            try {
+              const { directory } = args || {};
+              
+              const exported = await exportDecisions({ directory, project });
+              
+              log(`Exported ${exported.count} decisions to ${exported.directory}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...exported }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in exportDecisions tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.GET_HISTORY.name: {
+            // Show the revisions of a long-term memory
+            try {
+              const { type, id } = args;
+              
+              const history = await getMemoryHistory({ type, id, project });
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...history }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in getHistory tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.MANAGE_REQUIREMENT.name: {
+            // Change the acceptance criteria or links of a requirement
+            try {
+              const { operation, requirementId, criterion, criterionId, done, targetType, targetId } = args;
+              
+              const result = await manageRequirement({ operation, requirementId, criterion, criterionId, done, targetType, targetId, project });
+              
+              log(`Requirement ${requirementId}: ${operation}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...result }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in manageRequirement tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.GET_TRACEABILITY.name: {
+            // Report how requirements are covered by milestones, decisions and code
+            try {
+              const { requirementId = null, status = null } = args || {};
+              
+              const report = await getTraceability({ requirementId, status, project });
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...report }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in getTraceability tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.ADD_RELATION.name: {
+            // Relate two memories
+            try {
+              const { sourceType, sourceId, relation, targetType, targetId, weight } = args;
+              
+              const added = await addRelation({ sourceType, sourceId, relation, targetType, targetId, weight, project });
+              
+              log(`${added.created ? 'Added' : 'Updated'} relation: ${sourceType} ${sourceId} ${relation} ${targetType} ${targetId}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...added }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in addRelation tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.REMOVE_RELATION.name: {
+            // Remove relations between memories
+            try {
+              const { id, sourceType, sourceId, relation, targetType, targetId } = args;
+              
+              const result = await removeRelation({ id, sourceType, sourceId, relation, targetType, targetId, project });
+              
+              log(`Removed ${result.removed} relation(s)`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...result }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in removeRelation tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.TRAVERSE_RELATIONS.name: {
+            // Follow the relations of a memory
+            try {
+              const { type, id, relations = null, direction = 'both', depth = 1, limit = 20 } = args;
+              
+              const result = await traverseRelations({ type, id, relations, direction, depth, limit, project });
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...result }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in traverseRelations tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.RECORD_EPISODE.name: {
+            // Record an episode
+            const { actor, action, content, importance = 'low', context = null } = args;
+            const now = Date.now();
+
+            await db.prepare(`
+              INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+              VALUES (?, ?, ?, ?, ?, ?, NULL, ?)
+            `).run(actor, action, encryptField(content), now, importance, context, project);
+            
+            log(`Recorded episode: ${actor} ${action} with importance: ${importance}`);
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', actor, action, timestamp: now }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.GET_RECENT_EPISODES.name: {
+            // Get recent episodes
+            const { limit = 10, context = null } = args || {};
+            
+            let episodes;
+            let query = `
+              SELECT id, actor, action, content, timestamp, importance, context, metadata
+              FROM episodes
+              WHERE project_id = ?
+              ORDER BY timestamp DESC
+              LIMIT ?
+            `;
+            let params = [project, limit];
+            
+            if (context) {
+              query = `
+                SELECT id, actor, action, content, timestamp, importance, context, metadata
+                FROM episodes
+                WHERE project_id = ? AND context = ?
+                ORDER BY timestamp DESC
+                LIMIT ?
+              `;
+              params = [project, context, limit];
+            }
+            
+            const rows = await db.prepare(query).all(...params);
+            episodes = rows.map(ep => ({
+              ...ep,
+              metadata: ep.metadata ? JSON.parse(ep.metadata) : null,
+              timestamp: new Date(ep.timestamp).toISOString()
+            }));
+
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'ok', episodes }) }],
+              isError: false
+            };
+          }
+          
+          case MEMORY_TOOLS.GET_COMPREHENSIVE_CONTEXT.name: {
+            // Get comprehensive context from all memory subsystems
+            try {
+              // Check if a query parameter is provided for semantic search
+              const { query = null, mmrLambda = null, includeSuperseded = false, includeLinked = true } = args || {};
+              const context = await getComprehensiveContext(query, { mmrLambda, includeSuperseded, includeLinked, project });
+
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', context }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error getting comprehensive context: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.GET_MEMORY_STATS.name: {
+            // Get memory system statistics
+            try {
+              let stats;
+              // Count items in each table
+              const messageCount = await db.prepare('SELECT COUNT(*) as count FROM messages WHERE project_id = ?').get(project);
+              const fileCount = await db.prepare('SELECT COUNT(*) as count FROM active_files WHERE project_id = ?').get(project);
+              const milestoneCount = await db.prepare('SELECT COUNT(*) as count FROM milestones WHERE project_id = ?').get(project);
+              const decisionCount = await db.prepare('SELECT COUNT(*) as count FROM decisions WHERE project_id = ?').get(project);
+              const requirementCount = await db.prepare('SELECT COUNT(*) as count FROM requirements WHERE project_id = ?').get(project);
+              const episodeCount = await db.prepare('SELECT COUNT(*) as count FROM episodes WHERE project_id = ?').get(project);
+              
+              // Get oldest and newest timestamps
+              const oldestMessage = await db.prepare('SELECT MIN(created_at) as timestamp FROM messages WHERE project_id = ?').get(project);
+              const newestMessage = await db.prepare('SELECT MAX(created_at) as timestamp FROM messages WHERE project_id = ?').get(project);
+              
+              stats = {
+                project,
+                message_count: messageCount?.count || 0,
+                active_file_count: fileCount?.count || 0,
+                milestone_count: milestoneCount?.count || 0,
+                decision_count: decisionCount?.count || 0,
+                requirement_count: requirementCount?.count || 0,
+                episode_count: episodeCount?.count || 0,
+                oldest_memory: oldestMessage?.timestamp 
+                  ? new Date(oldestMessage.timestamp).toISOString() 
+                  : null,
+                newest_memory: newestMessage?.timestamp 
+                  ? new Date(newestMessage.timestamp).toISOString() 
+                  : null,
+                embedding_cache: await getEmbeddingCacheStats()
+              };
+
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', stats }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error getting memory stats: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.END_CONVERSATION.name: {
+            // Handle ending a conversation with multiple operations
+            try {
+              const { 
+                content, 
+                milestone_title, 
+                milestone_description, 
+                importance = 'medium', 
+                metadata = null 
+              } = args;
+              
+              const now = Date.now();
+              
+              // The message, milestone, episode and embedding job are stored together or not at all
+              await db.transaction(async (tx) => {
+                // 1. Store assistant message
+                const messageResult = await tx.prepare(`
+                  INSERT INTO messages (role, content, created_at, importance, metadata, project_id)
+                  VALUES ('assistant', ?, ?, ?, ?, ?)
+                `).run(encryptField(content), now, importance, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+                
+                await enqueueEmbeddingJob(tx, 'messages', messageResult.lastInsertRowid);
+                
+                // 2. Store milestone
+                await tx.prepare(`
+                  INSERT INTO milestones (title, description, created_at, importance, metadata, project_id)
+                  VALUES (?, ?, ?, ?, ?, ?)
+                `).run(milestone_title, encryptField(milestone_description), now, importance, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+                
+                // 3. Record episode, in the same format as other tools (recordEpisode, storeMilestone, etc.)
+                await tx.prepare(`
+                  INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+                  VALUES ('assistant', 'completion', ?, ?, ?, 'conversation', ?, ?)
+                `).run(encryptField(`Completed: ${milestone_title}`), now, importance, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+              });
+              
+              // Embed the message and any code blocks it contains in the background
+              scheduleEmbeddingJobs();
+              
+              log(`Stored assistant message: "${content.substring(0, 30)}..." with importance: ${importance}`);
+              log(`Stored milestone: "${milestone_title}" with importance: ${importance}`);
+              log(`Recorded episode: "Completed: ${milestone_title}" with importance: ${importance}`);
+              
+              // Return success response with timestamps
+              return {
+                content: [{ 
+                  type: "text", 
                   text: JSON.stringify({ 
                     status: 'ok', 
                     results: {
@@ -2992,16 +6383,12 @@ async function main() {
           case MEMORY_TOOLS.MANAGE_VECTOR.name: {
             // Handle vector management operations
             try {
-              const { operation, contentId, contentType, vector, metadata = null, vectorId, limit = 10, threshold = 0.7 } = args;
+              const { operation, contentId, contentType, vector, query = null, metadata = null, vectorId, limit = 10, threshold = 0.7 } = args;
               
               if (!operation) {
                 throw new Error("Operation is required for manageVector tool");
               }
               
-              if (useInMemory) {
-                throw new Error("Vector operations not supported in in-memory mode");
-              }
-              
               log(`Vector operation requested: ${operation}`);
               
               switch (operation) {
@@ -3020,7 +6407,7 @@ async function main() {
                   }
                   
                   // Store the vector
-                  const result = await storeEmbedding(contentId, contentType, vectorArray, metadata);
+                  const result = await storeEmbedding(contentId, contentType, vectorArray, metadata, null, null, project);
                   log(`Stored vector for ${contentType} with ID ${contentId}`);
                   
                   return {
@@ -3040,20 +6427,28 @@ async function main() {
                 
                 case "search": {
                   // Validate parameters
-                  if (!vector) {
-                    throw new Error("Vector is required for search operation");
+                  if (!vector && !query) {
+                    throw new Error("Vector or query is required for search operation");
                   }
                   
                   // Convert array to Float32Array for the query
-                  let queryVector;
-                  if (Array.isArray(vector)) {
-                    queryVector = new Float32Array(vector);
+                  let queryVector = null;
+                  if (vector) {
+                    if (Array.isArray(vector)) {
+                      queryVector = new Float32Array(vector);
+                    } else {
+                      throw new Error("Vector must be provided as an array");
+                    }
                   } else {
-                    throw new Error("Vector must be provided as an array");
+                    try {
+                      queryVector = await createEmbedding(query);
+                    } catch (embeddingError) {
+                      log(`Could not embed search query, using full-text matching only: ${embeddingError.message}`, "error");
+                    }
                   }
                   
-                  // Perform the search
-                  const similarVectors = await findSimilarVectors(queryVector, contentType, limit, threshold);
+                  // Perform the hybrid search (vector similarity fused with full-text ranking)
+                  const similarVectors = await hybridSearch(query, queryVector, contentType ? [contentType] : null, limit, threshold, project);
                   log(`Found ${similarVectors.length} similar vectors for ${contentType || 'all content types'}`);
                   
                   return {
@@ -3082,8 +6477,8 @@ async function main() {
                   
                   // Check if vector exists
                   const existingVector = await db.prepare(`
-                    SELECT id, content_id, content_type FROM vectors WHERE id = ?
-                  `).get(vectorId);
+                    SELECT id, content_id, content_type, model_id FROM vectors WHERE id = ? AND project_id = ?
+                  `).get(vectorId, project);
                   
                   if (!existingVector) {
                     throw new Error(`Vector with ID ${vectorId} not found`);
@@ -3104,6 +6499,7 @@ async function main() {
                     vectorId
                   );
                   
+                  addToAnnIndex(vectorId, existingVector.content_id, existingVector.content_type, vectorArray, existingVector.model_id, project);
                   log(`Updated vector with ID ${vectorId}`);
                   
                   return {
@@ -3130,8 +6526,8 @@ async function main() {
                   
                   // Check if vector exists
                   const existingVector = await db.prepare(`
-                    SELECT id FROM vectors WHERE id = ?
-                  `).get(vectorId);
+                    SELECT id FROM vectors WHERE id = ? AND project_id = ?
+                  `).get(vectorId, project);
                   
                   if (!existingVector) {
                     throw new Error(`Vector with ID ${vectorId} not found`);
@@ -3142,1339 +6538,4822 @@ async function main() {
                     DELETE FROM vectors WHERE id = ?
                   `).run(vectorId);
                   
+                  if (annIndex && annIndex.remove(Number(vectorId))) {
+                    scheduleAnnIndexSave();
+                  }
+                  
                   log(`Deleted vector with ID ${vectorId}`);
                   
-                  return {
-                    content: [{ type: "text", text: JSON.stringify({ 
-                      status: 'ok', 
-                      operation: 'delete',
-                      result: {
-                        vectorId,
-                        deleted: true,
-                        timestamp: Date.now()
-                      }
-                    }) }],
-                    isError: false
-                  };
+                  return {
+                    content: [{ type: "text", text: JSON.stringify({ 
+                      status: 'ok', 
+                      operation: 'delete',
+                      result: {
+                        vectorId,
+                        deleted: true,
+                        timestamp: Date.now()
+                      }
+                    }) }],
+                    isError: false
+                  };
+                }
+                
+                case "test": {
+                  // This is a new operation to test vector creation and storage
+                  log("VECTOR TEST: Running vector creation and storage test", "info");
+                  
+                  // Check database connection
+                  if (!db) {
+                    throw new Error("Database not initialized");
+                  }
+                  
+                  try {
+                    // Create a test vector
+                    const testContent = "This is a test vector for troubleshooting";
+                    const testVector = await createEmbedding(testContent);
+                    
+                    log(`VECTOR TEST: Created test vector with ${testVector.length} dimensions`, "info");
+                    
+                    // Generate a random test ID
+                    const testId = Date.now();
+                    
+                    // Store the test vector
+                    const result = await storeEmbedding(testId, 'test_vector', testVector, {
+                      test: true,
+                      timestamp: Date.now()
+                    }, null, null, project);
+                    
+                    // Try to retrieve the vector to verify it was stored
+                    const verification = await db.prepare(`
+                      SELECT id FROM vectors 
+                      WHERE content_id = ? AND content_type = 'test_vector'
+                    `).get(testId);
+                    
+                    return {
+                      content: [{ type: "text", text: JSON.stringify({ 
+                        status: 'ok', 
+                        operation: 'test',
+                        result: {
+                          success: !!verification,
+                          vectorId: verification?.id,
+                          testId: testId,
+                          dimensions: testVector.length,
+                          timestamp: Date.now()
+                        }
+                      }) }],
+                      isError: false
+                    };
+                  } catch (testError) {
+                    log(`VECTOR TEST ERROR: ${testError.message}`, "error");
+                    throw testError;
+                  }
+                }
+                
+                default:
+                  throw new Error(`Unknown operation: ${operation}. Supported operations are: store, search, update, delete`);
+              }
+            } catch (error) {
+              log(`Error in manageVector tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ 
+                  status: 'error', 
+                  error: error.message 
+                }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.STORE_ASSISTANT_MESSAGE.name: {
+            // Store assistant message
+            const { content, importance = 'low', metadata = null } = args;
+            const now = Date.now();
+            let messageId;
+            
+            try {
+              // Insert message into database, together with the job that embeds it
+              let jobId;
+              await db.transaction(async (tx) => {
+                const result = await tx.prepare(`
+                  INSERT INTO messages (role, content, created_at, importance, metadata, project_id)
+                  VALUES ('assistant', ?, ?, ?, ?, ?)
+                `).run(encryptField(content), now, importance, encryptField(metadata ? JSON.stringify(metadata) : null), project);
+                
+                messageId = result.lastInsertRowid;
+                jobId = await enqueueEmbeddingJob(tx, 'messages', messageId);
+              });
+              
+              // Embed the message and any code blocks it contains right away; a failed
+              // attempt stays queued and is retried in the background
+              log(`VECTOR DEBUG: Starting vector generation for assistant message ID ${messageId}`, "info");
+              if (await runEmbeddingJob(jobId)) {
+                log(`VECTOR SUCCESS: Generated and stored embeddings for assistant message ID ${messageId}`, "info");
+              }
+              
+              log(`Stored assistant message: "${content.substring(0, 30)}..." with importance: ${importance}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', messageId, timestamp: now }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error storing assistant message: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.SEARCH_MEMORY.name: {
+            // Search memory and return the matching records
+            try {
+              const page = await searchMemory({ ...args, project });
+              log(`searchMemory found ${page.total} results for "${args.query}"`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', query: args.query, ...page }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in searchMemory: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.FIND_RELATED.name: {
+            // Find memories similar to a stored memory
+            try {
+              const related = await findRelated({ ...args, project });
+              log(`findRelated found ${related.results.length} memories related to ${args.type} ${args.id}`);
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', ...related }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in findRelated: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.DIAGNOSE_VECTORS.name: {
+            try {
+              log("Running vector storage diagnostics", "info");
+              const diagnosticResults = await diagnoseVectorStorage();
+              
+              return {
+                content: [{ 
+                  type: "text", 
+                  text: JSON.stringify({ 
+                    status: 'ok', 
+                    diagnostics: diagnosticResults
+                  }) 
+                }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in vector diagnostics: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.REEMBED_MEMORY.name: {
+            // Manage the background re-embedding job
+            try {
+              const { operation = 'status', force = false } = args || {};
+              
+              switch (operation) {
+                case "status":
+                  break;
+                  
+                case "start": {
+                  const job = await queueReembedJob(force);
+                  log(`Re-embedding job ${job.id} started for model ${job.model_id}`);
+                  break;
                 }
                 
-                case "test": {
-                  // This is a new operation to test vector creation and storage
-                  log("VECTOR TEST: Running vector creation and storage test", "info");
-                  
-                  // Check database connection
-                  if (!db) {
-                    throw new Error("Database not initialized");
-                  }
-                  
-                  try {
-                    // Create a test vector
-                    const testContent = "This is a test vector for troubleshooting";
-                    const testVector = await createEmbedding(testContent);
-                    
-                    log(`VECTOR TEST: Created test vector with ${testVector.length} dimensions`, "info");
-                    
-                    // Generate a random test ID
-                    const testId = Date.now();
-                    
-                    // Store the test vector
-                    const result = await storeEmbedding(testId, 'test_vector', testVector, {
-                      test: true,
-                      timestamp: Date.now()
-                    });
-                    
-                    // Try to retrieve the vector to verify it was stored
-                    const verification = await db.prepare(`
-                      SELECT id FROM vectors 
-                      WHERE content_id = ? AND content_type = 'test_vector'
-                    `).get(testId);
-                    
-                    return {
-                      content: [{ type: "text", text: JSON.stringify({ 
-                        status: 'ok', 
-                        operation: 'test',
-                        result: {
-                          success: !!verification,
-                          vectorId: verification?.id,
-                          testId: testId,
-                          dimensions: testVector.length,
-                          timestamp: Date.now()
-                        }
-                      }) }],
-                      isError: false
-                    };
-                  } catch (testError) {
-                    log(`VECTOR TEST ERROR: ${testError.message}`, "error");
-                    throw testError;
-                  }
+                case "cancel": {
+                  const result = await db.prepare(`
+                    UPDATE reembed_jobs
+                    SET status = 'cancelled', updated_at = ?
+                    WHERE status IN ('pending', 'running', 'failed')
+                  `).run(Date.now());
+                  log(`Cancelled ${result.changes} re-embedding job(s)`);
+                  break;
                 }
                 
                 default:
-                  throw new Error(`Unknown operation: ${operation}. Supported operations are: store, search, update, delete`);
+                  throw new Error(`Unknown operation: ${operation}. Supported operations are: status, start, cancel`);
               }
+              
+              const reembedStatus = await getReembedStatus();
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', operation, reembed: reembedStatus }) }],
+                isError: false
+              };
             } catch (error) {
-              log(`Error in manageVector tool: ${error.message}`, "error");
+              log(`Error in reembedMemory tool: ${error.message}`, "error");
               return {
-                content: [{ type: "text", text: JSON.stringify({ 
-                  status: 'error', 
-                  error: error.message 
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.GET_MIGRATION_STATUS.name: {
+            // Report schema migrations, optionally with the SQL still to run
+            try {
+              const { dryRun = false } = args || {};
+              
+              const migrations = await getMigrationStatus({ dryRun });
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', migrations }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in getMigrationStatus tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.SYNC_MEMORY.name: {
+            // Sync the embedded replica now instead of waiting for the next interval
+            if (db.backend !== 'libsql-replica') {
+              return {
+                content: [{ type: "text", text: JSON.stringify({
+                  status: 'error',
+                  error: 'syncMemory requires an embedded replica, set TURSO_REPLICA_PATH to enable it'
                 }) }],
                 isError: true
               };
             }
+            
+            const synced = await syncReplica();
+            const sync = getReplicaSyncStatus();
+            
+            return {
+              content: [{ type: "text", text: JSON.stringify(synced
+                ? { status: 'ok', sync }
+                : { status: 'error', error: sync.last_error, sync }) }],
+              isError: !synced
+            };
+          }
+          
+          case MEMORY_TOOLS.PRUNE_MEMORY.name: {
+            // Report or apply the retention policy
+            try {
+              const { dryRun = true } = args || {};
+              
+              const retention = await applyRetentionPolicy({ dryRun, project });
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', retention, schedule: getRetentionStatus() }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in pruneMemory tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.EXPORT_MEMORY.name: {
+            // Write the memories of the project to a file
+            try {
+              const exported = await exportMemory({ filePath: resolveExportToolPath(args.path), decrypt: args.decrypt === true, project });
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', export: exported }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in exportMemory tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          case MEMORY_TOOLS.IMPORT_MEMORY.name: {
+            // Load memories exported from this or another database
+            try {
+              const { path: filePath, mode = 'merge' } = args;
+              
+              const imported = await importMemory({ filePath: resolveExportToolPath(filePath), mode, project });
+              
+              // Embed the records that came without vectors
+              if (imported.queued_embeddings > 0) {
+                scheduleEmbeddingJobs();
+              }
+              
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'ok', import: imported }) }],
+                isError: false
+              };
+            } catch (error) {
+              log(`Error in importMemory tool: ${error.message}`, "error");
+              return {
+                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
+                isError: true
+              };
+            }
+          }
+          
+          default:
+            return {
+              content: [{ type: "text", text: JSON.stringify({ status: 'error', error: `Unknown tool: ${name}` }) }],
+              isError: true
+            };
+        }
+      } catch (error) {
+        log(`Error executing tool: ${error.message}`, "error");
+        return {
+          content: [{ 
+            type: "text", 
+            text: JSON.stringify({
+              status: 'error',
+              error: error instanceof Error ? error.message : String(error)
+            })
+          }],
+          isError: true
+        };
+      }
+    });
+
+    // Create and connect to transport
+    log('Creating StdioServerTransport...');
+    const transport = new StdioServerTransport();
+    
+    log('Connecting server to transport...');
+    serverInstance = await server.connect(transport);
+    
+    log('Memory System MCP server started and connected to transport');
+    
+    // Register signals for graceful termination
+    process.on('SIGINT', () => {
+      log('Received SIGINT signal, shutting down...');
+      saveAnnIndex();
+      db?.close();
+      if (serverInstance) {
+        serverInstance.close();
+      }
+      process.exit(0);
+    });
+    
+    process.on('SIGTERM', () => {
+      log('Received SIGTERM signal, shutting down...');
+      saveAnnIndex();
+      db?.close();
+      if (serverInstance) {
+        serverInstance.close();
+      }
+      process.exit(0);
+    });
+    
+  } catch (error) {
+    log(`Failed to initialize server: ${error.message}`, "error");
+    process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  log(`FATAL ERROR: ${error.message}`, "error");
+  log(`Stack trace: ${error.stack}`, "error");
+  
+  if (serverInstance) {
+    try {
+      serverInstance.close();
+    } catch (closeError) {
+      log(`Error during server close: ${closeError.message}`, "error");
+    }
+  }
+  
+  process.exit(1);
+});
+
+// Start the server, or run a schema migration, encryption, export or import command
+if (process.argv[2] === 'migrate') {
+  runMigrationCli(process.argv.slice(3)).then(code => process.exit(code));
+} else if (process.argv[2] === 'encryption') {
+  runEncryptionCli(process.argv.slice(3)).then(code => process.exit(code));
+} else if (process.argv[2] === 'export' || process.argv[2] === 'import') {
+  runMemoryExportCli(process.argv[2], process.argv.slice(3)).then(code => process.exit(code));
+} else {
+  main().catch(error => {
+    log(`Fatal error during startup: ${error.message}`, "error");
+    process.exit(1);
+  });
+}
+
+/**
+ * Index a code file by extracting metadata, identifying language, and generating embeddings
+ * This function handles the code indexing process triggered by file tracking
+ * 
+ * @param {string} filePath - Path to the file to index
+ * @param {string} action - Action performed on the file (open, edit, close, etc.)
+ * @param {string} project - Project the file belongs to (default: current project)
+ * @returns {Promise<boolean>} Success status
+ */
+async function indexCodeFile(filePath, action, project = getCurrentProject()) {
+  try {
+    // Skip if database is not available or if this is a close action
+    if (!db || action === 'close') {
+      return false;
+    }
+    
+    log(`Starting code indexing for file: ${filePath}`);
+    
+    // Read the file to index
+    let fileContent;
+    try {
+      fileContent = fs.readFileSync(filePath, 'utf8');
+      if (!fileContent) {
+        throw new Error("File is empty or could not be read");
+      }
+    } catch (readError) {
+      log(`Could not read file for indexing: ${readError.message}`, "error");
+      return false;
+    }
+    
+    // Get file stats
+    const stats = fs.statSync(filePath);
+    const fileSize = stats.size;
+    
+    // Detect language based on file extension
+    const extension = path.extname(filePath).toLowerCase();
+    let language = 'text'; // Default to plain text
+    
+    // Simple language detection by extension
+    const languageMap = {
+      '.js': 'javascript',
+      '.jsx': 'javascript',
+      '.ts': 'typescript',
+      '.tsx': 'typescript',
+      '.py': 'python',
+      '.rb': 'ruby',
+      '.java': 'java',
+      '.c': 'c',
+      '.cpp': 'cpp',
+      '.h': 'c',
+      '.hpp': 'cpp',
+      '.cs': 'csharp',
+      '.go': 'go',
+      '.rs': 'rust',
+      '.php': 'php',
+      '.html': 'html',
+      '.css': 'css',
+      '.json': 'json',
+      '.md': 'markdown',
+      '.sh': 'shell',
+      '.sql': 'sql'
+    };
+    
+    if (languageMap[extension]) {
+      language = languageMap[extension];
+    }
+    
+    // Create or update entry in code_files table
+    let fileId;
+    try {
+      // Check if file already exists in database
+      const existingFile = await db.prepare(`
+        SELECT id FROM code_files WHERE project_id = ? AND file_path = ?
+      `).get(project, filePath);
+      
+      if (existingFile) {
+        // Update existing record
+        await db.prepare(`
+          UPDATE code_files
+          SET language = ?, last_indexed = ?, size = ?
+          WHERE id = ?
+        `).run(language, Date.now(), fileSize, existingFile.id);
+        fileId = existingFile.id;
+        log(`Updated indexed file: ${filePath}`);
+      } else {
+        // Insert new record
+        const result = await db.prepare(`
+          INSERT INTO code_files (file_path, language, last_indexed, size, project_id)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(filePath, language, Date.now(), fileSize, project);
+        fileId = result.lastInsertRowid;
+        log(`Added new indexed file: ${filePath}`);
+      }
+      
+      // Embed the file in line-range chunks, replacing the vectors of a previous indexing
+      await embedRecord('code_files', { id: fileId, file_path: filePath, language, size: fileSize, project_id: project, content: fileContent });
+      
+      // Extract code snippets if it's a recognized code file
+      if (language !== 'text' && language !== 'markdown') {
+        await extractCodeSnippets(filePath, fileContent, fileId, language, project);
+      }
+      
+      return true;
+    } catch (dbError) {
+      log(`Database error during file indexing: ${dbError.message}`, "error");
+      return false;
+    }
+  } catch (error) {
+    log(`Failed to index code file: ${error.message}`, "error");
+    return false;
+  }
+}
+
+/**
+ * Extract and store code snippets from a file
+ * Performs simple code structure analysis to identify functions, classes, etc.
+ * 
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @param {number} fileId - ID of the file in code_files table
+ * @param {string} language - Programming language
+ * @param {string} project - Project the file belongs to
+ * @returns {Promise<boolean>} Success status
+ */
+async function extractCodeSnippets(filePath, content, fileId, language, project) {
+  try {
+    log(`Extracting code snippets from ${filePath}`);
+    
+    // Split content into lines
+    const lines = content.split('\n');
+    
+    // Simple regex patterns for common code structures
+    // This is a very basic implementation - a real system would use proper parsers
+    const patterns = {
+      // Function detection varies by language
+      function: {
+        javascript: /^\s*(async\s+)?function\s+(\w+)\s*\(/,
+        typescript: /^\s*(async\s+)?function\s+(\w+)\s*\(/,
+        python: /^\s*def\s+(\w+)\s*\(/,
+        java: /^\s*(public|private|protected)?\s*(static)?\s*\w+\s+(\w+)\s*\(/,
+        ruby: /^\s*def\s+(\w+)/,
+        go: /^\s*func\s+(\w+)/,
+        rust: /^\s*fn\s+(\w+)/
+      },
+      // Class detection
+      class: {
+        javascript: /^\s*class\s+(\w+)/,
+        typescript: /^\s*class\s+(\w+)/,
+        python: /^\s*class\s+(\w+)/,
+        java: /^\s*(public|private|protected)?\s*class\s+(\w+)/,
+        ruby: /^\s*class\s+(\w+)/,
+        rust: /^\s*struct\s+(\w+)|impl\s+(\w+)/
+      },
+      // Variable declaration - very basic detection
+      variable: {
+        javascript: /^\s*(const|let|var)\s+(\w+)\s*=/,
+        typescript: /^\s*(const|let|var)\s+(\w+)\s*:/,
+        python: /^\s*(\w+)\s*=/,
+        java: /^\s*(private|public|protected)?\s*\w+\s+(\w+)\s*=/
+      }
+    };
+    
+    // Use appropriate patterns based on language, fallback to javascript patterns
+    const langPatterns = {
+      function: patterns.function[language] || patterns.function.javascript,
+      class: patterns.class[language] || patterns.class.javascript,
+      variable: patterns.variable[language] || patterns.variable.javascript
+    };
+    
+    // Track found snippets
+    const snippets = [];
+    
+    // Scan through lines to identify code structures
+    let currentSymbol = null;
+    let currentStart = 0;
+    let currentType = null;
+    let currentContent = '';
+    let braceCount = 0;
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      
+      // Check for function, class, or variable declarations
+      if (!currentSymbol) {
+        for (const [type, pattern] of Object.entries(langPatterns)) {
+          const match = line.match(pattern);
+          if (match) {
+            currentSymbol = match[match.length - 1];
+            currentStart = i;
+            currentType = type;
+            currentContent = line;
+            if (line.includes('{')) braceCount = 1;
+            break;
+          }
+        }
+      } else {
+        // Inside a code block
+        currentContent += '\n' + line;
+        
+        // Count braces to determine block end
+        if (line.includes('{')) braceCount++;
+        if (line.includes('}')) braceCount--;
+        
+        // Check if we've reached the end of the code block
+        const isBlockEnd = 
+          (braceCount === 0 && line.includes('}')) || // For brace languages
+          (language === 'python' && line.match(/^\S/)); // For Python (indentation)
+        
+        if (isBlockEnd || i === lines.length - 1) {
+          // Store the found snippet
+          snippets.push({
+            symbol: currentSymbol,
+            type: currentType,
+            start: currentStart,
+            end: i,
+            content: currentContent
+          });
+          
+          // Reset for next block
+          currentSymbol = null;
+          currentStart = 0;
+          currentType = null;
+          currentContent = '';
+          braceCount = 0;
+        }
+      }
+    }
+    
+    // Generate embeddings for all snippets in provider-sized batches, reusing
+    // cached vectors for snippets that did not change
+    const snippetVectors = await createCachedEmbeddings(snippets.map(snippet => snippet.content));
+    
+    const modelId = getActiveModelId();
+    
+    // Update the snippets of a previous indexing in place, matched by kind and
+    // symbol name, so requirement links and relations to them stay valid
+    const { removedIds, stored } = await db.transaction(async (tx) => {
+      const existing = await tx.prepare(`
+        SELECT id, symbol_type, metadata FROM code_snippets WHERE file_id = ? ORDER BY id
+      `).all(fileId);
+      
+      const previous = new Map();
+      for (const row of existing) {
+        let symbol = null;
+        try {
+          symbol = row.metadata ? JSON.parse(row.metadata).symbol : null;
+        } catch (parseError) {
+          // Unmatchable without the symbol name, so the snippet is replaced
+        }
+        
+        const key = `${row.symbol_type}:${symbol}`;
+        previous.set(key, [...(previous.get(key) || []), row.id]);
+      }
+      
+      // Vectors of every previous snippet are replaced or go with the snippet
+      const removed = existing.length > 0
+        ? await tx.prepare(`
+            SELECT id FROM vectors WHERE content_type = 'code_snippet' AND content_id IN (${existing.map(() => '?').join(', ')})
+          `).all(...existing.map(row => row.id))
+        : [];
+      
+      const storedSnippets = [];
+      for (let i = 0; i < snippets.length; i++) {
+        const snippet = snippets[i];
+        const metadata = encryptField(JSON.stringify({ symbol: snippet.symbol }));
+        let snippetId = previous.get(`${snippet.type}:${snippet.symbol}`)?.shift();
+        
+        if (snippetId !== undefined) {
+          await tx.prepare(`
+            UPDATE code_snippets SET start_line = ?, end_line = ?, content = ?, metadata = ? WHERE id = ?
+          `).run(snippet.start, snippet.end, encryptField(snippet.content), metadata, snippetId);
+          await tx.prepare(`
+            DELETE FROM vectors WHERE content_id = ? AND content_type = 'code_snippet'
+          `).run(snippetId);
+        } else {
+          const result = await tx.prepare(`
+            INSERT INTO code_snippets (file_id, start_line, end_line, content, symbol_type, metadata, project_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `).run(
+            fileId,
+            snippet.start,
+            snippet.end,
+            encryptField(snippet.content),
+            snippet.type,
+            metadata,
+            project
+          );
+          snippetId = result.lastInsertRowid;
+        }
+        
+        // Store embedding for the snippet
+        const result = await storeEmbedding(snippetId, 'code_snippet', snippetVectors[i], {
+          file_id: fileId,
+          symbol: snippet.symbol,
+          type: snippet.type
+        }, modelId, null, project, tx);
+        storedSnippets.push({ snippetId, vectorId: Number(result.lastInsertRowid), vector: snippetVectors[i] });
+      }
+      
+      // Snippets that are gone take their vectors, links and relations along
+      for (const snippetId of [...previous.values()].flat()) {
+        await tx.prepare(`
+          DELETE FROM vectors WHERE content_id = ? AND content_type = 'code_snippet'
+        `).run(snippetId);
+        await tx.prepare("DELETE FROM embedding_jobs WHERE source_table = 'code_snippets' AND record_id = ?").run(snippetId);
+        await tx.prepare("DELETE FROM requirement_links WHERE target_type = 'code_snippet' AND target_id = ?").run(snippetId);
+        await tx.prepare(`
+          DELETE FROM memory_relations
+          WHERE project_id = ? AND ((source_type = 'code_snippet' AND source_id = ?) OR (target_type = 'code_snippet' AND target_id = ?))
+        `).run(project, snippetId, snippetId);
+        await tx.prepare('DELETE FROM code_snippets WHERE id = ?').run(snippetId);
+      }
+      
+      return { removedIds: removed.map(vector => Number(vector.id)), stored: storedSnippets };
+    });
+    
+    if (annIndex && removedIds.filter(id => annIndex.remove(id)).length > 0) {
+      scheduleAnnIndexSave();
+    }
+    stored.forEach(({ snippetId, vectorId, vector }) => {
+      if (vectorId > 0) {
+        addToAnnIndex(vectorId, snippetId, 'code_snippet', vector, modelId, project);
+      }
+    });
+    
+    log(`Extracted ${snippets.length} code snippets from ${filePath}`);
+    return true;
+  } catch (error) {
+    log(`Error extracting code snippets: ${error.message}`, "error");
+    return false;
+  }
+} 
+
+// Define a simple background task queue to manage indexing operations
+const backgroundTasks = {
+  queue: [],
+  isProcessing: false,
+  
+  /**
+   * Add a task to the background queue
+   * @param {Function} task - Function to execute
+   * @param {...any} params - Parameters to pass to the function
+   */
+  addTask(task, ...params) {
+    this.queue.push({ task, params });
+    log(`Added task to background queue. Queue length: ${this.queue.length}`);
+    
+    // Start processing if not already running
+    if (!this.isProcessing) {
+      this.processQueue();
+    }
+  },
+  
+  /**
+   * Process tasks in the queue one by one
+   */
+  async processQueue() {
+    if (this.isProcessing || this.queue.length === 0) return;
+    
+    this.isProcessing = true;
+    log(`Starting background queue processing. Tasks: ${this.queue.length}`);
+    
+    try {
+      const { task, params } = this.queue.shift();
+      if (typeof task === 'function') {
+        if (params.length === 0) {
+          await task();
+        } else if (params.length === 1) {
+          await task(params[0]);
+        } else {
+          await task(...params);
+        }
+      } else {
+        log(`Invalid task in background queue: ${typeof task}`, "error");
+      }
+    } catch (error) {
+      log(`Error in background task: ${error.message}`, "error");
+    } finally {
+      this.isProcessing = false;
+      
+      // Continue processing if more tasks remain
+      if (this.queue.length > 0) {
+        setTimeout(() => this.processQueue(), 100); // Small delay between tasks
+      }
+    }
+  }
+};
+
+/**
+ * Detect if a query is code-related based on patterns and keywords
+ * @param {string} query - The user's query text
+ * @returns {boolean} Whether the query is likely code-related
+ */
+function isCodeRelatedQuery(query) {
+  if (!query) return false;
+  
+  // Convert to lowercase for case-insensitive matching
+  const text = query.toLowerCase();
+  
+  // Common code-related terms
+  const codeTerms = [
+    'code', 'function', 'class', 'method', 'variable', 'object',
+    'array', 'string', 'number', 'boolean', 'interface', 'type',
+    'implement', 'extend', 'import', 'export', 'module', 'package',
+    'library', 'framework', 'api', 'component', 'property', 'attribute',
+    'syntax', 'compiler', 'interpreter', 'runtime', 'debug', 'error',
+    'exception', 'bug', 'fix', 'issue', 'pull request', 'commit',
+    'branch', 'merge', 'git', 'repository', 'algorithm', 'data structure'
+  ];
+  
+  // Programming language names
+  const languages = [
+    'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'ruby',
+    'go', 'rust', 'php', 'swift', 'kotlin', 'scala', 'perl', 'r',
+    'bash', 'shell', 'sql', 'html', 'css', 'jsx', 'tsx'
+  ];
+  
+  // Check for presence of code terms or language names
+  for (const term of [...codeTerms, ...languages]) {
+    if (text.includes(term)) return true;
+  }
+  
+  // Check for code patterns
+  const codePatterns = [
+    /\b(function|def|class|import|export|from|const|let|var)\b/i,
+    /\b(if|else|for|while|switch|case|try|catch|async|await)\b/i,
+    /\b(return|yield|throw|break|continue)\b/i,
+    /[\[\]{}()<>]/g,  // Code symbols like brackets
+    /\w+\.\w+\(/,     // Method calls like object.method()
+    /\w+\([^)]*\)/,   // Function calls like func()
+    /\s(===|!==|==|!=|>=|<=|&&|\|\|)\s/, // Comparison operators
+    /`[^`]*`/,        // Template literals
+    /\/\/|\/\*|\*\//  // Comments
+  ];
+  
+  for (const pattern of codePatterns) {
+    if (pattern.test(text)) return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Trigger background indexing of recently active files that haven't been indexed yet
+ * @param {string} query - The user query to determine which files might be relevant
+ * @param {string} project - Project whose active files to index (default: current project)
+ */
+async function triggerCodeIndexing(query, project = getCurrentProject()) {
+  try {
+    if (!db) return;
+    
+    // Get recently active files
+    const activeFiles = await db.prepare(`
+      SELECT filename, last_accessed 
+      FROM active_files 
+      WHERE project_id = ?
+      ORDER BY last_accessed DESC 
+      LIMIT 10
+    `).all(project);
+    
+    if (!activeFiles || activeFiles.length === 0) {
+      log('No active files found for background indexing');
+      return;
+    }
+    
+    // Check which files need indexing (not in code_files table or outdated)
+    const filesToIndex = [];
+    
+    for (const file of activeFiles) {
+      // Skip non-code files
+      const ext = path.extname(file.filename).toLowerCase();
+      if (!ext || ext === '.md' || ext === '.txt' || ext === '.json') continue;
+      
+      try {
+        // Check if file exists in the code_files table
+        const indexedFile = await db.prepare(`
+          SELECT id, last_indexed, file_path 
+          FROM code_files 
+          WHERE project_id = ? AND file_path = ?
+        `).get(project, file.filename);
+        
+        // Get file stats to check if file has been modified since last indexed
+        try {
+          const stats = fs.statSync(file.filename);
+          const lastModified = stats.mtimeMs;
+          
+          // Add to indexing queue if file is not indexed or outdated
+          if (!indexedFile || (indexedFile.last_indexed < lastModified)) {
+            filesToIndex.push({
+              filename: file.filename,
+              action: 'update'
+            });
+          }
+        } catch (fsError) {
+          log(`Error checking file stats for ${file.filename}: ${fsError.message}`, 'error');
+          // Skip this file
+        }
+      } catch (dbError) {
+        log(`Error checking indexed status for ${file.filename}: ${dbError.message}`, 'error');
+        // Skip this file
+      }
+    }
+    
+    if (filesToIndex.length > 0) {
+      log(`Queuing ${filesToIndex.length} files for background indexing`);
+      
+      // Add indexing tasks to the background queue
+      for (const file of filesToIndex) {
+        backgroundTasks.addTask(indexCodeFile, file.filename, file.action, project);
+      }
+    } else {
+      log('No files need indexing at this time');
+    }
+  } catch (error) {
+    log(`Error in triggerCodeIndexing: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Extract code blocks from markdown-style text
+ * @param {string} text - Text that may contain code blocks
+ * @returns {Array} Array of extracted code blocks with language info
+ */
+function extractCodeBlocks(text) {
+  if (!text) return [];
+  
+  const codeBlockRegex = /```([a-z]*)\n([\s\S]*?)```/g;
+  const blocks = [];
+  let match;
+  
+  while ((match = codeBlockRegex.exec(text)) !== null) {
+    blocks.push({
+      language: match[1] || 'text',
+      content: match[2].trim()
+    });
+  }
+  
+  // Also look for code patterns in regular text if no code blocks found
+  if (blocks.length === 0 && isCodeRelatedQuery(text)) {
+    // Split by lines and look for coherent code segments
+    const lines = text.split('\n');
+    let codeSegment = '';
+    let inCode = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      // Simple heuristic: indented lines or lines with code-like symbols are likely code
+      const isCodeLine = /^\s{2,}|[{}\[\]();]|function\s+\w+\s*\(|if\s*\(|for\s*\(/.test(line);
+      
+      if (isCodeLine) {
+        if (!inCode) {
+          inCode = true;
+          codeSegment = line;
+        } else {
+          codeSegment += '\n' + line;
+        }
+      } else if (inCode && line === '') {
+        // Empty line, might be within code block
+        codeSegment += '\n';
+      } else if (inCode) {
+        // End of code segment
+        if (codeSegment.length > 0) {
+          blocks.push({
+            language: 'text',
+            content: codeSegment.trim()
+          });
+        }
+        inCode = false;
+        codeSegment = '';
+      }
+    }
+    
+    // Add final code segment if we ended while still in code
+    if (inCode && codeSegment.length > 0) {
+      blocks.push({
+        language: 'text',
+        content: codeSegment.trim()
+      });
+    }
+  }
+  
+  return blocks;
+}
+
+/**
+ * Performs maintenance of vector indexes and database optimization
+ * Handles: rebuilding indexes, cleaning orphaned vectors, and optimizing storage
+ * Designed to run periodically or during system idle time
+ * 
+ * @param {Object} options - Maintenance options
+ * @param {boolean} options.forceRebuild - Force rebuild of indexes even if not needed
+ * @param {boolean} options.cleanOrphans - Remove vectors without corresponding content
+ * @param {boolean} options.optimizeStorage - Merge similar vectors to reduce storage
+ * @param {boolean} options.convertEncoding - Re-encode vectors stored before VECTOR_QUANTIZATION changed
+ * @returns {Promise<Object>} Maintenance results
+ */
+async function performVectorMaintenance(options = {}) {
+  const defaults = {
+    forceRebuild: false,
+    cleanOrphans: true,
+    optimizeStorage: true,
+    convertEncoding: true
+  };
+  
+  const opts = { ...defaults, ...options };
+  const results = {
+    indexesRebuilt: false,
+    orphansRemoved: 0,
+    vectorsOptimized: 0,
+    vectorsReencoded: 0,
+    errors: []
+  };
+  
+  log('Starting vector maintenance tasks');
+  
+  try {
+    if (!db) {
+      throw new Error('Database not available');
+    }
+    
+    // 1. Check and rebuild vector indexes if needed
+    if (opts.forceRebuild) {
+      log('Force rebuilding vector indexes');
+      try {
+        // Drop existing vector index
+        await db.prepare('DROP INDEX IF EXISTS idx_vectors_vector').run();
+        log('Dropped existing vector index');
+        
+        // Recreate vector indexes
+        await createVectorIndexes();
+        results.indexesRebuilt = true;
+        log('Vector indexes rebuilt successfully');
+      } catch (rebuildError) {
+        const errMsg = `Error rebuilding vector indexes: ${rebuildError.message}`;
+        log(errMsg, 'error');
+        results.errors.push(errMsg);
+      }
+    }
+    
+    // 2. Clean up orphaned vectors whose source content has been deleted
+    if (opts.cleanOrphans) {
+      log('Cleaning up orphaned vectors');
+      try {
+        // Find vectors referencing non-existent messages
+        let deletedCount = 0;
+        const orphanedMessageVectors = await db.prepare(`
+          SELECT v.id, v.content_id, v.content_type 
+          FROM vectors v
+          LEFT JOIN messages m ON v.content_id = m.id AND v.content_type IN ('user_message', 'assistant_message', 'assistant_code_snippet')
+          WHERE v.content_type IN ('user_message', 'assistant_message', 'assistant_code_snippet')
+          AND m.id IS NULL
+        `).all();
+        
+        if (orphanedMessageVectors.length > 0) {
+          log(`Found ${orphanedMessageVectors.length} orphaned message vectors`);
+          for (const vector of orphanedMessageVectors) {
+            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vector.id);
+            deletedCount++;
+          }
+        }
+        
+        // Find vectors referencing non-existent code files
+        const orphanedFileVectors = await db.prepare(`
+          SELECT v.id, v.content_id, v.content_type 
+          FROM vectors v
+          LEFT JOIN code_files f ON v.content_id = f.id AND v.content_type = 'code_file'
+          WHERE v.content_type = 'code_file'
+          AND f.id IS NULL
+        `).all();
+        
+        if (orphanedFileVectors.length > 0) {
+          log(`Found ${orphanedFileVectors.length} orphaned code file vectors`);
+          for (const vector of orphanedFileVectors) {
+            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vector.id);
+            deletedCount++;
+          }
+        }
+        
+        // Find vectors referencing non-existent code snippets
+        const orphanedSnippetVectors = await db.prepare(`
+          SELECT v.id, v.content_id, v.content_type 
+          FROM vectors v
+          LEFT JOIN code_snippets s ON v.content_id = s.id AND v.content_type = 'code_snippet'
+          WHERE v.content_type = 'code_snippet'
+          AND s.id IS NULL
+        `).all();
+        
+        if (orphanedSnippetVectors.length > 0) {
+          log(`Found ${orphanedSnippetVectors.length} orphaned code snippet vectors`);
+          for (const vector of orphanedSnippetVectors) {
+            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vector.id);
+            deletedCount++;
+          }
+        }
+        
+        results.orphansRemoved = deletedCount;
+        log(`Removed ${deletedCount} orphaned vectors`);
+      } catch (cleanupError) {
+        const errMsg = `Error cleaning up orphaned vectors: ${cleanupError.message}`;
+        log(errMsg, 'error');
+        results.errors.push(errMsg);
+      }
+    }
+    
+    // 3. Optimize vector storage by merging highly similar vectors for the same content
+    if (opts.optimizeStorage) {
+      log('Optimizing vector storage');
+      try {
+        // Find duplicate vectors for the same content (by content_id, content_type and
+        // chunk, since chunked content legitimately has several vectors)
+        // Keep the most recent one and remove others
+        const duplicates = await db.prepare(`
+          SELECT content_id, content_type, COALESCE(chunk_index, -1) as chunk_key, COUNT(*) as count
+          FROM vectors
+          GROUP BY content_id, content_type, chunk_key
+          HAVING COUNT(*) > 1
+        `).all();
+        
+        let optimizedCount = 0;
+        
+        for (const dup of duplicates) {
+          // Get all vectors for this content, ordered by creation time (newest first)
+          const vectors = await db.prepare(`
+            SELECT id, created_at
+            FROM vectors
+            WHERE content_id = ? AND content_type = ? AND COALESCE(chunk_index, -1) = ?
+            ORDER BY created_at DESC
+          `).all(dup.content_id, dup.content_type, dup.chunk_key);
+          
+          // Keep the newest one, delete the rest
+          for (let i = 1; i < vectors.length; i++) {
+            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vectors[i].id);
+            optimizedCount++;
           }
+        }
+        
+        results.vectorsOptimized = optimizedCount;
+        log(`Optimized storage by removing ${optimizedCount} redundant vectors`);
+      } catch (optimizeError) {
+        const errMsg = `Error optimizing vector storage: ${optimizeError.message}`;
+        log(errMsg, 'error');
+        results.errors.push(errMsg);
+      }
+    }
+    
+    // 4. Re-encode vectors to the configured quantization
+    if (opts.convertEncoding) {
+      try {
+        results.vectorsReencoded = await convertVectorEncoding();
+        if (results.vectorsReencoded > 0) {
+          log(`Re-encoded ${results.vectorsReencoded} vectors for VECTOR_QUANTIZATION=${getVectorQuantization()}`);
+        }
+      } catch (encodingError) {
+        const errMsg = `Error re-encoding vectors: ${encodingError.message}`;
+        log(errMsg, 'error');
+        results.errors.push(errMsg);
+      }
+    }
+    
+    log('Vector maintenance tasks completed');
+    return results;
+  } catch (error) {
+    const errMsg = `Vector maintenance failed: ${error.message}`;
+    log(errMsg, 'error');
+    results.errors.push(errMsg);
+    return results;
+  }
+}
+
+/**
+ * Convert stored vectors to the encoding set by VECTOR_QUANTIZATION. Vectors are
+ * re-encoded from their full precision copy when one exists, so switching back
+ * to float32 restores the original values
+ * 
+ * @param {number} batchSize - Vectors converted per query (default: 200)
+ * @returns {Promise<number>} Number of converted vectors
+ */
+async function convertVectorEncoding(batchSize = 200) {
+  const quantization = getVectorQuantization();
+  const target = quantization === 'none' ? 'f32' : quantization;
+  let converted = 0;
+  let lastId = 0;
+  
+  while (true) {
+    const rows = await db.prepare(`
+      SELECT v.id, v.vector, f.vector AS full_vector
+      FROM vectors v
+      LEFT JOIN vector_full_precision f ON f.vector_id = v.id
+      WHERE v.id > ? AND COALESCE(v.encoding, 'f32') != ?
+      ORDER BY v.id
+      LIMIT ?
+    `).all(lastId, target, batchSize);
+    if (rows.length === 0) break;
+    
+    for (const row of rows) {
+      const vector = Float32Array.from(bufferToVector(row.full_vector || row.vector));
+      const fullBuffer = Buffer.from(vector.buffer);
+      
+      if (target === 'f32') {
+        await db.prepare('UPDATE vectors SET vector = ?, encoding = NULL WHERE id = ?').run(fullBuffer, row.id);
+        await db.prepare('DELETE FROM vector_full_precision WHERE vector_id = ?').run(row.id);
+      } else {
+        await db.prepare('UPDATE vectors SET vector = ?, encoding = ? WHERE id = ?').run(quantizeVector(vector, target), target, row.id);
+        if (keepsFullPrecision() && !row.full_vector) {
+          await db.prepare('INSERT OR REPLACE INTO vector_full_precision (vector_id, vector) VALUES (?, ?)').run(row.id, fullBuffer);
+        }
+      }
+      converted++;
+    }
+    
+    lastId = rows[rows.length - 1].id;
+  }
+  
+  return converted;
+}
+
+/**
+ * Optimizes the vector database for better performance
+ * This should be called periodically to ensure optimal ANN search performance
+ * 
+ * @returns {Promise<boolean>} Success status
+ */
+async function optimizeVectorIndexes() {
+  try {
+    log("VECTOR DEBUG: Starting vector index optimization", "info");
+    
+    if (!db) {
+      log("VECTOR ERROR: Database not initialized in optimizeVectorIndexes", "error");
+      return false;
+    }
+    
+    // 1. Get vector count
+    let vectorCount = 0;
+    try {
+      const countResult = await db.prepare('SELECT COUNT(*) as count FROM vectors').get();
+      vectorCount = countResult?.count || 0;
+      log(`VECTOR DEBUG: Current vector count: ${vectorCount}`, "info");
+      
+      if (vectorCount < 10) {
+        log("VECTOR DEBUG: Not enough vectors to warrant optimization", "info");
+        return true;
+      }
+    } catch (countError) {
+      log(`VECTOR ERROR: Failed to get vector count: ${countError.message}`, "error");
+      return false;
+    }
+    
+    // 2. Check if Turso vector features are available
+    let hasVectorFunctions = false;
+    try {
+      // Check for vector_top_k which indicates Turso vector support
+      await db.prepare("SELECT 1 FROM vector_top_k('idx_vectors_ann', vector32('[0.1, 0.2, 0.3]'), 1) LIMIT 0").all();
+      hasVectorFunctions = true;
+      log("VECTOR DEBUG: Turso vector functions are available", "info");
+    } catch (fnError) {
+      hasVectorFunctions = false;
+      log(`VECTOR DEBUG: Turso vector functions not available: ${fnError.message}`, "info");
+      log("VECTOR DEBUG: Skipping ANN-specific optimizations", "info");
+    }
+    
+    // 3. Execute optimizations
+    
+    // 3.1 Run ANALYZE on the vectors table
+    try {
+      log("VECTOR DEBUG: Running ANALYZE on vectors table", "info");
+      await db.prepare("ANALYZE vectors").run();
+      log("VECTOR DEBUG: ANALYZE completed successfully", "info");
+    } catch (analyzeError) {
+      log(`VECTOR WARNING: ANALYZE failed: ${analyzeError.message}`, "error");
+    }
+    
+    // 3.2 Update vector index statistics
+    try {
+      log("VECTOR DEBUG: Updating index statistics", "info");
+      await db.prepare("ANALYZE idx_vectors_content_type").run();
+      await db.prepare("ANALYZE idx_vectors_content_id").run();
+      
+      // Try to analyze the vector-specific indexes
+      try {
+        await db.prepare("ANALYZE idx_vectors_vector").run();
+      } catch (idxError) {
+        log(`VECTOR DEBUG: Could not analyze standard vector index: ${idxError.message}`, "info");
+      }
+      
+      try {
+        await db.prepare("ANALYZE idx_vectors_ann").run();
+      } catch (annError) {
+        log(`VECTOR DEBUG: Could not analyze ANN vector index: ${annError.message}`, "info");
+      }
+      
+      log("VECTOR DEBUG: Index statistics updated", "info");
+    } catch (statsError) {
+      log(`VECTOR WARNING: Index statistics update failed: ${statsError.message}`, "error");
+    }
+    
+    // 3.3 Turso-specific ANN optimizations
+    if (hasVectorFunctions) {
+      try {
+        // Set optimal ANN parameters based on data size
+        let neighborsValue = 10; // Default
+        
+        // Scale up neighbors with more data for better recall
+        if (vectorCount > 10000) {
+          neighborsValue = 40;
+        } else if (vectorCount > 1000) {
+          neighborsValue = 20;
+        }
+        
+        log(`VECTOR DEBUG: Setting ANN neighbors to ${neighborsValue} based on data size`, "info");
+        await db.prepare(`PRAGMA libsql_vector_neighbors = ${neighborsValue}`).run();
+        
+        // Rebuild ANN index if available
+        try {
+          log("VECTOR DEBUG: Rebuilding ANN index for optimal performance", "info");
+          
+          // Drop and recreate the index
+          await db.prepare("DROP INDEX IF EXISTS idx_vectors_ann").run();
+          
+          const vectorIndexSQL = `
+            CREATE INDEX idx_vectors_ann 
+            ON vectors(libsql_vector_idx(vector)) 
+            WHERE vector IS NOT NULL
+          `;
+          await db.prepare(vectorIndexSQL).run();
+          log("VECTOR SUCCESS: ANN index rebuilt successfully", "info");
+        } catch (rebuildError) {
+          log(`VECTOR WARNING: ANN index rebuild failed: ${rebuildError.message}`, "error");
+        }
+      } catch (annOptError) {
+        log(`VECTOR WARNING: ANN optimization failed: ${annOptError.message}`, "error");
+      }
+    }
+    
+    // 4. Optional: Run database VACUUM for overall optimization
+    // Be careful with this on large databases as it can be slow
+    const shouldVacuum = process.env.VECTOR_VACUUM === 'true' && vectorCount < 100000;
+    if (shouldVacuum) {
+      try {
+        log("VECTOR DEBUG: Running VACUUM on database", "info");
+        await db.prepare("VACUUM").run();
+        log("VECTOR DEBUG: VACUUM completed successfully", "info");
+      } catch (vacuumError) {
+        log(`VECTOR WARNING: VACUUM failed: ${vacuumError.message}`, "error");
+      }
+    }
+    
+    log("VECTOR SUCCESS: Vector optimization completed successfully", "info");
+    return true;
+  } catch (error) {
+    log(`VECTOR ERROR: Vector optimization failed: ${error.message}`, "error");
+    return false;
+  }
+}
+
+/**
+ * Schedule periodic vector maintenance to run at regular intervals
+ * @param {number} intervalMinutes - Interval in minutes between maintenance runs
+ */
+function scheduleVectorMaintenance(intervalMinutes = 60) {
+  log(`VECTOR DEBUG: Scheduling vector maintenance every ${intervalMinutes} minutes`, "info");
+  
+  // Initial maintenance after a short delay
+  setTimeout(async () => {
+    try {
+      log("VECTOR DEBUG: Running initial vector maintenance", "info");
+      const maintenanceResult = await performVectorMaintenance();
+      log(`VECTOR DEBUG: Initial maintenance ${maintenanceResult ? 'succeeded' : 'failed'}`, "info");
+      
+      // Additional optimization step for vector indexes
+      try {
+        log("VECTOR DEBUG: Running initial vector index optimization", "info");
+        const optimizationResult = await optimizeVectorIndexes();
+        log(`VECTOR DEBUG: Initial optimization ${optimizationResult ? 'succeeded' : 'failed'}`, "info");
+      } catch (optimizationError) {
+        log(`VECTOR ERROR: Initial optimization error: ${optimizationError.message}`, "error");
+      }
+    } catch (error) {
+      log(`VECTOR ERROR: Initial maintenance error: ${error.message}`, "error");
+    }
+  }, 30000); // 30 seconds after startup
+  
+  // Set up regular interval
+  setInterval(async () => {
+    try {
+      log("VECTOR DEBUG: Running scheduled vector maintenance", "info");
+      const maintenanceResult = await performVectorMaintenance();
+      log(`VECTOR DEBUG: Scheduled maintenance ${maintenanceResult ? 'succeeded' : 'failed'}`, "info");
+      
+      // Run optimization every 24 hours (or 24 intervals)
+      const hourlyIntervals = 60 / intervalMinutes;
+      const runOptimization = Math.random() < (1 / (24 * hourlyIntervals)); // Randomly once per ~24 hours
+      
+      if (runOptimization) {
+        try {
+          log("VECTOR DEBUG: Running scheduled vector index optimization", "info");
+          const optimizationResult = await optimizeVectorIndexes();
+          log(`VECTOR DEBUG: Scheduled optimization ${optimizationResult ? 'succeeded' : 'failed'}`, "info");
+        } catch (optimizationError) {
+          log(`VECTOR ERROR: Scheduled optimization error: ${optimizationError.message}`, "error");
+        }
+      }
+    } catch (error) {
+      log(`VECTOR ERROR: Scheduled maintenance error: ${error.message}`, "error");
+    }
+  }, intervalMinutes * 60 * 1000);
+}
+
+// Schedule vector maintenance when the system starts
+scheduleVectorMaintenance();
+
+// Add a migration function to update the vectors table schema if needed
+async function migrateVectorsTable() {
+  try {
+    log("VECTOR DEBUG: Checking if vectors table needs migration", "info");
+    
+    // Check the current schema
+    const tableInfo = await db.prepare("PRAGMA table_info(vectors)").all();
+    const vectorColumn = tableInfo.find(col => col.name === 'vector');
+    
+    if (!vectorColumn) {
+      log("VECTOR ERROR: Vector column not found in vectors table", "error");
+      return false;
+    }
+    
+    // Size the column for the active model (VECTOR_DIMENSIONS for the hash
+    // provider), falling back to the configured size while it is still unknown
+    const configuredDims = getEmbeddingProvider().dimensions || getConfiguredVectorDims();
+    
+    // Validate dimensions (Turso supports up to 65536 dimensions)
+    const VECTOR_DIMENSIONS = Math.min(Math.max(configuredDims, 32), 65536);
+    
+    // Log configured dimensions
+    log(`VECTOR DEBUG: Configured vector dimensions: ${VECTOR_DIMENSIONS}`, "info");
+    
+    // Check if the column is already F32_BLOB type with the correct dimensions
+    const isF32Blob = vectorColumn.type.includes('F32_BLOB');
+    const currentDims = isF32Blob ? 
+      parseInt(vectorColumn.type.match(/F32_BLOB\((\d+)\)/)?.[1] || '0', 10) : 0;
+    
+    // No migration needed if already correct type and dimensions
+    if (isF32Blob && currentDims === VECTOR_DIMENSIONS) {
+      log(`VECTOR DEBUG: Vector column is already using F32_BLOB(${VECTOR_DIMENSIONS}), no migration needed`, "info");
+      return true;
+    }
+    
+    // Migration needed - create new table with correct schema
+    log(`VECTOR DEBUG: Migrating vectors table to use F32_BLOB(${VECTOR_DIMENSIONS})`, "info");
+    
+    // 1. Backup existing data
+    let existingData;
+    try {
+      existingData = await db.prepare("SELECT * FROM vectors").all();
+      log(`VECTOR DEBUG: Backing up ${existingData.length} vectors`, "info");
+    } catch (backupError) {
+      log(`VECTOR ERROR: Could not backup existing vectors: ${backupError.message}`, "error");
+      return false;
+    }
+    
+    // Vectors whose size no longer fits the column are dropped and re-embedded later
+    let errorCount = 0;
+    let skippedCount = 0;
+    
+    // Start a transaction for the migration
+    try {
+      await db.prepare("BEGIN TRANSACTION").run();
+      
+      // 2. Rename existing table
+      await db.prepare("ALTER TABLE vectors RENAME TO vectors_old").run();
+      log("VECTOR DEBUG: Renamed existing table to vectors_old", "info");
+      
+      // 3. Create new table with correct schema
+      await db.prepare(`
+        CREATE TABLE vectors (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content_id INTEGER NOT NULL,
+          content_type TEXT NOT NULL,
+          vector F32_BLOB(${VECTOR_DIMENSIONS}) NOT NULL,
+          created_at INTEGER NOT NULL,
+          metadata TEXT,
+          model_id TEXT,
+          dimensions INTEGER,
+          chunk_index INTEGER,
+          chunk_start INTEGER,
+          chunk_end INTEGER,
+          encoding TEXT,
+          project_id TEXT NOT NULL DEFAULT ''
+        )
+      `).run();
+      log(`VECTOR DEBUG: Created new vectors table with F32_BLOB(${VECTOR_DIMENSIONS})`, "info");
+      
+      // 4. Attempt to migrate data if we have any
+      if (existingData && existingData.length > 0) {
+        log(`VECTOR DEBUG: Migrating ${existingData.length} vectors to new table`, "info");
+        
+        // Process in batches to avoid overwhelming database
+        const BATCH_SIZE = 100;
+        let migratedCount = 0;
+        
+        // Prepare the insert statement
+        const insertStmt = db.prepare(`
+          INSERT INTO vectors (id, content_id, content_type, vector, created_at, metadata, model_id, dimensions, chunk_index, chunk_start, chunk_end, encoding, project_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        
+        // Process in batches
+        for (let i = 0; i < existingData.length; i += BATCH_SIZE) {
+          const batch = existingData.slice(i, i + BATCH_SIZE);
+          log(`VECTOR DEBUG: Processing batch ${i/BATCH_SIZE + 1}/${Math.ceil(existingData.length/BATCH_SIZE)}`, "info");
           
-          case MEMORY_TOOLS.STORE_ASSISTANT_MESSAGE.name: {
-            // Store assistant message
-            const { content, importance = 'low', metadata = null } = args;
-            const now = Date.now();
-            let messageId;
+          for (const row of batch) {
+            // A different size means the vector came from another model configuration
+            if (row.dimensions && row.dimensions !== VECTOR_DIMENSIONS) {
+              skippedCount++;
+              continue;
+            }
             
             try {
-              if (useInMemory) {
-                inMemoryStore.messages.push({
-                  role: 'assistant',
-                  content,
-                  created_at: now,
-                  importance,
-                  metadata
-                });
-                messageId = inMemoryStore.messages.length;
-              } else {
-                // Insert message into database
-                const result = await db.prepare(`
-                  INSERT INTO messages (role, content, created_at, importance, metadata)
-                  VALUES ('assistant', ?, ?, ?, ?)
-                `).run(content, now, importance, metadata ? JSON.stringify(metadata) : null);
-                
-                messageId = result.lastInsertRowid;
-                
-                // Generate and store embedding SYNCHRONOUSLY to catch errors
+              // If the old format was not F32_BLOB, convert it using vector32
+              let vectorValue = row.vector;
+              let encoding = row.encoding ?? null;
+              
+              if (!isF32Blob && row.vector && !encoding) {
+                // Convert to Float32Array first
+                const vector = bufferToVector(row.vector);
+                // Then back to buffer using vector32
+                const vectorString = '[' + Array.from(vector).join(', ') + ']';
                 try {
-                  log(`VECTOR DEBUG: Starting vector generation for assistant message ID ${messageId}`, "info");
-                  
-                  // Generate vector embedding for the message
-                  const messageVector = await createEmbedding(content);
-                  log(`VECTOR DEBUG: Created embedding with ${messageVector.length} dimensions`, "info");
-                  
-                  // Store the embedding with link to the message
-                  await storeEmbedding(messageId, 'assistant_message', messageVector, {
-                    importance,
-                    timestamp: now,
-                    role: 'assistant'
-                  });
-                  
-                  log(`VECTOR SUCCESS: Generated and stored embedding for assistant message ID ${messageId}`, "info");
-                  
-                  // Check if the message contains code and process it
-                  if (isCodeRelatedQuery(content)) {
-                    log(`VECTOR DEBUG: Detected code-related content in assistant message ID ${messageId}`, "info");
-                    
-                    // Extract code snippets if present using regex patterns
-                    const codeBlocks = extractCodeBlocks(content);
-                    if (codeBlocks.length > 0) {
-                      log(`VECTOR DEBUG: Extracted ${codeBlocks.length} code blocks from assistant message`, "info");
-                      
-                      // Store each code block with its own embedding
-                      for (let i = 0; i < codeBlocks.length; i++) {
-                        const block = codeBlocks[i];
-                        try {
-                          const snippetVector = await createEmbedding(block.content);
-                          
-                          // Store as a specialized code snippet type
-                          await storeEmbedding(messageId, 'assistant_code_snippet', snippetVector, {
-                            snippet_index: i,
-                            language: block.language || 'unknown',
-                            message_id: messageId
-                          });
-                          
-                          log(`VECTOR SUCCESS: Stored embedding for code block ${i} with language ${block.language || 'unknown'}`, "info");
-                        } catch (snippetError) {
-                          log(`VECTOR ERROR: Failed to process code block ${i}: ${snippetError.message}`, "error");
-                        }
-                      }
-                    }
+                  const result = await db.prepare(`SELECT vector32(?) AS vec`).get(vectorString);
+                  if (result && result.vec) {
+                    vectorValue = result.vec;
                   }
-                } catch (vectorError) {
-                  log(`VECTOR ERROR: Failed to generate/store vector for assistant message ID ${messageId}: ${vectorError.message}`, "error");
-                  // Still non-blocking - we log more details about the failure
+                } catch (convError) {
+                  log(`VECTOR ERROR: Could not convert vector: ${convError.message}`, "error");
+                  errorCount++;
+                  continue;
                 }
               }
               
-              log(`Stored assistant message: "${content.substring(0, 30)}..." with importance: ${importance}`);
-              
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'ok', messageId, timestamp: now }) }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error storing assistant message: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
-                isError: true
-              };
-            }
-          }
-          
-          case MEMORY_TOOLS.DIAGNOSE_VECTORS.name: {
-            try {
-              log("Running vector storage diagnostics", "info");
-              const diagnosticResults = await diagnoseVectorStorage();
+              // Insert into new table
+              await insertStmt.run(
+                row.id,
+                row.content_id,
+                row.content_type,
+                vectorValue,
+                row.created_at,
+                row.metadata,
+                row.model_id ?? null,
+                row.dimensions ?? null,
+                row.chunk_index ?? null,
+                row.chunk_start ?? null,
+                row.chunk_end ?? null,
+                encoding,
+                row.project_id ?? ''
+              );
               
-              return {
-                content: [{ 
-                  type: "text", 
-                  text: JSON.stringify({ 
-                    status: 'ok', 
-                    diagnostics: diagnosticResults
-                  }) 
-                }],
-                isError: false
-              };
-            } catch (error) {
-              log(`Error in vector diagnostics: ${error.message}`, "error");
-              return {
-                content: [{ type: "text", text: JSON.stringify({ status: 'error', error: error.message }) }],
-                isError: true
-              };
+              migratedCount++;
+            } catch (rowError) {
+              log(`VECTOR ERROR: Failed to migrate vector ${row.id}: ${rowError.message}`, "error");
+              errorCount++;
             }
-          }
-          
-          default:
-            return {
-              content: [{ type: "text", text: JSON.stringify({ status: 'error', error: `Unknown tool: ${name}` }) }],
-              isError: true
-            };
-        }
-      } catch (error) {
-        log(`Error executing tool: ${error.message}`, "error");
-        return {
-          content: [{ 
-            type: "text", 
-            text: JSON.stringify({
-              status: 'error',
-              error: error instanceof Error ? error.message : String(error)
-            })
-          }],
-          isError: true
-        };
+          }
+        }
+        
+        log(`VECTOR DEBUG: Migration complete. ${migratedCount} vectors migrated, ${skippedCount} skipped, ${errorCount} errors`, "info");
       }
-    });
+      
+      // 5. Create indexes on the new table
+      await createVectorIndexes();
+      
+      // 6. Drop the old table if everything went well
+      if (errorCount === 0) {
+        await db.prepare("DROP TABLE vectors_old").run();
+        log("VECTOR DEBUG: Old vectors table dropped", "info");
+      } else {
+        log(`VECTOR WARNING: Keeping vectors_old table due to ${errorCount} migration errors`, "error");
+      }
+      
+      // Commit the transaction
+      await db.prepare("COMMIT").run();
+      log("VECTOR SUCCESS: Vector table migration committed successfully", "info");
+      
+      // Content whose vectors were dropped needs new embeddings at the new size
+      if (skippedCount > 0) {
+        await queueReembedJob();
+      }
+      
+      return true;
+    } catch (error) {
+      // Rollback on any error
+      try {
+        await db.prepare("ROLLBACK").run();
+        log("VECTOR DEBUG: Migration transaction rolled back due to error", "error");
+      } catch (rollbackError) {
+        log(`VECTOR ERROR: Rollback failed: ${rollbackError.message}`, "error");
+      }
+      
+      log(`VECTOR ERROR: Failed to migrate vectors table: ${error.message}`, "error");
+      return false;
+    }
+  } catch (error) {
+    log(`VECTOR ERROR: Failed to migrate vectors table: ${error.message}`, "error");
+    return false;
+  }
+}
 
-    // Create and connect to transport
-    log('Creating StdioServerTransport...');
-    const transport = new StdioServerTransport();
+/**
+ * Read the chunking configuration for long content
+ * @returns {{size: number, overlap: number, maxChunks: number}} Chunk size and overlap in characters, and the chunk limit per document
+ */
+function getChunkingConfig() {
+  const size = Math.max(parseInt(process.env.EMBEDDING_CHUNK_SIZE || '2000', 10), 100);
+  const overlap = Math.min(parseInt(process.env.EMBEDDING_CHUNK_OVERLAP || '200', 10), Math.floor(size / 2));
+  const maxChunks = parseInt(process.env.EMBEDDING_MAX_CHUNKS || '100', 10);
+  return { size, overlap, maxChunks };
+}
+
+/**
+ * Split text into overlapping chunks, preferring to break at whitespace
+ * @param {string} text - Text to split
+ * @param {number} size - Maximum chunk length in characters
+ * @param {number} overlap - Characters shared by consecutive chunks
+ * @returns {Array<{text, start, end}>} Chunks with character offsets (end exclusive)
+ */
+function chunkText(text, size, overlap) {
+  if (text.length <= size) {
+    return [{ text, start: 0, end: text.length }];
+  }
+  
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      // Look for whitespace in the last fifth of the chunk to avoid cutting words
+      const minEnd = start + Math.floor(size * 0.8);
+      for (let i = end; i > minEnd; i--) {
+        if (/\s/.test(text[i - 1])) {
+          end = i;
+          break;
+        }
+      }
+    }
     
-    log('Connecting server to transport...');
-    serverInstance = await server.connect(transport);
+    chunks.push({ text: text.slice(start, end), start, end });
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  
+  return chunks;
+}
+
+/**
+ * Split text into overlapping chunks of whole lines
+ * @param {string} text - Text to split
+ * @param {number} size - Maximum chunk length in characters (a single longer line becomes its own chunk)
+ * @param {number} overlap - Approximate characters of trailing lines repeated in the next chunk
+ * @returns {Array<{text, start, end}>} Chunks with 1-based, inclusive line numbers
+ */
+function chunkLines(text, size, overlap) {
+  const lines = text.split('\n');
+  if (text.length <= size) {
+    return [{ text, start: 1, end: lines.length }];
+  }
+  
+  const chunks = [];
+  let first = 0;
+  while (first < lines.length) {
+    let last = first;
+    let length = lines[first].length + 1;
+    while (last + 1 < lines.length && length + lines[last + 1].length + 1 <= size) {
+      last++;
+      length += lines[last].length + 1;
+    }
     
-    log('Memory System MCP server started and connected to transport');
+    chunks.push({ text: lines.slice(first, last + 1).join('\n'), start: first + 1, end: last + 1 });
+    if (last + 1 >= lines.length) break;
     
-    // Register signals for graceful termination
-    process.on('SIGINT', () => {
-      log('Received SIGINT signal, shutting down...');
-      if (serverInstance) {
-        serverInstance.close();
+    // Step back over trailing lines that fit in the overlap
+    let next = last + 1;
+    let overlapLength = 0;
+    while (next - 1 > first && overlapLength + lines[next - 1].length + 1 <= overlap) {
+      next--;
+      overlapLength += lines[next].length + 1;
+    }
+    first = next;
+  }
+  
+  return chunks;
+}
+
+/**
+ * Split a document into the chunks that get embedded. Documents without a
+ * chunking mode are embedded whole
+ * @param {Object} doc - Document from an embedding source
+ * @returns {Array<Object>} Documents with chunk {index, start, end}
+ */
+function chunkDocument(doc) {
+  if (!doc.chunking || !doc.text) {
+    return [{ ...doc, chunk: doc.chunk || null }];
+  }
+  
+  const { size, overlap, maxChunks } = getChunkingConfig();
+  const chunks = doc.chunking === 'lines' ? chunkLines(doc.text, size, overlap) : chunkText(doc.text, size, overlap);
+  if (chunks.length > maxChunks) {
+    log(`Embedding only the first ${maxChunks} of ${chunks.length} chunks of a ${doc.contentType}`, "error");
+  }
+  
+  return chunks.slice(0, maxChunks).map((chunk, index) => ({
+    ...doc,
+    text: chunk.text,
+    chunk: { index, start: chunk.start, end: chunk.end }
+  }));
+}
+
+// Memory tables that carry embeddings, and how to rebuild the embedded text of a row.
+// Each document becomes one vector linked to the row id with the given content type,
+// or one vector per chunk for documents with a chunking mode ('text' offsets or 'lines').
+// Sources with fullText are also indexed in an FTS5 table named <table>_fts.
+// recordQuery loads the full records returned by searchMemory. Every source table
+// has a project_id column, and the vectors of a row are stored in its project.
+const EMBEDDING_SOURCES = [
+  {
+    table: 'messages',
+    columns: 'id, role, content, importance, created_at, project_id',
+    recordQuery: 'SELECT id, role, content, importance, created_at, metadata, project_id FROM messages',
+    contentTypes: ['user_message', 'assistant_message', 'assistant_code_snippet'],
+    fullText: {
+      columns: ['content'],
+      contentType: row => row.role === 'assistant' ? 'assistant_message' : 'user_message'
+    },
+    documents(row) {
+      const docs = [{
+        contentType: row.role === 'assistant' ? 'assistant_message' : 'user_message',
+        text: row.content,
+        chunking: 'text',
+        metadata: { importance: row.importance, timestamp: row.created_at, role: row.role }
+      }];
+      
+      // Assistant messages also carry one vector per embedded code block
+      if (row.role === 'assistant' && isCodeRelatedQuery(row.content)) {
+        extractCodeBlocks(row.content).forEach((block, i) => {
+          docs.push({
+            contentType: 'assistant_code_snippet',
+            text: block.content,
+            chunk: { index: i, start: null, end: null },
+            metadata: { snippet_index: i, language: block.language || 'unknown', message_id: row.id }
+          });
+        });
       }
-      process.exit(0);
-    });
+      
+      return docs;
+    }
+  },
+  {
+    table: 'milestones',
+    columns: 'id, title, description, importance, project_id',
+    recordQuery: 'SELECT id, title, description, importance, created_at, metadata, project_id FROM milestones',
+    contentTypes: ['milestone'],
+    fullText: { columns: ['title', 'description'] },
+    documents: row => [{
+      contentType: 'milestone',
+      text: `${row.title || ''}\n${row.description || ''}`,
+      metadata: { importance: row.importance }
+    }]
+  },
+  {
+    table: 'decisions',
+    columns: 'id, title, content, reasoning, importance, project_id',
+    recordQuery: 'SELECT id, title, content, reasoning, importance, created_at, metadata, project_id FROM decisions',
+    contentTypes: ['decision'],
+    fullText: { columns: ['title', 'content', 'reasoning'] },
+    documents: row => [{
+      contentType: 'decision',
+      text: `${row.title || ''}\n${row.content || ''}\n${row.reasoning || ''}`,
+      chunking: 'text',
+      metadata: { importance: row.importance }
+    }]
+  },
+  {
+    table: 'requirements',
+    columns: 'id, title, content, importance, project_id',
+    recordQuery: 'SELECT id, title, content, importance, created_at, metadata, project_id FROM requirements',
+    contentTypes: ['requirement'],
+    fullText: { columns: ['title', 'content'] },
+    documents: row => [{
+      contentType: 'requirement',
+      text: `${row.title || ''}\n${row.content || ''}`,
+      metadata: { importance: row.importance }
+    }]
+  },
+  {
+    table: 'episodes',
+    columns: 'id, actor, action, content, importance, context, project_id',
+    recordQuery: 'SELECT id, actor, action, content, importance, context, timestamp AS created_at, metadata, project_id FROM episodes',
+    contentTypes: ['episode'],
+    fullText: { columns: ['actor', 'action', 'content'] },
+    documents: row => [{
+      contentType: 'episode',
+      text: `${row.actor || ''} ${row.action || ''}: ${row.content || ''}`,
+      metadata: { importance: row.importance, context: row.context }
+    }]
+  },
+  {
+    table: 'code_files',
+    columns: 'id, file_path, language, size, project_id',
+    recordQuery: 'SELECT id, file_path, language, size, last_indexed AS created_at, metadata, project_id FROM code_files',
+    contentTypes: ['code_file'],
+    documents(row) {
+      // The file content is not stored, so unless the indexer passes it along
+      // it has to be read from disk again
+      let fileContent = row.content;
+      if (fileContent === undefined) {
+        try {
+          fileContent = fs.readFileSync(row.file_path, 'utf8');
+        } catch (readError) {
+          logDebug(`Skipping re-embedding of unreadable file ${row.file_path}: ${readError.message}`);
+          return [];
+        }
+      }
+      
+      return [{
+        contentType: 'code_file',
+        text: fileContent,
+        chunking: 'lines',
+        metadata: { language: row.language, size: row.size, path: row.file_path }
+      }];
+    }
+  },
+  {
+    table: 'code_snippets',
+    columns: 'id, file_id, content, symbol_type, metadata, project_id',
+    recordQuery: `
+      SELECT cs.id, cs.content, cs.start_line, cs.end_line, cs.symbol_type, cs.metadata, cs.project_id,
+        cf.file_path, cf.language, cf.last_indexed AS created_at
+      FROM code_snippets cs
+      JOIN code_files cf ON cs.file_id = cf.id
+    `,
+    recordIdColumn: 'cs.id',
+    recordProjectColumn: 'cs.project_id',
+    contentTypes: ['code_snippet'],
+    fullText: { columns: ['content'] },
+    documents(row) {
+      let symbol = null;
+      try {
+        symbol = row.metadata ? JSON.parse(row.metadata).symbol : null;
+      } catch (parseError) {
+        // Keep going without the symbol name
+      }
+      
+      return [{
+        contentType: 'code_snippet',
+        text: row.content,
+        metadata: { file_id: row.file_id, symbol, type: row.symbol_type }
+      }];
+    }
+  }
+];
+
+/**
+ * Get all content types that belong to one of the embedding sources
+ * @returns {Array<string>} Content types
+ */
+function getSourceContentTypes() {
+  return EMBEDDING_SOURCES.flatMap(source => source.contentTypes);
+}
+
+/**
+ * Count vectors of memory content that were produced by a different model
+ * @returns {Promise<number>} Number of stale vectors
+ */
+async function countStaleVectors() {
+  const contentTypes = getSourceContentTypes();
+  const placeholders = contentTypes.map(() => '?').join(', ');
+  const result = await db.prepare(`
+    SELECT COUNT(*) as count FROM vectors
+    WHERE content_type IN (${placeholders})
+    AND (model_id IS NULL OR model_id != ?)
+  `).get(...contentTypes, getActiveModelId());
+  
+  return result?.count || 0;
+}
+
+/**
+ * Replace the vectors of one source row with vectors from the given model
+ * 
+ * @param {Object} source - Entry of EMBEDDING_SOURCES
+ * @param {Object} row - Row selected with source.columns
+ * @param {string} modelId - Model id to record on the new vectors
+ * @param {boolean} force - Re-embed even if the row already has vectors from this model
+ * @returns {Promise<boolean>} Whether new vectors were stored
+ */
+async function reembedRecord(source, row, modelId, force = false) {
+  const placeholders = source.contentTypes.map(() => '?').join(', ');
+  
+  if (!force) {
+    const existing = await db.prepare(`
+      SELECT COUNT(*) as count FROM vectors
+      WHERE content_id = ? AND content_type IN (${placeholders}) AND model_id = ?
+    `).get(row.id, ...source.contentTypes, modelId);
     
-    process.on('SIGTERM', () => {
-      log('Received SIGTERM signal, shutting down...');
-      if (serverInstance) {
-        serverInstance.close();
+    if (existing?.count > 0) {
+      return false;
+    }
+  }
+  
+  const docs = (await source.documents(row)).flatMap(chunkDocument);
+  if (docs.length === 0) {
+    return false;
+  }
+  
+  // Embed first so a provider failure leaves the old vectors in place
+  const vectors = await createCachedEmbeddings(docs.map(doc => doc.text));
+  
+  // Swap the vectors in one transaction, so a failed insert keeps the old ones
+  // and searches never see the record without vectors
+  const { removedIds, storedIds } = await db.transaction(async (tx) => {
+    const removed = await tx.prepare(`
+      SELECT id FROM vectors WHERE content_id = ? AND content_type IN (${placeholders})
+    `).all(row.id, ...source.contentTypes);
+    
+    await tx.prepare(`
+      DELETE FROM vectors WHERE content_id = ? AND content_type IN (${placeholders})
+    `).run(row.id, ...source.contentTypes);
+    
+    const stored = [];
+    for (let i = 0; i < docs.length; i++) {
+      const result = await storeEmbedding(row.id, docs[i].contentType, vectors[i], docs[i].metadata, modelId, docs[i].chunk, row.project_id, tx);
+      stored.push(Number(result.lastInsertRowid));
+    }
+    
+    return { removedIds: removed.map(vector => Number(vector.id)), storedIds: stored };
+  });
+  
+  if (annIndex && removedIds.filter(id => annIndex.remove(id)).length > 0) {
+    scheduleAnnIndexSave();
+  }
+  storedIds.forEach((vectorId, i) => {
+    if (vectorId > 0) {
+      addToAnnIndex(vectorId, row.id, docs[i].contentType, vectors[i], modelId, row.project_id);
+    }
+  });
+  
+  return true;
+}
+
+/**
+ * Embed a newly stored or changed record with the active model, replacing any
+ * vectors it had before
+ * 
+ * @param {string} table - Source table of the record
+ * @param {Object} row - Record with the columns its embedding source needs
+ * @returns {Promise<boolean>} Whether vectors were stored
+ */
+async function embedRecord(table, row) {
+  const source = EMBEDDING_SOURCES.find(s => s.table === table);
+  if (!source) {
+    throw new Error(`No embedding source for table ${table}`);
+  }
+  
+  return reembedRecord(source, row, getActiveModelId(), true);
+}
+
+let reembedRunning = false;
+
+/**
+ * Create a re-embedding job for the active model, or return the one already queued
+ * Jobs for other models are cancelled since their vectors would be stale anyway
+ * 
+ * @param {boolean} force - Re-embed every record, even ones already on the active model
+ * @returns {Promise<Object>} The job row
+ */
+async function queueReembedJob(force = false) {
+  const provider = getEmbeddingProvider();
+  const now = Date.now();
+  
+  await db.prepare(`
+    UPDATE reembed_jobs
+    SET status = 'cancelled', updated_at = ?
+    WHERE status IN ('pending', 'running', 'failed') AND model_id != ?
+  `).run(now, provider.id);
+  
+  let job = await db.prepare(`
+    SELECT * FROM reembed_jobs
+    WHERE status IN ('pending', 'running', 'failed') AND model_id = ?
+    ORDER BY id DESC LIMIT 1
+  `).get(provider.id);
+  
+  if (job) {
+    // A failed job resumes from its cursor
+    if (job.status === 'failed') {
+      await db.prepare(`
+        UPDATE reembed_jobs SET status = 'pending', updated_at = ? WHERE id = ?
+      `).run(now, job.id);
+    }
+  } else {
+    // Count the rows to process so progress can be reported
+    let total = 0;
+    for (const source of EMBEDDING_SOURCES) {
+      const countResult = await db.prepare(`SELECT COUNT(*) as count FROM ${source.table}`).get();
+      total += countResult?.count || 0;
+    }
+    
+    await db.prepare(`
+      INSERT INTO reembed_jobs (model_id, dimensions, status, cursor, total, created_at, updated_at)
+      VALUES (?, ?, 'pending', ?, ?, ?, ?)
+    `).run(provider.id, provider.dimensions, JSON.stringify({ source: 0, lastId: 0, force }), total, now, now);
+    
+    log(`Queued re-embedding of ${total} records for model ${provider.id}`);
+  }
+  
+  job = await db.prepare(`
+    SELECT * FROM reembed_jobs WHERE model_id = ? ORDER BY id DESC LIMIT 1
+  `).get(provider.id);
+  
+  // Run in the background so the caller doesn't wait for the whole store
+  setTimeout(() => {
+    runReembedJob().catch(error => log(`Re-embedding job error: ${error.message}`, "error"));
+  }, 0);
+  
+  return job;
+}
+
+/**
+ * Process the queued re-embedding job for the active model in batches
+ * Progress is saved after every batch, so a restart resumes where it stopped.
+ * After several consecutive failures (e.g. the embedding API is down) the job
+ * is marked failed and can be resumed later.
+ * 
+ * @returns {Promise<void>}
+ */
+async function runReembedJob() {
+  if (reembedRunning || !db) return;
+  reembedRunning = true;
+  
+  try {
+    const modelId = getActiveModelId();
+    const job = await db.prepare(`
+      SELECT * FROM reembed_jobs
+      WHERE status IN ('pending', 'running') AND model_id = ?
+      ORDER BY id DESC LIMIT 1
+    `).get(modelId);
+    
+    if (!job) return;
+    
+    const batchSize = Math.max(parseInt(process.env.REEMBED_BATCH_SIZE || '50', 10), 1);
+    const maxConsecutiveFailures = 5;
+    const cursor = job.cursor ? JSON.parse(job.cursor) : {};
+    let sourceIndex = cursor.source || 0;
+    let lastId = cursor.lastId || 0;
+    let processed = job.processed || 0;
+    let failed = job.failed || 0;
+    let lastError = null;
+    let consecutiveFailures = 0;
+    let streakStartId = lastId;
+    
+    await db.prepare(`
+      UPDATE reembed_jobs SET status = 'running', updated_at = ? WHERE id = ?
+    `).run(Date.now(), job.id);
+    log(`Re-embedding job ${job.id} running for model ${modelId} (source ${sourceIndex}, after id ${lastId})`);
+    
+    const saveProgress = async (status = 'running') => {
+      await db.prepare(`
+        UPDATE reembed_jobs
+        SET status = ?, cursor = ?, processed = ?, failed = ?, last_error = ?, updated_at = ?
+        WHERE id = ?
+      `).run(
+        status,
+        JSON.stringify({ source: sourceIndex, lastId, force: !!cursor.force }),
+        processed,
+        failed,
+        lastError,
+        Date.now(),
+        job.id
+      );
+    };
+    
+    while (sourceIndex < EMBEDDING_SOURCES.length) {
+      // Stop if the job was cancelled or superseded in the meantime
+      const current = await db.prepare('SELECT status FROM reembed_jobs WHERE id = ?').get(job.id);
+      if (!current || current.status !== 'running') {
+        log(`Re-embedding job ${job.id} stopped (${current?.status || 'deleted'})`);
+        return;
       }
-      process.exit(0);
-    });
+      
+      const source = EMBEDDING_SOURCES[sourceIndex];
+      const rows = await db.prepare(`
+        SELECT ${source.columns} FROM ${source.table}
+        WHERE id > ?
+        ORDER BY id
+        LIMIT ?
+      `).all(lastId, batchSize);
+      
+      if (rows.length === 0) {
+        sourceIndex++;
+        lastId = 0;
+        consecutiveFailures = 0;
+        await saveProgress();
+        continue;
+      }
+      
+      for (const row of rows) {
+        try {
+          await reembedRecord(source, row, modelId, !!cursor.force);
+          processed++;
+          consecutiveFailures = 0;
+        } catch (recordError) {
+          if (consecutiveFailures === 0) {
+            streakStartId = lastId;
+          }
+          failed++;
+          consecutiveFailures++;
+          lastError = `${source.table} ${row.id}: ${recordError.message}`;
+          log(`Re-embedding failed for ${lastError}`, "error");
+          
+          if (consecutiveFailures >= maxConsecutiveFailures) {
+            // Rewind to before this streak so the rows are retried on resume
+            lastId = streakStartId;
+            failed -= consecutiveFailures;
+            await saveProgress('failed');
+            log(`Re-embedding job ${job.id} paused after ${consecutiveFailures} consecutive failures`, "error");
+            return;
+          }
+        }
+        
+        // Isolated failures are counted and skipped rather than retried forever
+        lastId = row.id;
+      }
+      
+      await saveProgress();
+      
+      // Yield between batches so tool calls are not starved
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    // Anything still on another model could not be rebuilt (e.g. deleted files)
+    const contentTypes = getSourceContentTypes();
+    const placeholders = contentTypes.map(() => '?').join(', ');
+    const cleanup = await db.prepare(`
+      DELETE FROM vectors
+      WHERE content_type IN (${placeholders})
+      AND (model_id IS NULL OR model_id != ?)
+    `).run(...contentTypes, modelId);
+    
+    await saveProgress('completed');
+    await db.prepare('UPDATE reembed_jobs SET completed_at = ? WHERE id = ?').run(Date.now(), job.id);
+    log(`Re-embedding job ${job.id} completed: ${processed} records processed, ${failed} failed, ${cleanup.changes} stale vectors removed`);
+  } finally {
+    reembedRunning = false;
+  }
+}
+
+/**
+ * Start re-embedding automatically when stored vectors don't match the active model,
+ * and resume any job interrupted by a restart
+ * Disable the automatic start with REEMBED_AUTO=false
+ * 
+ * @returns {Promise<void>}
+ */
+async function resumeReembedding() {
+  if (!db) return;
+  
+  const pending = await db.prepare(`
+    SELECT id FROM reembed_jobs
+    WHERE status IN ('pending', 'running') AND model_id = ?
+    LIMIT 1
+  `).get(getActiveModelId());
+  
+  if (pending) {
+    log(`Resuming re-embedding job ${pending.id}`);
+    await runReembedJob();
+    return;
+  }
+  
+  if (process.env.REEMBED_AUTO === 'false') return;
+  
+  const staleCount = await countStaleVectors();
+  if (staleCount > 0) {
+    log(`Found ${staleCount} vectors from a different embedding model, starting re-embedding`);
+    await queueReembedJob();
+  }
+}
+
+/**
+ * Summarize re-embedding state for the active model
+ * @returns {Promise<Object>} Active model, stale vector count and latest job
+ */
+async function getReembedStatus() {
+  const job = await db.prepare(`
+    SELECT * FROM reembed_jobs ORDER BY id DESC LIMIT 1
+  `).get();
+  
+  return {
+    active_model: getActiveModelId(),
+    stale_vectors: await countStaleVectors(),
+    running: reembedRunning,
+    job: job ? {
+      id: job.id,
+      model_id: job.model_id,
+      status: job.status,
+      processed: job.processed,
+      failed: job.failed,
+      total: job.total,
+      last_error: job.last_error,
+      created_at: new Date(job.created_at).toISOString(),
+      updated_at: new Date(job.updated_at).toISOString(),
+      completed_at: job.completed_at ? new Date(job.completed_at).toISOString() : null
+    } : null
+  };
+}
+
+// Durable queue of records waiting for their embeddings
+
+let embeddingJobsRunning = false;
+let embeddingJobsTimer = null;
+
+/**
+ * Read embedding job settings from the environment
+ * @returns {Object} Retry and polling settings
+ */
+function getEmbeddingJobConfig() {
+  return {
+    maxAttempts: Math.max(parseInt(process.env.EMBEDDING_JOB_MAX_ATTEMPTS || '5', 10), 1),
+    backoffMs: Math.max(parseInt(process.env.EMBEDDING_JOB_BACKOFF_MS || '2000', 10), 0),
+    maxBackoffMs: Math.max(parseInt(process.env.EMBEDDING_JOB_MAX_BACKOFF_MS || '600000', 10), 0),
+    pollMs: Math.max(parseInt(process.env.EMBEDDING_JOB_POLL_MS || '10000', 10), 1000),
+    batchSize: 20
+  };
+}
+
+/**
+ * Queue a record for embedding. Write it with the transaction that inserts the
+ * record, so there is a job exactly when there is a record
+ * 
+ * @param {Object} tx - Transaction (or database) to write through
+ * @param {string} table - Source table of the record
+ * @param {number} recordId - ID of the inserted record
+ * @returns {Promise<number>} Job ID
+ */
+async function enqueueEmbeddingJob(tx, table, recordId) {
+  const now = Date.now();
+  const result = await tx.prepare(`
+    INSERT INTO embedding_jobs (source_table, record_id, status, attempts, next_attempt_at, created_at, updated_at)
+    VALUES (?, ?, 'pending', 0, ?, ?, ?)
+  `).run(table, recordId, now, now, now);
+  
+  return result.lastInsertRowid;
+}
+
+/**
+ * Embed the record of one queued job. The job is deleted on success; on failure
+ * it is retried with exponential backoff until it runs out of attempts and is
+ * left in the 'dead' state
+ * 
+ * @param {number} jobId - ID of the job
+ * @returns {Promise<boolean>} Whether the record was embedded
+ */
+async function runEmbeddingJob(jobId) {
+  // Claims made while writes are buffered would only be replayed later, leaving the job stuck
+  if (!isDatabaseConnected()) {
+    return false;
+  }
+  
+  const config = getEmbeddingJobConfig();
+  
+  // Claim the job, it may already have been picked up by the worker
+  const claim = await db.prepare(`
+    UPDATE embedding_jobs
+    SET status = 'running', attempts = attempts + 1, updated_at = ?
+    WHERE id = ? AND status = 'pending'
+  `).run(Date.now(), jobId);
+  
+  if (claim.changes === 0) {
+    return false;
+  }
+  
+  const job = await db.prepare('SELECT * FROM embedding_jobs WHERE id = ?').get(jobId);
+  
+  try {
+    const source = EMBEDDING_SOURCES.find(s => s.table === job.source_table);
+    if (!source) {
+      throw new Error(`No embedding source for table ${job.source_table}`);
+    }
     
+    // A record deleted before it was embedded needs no vectors
+    const row = await db.prepare(`SELECT ${source.columns} FROM ${source.table} WHERE id = ?`).get(job.record_id);
+    if (row) {
+      await embedRecord(job.source_table, row);
+    }
+    
+    await db.prepare('DELETE FROM embedding_jobs WHERE id = ?').run(jobId);
+    logDebug(`Embedding job ${jobId} done for ${job.source_table} ${job.record_id}`);
+    return true;
   } catch (error) {
-    log(`Failed to initialize server: ${error.message}`, "error");
-    process.exit(1);
+    const dead = job.attempts >= config.maxAttempts;
+    const delay = Math.min(config.backoffMs * 2 ** (job.attempts - 1), config.maxBackoffMs);
+    
+    await db.prepare(`
+      UPDATE embedding_jobs
+      SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(dead ? 'dead' : 'pending', error.message, Date.now() + delay, Date.now(), jobId);
+    
+    if (dead) {
+      log(`Embedding job ${jobId} for ${job.source_table} ${job.record_id} failed ${job.attempts} times, giving up: ${error.message}`, "error");
+    } else {
+      log(`Embedding job ${jobId} for ${job.source_table} ${job.record_id} failed (attempt ${job.attempts}), retrying in ${delay}ms: ${error.message}`, "error");
+    }
+    return false;
   }
 }
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  log(`FATAL ERROR: ${error.message}`, "error");
-  log(`Stack trace: ${error.stack}`, "error");
+/**
+ * Run all embedding jobs that are due, oldest first
+ * @returns {Promise<void>}
+ */
+async function processEmbeddingJobs() {
+  if (embeddingJobsRunning || !db || !isDatabaseConnected()) return;
+  embeddingJobsRunning = true;
   
-  if (serverInstance) {
-    try {
-      serverInstance.close();
-    } catch (closeError) {
-      log(`Error during server close: ${closeError.message}`, "error");
+  try {
+    const { batchSize } = getEmbeddingJobConfig();
+    let lastId = 0;
+    
+    while (true) {
+      const jobs = await db.prepare(`
+        SELECT id FROM embedding_jobs
+        WHERE status = 'pending' AND next_attempt_at <= ? AND id > ?
+        ORDER BY id
+        LIMIT ?
+      `).all(Date.now(), lastId, batchSize);
+      
+      if (jobs.length === 0) break;
+      
+      for (const job of jobs) {
+        await runEmbeddingJob(job.id);
+        lastId = job.id;
+      }
+      
+      // Yield between batches so tool calls are not starved
+      await new Promise(resolve => setTimeout(resolve, 0));
     }
+  } finally {
+    embeddingJobsRunning = false;
+  }
+}
+
+/**
+ * Process queued embedding jobs in the background
+ * @returns {void}
+ */
+function scheduleEmbeddingJobs() {
+  setTimeout(() => {
+    processEmbeddingJobs().catch(error => log(`Embedding job worker error: ${error.message}`, "error"));
+  }, 0);
+}
+
+/**
+ * Requeue jobs interrupted by a restart and start polling for due retries
+ * @returns {Promise<void>}
+ */
+async function resumeEmbeddingJobs() {
+  if (!db) return;
+  
+  const interrupted = await db.prepare(`
+    UPDATE embedding_jobs SET status = 'pending', updated_at = ? WHERE status = 'running'
+  `).run(Date.now());
+  
+  if (interrupted.changes > 0) {
+    log(`Requeued ${interrupted.changes} embedding job(s) interrupted by a restart`);
   }
   
-  process.exit(1);
-});
+  if (!embeddingJobsTimer) {
+    embeddingJobsTimer = setInterval(() => {
+      processEmbeddingJobs().catch(error => log(`Embedding job worker error: ${error.message}`, "error"));
+    }, getEmbeddingJobConfig().pollMs);
+  }
+  
+  await processEmbeddingJobs();
+}
 
-// Start the server
-main().catch(error => {
-  log(`Fatal error during startup: ${error.message}`, "error");
-  process.exit(1);
-});
+/**
+ * Summarize the embedding job backlog
+ * @returns {Promise<Object>} Job counts by state, oldest pending job and latest failure
+ */
+async function getEmbeddingJobStatus() {
+  const counts = await db.prepare(`
+    SELECT status, COUNT(*) as count, MIN(created_at) as oldest
+    FROM embedding_jobs
+    GROUP BY status
+  `).all();
+  const byStatus = Object.fromEntries(counts.map(row => [row.status, row]));
+  
+  const lastFailure = await db.prepare(`
+    SELECT source_table, record_id, status, attempts, last_error, updated_at
+    FROM embedding_jobs
+    WHERE last_error IS NOT NULL
+    ORDER BY updated_at DESC LIMIT 1
+  `).get();
+  
+  return {
+    pending: byStatus.pending?.count || 0,
+    running: byStatus.running?.count || 0,
+    dead: byStatus.dead?.count || 0,
+    oldest_pending: byStatus.pending ? new Date(byStatus.pending.oldest).toISOString() : null,
+    last_failure: lastFailure ? {
+      record: `${lastFailure.source_table} ${lastFailure.record_id}`,
+      status: lastFailure.status,
+      attempts: lastFailure.attempts,
+      error: lastFailure.last_error,
+      at: new Date(lastFailure.updated_at).toISOString()
+    } : null
+  };
+}
+
+// Retention of messages and episodes
+
+// Tables the retention policy applies to, with the column that dates their rows
+const RETENTION_TABLES = {
+  messages: 'created_at',
+  episodes: 'timestamp'
+};
+
+// Records archived or deleted per transaction
+const RETENTION_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionStatus = {
+  timer: null,
+  running: false,
+  last_run_at: null,
+  last_pruned: null,
+  last_error: null
+};
 
 /**
- * Index a code file by extracting metadata, identifying language, and generating embeddings
- * This function handles the code indexing process triggered by file tracking
+ * Read the retention policy from RETENTION_POLICY, given as JSON or as the path
+ * of a JSON file. Each table maps importance levels, and "default" for levels it
+ * does not list, to a rule with maxAgeDays and/or maxCount, or to "forever".
+ * Records no rule applies to are kept
  * 
- * @param {string} filePath - Path to the file to index
- * @param {string} action - Action performed on the file (open, edit, close, etc.)
- * @returns {Promise<boolean>} Success status
+ * @returns {Object} Action and rules of each table with a policy
  */
-async function indexCodeFile(filePath, action) {
+function getRetentionPolicy() {
+  const value = (process.env.RETENTION_POLICY || '').trim();
+  if (!value) {
+    return {};
+  }
+  
+  let config;
   try {
-    // Skip if database is not available or if this is a close action
-    if (!db || action === 'close') {
-      return false;
+    config = JSON.parse(value.startsWith('{') ? value : fs.readFileSync(path.resolve(value), 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid RETENTION_POLICY: ${error.message}`);
+  }
+  
+  const policy = {};
+  for (const [table, tableConfig] of Object.entries(config)) {
+    if (!RETENTION_TABLES[table]) {
+      throw new Error(`Invalid RETENTION_POLICY: unsupported table "${table}". Supported tables are: ${Object.keys(RETENTION_TABLES).join(', ')}`);
     }
     
-    log(`Starting code indexing for file: ${filePath}`);
+    const { action = 'archive', ...levels } = tableConfig || {};
+    if (!['archive', 'delete'].includes(action)) {
+      throw new Error(`Invalid RETENTION_POLICY: unknown action "${action}" for ${table}. Supported actions are: archive, delete`);
+    }
     
-    // Read the file to index
-    let fileContent;
-    try {
-      fileContent = fs.readFileSync(filePath, 'utf8');
-      if (!fileContent) {
-        throw new Error("File is empty or could not be read");
+    const rules = Object.entries(levels).map(([importance, rule]) => {
+      if (rule === 'forever') {
+        return { importance, maxAgeDays: null, maxCount: null };
       }
-    } catch (readError) {
-      log(`Could not read file for indexing: ${readError.message}`, "error");
-      return false;
+      
+      const { maxAgeDays = null, maxCount = null } = rule || {};
+      const valid = (maxAgeDays !== null || maxCount !== null) &&
+        (maxAgeDays === null || (typeof maxAgeDays === 'number' && maxAgeDays >= 0)) &&
+        (maxCount === null || (Number.isInteger(maxCount) && maxCount >= 0));
+      
+      if (!valid) {
+        throw new Error(`Invalid RETENTION_POLICY: ${table}.${importance} must be "forever" or have a non-negative maxAgeDays and/or maxCount`);
+      }
+      return { importance, maxAgeDays, maxCount };
+    });
+    
+    policy[table] = { action, rules };
+  }
+  
+  return policy;
+}
+
+/**
+ * Find the records of a project that each rule of a table's policy prunes.
+ * A rule prunes records older than maxAgeDays, and records beyond the newest
+ * maxCount of its importance level
+ * 
+ * @param {string} table - Table the policy applies to
+ * @param {Object} tablePolicy - Action and rules of the table
+ * @param {string} project - Project whose records are pruned
+ * @param {number} now - Time the ages are measured from
+ * @returns {Promise<Array<Object>>} Each rule with the records it prunes
+ */
+async function findPrunableRecords(table, tablePolicy, project, now) {
+  const timeColumn = RETENTION_TABLES[table];
+  const listed = tablePolicy.rules.map(rule => rule.importance).filter(importance => importance !== 'default');
+  const results = [];
+  
+  for (const rule of tablePolicy.rules) {
+    if (rule.maxAgeDays === null && rule.maxCount === null) {
+      results.push({ ...rule, records: [] });
+      continue;
     }
     
-    // Get file stats
-    const stats = fs.statSync(filePath);
-    const fileSize = stats.size;
+    // "default" covers every level without a rule of its own, and records without one
+    let importanceFilter = 'importance = ?';
+    let importanceParams = [rule.importance];
+    if (rule.importance === 'default') {
+      importanceFilter = listed.length > 0
+        ? `(importance IS NULL OR importance NOT IN (${listed.map(() => '?').join(', ')}))`
+        : '1 = 1';
+      importanceParams = listed;
+    }
     
-    // Detect language based on file extension
-    const extension = path.extname(filePath).toLowerCase();
-    let language = 'text'; // Default to plain text
+    const conditions = [];
+    const params = [];
+    if (rule.maxAgeDays !== null) {
+      conditions.push(`${timeColumn} < ?`);
+      params.push(now - rule.maxAgeDays * DAY_MS);
+    }
+    if (rule.maxCount !== null) {
+      conditions.push(`id NOT IN (
+        SELECT id FROM ${table}
+        WHERE project_id = ? AND ${importanceFilter}
+        ORDER BY ${timeColumn} DESC, id DESC
+        LIMIT ?
+      )`);
+      params.push(project, ...importanceParams, rule.maxCount);
+    }
     
-    // Simple language detection by extension
-    const languageMap = {
-      '.js': 'javascript',
-      '.jsx': 'javascript',
-      '.ts': 'typescript',
-      '.tsx': 'typescript',
-      '.py': 'python',
-      '.rb': 'ruby',
-      '.java': 'java',
-      '.c': 'c',
-      '.cpp': 'cpp',
-      '.h': 'c',
-      '.hpp': 'cpp',
-      '.cs': 'csharp',
-      '.go': 'go',
-      '.rs': 'rust',
-      '.php': 'php',
-      '.html': 'html',
-      '.css': 'css',
-      '.json': 'json',
-      '.md': 'markdown',
-      '.sh': 'shell',
-      '.sql': 'sql'
-    };
+    const records = await db.prepare(`
+      SELECT id, ${timeColumn} AS time FROM ${table}
+      WHERE project_id = ? AND ${importanceFilter} AND (${conditions.join(' OR ')})
+      ORDER BY ${timeColumn}, id
+    `).all(project, ...importanceParams, ...params);
     
-    if (languageMap[extension]) {
-      language = languageMap[extension];
+    results.push({ ...rule, records });
+  }
+  
+  return results;
+}
+
+/**
+ * Count the vectors of some records of a table
+ * @param {string} table - Source table of the records
+ * @param {Array<number>} ids - Record ids
+ * @returns {Promise<number>} Number of vectors
+ */
+async function countRecordVectors(table, ids) {
+  const source = EMBEDDING_SOURCES.find(s => s.table === table);
+  const typePlaceholders = source.contentTypes.map(() => '?').join(', ');
+  let count = 0;
+  
+  for (let i = 0; i < ids.length; i += RETENTION_BATCH_SIZE) {
+    const batch = ids.slice(i, i + RETENTION_BATCH_SIZE);
+    const row = await db.prepare(`
+      SELECT COUNT(*) as count FROM vectors
+      WHERE content_id IN (${batch.map(() => '?').join(', ')}) AND content_type IN (${typePlaceholders})
+    `).get(...batch, ...source.contentTypes);
+    count += row?.count || 0;
+  }
+  
+  return count;
+}
+
+/**
+ * Archive or delete records of a table together with their vectors and queued
+ * embeddings. Full-text index entries go with them through the table's triggers
+ * 
+ * @param {string} table - Source table of the records
+ * @param {Array<number>} ids - Record ids
+ * @param {string} action - 'archive' to keep a copy in archived_memories, or 'delete'
+ * @returns {Promise<number>} Number of vectors removed
+ */
+async function pruneRecords(table, ids, action) {
+  const source = EMBEDDING_SOURCES.find(s => s.table === table);
+  const typePlaceholders = source.contentTypes.map(() => '?').join(', ');
+  const now = Date.now();
+  let vectorsRemoved = 0;
+  
+  for (let i = 0; i < ids.length; i += RETENTION_BATCH_SIZE) {
+    const batch = ids.slice(i, i + RETENTION_BATCH_SIZE);
+    const placeholders = batch.map(() => '?').join(', ');
+    
+    const vectorIds = await db.transaction(async (tx) => {
+      if (action === 'archive') {
+        const records = await tx.prepare(`SELECT * FROM ${table} WHERE id IN (${placeholders})`).all(...batch);
+        for (const record of records) {
+          await tx.prepare(`
+            INSERT INTO archived_memories (source_table, record_id, project_id, record, created_at, archived_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `).run(table, record.id, record.project_id, encryptField(JSON.stringify(record)), record[RETENTION_TABLES[table]], now);
+        }
+      }
+      
+      const vectors = await tx.prepare(`
+        SELECT id FROM vectors WHERE content_id IN (${placeholders}) AND content_type IN (${typePlaceholders})
+      `).all(...batch, ...source.contentTypes);
+      
+      await tx.prepare(`
+        DELETE FROM vectors WHERE content_id IN (${placeholders}) AND content_type IN (${typePlaceholders})
+      `).run(...batch, ...source.contentTypes);
+      await tx.prepare(`
+        DELETE FROM embedding_jobs WHERE source_table = ? AND record_id IN (${placeholders})
+      `).run(table, ...batch);
+      await tx.prepare(`DELETE FROM ${table} WHERE id IN (${placeholders})`).run(...batch);
+      
+      return vectors.map(vector => Number(vector.id));
+    });
+    
+    if (annIndex && vectorIds.filter(id => annIndex.remove(id)).length > 0) {
+      scheduleAnnIndexSave();
+    }
+    vectorsRemoved += vectorIds.length;
+  }
+  
+  return vectorsRemoved;
+}
+
+/**
+ * Apply the retention policy to the messages and episodes of a project, or
+ * report what it would prune
+ * 
+ * @param {Object} options - Pruning options
+ * @param {boolean} options.dryRun - Only report the records that would be pruned
+ * @param {string} options.project - Project whose records are pruned
+ * @returns {Promise<Object>} Records pruned, or to be pruned, by table and rule
+ */
+async function applyRetentionPolicy({ dryRun = false, project = getCurrentProject() } = {}) {
+  const policy = getRetentionPolicy();
+  
+  if (!dryRun) {
+    if (retentionStatus.running) {
+      throw new Error("Pruning is already in progress");
     }
+    retentionStatus.running = true;
+  }
+  
+  try {
+    const now = Date.now();
+    const tables = [];
     
-    // Create or update entry in code_files table
-    let fileId;
-    try {
-      // Check if file already exists in database
-      const existingFile = await db.prepare(`
-        SELECT id FROM code_files WHERE file_path = ?
-      `).get(filePath);
+    for (const [table, tablePolicy] of Object.entries(policy)) {
+      const rules = await findPrunableRecords(table, tablePolicy, project, now);
+      const ids = rules.flatMap(rule => rule.records.map(record => record.id));
       
-      if (existingFile) {
-        // Update existing record
-        await db.prepare(`
-          UPDATE code_files
-          SET language = ?, last_indexed = ?, size = ?
-          WHERE id = ?
-        `).run(language, Date.now(), fileSize, existingFile.id);
-        fileId = existingFile.id;
-        log(`Updated indexed file: ${filePath}`);
-      } else {
-        // Insert new record
-        const result = await db.prepare(`
-          INSERT INTO code_files (file_path, language, last_indexed, size)
-          VALUES (?, ?, ?, ?)
-        `).run(filePath, language, Date.now(), fileSize);
-        fileId = result.lastInsertRowid;
-        log(`Added new indexed file: ${filePath}`);
+      let vectors = 0;
+      if (ids.length > 0) {
+        vectors = dryRun
+          ? await countRecordVectors(table, ids)
+          : await pruneRecords(table, ids, tablePolicy.action);
       }
       
-      // Generate embedding for file content
-      // Only use a sample of the file content if it's very large
-      const contentToEmbed = fileContent.length > 10000 
-        ? fileContent.substring(0, 5000) + "\n...\n" + fileContent.substring(fileContent.length - 5000) 
-        : fileContent;
-      
-      const fileVector = await createEmbedding(contentToEmbed);
-      
-      // Store the embedding
-      await storeEmbedding(fileId, 'code_file', fileVector, {
-        language,
-        size: fileSize,
-        path: filePath
+      tables.push({
+        table,
+        action: tablePolicy.action,
+        records: ids.length,
+        vectors,
+        rules: rules.map(rule => ({
+          importance: rule.importance,
+          max_age_days: rule.maxAgeDays,
+          max_count: rule.maxCount,
+          records: rule.records.length,
+          oldest: rule.records.length > 0 ? new Date(rule.records[0].time).toISOString() : null,
+          newest: rule.records.length > 0 ? new Date(rule.records[rule.records.length - 1].time).toISOString() : null
+        }))
       });
-      
-      // Extract code snippets if it's a recognized code file
-      if (language !== 'text' && language !== 'markdown') {
-        await extractCodeSnippets(filePath, fileContent, fileId, language);
+    }
+    
+    const total = tables.reduce((sum, entry) => sum + entry.records, 0);
+    
+    if (!dryRun) {
+      retentionStatus.last_run_at = now;
+      retentionStatus.last_pruned = total;
+      retentionStatus.last_error = null;
+      if (total > 0) {
+        log(`Retention policy pruned ${total} record(s) of project ${project}`);
       }
+    }
+    
+    return {
+      project,
+      dry_run: dryRun,
+      configured: tables.length > 0,
+      records: total,
+      vectors: tables.reduce((sum, entry) => sum + entry.vectors, 0),
+      tables
+    };
+  } catch (error) {
+    if (!dryRun) {
+      retentionStatus.last_error = error.message;
+    }
+    throw error;
+  } finally {
+    if (!dryRun) {
+      retentionStatus.running = false;
+    }
+  }
+}
+
+/**
+ * Apply the retention policy now and then every RETENTION_INTERVAL minutes,
+ * if one is configured. An interval of 0 leaves pruning to the pruneMemory tool
+ * @returns {void}
+ */
+function scheduleRetention() {
+  const intervalMinutes = parseInt(process.env.RETENTION_INTERVAL || '60', 10);
+  if (intervalMinutes <= 0 || retentionStatus.timer) return;
+  
+  try {
+    if (Object.keys(getRetentionPolicy()).length === 0) return;
+  } catch (error) {
+    log(`Retention policy disabled: ${error.message}`, "error");
+    return;
+  }
+  
+  const run = () => {
+    // Reads fail while a remote database is unreachable; try again next time
+    if (!isDatabaseConnected()) return;
+    applyRetentionPolicy().catch(error => log(`Error applying retention policy: ${error.message}`, "error"));
+  };
+  
+  setTimeout(run, 0);
+  retentionStatus.timer = setInterval(run, intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Summarize the retention policy and the last scheduled or manual pruning
+ * @returns {Object} Retention status
+ */
+function getRetentionStatus() {
+  return {
+    interval_minutes: parseInt(process.env.RETENTION_INTERVAL || '60', 10),
+    running: retentionStatus.running,
+    last_run_at: retentionStatus.last_run_at ? new Date(retentionStatus.last_run_at).toISOString() : null,
+    last_pruned: retentionStatus.last_pruned,
+    last_error: retentionStatus.last_error
+  };
+}
+
+// Export and import of the memories of a project
+
+// Versioned JSONL archive: a header line, then one line per row in the order of
+// PROJECT_TABLES, so files come before their snippets and records before their vectors
+const MEMORY_EXPORT_FORMAT = 'cursor10x-memory';
+const MEMORY_EXPORT_VERSION = 1;
+
+// Rows read per query while exporting
+const MEMORY_EXPORT_BATCH_SIZE = 500;
+
+// Columns that identify a row already present when an export is merged into a
+// project. Snippets are matched on the file id after it is remapped
+const MEMORY_IMPORT_KEYS = {
+  messages: ['role', 'created_at'],
+  active_files: ['filename'],
+  milestones: ['title', 'created_at'],
+  decisions: ['title', 'created_at'],
+  requirements: ['title', 'created_at'],
+  episodes: ['actor', 'action', 'timestamp'],
+  code_files: ['file_path'],
+  code_snippets: ['file_id', 'start_line', 'end_line', 'symbol_type'],
+  acceptance_criteria: ['requirement_id', 'position'],
+  requirement_links: ['requirement_id', 'target_type', 'target_id'],
+  memory_relations: ['source_type', 'source_id', 'relation', 'target_type', 'target_id']
+};
+
+// Columns holding the id of another row, with the table of that row or a function
+// of the row returning it. They are pointed at the new id of the row they name;
+// when it was not imported, nullable columns are cleared and rows with NOT NULL
+// references are skipped. References within a table are set once all its rows are in
+const MEMORY_IMPORT_REFERENCES = {
+  decisions: { supersedes: 'decisions', superseded_by: 'decisions' },
+  code_snippets: { file_id: 'code_files' },
+  acceptance_criteria: { requirement_id: 'requirements' },
+  requirement_links: { requirement_id: 'requirements', target_id: row => REQUIREMENT_LINK_TARGETS[row.target_type] },
+  memory_relations: {
+    source_id: row => RELATION_NODE_TYPES[row.source_type]?.table,
+    target_id: row => RELATION_NODE_TYPES[row.target_type]?.table
+  }
+};
+
+/**
+ * Resolve the path given to the exportMemory or importMemory tool inside the
+ * export directory (MEMORY_EXPORT_DIR, default ~/.cursor10x/exports), so the
+ * assistant cannot read or write files anywhere else
+ * 
+ * @param {string} filePath - Path relative to the export directory
+ * @returns {string} Absolute path inside the export directory
+ */
+function resolveExportToolPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw new Error("path must be a non-empty string");
+  }
+  
+  const exportDir = path.resolve(process.env.MEMORY_EXPORT_DIR || path.join(os.homedir(), '.cursor10x', 'exports'));
+  const resolvedPath = path.resolve(exportDir, filePath);
+  const outsideError = new Error(`path must be inside the export directory ${exportDir} (set MEMORY_EXPORT_DIR to change it)`);
+  
+  if (!resolvedPath.startsWith(exportDir + path.sep)) {
+    throw outsideError;
+  }
+  
+  // A symlink in the export directory must not lead out of it either, so check
+  // where the deepest part of the path that exists really is
+  fs.mkdirSync(exportDir, { recursive: true });
+  const realDir = fs.realpathSync(exportDir);
+  let existing = resolvedPath;
+  while (!fs.existsSync(existing)) {
+    existing = path.dirname(existing);
+  }
+  const realExisting = fs.realpathSync(existing);
+  if (realExisting !== realDir && !realExisting.startsWith(realDir + path.sep)) {
+    throw outsideError;
+  }
+  
+  return resolvedPath;
+}
+
+/**
+ * Write the memories of a project and their vectors to a JSONL file. When
+ * encryption is on, encrypted columns are written as ciphertext under the current
+ * key, whose id each value carries, unless decrypt asks for plaintext
+ * 
+ * @param {Object} options - Export options
+ * @param {string} options.filePath - File to write
+ * @param {boolean} options.decrypt - Write encrypted columns in plaintext (default: false)
+ * @param {string} options.project - Project to export
+ * @returns {Promise<Object>} File written and number of rows per table
+ */
+async function exportMemory({ filePath, decrypt = false, project = getCurrentProject() }) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw new Error("path must be a non-empty string");
+  }
+  
+  const resolvedPath = path.resolve(filePath);
+  // Rows are read decrypted, so content is encrypted again before it is written
+  const encrypted = isEncryptionEnabled() && !decrypt;
+  const contentTypes = getSourceContentTypes();
+  const records = {};
+  
+  for (const table of PROJECT_TABLES) {
+    const row = table === 'vectors'
+      ? await db.prepare(`
+          SELECT COUNT(*) as count FROM vectors
+          WHERE project_id = ? AND content_type IN (${contentTypes.map(() => '?').join(', ')})
+        `).get(project, ...contentTypes)
+      : await db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE project_id = ?`).get(project);
+    records[table] = row?.count || 0;
+  }
+  
+  // Write to a temporary file first so a failed export never leaves a truncated archive
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  const fd = fs.openSync(`${resolvedPath}.tmp`, 'w');
+  
+  try {
+    fs.writeSync(fd, JSON.stringify({
+      format: MEMORY_EXPORT_FORMAT,
+      version: MEMORY_EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      project,
+      model_id: getActiveModelId(),
+      encrypted,
+      records
+    }) + '\n');
+    
+    for (const table of PROJECT_TABLES) {
+      let lastId = 0;
       
-      return true;
-    } catch (dbError) {
-      log(`Database error during file indexing: ${dbError.message}`, "error");
-      return false;
+      while (true) {
+        const rows = table === 'vectors'
+          ? await db.prepare(`
+              SELECT v.*, fp.vector AS full_precision FROM vectors v
+              LEFT JOIN vector_full_precision fp ON fp.vector_id = v.id
+              WHERE v.project_id = ? AND v.content_type IN (${contentTypes.map(() => '?').join(', ')}) AND v.id > ?
+              ORDER BY v.id
+              LIMIT ?
+            `).all(project, ...contentTypes, lastId, MEMORY_EXPORT_BATCH_SIZE)
+          : await db.prepare(`
+              SELECT * FROM ${table} WHERE project_id = ? AND id > ? ORDER BY id LIMIT ?
+            `).all(project, lastId, MEMORY_EXPORT_BATCH_SIZE);
+        
+        if (rows.length === 0) break;
+        
+        let lines = '';
+        for (const { project_id, ...row } of rows) {
+          if (table === 'vectors') {
+            row.vector = Buffer.from(row.vector).toString('base64');
+            row.full_precision = row.full_precision ? Buffer.from(row.full_precision).toString('base64') : null;
+          }
+          if (encrypted) {
+            for (const column of ENCRYPTED_COLUMNS[table] || []) {
+              row[column] = encryptField(row[column]);
+            }
+          }
+          lines += JSON.stringify({ table, row }) + '\n';
+        }
+        fs.writeSync(fd, lines);
+        
+        lastId = rows[rows.length - 1].id;
+      }
     }
-  } catch (error) {
-    log(`Failed to index code file: ${error.message}`, "error");
-    return false;
+  } finally {
+    fs.closeSync(fd);
   }
+  
+  fs.renameSync(`${resolvedPath}.tmp`, resolvedPath);
+  
+  return { path: resolvedPath, project, format_version: MEMORY_EXPORT_VERSION, encrypted, records };
 }
 
 /**
- * Extract and store code snippets from a file
- * Performs simple code structure analysis to identify functions, classes, etc.
- * 
- * @param {string} filePath - Path to the file
- * @param {string} content - File content
- * @param {number} fileId - ID of the file in code_files table
- * @param {string} language - Programming language
- * @returns {Promise<boolean>} Success status
+ * Read and validate an export written by exportMemory
+ * @param {string} filePath - File to read
+ * @returns {{header: Object, entries: Array<{table: string, row: Object}>}} Header and rows of the export
  */
-async function extractCodeSnippets(filePath, content, fileId, language) {
-  try {
-    log(`Extracting code snippets from ${filePath}`);
-    
-    // First, clear existing snippets for this file
-    await db.prepare(`
-      DELETE FROM code_snippets WHERE file_id = ?
-    `).run(fileId);
+function readMemoryExport(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const entries = [];
+  let header = null;
+  
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
     
-    // Split content into lines
-    const lines = content.split('\n');
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (parseError) {
+      throw new Error(`Invalid memory export ${filePath}, line ${i + 1}: ${parseError.message}`);
+    }
     
-    // Simple regex patterns for common code structures
-    // This is a very basic implementation - a real system would use proper parsers
-    const patterns = {
-      // Function detection varies by language
-      function: {
-        javascript: /^\s*(async\s+)?function\s+(\w+)\s*\(/,
-        typescript: /^\s*(async\s+)?function\s+(\w+)\s*\(/,
-        python: /^\s*def\s+(\w+)\s*\(/,
-        java: /^\s*(public|private|protected)?\s*(static)?\s*\w+\s+(\w+)\s*\(/,
-        ruby: /^\s*def\s+(\w+)/,
-        go: /^\s*func\s+(\w+)/,
-        rust: /^\s*fn\s+(\w+)/
-      },
-      // Class detection
-      class: {
-        javascript: /^\s*class\s+(\w+)/,
-        typescript: /^\s*class\s+(\w+)/,
-        python: /^\s*class\s+(\w+)/,
-        java: /^\s*(public|private|protected)?\s*class\s+(\w+)/,
-        ruby: /^\s*class\s+(\w+)/,
-        rust: /^\s*struct\s+(\w+)|impl\s+(\w+)/
-      },
-      // Variable declaration - very basic detection
-      variable: {
-        javascript: /^\s*(const|let|var)\s+(\w+)\s*=/,
-        typescript: /^\s*(const|let|var)\s+(\w+)\s*:/,
-        python: /^\s*(\w+)\s*=/,
-        java: /^\s*(private|public|protected)?\s*\w+\s+(\w+)\s*=/
+    if (!header) {
+      if (entry?.format !== MEMORY_EXPORT_FORMAT) {
+        throw new Error(`${filePath} is not a memory export written by exportMemory`);
       }
-    };
-    
-    // Use appropriate patterns based on language, fallback to javascript patterns
-    const langPatterns = {
-      function: patterns.function[language] || patterns.function.javascript,
-      class: patterns.class[language] || patterns.class.javascript,
-      variable: patterns.variable[language] || patterns.variable.javascript
-    };
+      if (!Number.isInteger(entry.version) || entry.version > MEMORY_EXPORT_VERSION) {
+        throw new Error(`${filePath} has export format version ${entry.version}, this server reads up to version ${MEMORY_EXPORT_VERSION}`);
+      }
+      header = entry;
+      return;
+    }
     
-    // Track found snippets
-    const snippets = [];
+    if (!PROJECT_TABLES.includes(entry?.table) || !entry.row || typeof entry.row !== 'object') {
+      throw new Error(`Invalid memory export ${filePath}, line ${i + 1}: expected a row of one of ${PROJECT_TABLES.join(', ')}`);
+    }
+    entries.push(entry);
+  });
+  
+  if (!header) {
+    throw new Error(`${filePath} is empty`);
+  }
+  return { header, entries };
+}
+
+/**
+ * Import an export written by exportMemory into a project. Rows get new ids, and
+ * the snippets and vectors that point at them follow. In merge mode rows already
+ * in the project, matched on MEMORY_IMPORT_KEYS, are kept as they are; in replace
+ * mode the memories of the project are deleted first, but not their revision
+ * history or archived rows. Encrypted content needs the
+ * key it was exported with. Records imported without vectors get embedding
+ * jobs, left for the caller to run
+ * 
+ * @param {Object} options - Import options
+ * @param {string} options.filePath - File to read
+ * @param {string} options.mode - 'merge' or 'replace'
+ * @param {string} options.project - Project to import into
+ * @returns {Promise<Object>} Rows imported and skipped per table
+ */
+async function importMemory({ filePath, mode = 'merge', project = getCurrentProject() }) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw new Error("path must be a non-empty string");
+  }
+  if (!['merge', 'replace'].includes(mode)) {
+    throw new Error("mode must be one of: merge, replace");
+  }
+  
+  const resolvedPath = path.resolve(filePath);
+  const { header, entries } = readMemoryExport(resolvedPath);
+  
+  // Only columns the table still has are imported, so exports of other schema versions load
+  const tableColumns = {};
+  const requiredColumns = {};
+  for (const table of PROJECT_TABLES) {
+    const columns = await db.prepare(`PRAGMA table_info(${table})`).all();
+    tableColumns[table] = new Set(columns.map(column => column.name).filter(name => name !== 'id' && name !== 'project_id'));
+    requiredColumns[table] = new Set(columns.filter(column => column.notnull).map(column => column.name));
+  }
+  
+  const contentTables = {};
+  for (const source of EMBEDDING_SOURCES) {
+    for (const contentType of source.contentTypes) {
+      contentTables[contentType] = source.table;
+    }
+  }
+  
+  const records = Object.fromEntries(PROJECT_TABLES.map(table => [table, { imported: 0, skipped: 0 }]));
+  const removedVectorIds = [];
+  const importedVectors = [];
+  let removed = 0;
+  let queued = 0;
+  
+  await db.transaction(async (tx) => {
+    if (mode === 'replace') {
+      const vectors = await tx.prepare('SELECT id FROM vectors WHERE project_id = ?').all(project);
+      removedVectorIds.push(...vectors.map(vector => Number(vector.id)));
+      
+      await tx.prepare(`
+        DELETE FROM vector_full_precision WHERE vector_id IN (SELECT id FROM vectors WHERE project_id = ?)
+      `).run(project);
+      await tx.prepare('DELETE FROM vectors WHERE project_id = ?').run(project);
+      // Revision history and archived rows are not part of an export, so they are
+      // kept; ids are never reused, so they stay with the records they were written for
+      
+      for (const source of EMBEDDING_SOURCES) {
+        await tx.prepare(`
+          DELETE FROM embedding_jobs WHERE source_table = ? AND record_id IN (SELECT id FROM ${source.table} WHERE project_id = ?)
+        `).run(source.table, project);
+      }
+      
+      // Rows referencing others first, such as snippets before their code_files
+      for (const table of [...PROJECT_TABLES].reverse().filter(table => table !== 'vectors')) {
+        const result = await tx.prepare(`DELETE FROM ${table} WHERE project_id = ?`).run(project);
+        removed += result.changes;
+      }
+    }
     
-    // Scan through lines to identify code structures
-    let currentSymbol = null;
-    let currentStart = 0;
-    let currentType = null;
-    let currentContent = '';
-    let braceCount = 0;
+    // Old id to new id of every row, and the records inserted rather than matched
+    const idMap = Object.fromEntries(PROJECT_TABLES.map(table => [table, new Map()]));
+    const inserted = Object.fromEntries(PROJECT_TABLES.map(table => [table, new Set()]));
+    const embedded = Object.fromEntries(PROJECT_TABLES.map(table => [table, new Set()]));
+    const references = [];
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+    for (const { table, row } of entries) {
+      const values = { ...row };
       
-      // Check for function, class, or variable declarations
-      if (!currentSymbol) {
-        for (const [type, pattern] of Object.entries(langPatterns)) {
-          const match = line.match(pattern);
-          if (match) {
-            currentSymbol = match[match.length - 1];
-            currentStart = i;
-            currentType = type;
-            currentContent = line;
-            if (line.includes('{')) braceCount = 1;
-            break;
+      if (table === 'vectors') {
+        const contentTable = contentTables[values.content_type];
+        const contentId = contentTable ? idMap[contentTable].get(values.content_id) : undefined;
+        
+        // Vectors of matched records are left to the record already in the project
+        if (contentId === undefined || !inserted[contentTable].has(contentId)) {
+          records.vectors.skipped++;
+          continue;
+        }
+        
+        values.content_id = contentId;
+        values.vector = Buffer.from(values.vector, 'base64');
+        
+        // Code blocks and snippets also name their message or file in the vector metadata
+        if (values.metadata) {
+          try {
+            const metadata = JSON.parse(values.metadata);
+            if (metadata.message_id !== undefined) metadata.message_id = idMap.messages.get(metadata.message_id) ?? metadata.message_id;
+            if (metadata.file_id !== undefined) metadata.file_id = idMap.code_files.get(metadata.file_id) ?? metadata.file_id;
+            values.metadata = JSON.stringify(metadata);
+          } catch (parseError) {
+            // Keep the metadata as exported
           }
         }
-      } else {
-        // Inside a code block
-        currentContent += '\n' + line;
+        embedded[contentTable].add(contentId);
+      }
+      
+      const deferred = {};
+      let unresolved = false;
+      for (const [column, target] of Object.entries(MEMORY_IMPORT_REFERENCES[table] || {})) {
+        if (values[column] === null || values[column] === undefined) continue;
         
-        // Count braces to determine block end
-        if (line.includes('{')) braceCount++;
-        if (line.includes('}')) braceCount--;
+        const targetTable = typeof target === 'function' ? target(values) : target;
+        if (targetTable === table) {
+          if (tableColumns[table].has(column)) deferred[column] = values[column];
+          values[column] = null;
+          continue;
+        }
         
-        // Check if we've reached the end of the code block
-        const isBlockEnd = 
-          (braceCount === 0 && line.includes('}')) || // For brace languages
-          (language === 'python' && line.match(/^\S/)); // For Python (indentation)
+        const targetId = idMap[targetTable]?.get(values[column]);
+        if (targetId === undefined && requiredColumns[table].has(column)) {
+          unresolved = true;
+          break;
+        }
+        values[column] = targetId ?? null;
+      }
+      
+      if (unresolved) {
+        records[table].skipped++;
+        continue;
+      }
+      
+      if (mode === 'merge' && MEMORY_IMPORT_KEYS[table]) {
+        const keys = MEMORY_IMPORT_KEYS[table];
+        const existing = await tx.prepare(`
+          SELECT id FROM ${table} WHERE project_id = ? AND ${keys.map(key => `${key} IS ?`).join(' AND ')}
+        `).get(project, ...keys.map(key => values[key] ?? null));
         
-        if (isBlockEnd || i === lines.length - 1) {
-          // Store the found snippet
-          snippets.push({
-            symbol: currentSymbol,
-            type: currentType,
-            start: currentStart,
-            end: i,
-            content: currentContent
-          });
-          
-          // Reset for next block
-          currentSymbol = null;
-          currentStart = 0;
-          currentType = null;
-          currentContent = '';
-          braceCount = 0;
+        if (existing) {
+          idMap[table].set(row.id, Number(existing.id));
+          records[table].skipped++;
+          continue;
         }
       }
-    }
-    
-    // Store extracted snippets in database
-    for (const snippet of snippets) {
-      // Generate embedding for the snippet
-      const snippetVector = await createEmbedding(snippet.content);
       
-      // Insert snippet
-      const result = await db.prepare(`
-        INSERT INTO code_snippets (file_id, start_line, end_line, content, symbol_type, metadata)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(
-        fileId,
-        snippet.start,
-        snippet.end,
-        snippet.content,
-        snippet.type,
-        JSON.stringify({ symbol: snippet.symbol })
-      );
+      const encrypted = ENCRYPTED_COLUMNS[table] || [];
+      const columns = Object.keys(values).filter(column => tableColumns[table].has(column));
+      const result = await tx.prepare(`
+        INSERT INTO ${table} (${columns.join(', ')}, project_id)
+        VALUES (${columns.map(() => '?').join(', ')}, ?)
+      `).run(...columns.map(column => encrypted.includes(column) ? encryptField(decryptField(values[column] ?? null)) : values[column] ?? null), project);
+      const newId = Number(result.lastInsertRowid);
       
-      // Store embedding for the snippet
-      await storeEmbedding(result.lastInsertRowid, 'code_snippet', snippetVector, {
-        file_id: fileId,
-        symbol: snippet.symbol,
-        type: snippet.type
-      });
+      if (table === 'vectors') {
+        if (row.full_precision) {
+          await tx.prepare(`
+            INSERT OR REPLACE INTO vector_full_precision (vector_id, vector) VALUES (?, ?)
+          `).run(newId, Buffer.from(row.full_precision, 'base64'));
+        }
+        importedVectors.push({ id: newId, ...values });
+      } else {
+        idMap[table].set(row.id, newId);
+        inserted[table].add(newId);
+        
+        if (Object.keys(deferred).length > 0) {
+          references.push({ table, id: newId, values: deferred });
+        }
+      }
+      records[table].imported++;
     }
     
-    log(`Extracted ${snippets.length} code snippets from ${filePath}`);
-    return true;
-  } catch (error) {
-    log(`Error extracting code snippets: ${error.message}`, "error");
-    return false;
+    for (const reference of references) {
+      const columns = Object.keys(reference.values);
+      await tx.prepare(`
+        UPDATE ${reference.table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?
+      `).run(...columns.map(column => idMap[reference.table].get(reference.values[column]) ?? null), reference.id);
+    }
+    
+    for (const source of EMBEDDING_SOURCES) {
+      for (const recordId of inserted[source.table]) {
+        if (!embedded[source.table].has(recordId)) {
+          await enqueueEmbeddingJob(tx, source.table, recordId);
+          queued++;
+        }
+      }
+    }
+  });
+  
+  if (annIndex) {
+    removedVectorIds.forEach(id => annIndex.remove(id));
+    scheduleAnnIndexSave();
   }
-} 
+  for (const vector of importedVectors) {
+    addToAnnIndex(vector.id, vector.content_id, vector.content_type, bufferToVector(vector.vector), vector.model_id, project);
+  }
+  
+  return {
+    path: resolvedPath,
+    project,
+    mode,
+    exported_from: header.project,
+    exported_at: header.exported_at,
+    records,
+    removed,
+    queued_embeddings: queued,
+    // Vectors of another embedding model are re-embedded by reembedMemory or at the next startup
+    stale_vectors: await countStaleVectors()
+  };
+}
 
-// Define a simple background task queue to manage indexing operations
-const backgroundTasks = {
-  queue: [],
-  isProcessing: false,
+/**
+ * Command line entry point: cursor10x-mcp export <file> [--decrypt] [--project <id>] and
+ * cursor10x-mcp import <file> [--mode merge|replace] [--project <id>]
+ * @param {string} command - 'export' or 'import'
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Promise<number>} Process exit code
+ */
+async function runMemoryExportCli(command, argv) {
+  const option = (name) => {
+    const index = argv.indexOf(name);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+  const filePath = argv.find((arg, i) => !arg.startsWith('--') && !['--project', '--mode'].includes(argv[i - 1]));
+  const project = option('--project') || getCurrentProject();
   
-  /**
-   * Add a task to the background queue
-   * @param {Function} task - Function to execute
-   * @param {...any} params - Parameters to pass to the function
-   */
-  addTask(task, ...params) {
-    this.queue.push({ task, params });
-    log(`Added task to background queue. Queue length: ${this.queue.length}`);
-    
-    // Start processing if not already running
-    if (!this.isProcessing) {
-      this.processQueue();
-    }
-  },
+  if (!process.env.TURSO_DATABASE_URL) {
+    console.error('TURSO_DATABASE_URL is not set');
+    return 1;
+  }
+  if (!filePath) {
+    console.error(`Usage: cursor10x-mcp ${command} <file>${command === 'import' ? ' [--mode merge|replace]' : ' [--decrypt]'} [--project <id>]`);
+    return 1;
+  }
   
-  /**
-   * Process tasks in the queue one by one
-   */
-  async processQueue() {
-    if (this.isProcessing || this.queue.length === 0) return;
+  try {
+    db = createDecryptingAdapter(await createDatabaseAdapter());
     
-    this.isProcessing = true;
-    log(`Starting background queue processing. Tasks: ${this.queue.length}`);
+    // Bring the schema up to date, so every table exported or imported into exists
+    await upgradeLegacySchema();
+    await applyMigrations();
     
-    try {
-      const { task, params } = this.queue.shift();
-      if (typeof task === 'function') {
-        if (params.length === 0) {
-          await task();
-        } else if (params.length === 1) {
-          await task(params[0]);
-        } else {
-          await task(...params);
-        }
-      } else {
-        log(`Invalid task in background queue: ${typeof task}`, "error");
+    if (command === 'export') {
+      const result = await exportMemory({ filePath, decrypt: argv.includes('--decrypt'), project });
+      for (const [table, count] of Object.entries(result.records)) {
+        console.log(`  ${table}: ${count}`);
       }
-    } catch (error) {
-      log(`Error in background task: ${error.message}`, "error");
-    } finally {
-      this.isProcessing = false;
-      
-      // Continue processing if more tasks remain
-      if (this.queue.length > 0) {
-        setTimeout(() => this.processQueue(), 100); // Small delay between tasks
+      console.log(`Exported project ${project} to ${result.path}${result.encrypted ? ' (content encrypted)' : ''}`);
+    } else {
+      const result = await importMemory({ filePath, mode: option('--mode') || 'merge', project });
+      for (const [table, counts] of Object.entries(result.records)) {
+        console.log(`  ${table}: ${counts.imported} imported, ${counts.skipped} skipped`);
       }
+      if (result.removed > 0) console.log(`Removed ${result.removed} row(s) the import replaced`);
+      if (result.queued_embeddings > 0) console.log(`Queued ${result.queued_embeddings} record(s) for embedding at the next start of the server`);
+      console.log(`Imported ${result.path} into project ${project}`);
     }
+    
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await db?.close();
+  }
+}
+
+// Updates, deletions and revision history of long-term memories
+
+// Lifecycle of a decision; superseded decisions are left out of context
+const DECISION_STATUSES = ['proposed', 'accepted', 'deprecated', 'superseded'];
+
+// Progress of a requirement
+const REQUIREMENT_STATUSES = ['open', 'in_progress', 'done', 'dropped'];
+
+// Long-term memory types with their table, the columns an update may change and
+// the statuses they can have
+const LONG_TERM_MEMORY_TYPES = {
+  milestone: { table: 'milestones', columns: ['title', 'description', 'importance', 'metadata'] },
+  decision: {
+    table: 'decisions',
+    columns: ['title', 'content', 'reasoning', 'importance', 'status', 'supersedes', 'metadata'],
+    statuses: DECISION_STATUSES
+  },
+  requirement: {
+    table: 'requirements',
+    columns: ['title', 'content', 'importance', 'status', 'metadata'],
+    statuses: REQUIREMENT_STATUSES
+  }
+};
+
+/**
+ * Validate the status of a decision or requirement
+ * @param {string} type - decision or requirement
+ * @param {string} status - Status to check
+ * @returns {string} The status
+ */
+function validateMemoryStatus(type, status) {
+  const { statuses } = LONG_TERM_MEMORY_TYPES[type];
+  if (!statuses.includes(status)) {
+    throw new Error(`status must be one of: ${statuses.join(', ')}`);
+  }
+  return status;
+}
+
+/**
+ * Mark a decision as superseded by another one, keeping its previous values
+ * as a revision
+ * 
+ * @param {Object} tx - Transaction
+ * @param {number} decisionId - Decision that replaces the other one
+ * @param {number} supersededId - Decision it replaces
+ * @param {string} project - Project of both decisions
+ * @returns {Promise<void>}
+ */
+async function supersedeDecision(tx, decisionId, supersededId, project) {
+  if (supersededId === decisionId) {
+    throw new Error("A decision cannot supersede itself");
+  }
+  
+  const superseded = await tx.prepare('SELECT * FROM decisions WHERE id = ? AND project_id = ?').get(supersededId, project);
+  if (!superseded) {
+    throw new Error(`decision ${supersededId} not found`);
+  }
+  if (superseded.status === 'superseded' && superseded.superseded_by === decisionId) {
+    return;
+  }
+  
+  await storeRevision(tx, 'decisions', superseded, 'update');
+  await tx.prepare(`
+    UPDATE decisions SET status = 'superseded', superseded_by = ? WHERE id = ?
+  `).run(decisionId, supersededId);
+}
+
+/**
+ * Clear the supersedes or superseded_by link of a decision, keeping its previous
+ * values as a revision
+ * 
+ * @param {Object} tx - Transaction
+ * @param {Object} decision - Row of the decision
+ * @param {string} column - 'supersedes' or 'superseded_by'
+ * @returns {Promise<void>}
+ */
+async function clearDecisionLink(tx, decision, column) {
+  await storeRevision(tx, 'decisions', decision, 'update');
+  await tx.prepare(`UPDATE decisions SET ${column} = NULL WHERE id = ?`).run(decision.id);
+}
+
+/**
+ * Look up a long-term memory type and validate a record id
+ * @param {string} type - milestone, decision or requirement
+ * @param {number} id - Record id
+ * @returns {Object} Entry of LONG_TERM_MEMORY_TYPES
+ */
+function getLongTermMemoryType(type, id) {
+  const memoryType = LONG_TERM_MEMORY_TYPES[type];
+  if (!memoryType) {
+    throw new Error(`type must be one of: ${Object.keys(LONG_TERM_MEMORY_TYPES).join(', ')}`);
   }
-};
+  if (!isRecordId(id)) {
+    throw new Error("id must be a positive integer");
+  }
+  return memoryType;
+}
 
 /**
- * Detect if a query is code-related based on patterns and keywords
- * @param {string} query - The user's query text
- * @returns {boolean} Whether the query is likely code-related
+ * Store a row as it is before an update or deletion, under the next revision
+ * number of its record
+ * 
+ * @param {Object} tx - Transaction
+ * @param {string} table - Table of the record
+ * @param {Object} row - Row as currently stored, with plaintext values
+ * @param {string} action - 'update' or 'delete'
+ * @returns {Promise<number>} Revision number
  */
-function isCodeRelatedQuery(query) {
-  if (!query) return false;
-  
-  // Convert to lowercase for case-insensitive matching
-  const text = query.toLowerCase();
+async function storeRevision(tx, table, row, action) {
+  const latest = await tx.prepare(`
+    SELECT MAX(revision) as revision FROM memory_revisions WHERE source_table = ? AND record_id = ?
+  `).get(table, row.id);
+  const revision = (latest?.revision || 0) + 1;
   
-  // Common code-related terms
-  const codeTerms = [
-    'code', 'function', 'class', 'method', 'variable', 'object',
-    'array', 'string', 'number', 'boolean', 'interface', 'type',
-    'implement', 'extend', 'import', 'export', 'module', 'package',
-    'library', 'framework', 'api', 'component', 'property', 'attribute',
-    'syntax', 'compiler', 'interpreter', 'runtime', 'debug', 'error',
-    'exception', 'bug', 'fix', 'issue', 'pull request', 'commit',
-    'branch', 'merge', 'git', 'repository', 'algorithm', 'data structure'
-  ];
+  await tx.prepare(`
+    INSERT INTO memory_revisions (source_table, record_id, project_id, revision, action, record, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(table, row.id, row.project_id, revision, action, encryptField(JSON.stringify(row)), Date.now());
   
-  // Programming language names
-  const languages = [
-    'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'ruby',
-    'go', 'rust', 'php', 'swift', 'kotlin', 'scala', 'perl', 'r',
-    'bash', 'shell', 'sql', 'html', 'css', 'jsx', 'tsx'
-  ];
+  return revision;
+}
+
+/**
+ * Change a milestone, decision or requirement. The previous values are kept as
+ * a revision and the record is embedded again
+ * 
+ * @param {Object} options - Update options
+ * @param {string} options.type - milestone, decision or requirement
+ * @param {number} options.id - Record id
+ * @param {Object} options.changes - New values of the columns to change
+ * @param {string} options.project - Project of the record
+ * @returns {Promise<Object>} Revision stored, columns changed and the updated record
+ */
+async function updateMemory({ type, id, changes, project = getCurrentProject() }) {
+  const { table, columns } = getLongTermMemoryType(type, id);
   
-  // Check for presence of code terms or language names
-  for (const term of [...codeTerms, ...languages]) {
-    if (text.includes(term)) return true;
+  const given = Object.keys(changes).filter(column => changes[column] !== undefined);
+  const unknown = given.filter(column => !columns.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`A ${type} has no ${unknown.join(', ')}; it can change: ${columns.join(', ')}`);
+  }
+  if (given.length === 0) {
+    throw new Error(`Nothing to update; give at least one of: ${columns.join(', ')}`);
+  }
+  if (changes.status !== undefined) {
+    validateMemoryStatus(type, changes.status);
+  }
+  if (changes.supersedes !== undefined && changes.supersedes !== null && !Number.isInteger(changes.supersedes)) {
+    throw new Error("supersedes must be the id of a decision");
   }
   
-  // Check for code patterns
-  const codePatterns = [
-    /\b(function|def|class|import|export|from|const|let|var)\b/i,
-    /\b(if|else|for|while|switch|case|try|catch|async|await)\b/i,
-    /\b(return|yield|throw|break|continue)\b/i,
-    /[\[\]{}()<>]/g,  // Code symbols like brackets
-    /\w+\.\w+\(/,     // Method calls like object.method()
-    /\w+\([^)]*\)/,   // Function calls like func()
-    /\s(===|!==|==|!=|>=|<=|&&|\|\|)\s/, // Comparison operators
-    /`[^`]*`/,        // Template literals
-    /\/\/|\/\*|\*\//  // Comments
-  ];
+  const values = Object.fromEntries(given.map(column => [
+    column,
+    column === 'metadata' && changes.metadata !== null ? JSON.stringify(changes.metadata) : changes[column]
+  ]));
   
-  for (const pattern of codePatterns) {
-    if (pattern.test(text)) return true;
+  const result = await db.transaction(async (tx) => {
+    const row = await tx.prepare(`SELECT * FROM ${table} WHERE id = ? AND project_id = ?`).get(id, project);
+    if (!row) {
+      throw new Error(`${type} ${id} not found`);
+    }
+    
+    const changed = given.filter(column => values[column] !== row[column]);
+    if (changed.length === 0) {
+      return { revision: null, changed, jobId: null };
+    }
+    
+    const revision = await storeRevision(tx, table, row, 'update');
+    const encrypted = ENCRYPTED_COLUMNS[table] || [];
+    
+    await tx.prepare(`
+      UPDATE ${table} SET ${changed.map(column => `${column} = ?`).join(', ')} WHERE id = ?
+    `).run(...changed.map(column => encrypted.includes(column) ? encryptField(values[column]) : values[column]), id);
+    
+    // The decision replaced is marked superseded, and one it no longer replaces lets go of it
+    if (changed.includes('supersedes')) {
+      if (row.supersedes) {
+        const previous = await tx.prepare('SELECT * FROM decisions WHERE id = ? AND superseded_by = ?').get(row.supersedes, id);
+        if (previous) {
+          await clearDecisionLink(tx, previous, 'superseded_by');
+        }
+      }
+      if (values.supersedes !== null) {
+        await supersedeDecision(tx, id, values.supersedes, project);
+      }
+    }
+    
+    // Record the update in episodes
+    await tx.prepare(`
+      INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+      VALUES ('system', ?, ?, ?, ?, ?, NULL, ?)
+    `).run(`${type}_updated`, encryptField(values.title ?? row.title), Date.now(), values.importance ?? row.importance, `${type}-tracking`, project);
+    
+    return { revision, changed, jobId: await enqueueEmbeddingJob(tx, table, id) };
+  });
+  
+  // Replace the vectors of the old text; a failed attempt is retried in the background
+  if (result.jobId) {
+    await runEmbeddingJob(result.jobId);
   }
   
-  return false;
+  return {
+    type,
+    id,
+    revision: result.revision,
+    changed: result.changed,
+    record: await db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id)
+  };
 }
 
 /**
- * Trigger background indexing of recently active files that haven't been indexed yet
- * @param {string} query - The user query to determine which files might be relevant
+ * Delete a milestone, decision or requirement with its vectors. The record is
+ * kept as its last revision, so getMemoryHistory still shows it
+ * 
+ * @param {Object} options - Deletion options
+ * @param {string} options.type - milestone, decision or requirement
+ * @param {number} options.id - Record id
+ * @param {string} options.project - Project of the record
+ * @returns {Promise<Object>} Revision stored and number of vectors removed
  */
-async function triggerCodeIndexing(query) {
-  try {
-    if (!db || useInMemory) return;
-    
-    // Get recently active files
-    const activeFiles = await db.prepare(`
-      SELECT filename, last_accessed 
-      FROM active_files 
-      ORDER BY last_accessed DESC 
-      LIMIT 10
-    `).all();
-    
-    if (!activeFiles || activeFiles.length === 0) {
-      log('No active files found for background indexing');
-      return;
+async function deleteMemory({ type, id, project = getCurrentProject() }) {
+  const { table } = getLongTermMemoryType(type, id);
+  const source = EMBEDDING_SOURCES.find(s => s.table === table);
+  const typePlaceholders = source.contentTypes.map(() => '?').join(', ');
+  
+  const result = await db.transaction(async (tx) => {
+    const row = await tx.prepare(`SELECT * FROM ${table} WHERE id = ? AND project_id = ?`).get(id, project);
+    if (!row) {
+      throw new Error(`${type} ${id} not found`);
     }
     
-    // Check which files need indexing (not in code_files table or outdated)
-    const filesToIndex = [];
-    
-    for (const file of activeFiles) {
-      // Skip non-code files
-      const ext = path.extname(file.filename).toLowerCase();
-      if (!ext || ext === '.md' || ext === '.txt' || ext === '.json') continue;
-      
-      try {
-        // Check if file exists in the code_files table
-        const indexedFile = await db.prepare(`
-          SELECT id, last_indexed, file_path 
-          FROM code_files 
-          WHERE file_path = ?
-        `).get(file.filename);
-        
-        // Get file stats to check if file has been modified since last indexed
-        try {
-          const stats = fs.statSync(file.filename);
-          const lastModified = stats.mtimeMs;
-          
-          // Add to indexing queue if file is not indexed or outdated
-          if (!indexedFile || (indexedFile.last_indexed < lastModified)) {
-            filesToIndex.push({
-              filename: file.filename,
-              action: 'update'
-            });
-          }
-        } catch (fsError) {
-          log(`Error checking file stats for ${file.filename}: ${fsError.message}`, 'error');
-          // Skip this file
+    const revision = await storeRevision(tx, table, row, 'delete');
+    
+    const vectors = await tx.prepare(`
+      SELECT id FROM vectors WHERE content_id = ? AND content_type IN (${typePlaceholders})
+    `).all(id, ...source.contentTypes);
+    
+    await tx.prepare(`
+      DELETE FROM vector_full_precision WHERE vector_id IN (
+        SELECT id FROM vectors WHERE content_id = ? AND content_type IN (${typePlaceholders})
+      )
+    `).run(id, ...source.contentTypes);
+    await tx.prepare(`
+      DELETE FROM vectors WHERE content_id = ? AND content_type IN (${typePlaceholders})
+    `).run(id, ...source.contentTypes);
+    await tx.prepare('DELETE FROM embedding_jobs WHERE source_table = ? AND record_id = ?').run(table, id);
+    await tx.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+    
+    // Decisions linked to a deleted decision no longer name it, each keeping a revision
+    if (table === 'decisions') {
+      for (const column of ['supersedes', 'superseded_by']) {
+        const linked = await tx.prepare(`SELECT * FROM decisions WHERE ${column} = ?`).all(id);
+        for (const decision of linked) {
+          await clearDecisionLink(tx, decision, column);
         }
-      } catch (dbError) {
-        log(`Error checking indexed status for ${file.filename}: ${dbError.message}`, 'error');
-        // Skip this file
       }
     }
     
-    if (filesToIndex.length > 0) {
-      log(`Queuing ${filesToIndex.length} files for background indexing`);
-      
-      // Add indexing tasks to the background queue
-      for (const file of filesToIndex) {
-        backgroundTasks.addTask(indexCodeFile, file.filename, file.action);
-      }
+    // A requirement takes its acceptance criteria and links along, other memories their links to requirements
+    if (table === 'requirements') {
+      await tx.prepare('DELETE FROM acceptance_criteria WHERE requirement_id = ?').run(id);
+      await tx.prepare('DELETE FROM requirement_links WHERE requirement_id = ?').run(id);
     } else {
-      log('No files need indexing at this time');
+      await tx.prepare('DELETE FROM requirement_links WHERE target_type = ? AND target_id = ?').run(type, id);
     }
-  } catch (error) {
-    log(`Error in triggerCodeIndexing: ${error.message}`, 'error');
+    
+    // Relations from and to the memory go with it
+    await tx.prepare(`
+      DELETE FROM memory_relations
+      WHERE project_id = ? AND ((source_type = ? AND source_id = ?) OR (target_type = ? AND target_id = ?))
+    `).run(project, type, id, type, id);
+    
+    // Record the deletion in episodes
+    await tx.prepare(`
+      INSERT INTO episodes (actor, action, content, timestamp, importance, context, metadata, project_id)
+      VALUES ('system', ?, ?, ?, ?, ?, NULL, ?)
+    `).run(`${type}_deleted`, encryptField(row.title), Date.now(), row.importance, `${type}-tracking`, project);
+    
+    return { revision, vectorIds: vectors.map(vector => Number(vector.id)) };
+  });
+  
+  if (annIndex && result.vectorIds.filter(vectorId => annIndex.remove(vectorId)).length > 0) {
+    scheduleAnnIndexSave();
   }
+  
+  return { type, id, revision: result.revision, vectors_removed: result.vectorIds.length };
 }
 
 /**
- * Extract code blocks from markdown-style text
- * @param {string} text - Text that may contain code blocks
- * @returns {Array} Array of extracted code blocks with language info
+ * List the revisions of a milestone, decision or requirement, oldest first.
+ * Each revision holds the values the record had before that update or
+ * deletion, and the columns the update changed
+ * 
+ * @param {Object} options - History options
+ * @param {string} options.type - milestone, decision or requirement
+ * @param {number} options.id - Record id
+ * @param {string} options.project - Project of the record
+ * @returns {Promise<Object>} Current record, null once deleted, and its revisions
  */
-function extractCodeBlocks(text) {
-  if (!text) return [];
+async function getMemoryHistory({ type, id, project = getCurrentProject() }) {
+  const { table, columns } = getLongTermMemoryType(type, id);
   
-  const codeBlockRegex = /```([a-z]*)\n([\s\S]*?)```/g;
-  const blocks = [];
-  let match;
+  const current = await db.prepare(`SELECT * FROM ${table} WHERE id = ? AND project_id = ?`).get(id, project);
+  const rows = await db.prepare(`
+    SELECT revision, action, record, created_at FROM memory_revisions
+    WHERE source_table = ? AND record_id = ? AND project_id = ?
+    ORDER BY revision
+  `).all(table, id, project);
   
-  while ((match = codeBlockRegex.exec(text)) !== null) {
-    blocks.push({
-      language: match[1] || 'text',
-      content: match[2].trim()
-    });
+  if (!current && rows.length === 0) {
+    throw new Error(`${type} ${id} not found`);
   }
   
-  // Also look for code patterns in regular text if no code blocks found
-  if (blocks.length === 0 && isCodeRelatedQuery(text)) {
-    // Split by lines and look for coherent code segments
-    const lines = text.split('\n');
-    let codeSegment = '';
-    let inCode = false;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      // Simple heuristic: indented lines or lines with code-like symbols are likely code
-      const isCodeLine = /^\s{2,}|[{}\[\]();]|function\s+\w+\s*\(|if\s*\(|for\s*\(/.test(line);
-      
-      if (isCodeLine) {
-        if (!inCode) {
-          inCode = true;
-          codeSegment = line;
-        } else {
-          codeSegment += '\n' + line;
-        }
-      } else if (inCode && line === '') {
-        // Empty line, might be within code block
-        codeSegment += '\n';
-      } else if (inCode) {
-        // End of code segment
-        if (codeSegment.length > 0) {
-          blocks.push({
-            language: 'text',
-            content: codeSegment.trim()
-          });
+  const versions = rows.map(row => JSON.parse(row.record));
+  const revisions = rows.map((row, i) => {
+    const { id: recordId, project_id, ...values } = versions[i];
+    const next = versions[i + 1] || current;
+    
+    // A deletion changes nothing; the values are the record as it was deleted
+    const changes = {};
+    if (row.action === 'update' && next) {
+      for (const column of columns) {
+        if (values[column] !== next[column]) {
+          changes[column] = { from: values[column] ?? null, to: next[column] ?? null };
         }
-        inCode = false;
-        codeSegment = '';
       }
     }
     
-    // Add final code segment if we ended while still in code
-    if (inCode && codeSegment.length > 0) {
-      blocks.push({
-        language: 'text',
-        content: codeSegment.trim()
-      });
-    }
-  }
+    return {
+      revision: row.revision,
+      action: row.action,
+      changed_at: new Date(row.created_at).toISOString(),
+      values,
+      changes
+    };
+  });
   
-  return blocks;
+  return { type, id, deleted: !current, current: current || null, revisions };
 }
 
 /**
- * Performs maintenance of vector indexes and database optimization
- * Handles: rebuilding indexes, cleaning orphaned vectors, and optimizing storage
- * Designed to run periodically or during system idle time
+ * Get the file name of the ADR of a decision, numbered by its id
+ * @param {Object} decision - Decision with id and title
+ * @returns {string} File name, e.g. 0012-use-postgresql.md
+ */
+function getAdrFileName(decision) {
+  const slug = (decision.title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  
+  return `${String(decision.id).padStart(4, '0')}-${slug || 'decision'}.md`;
+}
+
+/**
+ * Write the decisions of a project as numbered Markdown architecture decision
+ * records, one file per decision. An ADR whose decision was renamed replaces
+ * the file of its old name
  * 
- * @param {Object} options - Maintenance options
- * @param {boolean} options.forceRebuild - Force rebuild of indexes even if not needed
- * @param {boolean} options.cleanOrphans - Remove vectors without corresponding content
- * @param {boolean} options.optimizeStorage - Merge similar vectors to reduce storage
- * @returns {Promise<Object>} Maintenance results
+ * @param {Object} options - Export options
+ * @param {string} options.directory - Folder to write to (default: ADR_DIRECTORY or docs/adr)
+ * @param {string} options.project - Project whose decisions are exported
+ * @returns {Promise<Object>} Folder and files written
  */
-async function performVectorMaintenance(options = {}) {
-  const defaults = {
-    forceRebuild: false,
-    cleanOrphans: true,
-    optimizeStorage: true
-  };
+async function exportDecisions({ directory = process.env.ADR_DIRECTORY || 'docs/adr', project = getCurrentProject() } = {}) {
+  if (typeof directory !== 'string' || !directory.trim()) {
+    throw new Error("directory must be a non-empty string");
+  }
   
-  const opts = { ...defaults, ...options };
-  const results = {
-    indexesRebuilt: false,
-    orphansRemoved: 0,
-    vectorsOptimized: 0,
-    errors: []
+  const resolvedDirectory = path.resolve(directory);
+  const decisions = await db.prepare(`
+    SELECT id, title, content, reasoning, importance, status, supersedes, superseded_by, created_at
+    FROM decisions
+    WHERE project_id = ?
+    ORDER BY id
+  `).all(project);
+  const byId = new Map(decisions.map(decision => [decision.id, decision]));
+  
+  const link = (id) => {
+    const decision = byId.get(id);
+    return decision ? `[${decision.id}. ${decision.title}](${getAdrFileName(decision)})` : `decision ${id}`;
   };
   
-  log('Starting vector maintenance tasks');
+  fs.mkdirSync(resolvedDirectory, { recursive: true });
+  const existing = fs.readdirSync(resolvedDirectory);
+  const files = [];
   
-  try {
-    if (!db || useInMemory) {
-      throw new Error('Database not available or using in-memory storage');
+  for (const decision of decisions) {
+    const fileName = getAdrFileName(decision);
+    const number = fileName.slice(0, fileName.indexOf('-'));
+    
+    for (const stale of existing.filter(name => name !== fileName && name.startsWith(`${number}-`) && name.endsWith('.md'))) {
+      fs.unlinkSync(path.join(resolvedDirectory, stale));
     }
     
-    // 1. Check and rebuild vector indexes if needed
-    if (opts.forceRebuild) {
-      log('Force rebuilding vector indexes');
-      try {
-        // Drop existing vector index
-        await db.prepare('DROP INDEX IF EXISTS idx_vectors_vector').run();
-        log('Dropped existing vector index');
-        
-        // Recreate vector indexes
-        await createVectorIndexes();
-        results.indexesRebuilt = true;
-        log('Vector indexes rebuilt successfully');
-      } catch (rebuildError) {
-        const errMsg = `Error rebuilding vector indexes: ${rebuildError.message}`;
-        log(errMsg, 'error');
-        results.errors.push(errMsg);
-      }
+    const status = [decision.status.charAt(0).toUpperCase() + decision.status.slice(1)];
+    if (decision.supersedes) status.push(`Supersedes ${link(decision.supersedes)}`);
+    if (decision.superseded_by) status.push(`Superseded by ${link(decision.superseded_by)}`);
+    
+    const sections = [
+      `# ${decision.id}. ${decision.title}`,
+      `Date: ${new Date(decision.created_at).toISOString().slice(0, 10)}`,
+      `Importance: ${decision.importance}`,
+      `## Status\n\n${status.join('\n\n')}`,
+      `## Decision\n\n${decision.content || ''}`
+    ];
+    if (decision.reasoning) {
+      sections.push(`## Reasoning\n\n${decision.reasoning}`);
+    }
+    
+    fs.writeFileSync(path.join(resolvedDirectory, fileName), sections.join('\n\n') + '\n');
+    files.push({ id: decision.id, file: fileName, status: decision.status });
+  }
+  
+  return { directory: resolvedDirectory, project, count: files.length, files };
+}
+
+// Requirement tracking: acceptance criteria, links to the work done and traceability
+
+// Memories and code a requirement can be linked to, with their tables
+const REQUIREMENT_LINK_TARGETS = {
+  milestone: 'milestones',
+  decision: 'decisions',
+  code_file: 'code_files',
+  code_snippet: 'code_snippets'
+};
+
+const REQUIREMENT_OPERATIONS = ['addCriterion', 'updateCriterion', 'removeCriterion', 'link', 'unlink'];
+
+/**
+ * Add acceptance criteria after the existing criteria of a requirement
+ * 
+ * @param {Object} tx - Transaction
+ * @param {number} requirementId - Requirement the criteria belong to
+ * @param {Array<string>} descriptions - Criteria to add
+ * @param {string} project - Project of the requirement
+ * @param {boolean} isNew - Whether the requirement was stored in this transaction
+ * @returns {Promise<Array<Object>>} Criteria added
+ */
+async function addAcceptanceCriteria(tx, requirementId, descriptions, project, isNew = false) {
+  if (!Array.isArray(descriptions) || descriptions.some(description => typeof description !== 'string' || !description.trim())) {
+    throw new Error("acceptance criteria must be non-empty strings");
+  }
+  
+  // A new requirement has no criteria to number after, which also spares a read
+  // that fails while writes are buffered offline
+  const last = isNew ? null : await tx.prepare(`
+    SELECT MAX(position) as position FROM acceptance_criteria WHERE requirement_id = ?
+  `).get(requirementId);
+  const now = Date.now();
+  const added = [];
+  
+  for (const [i, description] of descriptions.entries()) {
+    const position = (last?.position || 0) + i + 1;
+    const result = await tx.prepare(`
+      INSERT INTO acceptance_criteria (requirement_id, project_id, position, description, done, created_at)
+      VALUES (?, ?, ?, ?, 0, ?)
+    `).run(requirementId, project, position, encryptField(description.trim()), now);
+    added.push({ id: Number(result.lastInsertRowid), position, description: description.trim(), done: false });
+  }
+  
+  return added;
+}
+
+/**
+ * Change the acceptance criteria of a requirement or its links to milestones,
+ * decisions and code
+ * 
+ * @param {Object} options - Operation and its arguments
+ * @param {string} options.operation - addCriterion, updateCriterion, removeCriterion, link or unlink
+ * @param {number} options.requirementId - Requirement to change
+ * @param {string} options.criterion - Text of the criterion (addCriterion, updateCriterion)
+ * @param {number} options.criterionId - Criterion to change (updateCriterion, removeCriterion)
+ * @param {boolean} options.done - Whether the criterion is met (updateCriterion)
+ * @param {string} options.targetType - milestone, decision, code_file or code_snippet (link, unlink)
+ * @param {number} options.targetId - ID of the memory or code (link, unlink)
+ * @param {string} options.project - Project of the requirement
+ * @returns {Promise<Object>} Outcome of the operation
+ */
+async function manageRequirement({ operation, requirementId, criterion, criterionId, done, targetType, targetId, project = getCurrentProject() }) {
+  if (!REQUIREMENT_OPERATIONS.includes(operation)) {
+    throw new Error(`operation must be one of: ${REQUIREMENT_OPERATIONS.join(', ')}`);
+  }
+  getLongTermMemoryType('requirement', requirementId);
+  
+  return db.transaction(async (tx) => {
+    const requirement = await tx.prepare('SELECT id FROM requirements WHERE id = ? AND project_id = ?').get(requirementId, project);
+    if (!requirement) {
+      throw new Error(`requirement ${requirementId} not found`);
     }
     
-    // 2. Clean up orphaned vectors whose source content has been deleted
-    if (opts.cleanOrphans) {
-      log('Cleaning up orphaned vectors');
-      try {
-        // Find vectors referencing non-existent messages
-        let deletedCount = 0;
-        const orphanedMessageVectors = await db.prepare(`
-          SELECT v.id, v.content_id, v.content_type 
-          FROM vectors v
-          LEFT JOIN messages m ON v.content_id = m.id AND v.content_type IN ('user_message', 'assistant_message', 'assistant_code_snippet')
-          WHERE v.content_type IN ('user_message', 'assistant_message', 'assistant_code_snippet')
-          AND m.id IS NULL
-        `).all();
-        
-        if (orphanedMessageVectors.length > 0) {
-          log(`Found ${orphanedMessageVectors.length} orphaned message vectors`);
-          for (const vector of orphanedMessageVectors) {
-            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vector.id);
-            deletedCount++;
-          }
+    const result = { operation, requirement_id: requirementId };
+    
+    switch (operation) {
+      case 'addCriterion': {
+        [result.criterion] = await addAcceptanceCriteria(tx, requirementId, [criterion], project);
+        return result;
+      }
+      
+      case 'updateCriterion':
+      case 'removeCriterion': {
+        const existing = await tx.prepare(`
+          SELECT * FROM acceptance_criteria WHERE id = ? AND requirement_id = ?
+        `).get(criterionId, requirementId);
+        if (!existing) {
+          throw new Error(`acceptance criterion ${criterionId} of requirement ${requirementId} not found`);
         }
         
-        // Find vectors referencing non-existent code files
-        const orphanedFileVectors = await db.prepare(`
-          SELECT v.id, v.content_id, v.content_type 
-          FROM vectors v
-          LEFT JOIN code_files f ON v.content_id = f.id AND v.content_type = 'code_file'
-          WHERE v.content_type = 'code_file'
-          AND f.id IS NULL
-        `).all();
+        if (operation === 'removeCriterion') {
+          await tx.prepare('DELETE FROM acceptance_criteria WHERE id = ?').run(criterionId);
+          result.removed = true;
+          return result;
+        }
         
-        if (orphanedFileVectors.length > 0) {
-          log(`Found ${orphanedFileVectors.length} orphaned code file vectors`);
-          for (const vector of orphanedFileVectors) {
-            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vector.id);
-            deletedCount++;
-          }
+        if (criterion !== undefined && (typeof criterion !== 'string' || !criterion.trim())) {
+          throw new Error("criterion must be a non-empty string");
+        }
+        if (done !== undefined && typeof done !== 'boolean') {
+          throw new Error("done must be true or false");
+        }
+        if (criterion === undefined && done === undefined) {
+          throw new Error("Nothing to update; give criterion and/or done");
         }
         
-        // Find vectors referencing non-existent code snippets
-        const orphanedSnippetVectors = await db.prepare(`
-          SELECT v.id, v.content_id, v.content_type 
-          FROM vectors v
-          LEFT JOIN code_snippets s ON v.content_id = s.id AND v.content_type = 'code_snippet'
-          WHERE v.content_type = 'code_snippet'
-          AND s.id IS NULL
-        `).all();
+        const description = criterion !== undefined ? criterion.trim() : existing.description;
+        const isDone = done !== undefined ? done : Boolean(existing.done);
+        const completedAt = isDone ? (existing.done ? existing.completed_at : Date.now()) : null;
         
-        if (orphanedSnippetVectors.length > 0) {
-          log(`Found ${orphanedSnippetVectors.length} orphaned code snippet vectors`);
-          for (const vector of orphanedSnippetVectors) {
-            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vector.id);
-            deletedCount++;
-          }
-        }
+        await tx.prepare(`
+          UPDATE acceptance_criteria SET description = ?, done = ?, completed_at = ? WHERE id = ?
+        `).run(encryptField(description), isDone ? 1 : 0, completedAt, criterionId);
         
-        results.orphansRemoved = deletedCount;
-        log(`Removed ${deletedCount} orphaned vectors`);
-      } catch (cleanupError) {
-        const errMsg = `Error cleaning up orphaned vectors: ${cleanupError.message}`;
-        log(errMsg, 'error');
-        results.errors.push(errMsg);
+        result.criterion = { id: criterionId, position: existing.position, description, done: isDone };
+        return result;
       }
-    }
-    
-    // 3. Optimize vector storage by merging highly similar vectors for the same content
-    if (opts.optimizeStorage) {
-      log('Optimizing vector storage');
-      try {
-        // Find duplicate vectors for the same content (by content_id and content_type)
-        // Keep the most recent one and remove others
-        const duplicates = await db.prepare(`
-          SELECT content_id, content_type, COUNT(*) as count
-          FROM vectors
-          GROUP BY content_id, content_type
-          HAVING COUNT(*) > 1
-        `).all();
+      
+      default: {
+        const table = REQUIREMENT_LINK_TARGETS[targetType];
+        if (!table) {
+          throw new Error(`targetType must be one of: ${Object.keys(REQUIREMENT_LINK_TARGETS).join(', ')}`);
+        }
         
-        let optimizedCount = 0;
+        if (operation === 'unlink') {
+          const removed = await tx.prepare(`
+            DELETE FROM requirement_links WHERE requirement_id = ? AND target_type = ? AND target_id = ?
+          `).run(requirementId, targetType, targetId);
+          result.unlinked = removed.changes > 0;
+          return result;
+        }
         
-        for (const dup of duplicates) {
-          // Get all vectors for this content, ordered by creation time (newest first)
-          const vectors = await db.prepare(`
-            SELECT id, created_at
-            FROM vectors
-            WHERE content_id = ? AND content_type = ?
-            ORDER BY created_at DESC
-          `).all(dup.content_id, dup.content_type);
-          
-          // Keep the newest one, delete the rest
-          for (let i = 1; i < vectors.length; i++) {
-            await db.prepare('DELETE FROM vectors WHERE id = ?').run(vectors[i].id);
-            optimizedCount++;
-          }
+        const target = await tx.prepare(`SELECT id FROM ${table} WHERE id = ? AND project_id = ?`).get(targetId, project);
+        if (!target) {
+          throw new Error(`${targetType} ${targetId} not found`);
         }
         
-        results.vectorsOptimized = optimizedCount;
-        log(`Optimized storage by removing ${optimizedCount} redundant vectors`);
-      } catch (optimizeError) {
-        const errMsg = `Error optimizing vector storage: ${optimizeError.message}`;
-        log(errMsg, 'error');
-        results.errors.push(errMsg);
+        const linked = await tx.prepare(`
+          INSERT OR IGNORE INTO requirement_links (requirement_id, project_id, target_type, target_id, created_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(requirementId, project, targetType, targetId, Date.now());
+        result.linked = linked.changes > 0;
+        return result;
       }
     }
-    
-    log('Vector maintenance tasks completed');
-    return results;
-  } catch (error) {
-    const errMsg = `Vector maintenance failed: ${error.message}`;
-    log(errMsg, 'error');
-    results.errors.push(errMsg);
-    return results;
-  }
+  });
 }
 
 /**
- * Optimizes the vector database for better performance
- * This should be called periodically to ensure optimal ANN search performance
+ * Report, per requirement, its acceptance criteria, the milestones and decisions
+ * that claim it and the code that implements it, through requirement links or
+ * relations. Requirements without linked milestones or code, and requirements
+ * marked done with criteria still open, are flagged
  * 
- * @returns {Promise<boolean>} Success status
+ * @param {Object} options - Report options
+ * @param {number} options.requirementId - Only report this requirement
+ * @param {string} options.status - Only report requirements with this status
+ * @param {string} options.project - Project whose requirements are reported
+ * @returns {Promise<Object>} Requirements with their criteria, links and flags, and a summary
  */
-async function optimizeVectorIndexes() {
-  try {
-    log("VECTOR DEBUG: Starting vector index optimization", "info");
-    
-    if (!db) {
-      log("VECTOR ERROR: Database not initialized in optimizeVectorIndexes", "error");
-      return false;
+async function getTraceability({ requirementId = null, status = null, project = getCurrentProject() } = {}) {
+  if (requirementId !== null) {
+    getLongTermMemoryType('requirement', requirementId);
+  }
+  if (status !== null) {
+    validateMemoryStatus('requirement', status);
+  }
+  
+  const requirements = await db.prepare(`
+    SELECT id, title, status, importance, created_at
+    FROM requirements
+    WHERE project_id = ? ${requirementId !== null ? 'AND id = ?' : ''} ${status !== null ? 'AND status = ?' : ''}
+    ORDER BY id
+  `).all(project, ...[requirementId, status].filter(value => value !== null));
+  
+  if (requirementId !== null && requirements.length === 0) {
+    throw new Error(`requirement ${requirementId} not found`);
+  }
+  
+  const criteria = await db.prepare(`
+    SELECT id, requirement_id, position, description, done FROM acceptance_criteria
+    WHERE project_id = ?
+    ORDER BY requirement_id, position
+  `).all(project);
+  const links = await db.prepare(`
+    SELECT requirement_id, target_type, target_id FROM requirement_links
+    WHERE project_id = ?
+    ORDER BY id
+  `).all(project);
+  
+  // Relations between a requirement and a milestone, decision or code count as
+  // links too, whichever way they point
+  const linkTypes = Object.keys(REQUIREMENT_LINK_TARGETS);
+  const typePlaceholders = linkTypes.map(() => '?').join(', ');
+  const relations = await db.prepare(`
+    SELECT source_type, source_id, target_type, target_id FROM memory_relations
+    WHERE project_id = ? AND (
+      (source_type = 'requirement' AND target_type IN (${typePlaceholders}))
+      OR (target_type = 'requirement' AND source_type IN (${typePlaceholders}))
+    )
+    ORDER BY id
+  `).all(project, ...linkTypes, ...linkTypes);
+  for (const relation of relations) {
+    const link = relation.source_type === 'requirement'
+      ? { requirement_id: relation.source_id, target_type: relation.target_type, target_id: relation.target_id }
+      : { requirement_id: relation.target_id, target_type: relation.source_type, target_id: relation.source_id };
+    const known = links.some(other =>
+      other.requirement_id === link.requirement_id && other.target_type === link.target_type && other.target_id === link.target_id);
+    if (!known) {
+      links.push(link);
     }
+  }
+  
+  // Load every linked memory and file once
+  const targetQueries = {
+    milestone: 'SELECT id, title, importance FROM milestones',
+    decision: 'SELECT id, title, status FROM decisions',
+    code_file: 'SELECT id, file_path AS path, language FROM code_files',
+    code_snippet: `
+      SELECT cs.id, cf.file_path AS path, cs.start_line, cs.end_line, cs.symbol_type
+      FROM code_snippets cs
+      LEFT JOIN code_files cf ON cs.file_id = cf.id
+    `
+  };
+  const targets = {};
+  for (const [targetType, query] of Object.entries(targetQueries)) {
+    const ids = [...new Set(links.filter(link => link.target_type === targetType).map(link => link.target_id))];
+    const rows = ids.length > 0
+      ? await db.prepare(`${query} WHERE ${targetType === 'code_snippet' ? 'cs.id' : 'id'} IN (${ids.map(() => '?').join(', ')})`).all(...ids)
+      : [];
+    targets[targetType] = new Map(rows.map(row => [row.id, row]));
+  }
+  
+  const summary = { total: requirements.length, by_status: {}, no_linked_work: 0, done_with_open_criteria: 0 };
+  
+  const report = requirements.map(requirement => {
+    const items = criteria
+      .filter(item => item.requirement_id === requirement.id)
+      .map(item => ({ id: item.id, position: item.position, description: item.description, done: Boolean(item.done) }));
+    const entry = {
+      id: requirement.id,
+      title: requirement.title,
+      status: requirement.status,
+      importance: requirement.importance,
+      created_at: new Date(requirement.created_at).toISOString(),
+      acceptance_criteria: { total: items.length, done: items.filter(item => item.done).length, items },
+      milestones: [],
+      decisions: [],
+      code: [],
+      // Links to rows deleted since
+      missing_links: [],
+      flags: []
+    };
     
-    // 1. Get vector count
-    let vectorCount = 0;
-    try {
-      const countResult = await db.prepare('SELECT COUNT(*) as count FROM vectors').get();
-      vectorCount = countResult?.count || 0;
-      log(`VECTOR DEBUG: Current vector count: ${vectorCount}`, "info");
-      
-      if (vectorCount < 10) {
-        log("VECTOR DEBUG: Not enough vectors to warrant optimization", "info");
-        return true;
+    for (const link of links.filter(link => link.requirement_id === requirement.id)) {
+      const target = targets[link.target_type]?.get(link.target_id);
+      if (!target) {
+        entry.missing_links.push({ type: link.target_type, id: link.target_id });
+      } else if (link.target_type === 'milestone') {
+        entry.milestones.push(target);
+      } else if (link.target_type === 'decision') {
+        entry.decisions.push(target);
+      } else if (link.target_type === 'code_file') {
+        entry.code.push({ type: 'code_file', ...target });
+      } else {
+        const { start_line, end_line, ...snippet } = target;
+        entry.code.push({ type: 'code_snippet', ...snippet, lines: `${start_line}-${end_line}` });
       }
-    } catch (countError) {
-      log(`VECTOR ERROR: Failed to get vector count: ${countError.message}`, "error");
-      return false;
     }
     
-    // 2. Check if Turso vector features are available
-    let hasVectorFunctions = false;
-    try {
-      // Check for vector_top_k which indicates Turso vector support
-      await db.prepare("SELECT 1 FROM vector_top_k('idx_vectors_ann', vector32('[0.1, 0.2, 0.3]'), 1) LIMIT 0").all();
-      hasVectorFunctions = true;
-      log("VECTOR DEBUG: Turso vector functions are available", "info");
-    } catch (fnError) {
-      hasVectorFunctions = false;
-      log(`VECTOR DEBUG: Turso vector functions not available: ${fnError.message}`, "info");
-      log("VECTOR DEBUG: Skipping ANN-specific optimizations", "info");
+    if (requirement.status !== 'dropped' && entry.milestones.length === 0 && entry.code.length === 0) {
+      entry.flags.push('no_linked_work');
+      summary.no_linked_work++;
     }
-    
-    // 3. Execute optimizations
-    
-    // 3.1 Run ANALYZE on the vectors table
-    try {
-      log("VECTOR DEBUG: Running ANALYZE on vectors table", "info");
-      await db.prepare("ANALYZE vectors").run();
-      log("VECTOR DEBUG: ANALYZE completed successfully", "info");
-    } catch (analyzeError) {
-      log(`VECTOR WARNING: ANALYZE failed: ${analyzeError.message}`, "error");
+    if (requirement.status === 'done' && entry.acceptance_criteria.done < entry.acceptance_criteria.total) {
+      entry.flags.push('done_with_open_criteria');
+      summary.done_with_open_criteria++;
     }
+    summary.by_status[requirement.status] = (summary.by_status[requirement.status] || 0) + 1;
     
-    // 3.2 Update vector index statistics
-    try {
-      log("VECTOR DEBUG: Updating index statistics", "info");
-      await db.prepare("ANALYZE idx_vectors_content_type").run();
-      await db.prepare("ANALYZE idx_vectors_content_id").run();
-      
-      // Try to analyze the vector-specific indexes
-      try {
-        await db.prepare("ANALYZE idx_vectors_vector").run();
-      } catch (idxError) {
-        log(`VECTOR DEBUG: Could not analyze standard vector index: ${idxError.message}`, "info");
-      }
-      
-      try {
-        await db.prepare("ANALYZE idx_vectors_ann").run();
-      } catch (annError) {
-        log(`VECTOR DEBUG: Could not analyze ANN vector index: ${annError.message}`, "info");
-      }
-      
-      log("VECTOR DEBUG: Index statistics updated", "info");
-    } catch (statsError) {
-      log(`VECTOR WARNING: Index statistics update failed: ${statsError.message}`, "error");
+    return entry;
+  });
+  
+  return { project, summary, requirements: report };
+}
+
+// Relations between memories, code files and code snippets
+
+// Kinds of memory a relation can name, with their table and the columns that
+// describe them in traversals
+const RELATION_NODE_TYPES = {
+  message: { table: 'messages', columns: 'id, role, content, created_at' },
+  milestone: { table: 'milestones', columns: 'id, title, importance, created_at' },
+  decision: { table: 'decisions', columns: 'id, title, status, importance, created_at' },
+  requirement: { table: 'requirements', columns: 'id, title, status, importance, created_at' },
+  episode: { table: 'episodes', columns: 'id, actor, action, content, timestamp' },
+  code_file: { table: 'code_files', columns: 'id, file_path AS path, language' },
+  code_snippet: {
+    table: 'code_snippets',
+    columns: 'id, (SELECT file_path FROM code_files WHERE code_files.id = code_snippets.file_id) AS path, start_line, end_line, symbol_type'
+  }
+};
+
+// Relation names are lowercase words joined by underscores, such as affects or depends_on
+const RELATION_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const RELATION_DIRECTIONS = ['out', 'in', 'both'];
+
+// Hops a traversal may take from its start
+const RELATION_MAX_DEPTH = 3;
+
+// Linked items added to the comprehensive context next to similarity hits
+const CONTEXT_LINKED_LIMIT = 5;
+
+const relationNodeKey = (type, id) => `${type}:${id}`;
+
+/**
+ * Validate one end of a relation
+ * @param {string} parameter - Name of the type parameter, for error messages
+ * @param {string} type - Kind of memory
+ * @param {number} id - ID of the memory
+ */
+function validateRelationNode(parameter, type, id) {
+  if (!RELATION_NODE_TYPES[type]) {
+    throw new Error(`${parameter} must be one of: ${Object.keys(RELATION_NODE_TYPES).join(', ')}`);
+  }
+  if (!isRecordId(id)) {
+    throw new Error(`id of the ${type} must be a positive integer`);
+  }
+}
+
+/**
+ * Load the memories named by relations, skipping those deleted since
+ * 
+ * @param {Array<Object>} nodes - Memories as { type, id }
+ * @param {string} project - Project of the memories
+ * @returns {Promise<Map>} Descriptions of the memories found, by type and id
+ */
+async function loadRelationNodes(nodes, project) {
+  const found = new Map();
+  
+  for (const [type, { table, columns }] of Object.entries(RELATION_NODE_TYPES)) {
+    const ids = [...new Set(nodes.filter(node => node.type === type).map(node => node.id))];
+    if (ids.length === 0) continue;
+    
+    const rows = await db.prepare(`
+      SELECT ${columns} FROM ${table}
+      WHERE project_id = ? AND id IN (${ids.map(() => '?').join(', ')})
+    `).all(project, ...ids);
+    
+    for (const row of rows) {
+      const { start_line, end_line, created_at, timestamp, ...details } = row;
+      if (start_line !== undefined) details.lines = `${start_line}-${end_line}`;
+      if (created_at !== undefined) details.created_at = new Date(created_at).toISOString();
+      if (timestamp !== undefined) details.timestamp = new Date(timestamp).toISOString();
+      found.set(relationNodeKey(type, Number(row.id)), details);
     }
-    
-    // 3.3 Turso-specific ANN optimizations
-    if (hasVectorFunctions) {
-      try {
-        // Set optimal ANN parameters based on data size
-        let neighborsValue = 10; // Default
-        
-        // Scale up neighbors with more data for better recall
-        if (vectorCount > 10000) {
-          neighborsValue = 40;
-        } else if (vectorCount > 1000) {
-          neighborsValue = 20;
-        }
-        
-        log(`VECTOR DEBUG: Setting ANN neighbors to ${neighborsValue} based on data size`, "info");
-        await db.prepare(`PRAGMA libsql_vector_neighbors = ${neighborsValue}`).run();
-        
-        // Rebuild ANN index if available
-        try {
-          log("VECTOR DEBUG: Rebuilding ANN index for optimal performance", "info");
-          
-          // Drop and recreate the index
-          await db.prepare("DROP INDEX IF EXISTS idx_vectors_ann").run();
-          
-          const vectorIndexSQL = `
-            CREATE INDEX idx_vectors_ann 
-            ON vectors(libsql_vector_idx(vector)) 
-            WHERE vector IS NOT NULL
-          `;
-          await db.prepare(vectorIndexSQL).run();
-          log("VECTOR SUCCESS: ANN index rebuilt successfully", "info");
-        } catch (rebuildError) {
-          log(`VECTOR WARNING: ANN index rebuild failed: ${rebuildError.message}`, "error");
-        }
-      } catch (annOptError) {
-        log(`VECTOR WARNING: ANN optimization failed: ${annOptError.message}`, "error");
+  }
+  
+  return found;
+}
+
+/**
+ * Add a relation between two memories, or change the weight of the relation
+ * when it exists
+ * 
+ * @param {Object} options - Relation to add
+ * @param {string} options.sourceType - Kind of memory the relation starts from
+ * @param {number} options.sourceId - ID of that memory
+ * @param {string} options.relation - Name of the relation, e.g. affects or implements
+ * @param {string} options.targetType - Kind of memory the relation points to
+ * @param {number} options.targetId - ID of that memory
+ * @param {number} options.weight - Strength of the relation, above 0 and up to 1
+ * @param {string} options.project - Project of the memories
+ * @returns {Promise<Object>} The relation and whether it was created
+ */
+async function addRelation({ sourceType, sourceId, relation, targetType, targetId, weight = 1, project = getCurrentProject() }) {
+  validateRelationNode('sourceType', sourceType, sourceId);
+  validateRelationNode('targetType', targetType, targetId);
+  if (typeof relation !== 'string' || !RELATION_NAME_PATTERN.test(relation)) {
+    throw new Error("relation must be lowercase words joined by underscores, such as affects or depends_on");
+  }
+  if (typeof weight !== 'number' || !(weight > 0 && weight <= 1)) {
+    throw new Error("weight must be a number above 0 and up to 1");
+  }
+  if (sourceType === targetType && sourceId === targetId) {
+    throw new Error("A memory cannot be related to itself");
+  }
+  
+  return db.transaction(async (tx) => {
+    for (const [type, id] of [[sourceType, sourceId], [targetType, targetId]]) {
+      const row = await tx.prepare(`SELECT id FROM ${RELATION_NODE_TYPES[type].table} WHERE id = ? AND project_id = ?`).get(id, project);
+      if (!row) {
+        throw new Error(`${type} ${id} not found`);
       }
     }
     
-    // 4. Optional: Run database VACUUM for overall optimization
-    // Be careful with this on large databases as it can be slow
-    const shouldVacuum = process.env.VECTOR_VACUUM === 'true' && vectorCount < 100000;
-    if (shouldVacuum) {
-      try {
-        log("VECTOR DEBUG: Running VACUUM on database", "info");
-        await db.prepare("VACUUM").run();
-        log("VECTOR DEBUG: VACUUM completed successfully", "info");
-      } catch (vacuumError) {
-        log(`VECTOR WARNING: VACUUM failed: ${vacuumError.message}`, "error");
-      }
+    const existing = await tx.prepare(`
+      SELECT id FROM memory_relations
+      WHERE project_id = ? AND source_type = ? AND source_id = ? AND relation = ? AND target_type = ? AND target_id = ?
+    `).get(project, sourceType, sourceId, relation, targetType, targetId);
+    
+    let id;
+    if (existing) {
+      id = Number(existing.id);
+      await tx.prepare('UPDATE memory_relations SET weight = ? WHERE id = ?').run(weight, id);
+    } else {
+      const result = await tx.prepare(`
+        INSERT INTO memory_relations (project_id, source_type, source_id, relation, target_type, target_id, weight, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(project, sourceType, sourceId, relation, targetType, targetId, weight, Date.now());
+      id = Number(result.lastInsertRowid);
     }
     
-    log("VECTOR SUCCESS: Vector optimization completed successfully", "info");
-    return true;
-  } catch (error) {
-    log(`VECTOR ERROR: Vector optimization failed: ${error.message}`, "error");
-    return false;
+    return {
+      id,
+      created: !existing,
+      source: { type: sourceType, id: sourceId },
+      relation,
+      target: { type: targetType, id: targetId },
+      weight
+    };
+  });
+}
+
+/**
+ * Remove a relation by its id, or the relations from one memory to another,
+ * all of them or those with one name
+ * 
+ * @param {Object} options - Relations to remove
+ * @param {number} options.id - ID of the relation
+ * @param {string} options.sourceType - Kind of memory the relations start from
+ * @param {number} options.sourceId - ID of that memory
+ * @param {string} options.relation - Only remove relations with this name
+ * @param {string} options.targetType - Kind of memory the relations point to
+ * @param {number} options.targetId - ID of that memory
+ * @param {string} options.project - Project of the relations
+ * @returns {Promise<Object>} Number of relations removed
+ */
+async function removeRelation({ id, sourceType, sourceId, relation, targetType, targetId, project = getCurrentProject() }) {
+  if (id !== undefined && id !== null) {
+    const result = await db.prepare('DELETE FROM memory_relations WHERE id = ? AND project_id = ?').run(id, project);
+    return { removed: result.changes };
+  }
+  
+  if ([sourceType, sourceId, targetType, targetId].some(value => value === undefined || value === null)) {
+    throw new Error("Give the id of the relation, or sourceType, sourceId, targetType and targetId");
   }
+  validateRelationNode('sourceType', sourceType, sourceId);
+  validateRelationNode('targetType', targetType, targetId);
+  
+  const result = await db.prepare(`
+    DELETE FROM memory_relations
+    WHERE project_id = ? AND source_type = ? AND source_id = ? AND target_type = ? AND target_id = ?
+      ${relation ? 'AND relation = ?' : ''}
+  `).run(project, sourceType, sourceId, targetType, targetId, ...(relation ? [relation] : []));
+  
+  return { removed: result.changes };
 }
 
 /**
- * Schedule periodic vector maintenance to run at regular intervals
- * @param {number} intervalMinutes - Interval in minutes between maintenance runs
+ * Find the memories linked to a set of memories by relations, following them
+ * up to a number of hops. A linked memory scores the score of the memory it
+ * was reached from times the weight of the relation, and keeps the path with
+ * the best score. Relations to memories deleted since are skipped
+ * 
+ * @param {Array<Object>} seeds - Memories to start from, as { type, id, score }
+ * @param {Object} options - Traversal options
+ * @param {number} options.depth - Hops to follow (default: 1)
+ * @param {Array<string>} options.relations - Only follow relations with these names
+ * @param {string} options.direction - out follows relations from a memory, in those to it, both either way
+ * @param {number} options.limit - Maximum number of linked memories, or null for all
+ * @param {string} options.project - Project of the memories
+ * @returns {Promise<Object>} Linked memories, best score first, and the relations between them
  */
-function scheduleVectorMaintenance(intervalMinutes = 60) {
-  // Don't schedule if we're in in-memory mode
-  if (useInMemory) {
-    log('Not scheduling vector maintenance for in-memory mode');
-    return;
+async function getNeighborhood(seeds, { depth = 1, relations = null, direction = 'both', limit = 20, project = getCurrentProject() } = {}) {
+  if (!RELATION_DIRECTIONS.includes(direction)) {
+    throw new Error(`direction must be one of: ${RELATION_DIRECTIONS.join(', ')}`);
+  }
+  if (!Number.isInteger(depth) || depth < 1 || depth > RELATION_MAX_DEPTH) {
+    throw new Error(`depth must be a whole number from 1 to ${RELATION_MAX_DEPTH}`);
+  }
+  if (relations !== null && (!Array.isArray(relations) || relations.some(relation => typeof relation !== 'string'))) {
+    throw new Error("relations must be a list of relation names");
   }
   
-  log(`VECTOR DEBUG: Scheduling vector maintenance every ${intervalMinutes} minutes`, "info");
+  // A memory given more than once starts with its best score
+  const starts = new Map();
+  for (const seed of seeds) {
+    const key = relationNodeKey(seed.type, seed.id);
+    const score = seed.score ?? 1;
+    if (!starts.has(key) || score > starts.get(key).score) {
+      starts.set(key, { type: seed.type, id: seed.id, score });
+    }
+  }
   
-  // Initial maintenance after a short delay
-  setTimeout(async () => {
-    try {
-      log("VECTOR DEBUG: Running initial vector maintenance", "info");
-      const maintenanceResult = await performVectorMaintenance();
-      log(`VECTOR DEBUG: Initial maintenance ${maintenanceResult ? 'succeeded' : 'failed'}`, "info");
-      
-      // Additional optimization step for vector indexes
-      try {
-        log("VECTOR DEBUG: Running initial vector index optimization", "info");
-        const optimizationResult = await optimizeVectorIndexes();
-        log(`VECTOR DEBUG: Initial optimization ${optimizationResult ? 'succeeded' : 'failed'}`, "info");
-      } catch (optimizationError) {
-        log(`VECTOR ERROR: Initial optimization error: ${optimizationError.message}`, "error");
+  const seedKeys = new Set(starts.keys());
+  const reached = new Map();
+  const edges = new Map();
+  let frontier = [...starts.values()];
+  
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    // Relations from and to the memories reached by the previous hop
+    const conditions = [];
+    const params = [project];
+    for (const type of [...new Set(frontier.map(node => node.type))]) {
+      const ids = frontier.filter(node => node.type === type).map(node => node.id);
+      const placeholders = ids.map(() => '?').join(', ');
+      if (direction !== 'in') {
+        conditions.push(`(source_type = ? AND source_id IN (${placeholders}))`);
+        params.push(type, ...ids);
+      }
+      if (direction !== 'out') {
+        conditions.push(`(target_type = ? AND target_id IN (${placeholders}))`);
+        params.push(type, ...ids);
       }
-    } catch (error) {
-      log(`VECTOR ERROR: Initial maintenance error: ${error.message}`, "error");
     }
-  }, 30000); // 30 seconds after startup
-  
-  // Set up regular interval
-  setInterval(async () => {
-    try {
-      log("VECTOR DEBUG: Running scheduled vector maintenance", "info");
-      const maintenanceResult = await performVectorMaintenance();
-      log(`VECTOR DEBUG: Scheduled maintenance ${maintenanceResult ? 'succeeded' : 'failed'}`, "info");
-      
-      // Run optimization every 24 hours (or 24 intervals)
-      const hourlyIntervals = 60 / intervalMinutes;
-      const runOptimization = Math.random() < (1 / (24 * hourlyIntervals)); // Randomly once per ~24 hours
+    if (relations !== null && relations.length > 0) {
+      params.push(...relations);
+    }
+    
+    const rows = await db.prepare(`
+      SELECT id, source_type, source_id, relation, target_type, target_id, weight
+      FROM memory_relations
+      WHERE project_id = ? AND (${conditions.join(' OR ')})
+        ${relations !== null && relations.length > 0 ? `AND relation IN (${relations.map(() => '?').join(', ')})` : ''}
+    `).all(...params);
+    
+    const frontierByKey = new Map(frontier.map(node => [relationNodeKey(node.type, node.id), node]));
+    const next = new Set();
+    
+    for (const row of rows) {
+      const source = { type: row.source_type, id: Number(row.source_id) };
+      const target = { type: row.target_type, id: Number(row.target_id) };
+      const steps = [];
+      if (direction !== 'in' && frontierByKey.has(relationNodeKey(source.type, source.id))) {
+        steps.push([frontierByKey.get(relationNodeKey(source.type, source.id)), target, 'out']);
+      }
+      if (direction !== 'out' && frontierByKey.has(relationNodeKey(target.type, target.id))) {
+        steps.push([frontierByKey.get(relationNodeKey(target.type, target.id)), source, 'in']);
+      }
       
-      if (runOptimization) {
-        try {
-          log("VECTOR DEBUG: Running scheduled vector index optimization", "info");
-          const optimizationResult = await optimizeVectorIndexes();
-          log(`VECTOR DEBUG: Scheduled optimization ${optimizationResult ? 'succeeded' : 'failed'}`, "info");
-        } catch (optimizationError) {
-          log(`VECTOR ERROR: Scheduled optimization error: ${optimizationError.message}`, "error");
+      for (const [from, to, way] of steps) {
+        edges.set(Number(row.id), { id: Number(row.id), source, relation: row.relation, target, weight: row.weight });
+        
+        const key = relationNodeKey(to.type, to.id);
+        if (seedKeys.has(key)) continue;
+        
+        const score = from.score * row.weight;
+        const known = reached.get(key);
+        if (!known || score > known.score) {
+          reached.set(key, {
+            type: to.type,
+            id: to.id,
+            depth: known?.depth ?? hop,
+            score,
+            via: { relation: row.relation, direction: way, from: { type: from.type, id: from.id } }
+          });
+          if (!known) next.add(key);
         }
       }
-    } catch (error) {
-      log(`VECTOR ERROR: Scheduled maintenance error: ${error.message}`, "error");
     }
-  }, intervalMinutes * 60 * 1000);
+    
+    frontier = [...next].map(key => reached.get(key));
+  }
+  
+  const details = await loadRelationNodes([...reached.values()], project);
+  const nodes = [...reached.entries()]
+    .filter(([key]) => details.has(key))
+    .map(([key, node]) => ({ type: node.type, ...details.get(key), depth: node.depth, score: node.score, via: node.via }))
+    .sort((a, b) => b.score - a.score || a.depth - b.depth);
+  const kept = limit === null ? nodes : nodes.slice(0, limit);
+  
+  // Relations among the seeds and the memories kept
+  const keys = new Set([...seedKeys, ...kept.map(node => relationNodeKey(node.type, node.id))]);
+  const keptEdges = [...edges.values()].filter(edge =>
+    keys.has(relationNodeKey(edge.source.type, edge.source.id)) && keys.has(relationNodeKey(edge.target.type, edge.target.id)));
+  
+  return { nodes: kept, relations: keptEdges, missing: reached.size - nodes.length };
 }
 
-// Schedule vector maintenance when the system starts
-scheduleVectorMaintenance();
+/**
+ * Follow the relations of a memory to the memories, files and snippets linked to it
+ * 
+ * @param {Object} options - Traversal options
+ * @param {string} options.type - Kind of memory to start from
+ * @param {number} options.id - ID of that memory
+ * @param {Array<string>} options.relations - Only follow relations with these names
+ * @param {string} options.direction - out, in or both (default)
+ * @param {number} options.depth - Hops to follow (default: 1)
+ * @param {number} options.limit - Maximum number of linked memories (default: 20)
+ * @param {string} options.project - Project of the memory
+ * @returns {Promise<Object>} The memory, the memories linked to it and the relations followed
+ */
+async function traverseRelations({ type, id, relations = null, direction = 'both', depth = 1, limit = 20, project = getCurrentProject() }) {
+  validateRelationNode('type', type, id);
+  
+  const start = (await loadRelationNodes([{ type, id }], project)).get(relationNodeKey(type, id));
+  if (!start) {
+    throw new Error(`${type} ${id} not found`);
+  }
+  
+  const neighborhood = await getNeighborhood([{ type, id }], { depth, relations, direction, limit, project });
+  return { start: { type, ...start }, ...neighborhood };
+}
 
-// Add a migration function to update the vectors table schema if needed
-async function migrateVectorsTable() {
-  try {
-    log("VECTOR DEBUG: Checking if vectors table needs migration", "info");
-    
-    // Check the current schema
-    const tableInfo = await db.prepare("PRAGMA table_info(vectors)").all();
-    const vectorColumn = tableInfo.find(col => col.name === 'vector');
-    
-    if (!vectorColumn) {
-      log("VECTOR ERROR: Vector column not found in vectors table", "error");
-      return false;
-    }
-    
-    // Default to 128 dimensions for compatibility with existing code
-    const DEFAULT_VECTOR_DIMS = 128;
-    
-    // Get the max dimensions from environment variable
-    const configuredDims = process.env.VECTOR_DIMENSIONS ? 
-      parseInt(process.env.VECTOR_DIMENSIONS, 10) : DEFAULT_VECTOR_DIMS;
-    
-    // Validate dimensions (Turso supports up to 65536 dimensions)
-    const VECTOR_DIMENSIONS = Math.min(Math.max(configuredDims, 32), 65536);
+// Full-text search over memory content and fusion with vector similarity
+
+// Constant k of reciprocal rank fusion, score = sum of 1 / (k + rank).
+// 60 is the value commonly used; larger values flatten the gap between ranks
+const RRF_K = 60;
+
+let fullTextSupport = false;
+
+/**
+ * Create an FTS5 table for every source with fullText columns, plus the triggers
+ * that keep it in sync with the source table on insert, update and delete.
+ * Rows that already exist are indexed when a table is created for the first time
+ * 
+ * @returns {Promise<boolean>} Whether full-text search is available
+ */
+async function createFullTextIndexes() {
+  for (const source of EMBEDDING_SOURCES.filter(s => s.fullText)) {
+    const ftsTable = `${source.table}_fts`;
+    const columns = source.fullText.columns.join(', ');
+    const newValues = source.fullText.columns.map(column => `new.${column}`).join(', ');
+    const oldValues = source.fullText.columns.map(column => `old.${column}`).join(', ');
+    
+    const existing = await db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+    `).get(ftsTable);
+    
+    // External content table: the text lives in the source table only
+    await db.prepare(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${ftsTable}
+      USING fts5(${columns}, content='${source.table}', content_rowid='id')
+    `).run();
     
-    // Log configured dimensions
-    log(`VECTOR DEBUG: Configured vector dimensions: ${VECTOR_DIMENSIONS}`, "info");
+    await db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS ${ftsTable}_insert AFTER INSERT ON ${source.table} BEGIN
+        INSERT INTO ${ftsTable}(rowid, ${columns}) VALUES (new.id, ${newValues});
+      END
+    `).run();
     
-    // Check if the column is already F32_BLOB type with the correct dimensions
-    const isF32Blob = vectorColumn.type.includes('F32_BLOB');
-    const currentDims = isF32Blob ? 
-      parseInt(vectorColumn.type.match(/F32_BLOB\((\d+)\)/)?.[1] || '0', 10) : 0;
+    await db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS ${ftsTable}_delete AFTER DELETE ON ${source.table} BEGIN
+        INSERT INTO ${ftsTable}(${ftsTable}, rowid, ${columns}) VALUES ('delete', old.id, ${oldValues});
+      END
+    `).run();
     
-    // No migration needed if already correct type and dimensions
-    if (isF32Blob && currentDims === VECTOR_DIMENSIONS) {
-      log(`VECTOR DEBUG: Vector column is already using F32_BLOB(${VECTOR_DIMENSIONS}), no migration needed`, "info");
-      return true;
+    await db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS ${ftsTable}_update AFTER UPDATE OF ${columns} ON ${source.table} BEGIN
+        INSERT INTO ${ftsTable}(${ftsTable}, rowid, ${columns}) VALUES ('delete', old.id, ${oldValues});
+        INSERT INTO ${ftsTable}(rowid, ${columns}) VALUES (new.id, ${newValues});
+      END
+    `).run();
+    
+    if (!existing) {
+      await db.prepare(`INSERT INTO ${ftsTable}(${ftsTable}) VALUES ('rebuild')`).run();
+      log(`Built full-text index ${ftsTable} from existing ${source.table}`);
     }
-    
-    // Migration needed - create new table with correct schema
-    log(`VECTOR DEBUG: Migrating vectors table to use F32_BLOB(${VECTOR_DIMENSIONS})`, "info");
-    
-    // 1. Backup existing data
-    let existingData;
-    try {
-      existingData = await db.prepare("SELECT * FROM vectors").all();
-      log(`VECTOR DEBUG: Backing up ${existingData.length} vectors`, "info");
-    } catch (backupError) {
-      log(`VECTOR ERROR: Could not backup existing vectors: ${backupError.message}`, "error");
-      return false;
+  }
+  
+  fullTextSupport = true;
+  return true;
+}
+
+/**
+ * Drop the full-text tables and the triggers that fill them
+ * @returns {Promise<void>}
+ */
+async function dropFullTextIndexes() {
+  for (const source of EMBEDDING_SOURCES.filter(s => s.fullText)) {
+    const ftsTable = `${source.table}_fts`;
+    for (const trigger of ['insert', 'delete', 'update']) {
+      await db.prepare(`DROP TRIGGER IF EXISTS ${ftsTable}_${trigger}`).run();
     }
-    
-    // Start a transaction for the migration
-    try {
-      await db.prepare("BEGIN TRANSACTION").run();
-      
-      // 2. Rename existing table
-      await db.prepare("ALTER TABLE vectors RENAME TO vectors_old").run();
-      log("VECTOR DEBUG: Renamed existing table to vectors_old", "info");
-      
-      // 3. Create new table with correct schema
-      await db.prepare(`
-        CREATE TABLE vectors (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          content_id INTEGER NOT NULL,
-          content_type TEXT NOT NULL,
-          vector F32_BLOB(${VECTOR_DIMENSIONS}) NOT NULL,
-          created_at INTEGER NOT NULL,
-          metadata TEXT
-        )
-      `).run();
-      log(`VECTOR DEBUG: Created new vectors table with F32_BLOB(${VECTOR_DIMENSIONS})`, "info");
-      
-      // 4. Attempt to migrate data if we have any
-      if (existingData && existingData.length > 0) {
-        log(`VECTOR DEBUG: Migrating ${existingData.length} vectors to new table`, "info");
-        
-        // Process in batches to avoid overwhelming database
-        const BATCH_SIZE = 100;
-        let migratedCount = 0;
-        let errorCount = 0;
-        
-        // Prepare the insert statement
-        const insertStmt = db.prepare(`
-          INSERT INTO vectors (id, content_id, content_type, vector, created_at, metadata)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `);
-        
-        // Process in batches
-        for (let i = 0; i < existingData.length; i += BATCH_SIZE) {
-          const batch = existingData.slice(i, i + BATCH_SIZE);
-          log(`VECTOR DEBUG: Processing batch ${i/BATCH_SIZE + 1}/${Math.ceil(existingData.length/BATCH_SIZE)}`, "info");
-          
-          for (const row of batch) {
-            try {
-              // If the old format was not F32_BLOB, convert it using vector32
-              let vectorValue = row.vector;
-              
-              if (!isF32Blob && row.vector) {
-                // Convert to Float32Array first
-                const vector = bufferToVector(row.vector);
-                // Then back to buffer using vector32
-                const vectorString = '[' + Array.from(vector).join(', ') + ']';
-                try {
-                  const result = await db.prepare(`SELECT vector32(?) AS vec`).get(vectorString);
-                  if (result && result.vec) {
-                    vectorValue = result.vec;
-                  }
-                } catch (convError) {
-                  log(`VECTOR ERROR: Could not convert vector: ${convError.message}`, "error");
-                  errorCount++;
-                  continue;
-                }
-              }
-              
-              // Insert into new table
-              await insertStmt.run(
-                row.id,
-                row.content_id,
-                row.content_type,
-                vectorValue,
-                row.created_at,
-                row.metadata
-              );
-              
-              migratedCount++;
-            } catch (rowError) {
-              log(`VECTOR ERROR: Failed to migrate vector ${row.id}: ${rowError.message}`, "error");
-              errorCount++;
-            }
-          }
-        }
-        
-        log(`VECTOR DEBUG: Migration complete. ${migratedCount} vectors migrated, ${errorCount} errors`, "info");
-      }
-      
-      // 5. Create indexes on the new table
-      await createVectorIndexes();
+    await db.prepare(`DROP TABLE IF EXISTS ${ftsTable}`).run();
+  }
+}
+
+/**
+ * Turn free text into an FTS5 match expression. Every term is quoted so that
+ * identifiers and error strings containing FTS5 syntax characters are matched
+ * literally; the whole query is also added as a phrase to boost exact matches
+ * 
+ * @param {string} text - Query text
+ * @returns {string|null} Match expression, or null if the text has no terms
+ */
+function buildFullTextQuery(text) {
+  const tokens = (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  const terms = [...new Set(tokens)].filter(term => term.length > 1).slice(0, 32);
+  
+  if (terms.length === 0) {
+    return null;
+  }
+  
+  const expressions = terms.map(term => `"${term}"`);
+  if (tokens.length > 1) {
+    expressions.unshift(`"${tokens.slice(0, 32).join(' ')}"`);
+  }
+  
+  return expressions.join(' OR ');
+}
+
+/**
+ * Find memory content matching the query terms, ranked by BM25
+ * 
+ * @param {string} queryText - Free text query
+ * @param {Array<string>} contentTypes - Content types to search (optional, default all)
+ * @param {number} limit - Maximum number of results (default: 20)
+ * @param {Array<number>} ids - Only consider rows with these ids (optional)
+ * @param {string|null} project - Project to search, or null for all projects (default: current project)
+ * @returns {Promise<Array>} Hits with content_id, content_type and bm25 (higher is better)
+ */
+async function searchFullText(queryText, contentTypes = null, limit = 20, ids = null, project = getCurrentProject()) {
+  if (!fullTextSupport || !queryText) {
+    return [];
+  }
+  
+  const match = buildFullTextQuery(queryText);
+  if (!match) {
+    return [];
+  }
+  
+  const hits = [];
+  for (const source of EMBEDDING_SOURCES) {
+    if (!source.fullText) continue;
+    if (contentTypes && !source.contentTypes.some(type => contentTypes.includes(type))) continue;
+    if (ids && ids.length === 0) continue;
+    
+    const ftsTable = `${source.table}_fts`;
+    const params = [match];
+    let idFilter = '';
+    if (ids) {
+      idFilter = `AND rowid IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+    // Filter before the limit, so matches in other projects don't crowd out this one's
+    let projectFilter = '';
+    if (project !== null) {
+      projectFilter = `AND rowid IN (SELECT id FROM ${source.table} WHERE project_id = ?)`;
+      params.push(project);
+    }
+    params.push(limit);
+    
+    try {
+      const rows = await db.prepare(`
+        SELECT ${source.columns}, hits.bm25_score
+        FROM (
+          SELECT rowid AS hit_id, bm25(${ftsTable}) AS bm25_score
+          FROM ${ftsTable}
+          WHERE ${ftsTable} MATCH ? ${idFilter} ${projectFilter}
+          ORDER BY bm25_score
+          LIMIT ?
+        ) hits
+        JOIN ${source.table} ON ${source.table}.id = hits.hit_id
+      `).all(...params);
       
-      // 6. Drop the old table if everything went well
-      if (errorCount === 0) {
-        await db.prepare("DROP TABLE vectors_old").run();
-        log("VECTOR DEBUG: Old vectors table dropped", "info");
-      } else {
-        log(`VECTOR WARNING: Keeping vectors_old table due to ${errorCount} migration errors`, "error");
+      for (const row of rows) {
+        const contentType = source.fullText.contentType ? source.fullText.contentType(row) : source.contentTypes[0];
+        if (contentTypes && !contentTypes.includes(contentType)) continue;
+        
+        // SQLite's bm25() is negative with better matches further below zero
+        hits.push({ content_id: row.id, content_type: contentType, bm25: -row.bm25_score });
       }
-      
-      // Commit the transaction
-      await db.prepare("COMMIT").run();
-      log("VECTOR SUCCESS: Vector table migration committed successfully", "info");
-      
-      return true;
     } catch (error) {
-      // Rollback on any error
-      try {
-        await db.prepare("ROLLBACK").run();
-        log("VECTOR DEBUG: Migration transaction rolled back due to error", "error");
-      } catch (rollbackError) {
-        log(`VECTOR ERROR: Rollback failed: ${rollbackError.message}`, "error");
-      }
+      log(`Full-text search on ${ftsTable} failed: ${error.message}`, "error");
+    }
+  }
+  
+  return hits
+    .sort((a, b) => b.bm25 - a.bm25)
+    .slice(0, limit);
+}
+
+/**
+ * Merge ranked result lists with reciprocal rank fusion. Results are identified by
+ * content type and id; the fields of every list a result appears in are merged
+ * 
+ * @param {Array<Array>} rankings - Result lists, each sorted best first
+ * @returns {Array} Fused results with a score, sorted best first
+ */
+function fuseRankings(rankings) {
+  const fused = new Map();
+  
+  for (const ranking of rankings) {
+    const seen = new Set();
+    let rank = 0;
+    
+    for (const hit of ranking) {
+      const key = `${hit.content_type}:${hit.content_id}`;
+      // Only the best position of a result within one list counts
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rank++;
       
-      log(`VECTOR ERROR: Failed to migrate vectors table: ${error.message}`, "error");
-      return false;
+      const entry = fused.get(key) || { similarity: null, bm25: null, score: 0 };
+      fused.set(key, {
+        ...entry,
+        ...hit,
+        similarity: hit.similarity ?? entry.similarity,
+        bm25: hit.bm25 ?? entry.bm25,
+        score: entry.score + 1 / (RRF_K + rank)
+      });
     }
-  } catch (error) {
-    log(`VECTOR ERROR: Failed to migrate vectors table: ${error.message}`, "error");
-    return false;
   }
+  
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Hybrid search: vector similarity and BM25 full-text ranking fused with
+ * reciprocal rank fusion. Either query may be missing, e.g. when the embedding
+ * provider is unavailable, in which case the other ranking is used alone
+ * 
+ * @param {string} queryText - Free text query (optional)
+ * @param {Float32Array} queryVector - Query embedding (optional)
+ * @param {Array<string>} contentTypes - Content types to search (optional, default all)
+ * @param {number} limit - Maximum number of results (default: 10)
+ * @param {number} threshold - Minimum vector similarity for vector hits (default: 0.7)
+ * @param {string|null} project - Project to search, or null for all projects (default: current project)
+ * @returns {Promise<Array>} Results with content_id, content_type, similarity, bm25 and score
+ */
+async function hybridSearch(queryText, queryVector, contentTypes = null, limit = 10, threshold = 0.7, project = getCurrentProject()) {
+  // Take more candidates than needed from each ranking so fusion can reorder them
+  const candidateLimit = Math.max(limit * 3, 20);
+  const rankings = [];
+  
+  if (queryVector) {
+    let vectorHits = [];
+    if (contentTypes) {
+      for (const contentType of contentTypes) {
+        vectorHits.push(...await findSimilarVectors(queryVector, contentType, candidateLimit, threshold, project));
+      }
+      vectorHits.sort((a, b) => b.similarity - a.similarity);
+    } else {
+      vectorHits = await findSimilarVectors(queryVector, null, candidateLimit, threshold, project);
+    }
+    rankings.push(vectorHits);
+  }
+  
+  if (queryText) {
+    rankings.push(await searchFullText(queryText, contentTypes, candidateLimit, null, project));
+  }
+  
+  return fuseRankings(rankings).slice(0, limit);
+}
+
+/**
+ * Load the memory records behind search results
+ * 
+ * @param {Array} hits - Results with content_id and content_type
+ * @param {string|null} project - Only load records of this project, or null for all projects (default: current project)
+ * @returns {Promise<Array>} Results with a record property and the best matching chunk, best hit per record; hits whose record no longer exists are dropped
+ */
+async function hydrateSearchResults(hits, project = getCurrentProject()) {
+  const recordsByTable = new Map();
+  
+  for (const source of EMBEDDING_SOURCES) {
+    const ids = [...new Set(hits
+      .filter(hit => source.contentTypes.includes(hit.content_type))
+      .map(hit => hit.content_id))];
+    if (ids.length === 0) continue;
+    
+    const idColumn = source.recordIdColumn || 'id';
+    const projectColumn = source.recordProjectColumn || 'project_id';
+    const rows = await db.prepare(`
+      ${source.recordQuery}
+      WHERE ${idColumn} IN (${ids.map(() => '?').join(', ')})
+      ${project === null ? '' : `AND ${projectColumn} = ?`}
+    `).all(...ids, ...(project === null ? [] : [project]));
+    
+    recordsByTable.set(source.table, new Map(rows.map(row => [row.id, row])));
+  }
+  
+  const results = [];
+  const seen = new Set();
+  for (const hit of hits) {
+    const source = EMBEDDING_SOURCES.find(s => s.contentTypes.includes(hit.content_type));
+    const row = source && recordsByTable.get(source.table)?.get(hit.content_id);
+    if (!row) continue;
+    
+    // An assistant message and its code blocks resolve to the same record
+    const recordKey = `${source.table}:${row.id}`;
+    if (seen.has(recordKey)) continue;
+    seen.add(recordKey);
+    
+    let metadata = null;
+    try {
+      metadata = row.metadata ? JSON.parse(row.metadata) : null;
+    } catch (parseError) {
+      metadata = row.metadata;
+    }
+    
+    const record = {
+      ...row,
+      metadata,
+      created_at: row.created_at ? new Date(row.created_at).toISOString() : null
+    };
+    if (row.start_line !== undefined) {
+      record.lines = `${row.start_line}-${row.end_line}`;
+    }
+    
+    results.push({
+      type: hit.content_type,
+      id: hit.content_id,
+      score: hit.score,
+      similarity: hit.similarity,
+      bm25: hit.bm25,
+      chunk: hit.chunk || null,
+      record
+    });
+  }
+  
+  return results;
+}
+
+/**
+ * Parse a date filter given as ISO string or epoch milliseconds
+ * @param {string|number} value - Date value
+ * @param {string} name - Parameter name for the error message
+ * @returns {number|null} Epoch milliseconds, or null if no value was given
+ */
+function parseDateFilter(value, name) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Search all memory with hybrid ranking and return the matching records
+ * 
+ * @param {Object} options - Search options
+ * @param {string} options.query - Free text query
+ * @param {Array<string>} options.contentTypes - Content types to include (optional, default all)
+ * @param {Array<string>} options.importance - Importance levels to include (optional)
+ * @param {string|number} options.since - Only records created at or after this date (optional)
+ * @param {string|number} options.until - Only records created at or before this date (optional)
+ * @param {string} options.filePath - Only records whose file path contains this text (optional)
+ * @param {number} options.limit - Page size (default: 10)
+ * @param {number} options.offset - Number of results to skip (default: 0)
+ * @param {number} options.threshold - Minimum vector similarity (default: 0.5)
+ * @param {string} options.project - Project to search (default: current project)
+ * @param {boolean} options.crossProject - Search all projects instead (default: false)
+ * @returns {Promise<Object>} Page of results with total and has_more
+ */
+async function searchMemory(options) {
+  const {
+    query,
+    contentTypes = null,
+    importance = null,
+    since = null,
+    until = null,
+    filePath = null,
+    limit = 10,
+    offset = 0,
+    threshold = 0.5,
+    mmrLambda = null,
+    project = getCurrentProject(),
+    crossProject = false
+  } = options;
+  
+  if (!query || !query.trim()) {
+    throw new Error("query is required for searchMemory");
+  }
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error("limit must be a positive integer");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("offset must be a non-negative integer");
+  }
+
+  const sinceTime = parseDateFilter(since, 'since');
+  const untilTime = parseDateFilter(until, 'until');
+  const importanceLevels = importance ? [].concat(importance) : null;
+  
+  let queryVector = null;
+  try {
+    queryVector = await createEmbedding(query);
+  } catch (embeddingError) {
+    log(`Could not embed search query, using full-text matching only: ${embeddingError.message}`, "error");
+  }
+  
+  // Filters apply to the records, so rank a larger candidate pool than the
+  // requested page and filter it before paginating
+  const poolSize = Math.min(Math.max((offset + limit) * 4, 50), 500);
+  const searchProject = crossProject ? null : project;
+  const hits = await hybridSearch(query, queryVector, contentTypes && contentTypes.length > 0 ? contentTypes : null, poolSize, threshold, searchProject);
+  const results = await hydrateSearchResults(hits, searchProject);
+  
+  const filtered = results.filter(({ record }) => {
+    if (importanceLevels && !importanceLevels.includes(record.importance)) return false;
+    
+    const createdAt = record.created_at ? new Date(record.created_at).getTime() : null;
+    if (sinceTime !== null && (createdAt === null || createdAt < sinceTime)) return false;
+    if (untilTime !== null && (createdAt === null || createdAt > untilTime)) return false;
+    
+    if (filePath && !(record.file_path && record.file_path.includes(filePath))) return false;
+    
+    return true;
+  });
+  
+  // Diversify the pages up to the requested one; the rest keeps ranking order
+  const diverse = await selectDiverseItems(filtered, offset + limit, {
+    lambda: mmrLambda,
+    typeOf: result => result.type,
+    textOf: result => diversityText(result.record),
+    fileOf: result => result.record.file_path || null
+  });
+  const diverseSet = new Set(diverse);
+  const ranked = [...diverse, ...filtered.filter(result => !diverseSet.has(result))];
+  
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    has_more: filtered.length > offset + limit,
+    results: ranked.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Get the conversation a timestamp falls into. Conversations are delimited by
+ * the completion episodes endConversation records, so a conversation runs from
+ * just after the previous completion up to and including its own
+ * 
+ * @param {number} timestamp - Time of a memory in epoch milliseconds
+ * @param {string} project - Project the memory belongs to
+ * @returns {Promise<{start: number|null, end: number|null}>} Exclusive start and inclusive end, null when open
+ */
+async function getConversationWindow(timestamp, project) {
+  const previous = await db.prepare(`
+    SELECT MAX(timestamp) as time FROM episodes
+    WHERE action = 'completion' AND context = 'conversation' AND project_id = ? AND timestamp < ?
+  `).get(project, timestamp);
+  const next = await db.prepare(`
+    SELECT MIN(timestamp) as time FROM episodes
+    WHERE action = 'completion' AND context = 'conversation' AND project_id = ? AND timestamp >= ?
+  `).get(project, timestamp);
+  
+  return { start: previous?.time ?? null, end: next?.time ?? null };
+}
+
+// Tables whose records belong to a conversation; code is indexed independently
+const CONVERSATION_TABLES = ['messages', 'milestones', 'decisions', 'requirements', 'episodes'];
+
+/**
+ * Find the memories nearest to a stored memory, using its own vectors as the
+ * query. Chunked memories are represented by the average of their chunks
+ * 
+ * @param {Object} options - Lookup options
+ * @param {string} options.type - Content type of the memory
+ * @param {number} options.id - ID of the memory
+ * @param {Array<string>} options.contentTypes - Content types to return (optional, default all)
+ * @param {boolean} options.excludeSameConversation - Leave out memories of the same conversation (default: false)
+ * @param {number} options.limit - Maximum number of results (default: 10)
+ * @param {number} options.threshold - Minimum similarity (default: 0.5)
+ * @param {string} options.project - Project of the memory and the results (default: current project)
+ * @param {boolean} options.crossProject - Look up the memory and results in all projects instead (default: false)
+ * @returns {Promise<Object>} The memory's record and its related memories with similarity scores
+ */
+async function findRelated(options) {
+  const {
+    type,
+    id,
+    contentTypes = null,
+    excludeSameConversation = false,
+    limit = 10,
+    threshold = 0.5,
+    project = getCurrentProject(),
+    crossProject = false
+  } = options;
+  const searchProject = crossProject ? null : project;
+  
+  const source = EMBEDDING_SOURCES.find(s => s.contentTypes.includes(type));
+  if (!source) {
+    throw new Error(`Unknown content type "${type}"`);
+  }
+  
+  // Prefer full precision copies of quantized vectors
+  const rows = await db.prepare(`
+    SELECT COALESCE(f.vector, v.vector) AS vector
+    FROM vectors v
+    LEFT JOIN vector_full_precision f ON f.vector_id = v.id
+    WHERE v.content_type = ? AND v.content_id = ? AND v.model_id = ?
+  `).all(type, id, getActiveModelId());
+  if (rows.length === 0) {
+    throw new Error(`No embedding stored for ${type} ${id} with the active model`);
+  }
+  
+  const vectors = rows.map(row => HnswIndex.normalize(bufferToVector(row.vector)));
+  const queryVector = new Float32Array(vectors[0].length);
+  for (const vector of vectors) {
+    if (vector.length !== queryVector.length) continue;
+    for (let i = 0; i < vector.length; i++) queryVector[i] += vector[i];
+  }
+  
+  const [self] = await hydrateSearchResults([{ content_type: type, content_id: id }], searchProject);
+  if (!self) {
+    throw new Error(crossProject ? `${type} ${id} not found` : `${type} ${id} not found in project ${project}`);
+  }
+  
+  // Leave room for the memory itself and the excluded conversation
+  const candidateLimit = Math.max((limit + 1) * 3, 20);
+  let hits = [];
+  if (contentTypes && contentTypes.length > 0) {
+    for (const contentType of contentTypes) {
+      hits.push(...await findSimilarVectors(queryVector, contentType, candidateLimit, threshold, searchProject));
+    }
+    hits.sort((a, b) => b.similarity - a.similarity);
+  } else {
+    hits = await findSimilarVectors(queryVector, null, candidateLimit, threshold, searchProject);
+  }
+  
+  // An assistant message and its code blocks are the same record
+  const sameRecord = hit => hit.content_id === id && source.contentTypes.includes(hit.content_type);
+  let results = await hydrateSearchResults(hits.filter(hit => !sameRecord(hit)), searchProject);
+  
+  if (excludeSameConversation && CONVERSATION_TABLES.includes(source.table) && self.record.created_at) {
+    const { start, end } = await getConversationWindow(new Date(self.record.created_at).getTime(), self.record.project_id);
+    results = results.filter(({ type: resultType, record }) => {
+      const resultSource = EMBEDDING_SOURCES.find(s => s.contentTypes.includes(resultType));
+      if (!CONVERSATION_TABLES.includes(resultSource.table) || !record.created_at) return true;
+      // Conversations of other projects are delimited by their own completions
+      if (record.project_id !== self.record.project_id) return true;
+      
+      const time = new Date(record.created_at).getTime();
+      return !((start === null || time > start) && (end === null || time <= end));
+    });
+  }
+  
+  return {
+    memory: self,
+    results: results.slice(0, limit).map(({ score, bm25, ...result }) => result)
+  };
 }
 
 // Add this function near other database utility functions
@@ -4493,6 +11372,10 @@ async function diagnoseVectorStorage() {
     testVectorRetrieval: false,
     testANNSearch: false,
     existingVectorCount: 0,
+    quantization: null,
+    vectorEncodings: {},
+    fullPrecisionCopies: 0,
+    quantizationRoundTrip: null,
     errors: []
   };
   
@@ -4671,7 +11554,8 @@ async function diagnoseVectorStorage() {
       const hasAnnIndex = indexesResult.some(idx => idx.name === 'idx_vectors_ann');
       log(`VECTOR DIAGNOSTIC: ANN index exists: ${hasAnnIndex ? 'YES' : 'NO'}`, "info");
       
-      if (!hasAnnIndex && results.tursoANNSupport) {
+      // Quantized storage drops the index on purpose
+      if (!hasAnnIndex && results.tursoANNSupport && getVectorQuantization() === 'none') {
         results.errors.push("ANN index (idx_vectors_ann) missing but libsql_vector_idx is supported");
       }
     } catch (indexError) {
@@ -4781,7 +11665,31 @@ async function diagnoseVectorStorage() {
       results.errors.push(`Vector count error: ${countError.message}`);
     }
     
-    // 13. Summarize the results
+    // 13. Check quantized storage: encodings in use, full precision copies, and
+    // how closely each encoding preserves similarity
+    try {
+      results.quantization = getVectorQuantization();
+      
+      const encodingRows = await db.prepare(`
+        SELECT COALESCE(encoding, 'f32') as encoding, COUNT(*) as count FROM vectors GROUP BY 1
+      `).all();
+      results.vectorEncodings = Object.fromEntries(encodingRows.map(row => [row.encoding, row.count]));
+      
+      const copyCount = await db.prepare('SELECT COUNT(*) as count FROM vector_full_precision').get();
+      results.fullPrecisionCopies = copyCount?.count || 0;
+      
+      const testVector = await createEmbedding("quantization round trip test");
+      results.quantizationRoundTrip = {};
+      for (const encoding of ['int8', 'binary']) {
+        const decoded = bufferToVector(quantizeVector(testVector, encoding));
+        results.quantizationRoundTrip[encoding] = cosineSimilarity(testVector, decoded);
+      }
+      log(`VECTOR DIAGNOSTIC: Quantization ${results.quantization}, encodings: ${JSON.stringify(results.vectorEncodings)}`, "info");
+    } catch (quantizationError) {
+      results.errors.push(`Quantization check error: ${quantizationError.message}`);
+    }
+    
+    // 14. Summarize the results
     const supportedFeatures = [];
     const missingFeatures = [];
     
@@ -4806,22 +11714,348 @@ async function diagnoseVectorStorage() {
   }
 }
 
+/**
+ * Helper function to score items by relevance to a query
+ * Items are kept if their vector is similar enough or they match the query terms,
+ * and are ordered by the fused vector and full-text ranking
+ * @param {Array} items - Array of items to score
+ * @param {Float32Array} queryVector - Vector to compare against (optional)
+ * @param {string} queryText - Query text for full-text matching (optional)
+ * @param {string} primaryType - Primary content type to look for
+ * @param {string} secondaryType - Secondary content type to look for (optional)
+ * @param {number} threshold - Minimum similarity score to include (default: 0.5)
+ * @returns {Array} Items with relevance (vector similarity) and fused score, sorted by score
+ */
+async function scoreItemsByRelevance(items, queryVector, queryText, primaryType, secondaryType = null, threshold = 0.5) {
+  if (!items || items.length === 0 || (!queryVector && !queryText)) {
+    return items;
+  }
+  
+  try {
+    const contentTypes = secondaryType ? [primaryType, secondaryType] : [primaryType];
+    
+    // Full-text matches among these items, which are already limited to one project
+    const textHits = await searchFullText(queryText, contentTypes, items.length, items.map(item => item.id), null);
+    const textRanking = textHits.map(hit => ({ content_type: primaryType, content_id: hit.content_id }));
+    
+    if (!queryVector) {
+      const itemsById = new Map(items.map(item => [item.id, item]));
+      return fuseRankings([textRanking]).map(hit => ({ ...itemsById.get(hit.content_id), relevance: null, score: hit.score }));
+    }
+    
+    // Get the vectors of these items only, not every vector of the content types
+    const modelId = getActiveModelId();
+    const ids = items.map(item => item.id);
+    const vectors = await db.prepare(`
+      SELECT content_id, content_type, vector 
+      FROM vectors 
+      WHERE content_type IN (${contentTypes.map(() => '?').join(', ')})
+      AND model_id = ?
+      AND content_id IN (${ids.map(() => '?').join(', ')})
+    `).all(...contentTypes, modelId, ...ids);
+    
+    // Map content_id to its similarity; items embedded in chunks score by their best chunk
+    const similarityMap = new Map();
+    vectors.forEach(v => {
+      const similarity = cosineSimilarity(queryVector, bufferToVector(v.vector));
+      if (!similarityMap.has(v.content_id) || similarity > similarityMap.get(v.content_id)) {
+        similarityMap.set(v.content_id, similarity);
+      }
+    });
+    
+    // Score each item by comparing its vector to the query vector
+    const scoredItems = items.map(item => ({
+      ...item,
+      relevance: similarityMap.get(item.id) ?? 0
+    }));
+    
+    // Rank items above the threshold by relevance (highest first) and fuse with the
+    // full-text ranking, so exact keyword matches are kept even with low similarity
+    const vectorRanking = scoredItems
+      .filter(item => item.relevance >= threshold)
+      .sort((a, b) => b.relevance - a.relevance)
+      .map(item => ({ content_type: primaryType, content_id: item.id }));
+    
+    const itemsById = new Map(scoredItems.map(item => [item.id, item]));
+    return fuseRankings([vectorRanking, textRanking])
+      .map(hit => ({ ...itemsById.get(hit.content_id), score: hit.score }));
+  } catch (error) {
+    log(`Error scoring items by relevance: ${error.message}`, "error");
+    return items;
+  }
+}
+
+/**
+ * Get the MMR trade-off between relevance and diversity
+ * @param {number} override - Lambda passed by the caller (optional)
+ * @returns {number} Lambda between 0 (only diversity) and 1 (only relevance)
+ */
+function getMMRLambda(override = null) {
+  const value = override ?? parseFloat(process.env.CONTEXT_MMR_LAMBDA || '0.7');
+  return isNaN(value) ? 0.7 : Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * Text of an item for the lexical similarity fallback
+ * @param {Object} item - Memory item or record
+ * @returns {string} Concatenated text fields
+ */
+function diversityText(item) {
+  return [item.title, item.description, item.content, item.reasoning, item.filename, item.file_path, item.path]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Jaccard similarity of the word sets of two texts
+ * @param {Set<string>} a - Words of the first text
+ * @param {Set<string>} b - Words of the second text
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Select items by maximal marginal relevance, so a section is not filled with
+ * near-duplicates (five versions of the same message, snippets from one file).
+ * Items are compared by their stored vectors, averaged over chunks, and by
+ * their words when they have no vector; items from the same file count as at
+ * least half similar
+ * 
+ * @param {Array} items - Candidates sorted by relevance, best first
+ * @param {number} limit - Number of items to select
+ * @param {Object} options - Selection options
+ * @param {number} options.lambda - Relevance/diversity trade-off (default: CONTEXT_MMR_LAMBDA or 0.7)
+ * @param {Function} options.typeOf - Content type of an item
+ * @param {Function} options.idOf - Content id of an item (default: item.id)
+ * @param {Function} options.scoreOf - Relevance of an item (default: score, then relevance)
+ * @param {Function} options.textOf - Text of an item (default: its text fields)
+ * @param {Function} options.fileOf - File an item belongs to (default: file_path or path)
+ * @returns {Promise<Array>} Selected items in selection order
+ */
+async function selectDiverseItems(items, limit, options = {}) {
+  const {
+    typeOf,
+    idOf = item => item.id,
+    scoreOf = item => item.score ?? item.relevance ?? 0,
+    textOf = diversityText,
+    fileOf = item => item.file_path || item.path || null
+  } = options;
+  const lambda = getMMRLambda(options.lambda);
+  
+  if (!items || items.length <= 1 || lambda >= 1) {
+    return (items || []).slice(0, limit);
+  }
+  
+  // Stored vectors of the candidates, one per record
+  const vectorsByKey = new Map();
+  if (db) {
+    try {
+      const byType = new Map();
+      items.forEach(item => {
+        const type = typeOf(item);
+        if (!byType.has(type)) byType.set(type, new Set());
+        byType.get(type).add(idOf(item));
+      });
+      
+      for (const [type, ids] of byType) {
+        const rows = await db.prepare(`
+          SELECT content_id, vector FROM vectors
+          WHERE content_type = ? AND model_id = ? AND content_id IN (${[...ids].map(() => '?').join(', ')})
+        `).all(type, getActiveModelId(), ...ids);
+        
+        for (const row of rows) {
+          const vector = HnswIndex.normalize(bufferToVector(row.vector));
+          const key = `${type}:${row.content_id}`;
+          const sum = vectorsByKey.get(key);
+          if (!sum) {
+            vectorsByKey.set(key, vector);
+          } else if (sum.length === vector.length) {
+            for (let i = 0; i < sum.length; i++) sum[i] += vector[i];
+          }
+        }
+      }
+    } catch (vectorError) {
+      log(`Could not load vectors for diversity ranking, comparing text only: ${vectorError.message}`, "error");
+    }
+  }
+  
+  const candidates = items.map(item => ({
+    item,
+    relevance: scoreOf(item) || 0,
+    vector: vectorsByKey.get(`${typeOf(item)}:${idOf(item)}`) || null,
+    words: new Set(textOf(item).toLowerCase().split(/\W+/).filter(word => word.length > 2)),
+    file: fileOf(item),
+    maxSimilarity: 0
+  }));
+  
+  // Scores from different rankings are not on one scale, so scale the best to 1
+  const maxRelevance = Math.max(...candidates.map(candidate => candidate.relevance));
+  candidates.forEach(candidate => {
+    candidate.relevance = maxRelevance > 0 ? candidate.relevance / maxRelevance : 1;
+  });
+  
+  const similarity = (a, b) => {
+    let value = a.vector && b.vector ? cosineSimilarity(a.vector, b.vector) : jaccardSimilarity(a.words, b.words);
+    if (a.file && a.file === b.file) {
+      value = Math.max(value, 0.5);
+    }
+    return value;
+  };
+  
+  const selected = [];
+  const remaining = candidates.slice();
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const mmrScore = lambda * candidate.relevance - (1 - lambda) * candidate.maxSimilarity;
+      if (mmrScore > bestScore) {
+        bestScore = mmrScore;
+        bestIndex = index;
+      }
+    });
+    
+    const [chosen] = remaining.splice(bestIndex, 1);
+    selected.push(chosen);
+    
+    // Only the newly selected item can raise a candidate's redundancy
+    remaining.forEach(candidate => {
+      candidate.maxSimilarity = Math.max(candidate.maxSimilarity, similarity(candidate, chosen));
+    });
+  }
+  
+  return selected.map(candidate => candidate.item);
+}
+
+/**
+ * Helper function to find similar items with hybrid (vector + full-text) search
+ * @param {Float32Array} queryVector - The vector to compare against (optional)
+ * @param {string} queryText - The query text for full-text matching (optional)
+ * @param {string} contentType - The type of content to search for
+ * @param {string} alternativeType - Alternative content type to include (optional)
+ * @param {number} limit - Maximum number of results
+ * @param {number} threshold - Minimum similarity threshold
+ * @param {string} project - Project to search (default: current project)
+ * @returns {Promise<Array>} Array of similar items with their details
+ */
+async function findSimilarItems(queryVector, queryText, contentType, alternativeType = null, limit = 3, threshold = 0.5, project = getCurrentProject()) {
+  try {
+    const contentTypes = alternativeType ? [contentType, alternativeType] : [contentType];
+    const similarVectors = await hybridSearch(queryText, queryVector, contentTypes, limit, threshold, project);
+    
+    // Fetch detailed content for each result based on content type
+    const items = [];
+    for (const vector of similarVectors) {
+      try {
+        let item = { 
+          id: vector.content_id, 
+          type: vector.content_type,
+          similarity: vector.similarity,
+          score: vector.score,
+          chunk: vector.chunk || null
+        };
+        
+        // Fetch additional details based on content type
+        if (vector.content_type === 'user_message' || vector.content_type === 'assistant_message') {
+          const message = await db.prepare(`
+            SELECT role, content, created_at, importance
+            FROM messages
+            WHERE id = ?
+          `).get(vector.content_id);
+          
+          if (message) {
+            item = {
+              ...item,
+              role: message.role,
+              content: message.content,
+              created_at: new Date(message.created_at).toISOString(),
+              importance: message.importance
+            };
+          }
+        } else if (vector.content_type === 'code_file') {
+          const file = await db.prepare(`
+            SELECT file_path, language, last_indexed
+            FROM code_files
+            WHERE id = ?
+          `).get(vector.content_id);
+          
+          if (file) {
+            item = {
+              ...item,
+              path: file.file_path,
+              language: file.language,
+              last_indexed: new Date(file.last_indexed).toISOString()
+            };
+          }
+        } else if (vector.content_type === 'code_snippet') {
+          const snippet = await db.prepare(`
+            SELECT cs.content, cs.start_line, cs.end_line, cs.symbol_type, cf.file_path
+            FROM code_snippets cs
+            JOIN code_files cf ON cs.file_id = cf.id
+            WHERE cs.id = ?
+          `).get(vector.content_id);
+          
+          if (snippet) {
+            item = {
+              ...item,
+              content: snippet.content,
+              file_path: snippet.file_path,
+              lines: `${snippet.start_line}-${snippet.end_line}`,
+              symbol_type: snippet.symbol_type
+            };
+          }
+        }
+        
+        items.push(item);
+      } catch (detailError) {
+        log(`Error fetching details for ${vector.content_type} id ${vector.content_id}: ${detailError.message}`, "error");
+        // Skip this item and continue with others
+      }
+    }
+    
+    return items;
+  } catch (error) {
+    log(`Error in findSimilarItems: ${error.message}`, "error");
+    return [];
+  }
+}
+
 // Helper function to retrieve comprehensive context
-async function getComprehensiveContext(userMessage = null) {
+// options.mmrLambda overrides the relevance/diversity trade-off of each section,
+// options.includeSuperseded keeps superseded decisions, options.includeLinked
+// (default true) adds memories related to the items found, options.project the
+// project the context is taken from
+async function getComprehensiveContext(userMessage = null, options = {}) {
+  const lambda = getMMRLambda(options.mmrLambda);
+  const project = options.project ?? getCurrentProject();
+  const messageType = msg => msg.role === 'assistant' ? 'assistant_message' : 'user_message';
+
   const context = {
     shortTerm: {},
     longTerm: {},
     episodic: {},
     semantic: {}, // Section for semantically similar content
-    system: { healthy: true, timestamp: new Date().toISOString() }
+    system: { healthy: true, project, timestamp: new Date().toISOString() }
   };
   
   try {
     let queryVector = null;
     // Generate embedding for the user message if provided
     if (userMessage) {
-      queryVector = await createEmbedding(userMessage);
-      log(`Generated query vector for context relevance scoring`);
+      try {
+        queryVector = await createEmbedding(userMessage);
+        log(`Generated query vector for context relevance scoring`);
+      } catch (embeddingError) {
+        // Fall back to full-text matching if the provider is unavailable
+        log(`Could not embed context query, using full-text matching only: ${embeddingError.message}`, "error");
+      }
     }
     
     // --- SHORT-TERM CONTEXT ---
@@ -4829,16 +12063,17 @@ async function getComprehensiveContext(userMessage = null) {
     const messages = await db.prepare(`
       SELECT id, role, content, created_at, importance
       FROM messages
+      WHERE project_id = ?
       ORDER BY created_at DESC
       LIMIT 15
-    `).all();
+    `).all(project);
     
-    // Score messages by relevance if we have a query vector
+    // Score messages by relevance if we have a query
     let scoredMessages = messages;
-    if (queryVector) {
-      scoredMessages = await scoreItemsByRelevance(messages, queryVector, 'user_message', 'assistant_message');
-      // Take top 5 most relevant messages
-      scoredMessages = scoredMessages.slice(0, 5);
+    if (userMessage) {
+      scoredMessages = await scoreItemsByRelevance(messages, queryVector, userMessage, 'user_message', 'assistant_message');
+      // Take 5 relevant messages that are not near-duplicates of each other
+      scoredMessages = await selectDiverseItems(scoredMessages, 5, { lambda, typeOf: messageType });
     } else {
       // Without a query, just take the 5 most recent
       scoredMessages = messages.slice(0, 5);
@@ -4848,16 +12083,17 @@ async function getComprehensiveContext(userMessage = null) {
     const files = await db.prepare(`
       SELECT id, filename, last_accessed
       FROM active_files
+      WHERE project_id = ?
       ORDER BY last_accessed DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
-    // Score files by relevance if we have a query vector
+    // Score files by relevance if we have a query
     let scoredFiles = files;
-    if (queryVector) {
-      scoredFiles = await scoreItemsByRelevance(files, queryVector, 'code_file');
-      // Take top 5 most relevant files
-      scoredFiles = scoredFiles.slice(0, 5);
+    if (userMessage) {
+      scoredFiles = await scoreItemsByRelevance(files, queryVector, userMessage, 'code_file');
+      // Take 5 relevant, diverse files
+      scoredFiles = await selectDiverseItems(scoredFiles, 5, { lambda, typeOf: () => 'code_file' });
     } else {
       // Without a query, just take the 5 most recent
       scoredFiles = files.slice(0, 5);
@@ -4881,41 +12117,44 @@ async function getComprehensiveContext(userMessage = null) {
     const milestones = await db.prepare(`
       SELECT id, title, description, importance, created_at
       FROM milestones
+      WHERE project_id = ?
       ORDER BY created_at DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
+    // Superseded decisions were reversed later, so they are left out unless asked for
     const decisions = await db.prepare(`
-      SELECT id, title, content, reasoning, importance, created_at
+      SELECT id, title, content, reasoning, importance, status, supersedes, superseded_by, created_at
       FROM decisions
-      WHERE importance IN ('high', 'medium', 'critical')
+      WHERE project_id = ? AND importance IN ('high', 'medium', 'critical')
+        ${options.includeSuperseded ? '' : "AND status != 'superseded'"}
       ORDER BY created_at DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
     const requirements = await db.prepare(`
-      SELECT id, title, content, importance, created_at
+      SELECT id, title, content, importance, status, created_at
       FROM requirements
-      WHERE importance IN ('high', 'medium', 'critical')
+      WHERE project_id = ? AND importance IN ('high', 'medium', 'critical')
       ORDER BY created_at DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
-    // Score long-term items by relevance if we have a query vector
+    // Score long-term items by relevance if we have a query
     let scoredMilestones = milestones;
     let scoredDecisions = decisions;
     let scoredRequirements = requirements;
     
-    if (queryVector) {
+    if (userMessage) {
       // Score each type of item
-      scoredMilestones = await scoreItemsByRelevance(milestones, queryVector, 'milestone');
-      scoredDecisions = await scoreItemsByRelevance(decisions, queryVector, 'decision');
-      scoredRequirements = await scoreItemsByRelevance(requirements, queryVector, 'requirement');
-      
-      // Take top most relevant items
-      scoredMilestones = scoredMilestones.slice(0, 3);
-      scoredDecisions = scoredDecisions.slice(0, 3);
-      scoredRequirements = scoredRequirements.slice(0, 3);
+      scoredMilestones = await scoreItemsByRelevance(milestones, queryVector, userMessage, 'milestone');
+      scoredDecisions = await scoreItemsByRelevance(decisions, queryVector, userMessage, 'decision');
+      scoredRequirements = await scoreItemsByRelevance(requirements, queryVector, userMessage, 'requirement');
+      
+      // Take the most relevant items, skipping near-duplicates
+      scoredMilestones = await selectDiverseItems(scoredMilestones, 3, { lambda, typeOf: () => 'milestone' });
+      scoredDecisions = await selectDiverseItems(scoredDecisions, 3, { lambda, typeOf: () => 'decision' });
+      scoredRequirements = await selectDiverseItems(scoredRequirements, 3, { lambda, typeOf: () => 'requirement' });
     } else {
       // Without a query, just take the most recent
       scoredMilestones = milestones.slice(0, 3);
@@ -4946,16 +12185,17 @@ async function getComprehensiveContext(userMessage = null) {
     const episodes = await db.prepare(`
       SELECT id, actor, action, content, timestamp, importance, context
       FROM episodes
+      WHERE project_id = ?
       ORDER BY timestamp DESC
       LIMIT 15
-    `).all();
+    `).all(project);
     
-    // Score episodes by relevance if we have a query vector
+    // Score episodes by relevance if we have a query
     let scoredEpisodes = episodes;
-    if (queryVector) {
-      scoredEpisodes = await scoreItemsByRelevance(episodes, queryVector, 'episode');
-      // Take top 5 most relevant episodes
-      scoredEpisodes = scoredEpisodes.slice(0, 5);
+    if (userMessage) {
+      scoredEpisodes = await scoreItemsByRelevance(episodes, queryVector, userMessage, 'episode');
+      // Take 5 relevant, diverse episodes
+      scoredEpisodes = await selectDiverseItems(scoredEpisodes, 5, { lambda, typeOf: () => 'episode' });
     } else {
       // Without a query, just take the 5 most recent
       scoredEpisodes = episodes.slice(0, 5);
@@ -4970,34 +12210,63 @@ async function getComprehensiveContext(userMessage = null) {
     };
     
     // Add semantically similar content if userMessage is provided
-    if (userMessage && queryVector) {
+    if (userMessage) {
       try {
-        // Find similar messages with higher threshold for better quality matches
-        const similarMessages = await findSimilarItems(queryVector, 'user_message', 'assistant_message', 3, 0.6);
+        // Find similar items with higher threshold for better quality matches, taking
+        // extra candidates so near-duplicates can be dropped in favor of other results
+        const typeOf = item => item.type;
+        const similarMessages = await selectDiverseItems(
+          await findSimilarItems(queryVector, userMessage, 'user_message', 'assistant_message', 9, 0.6, project), 3, { lambda, typeOf });
         
         // Find similar code files
-        const similarFiles = await findSimilarItems(queryVector, 'code_file', null, 2, 0.6);
-        
-        // Find similar code snippets
-        const similarSnippets = await findSimilarItems(queryVector, 'code_snippet', null, 3, 0.6);
+        const similarFiles = await selectDiverseItems(
+          await findSimilarItems(queryVector, userMessage, 'code_file', null, 6, 0.6, project), 2, { lambda, typeOf });
         
-        // Group similar code snippets by file to reduce redundancy
-        const groupedSnippets = groupSimilarSnippetsByFile(similarSnippets);
+        // Find similar code snippets, spread across files where relevance allows
+        const similarSnippets = await selectDiverseItems(
+          await findSimilarItems(queryVector, userMessage, 'code_snippet', null, 9, 0.6, project), 3, { lambda, typeOf });
         
         // Add to context
         context.semantic = {
           similarMessages,
           similarFiles,
-          similarSnippets: groupedSnippets
+          similarSnippets
         };
         
-        log(`Added semantic context with ${similarMessages.length} messages, ${similarFiles.length} files, and ${groupedSnippets.length} snippet groups`);
+        log(`Added semantic context with ${similarMessages.length} messages, ${similarFiles.length} files, and ${similarSnippets.length} snippets`);
       } catch (error) {
         log(`Error adding semantic context: ${error.message}`, "error");
         // Non-blocking error - we still return the basic context
         context.semantic = { error: error.message };
       }
     }
+    
+    // --- LINKED CONTEXT ---
+    // Memories, files and snippets related to the items found, scored by the
+    // relevance of the item they are linked to and the weight of the relation
+    if (options.includeLinked !== false) {
+      try {
+        const seedScore = item => Math.max(item.relevance ?? item.similarity ?? 1, 0);
+        const seeds = [
+          ...context.shortTerm.recentMessages.map(msg => ({ type: 'message', id: msg.id, score: seedScore(msg) })),
+          ...context.longTerm.milestones.map(m => ({ type: 'milestone', id: m.id, score: seedScore(m) })),
+          ...context.longTerm.decisions.map(d => ({ type: 'decision', id: d.id, score: seedScore(d) })),
+          ...context.longTerm.requirements.map(r => ({ type: 'requirement', id: r.id, score: seedScore(r) })),
+          ...context.episodic.recentEpisodes.map(ep => ({ type: 'episode', id: ep.id, score: seedScore(ep) })),
+          ...(context.semantic.similarMessages || []).map(item => ({ type: 'message', id: item.id, score: seedScore(item) })),
+          ...(context.semantic.similarFiles || []).map(item => ({ type: 'code_file', id: item.id, score: seedScore(item) })),
+          ...(context.semantic.similarSnippets || []).map(item => ({ type: 'code_snippet', id: item.id, score: seedScore(item) }))
+        ];
+        
+        const { nodes } = await getNeighborhood(seeds, { limit: null, project });
+        context.linked = nodes
+          .filter(node => options.includeSuperseded || node.type !== 'decision' || node.status !== 'superseded')
+          .slice(0, CONTEXT_LINKED_LIMIT);
+      } catch (error) {
+        log(`Error adding linked context: ${error.message}`, "error");
+        context.linked = { error: error.message };
+      }
+    }
   } catch (error) {
     log(`Error building comprehensive context: ${error.message}`, "error");
     // Return minimal context in case of error
@@ -5008,13 +12277,13 @@ async function getComprehensiveContext(userMessage = null) {
 }
 
 // Helper function to retrieve full context without relevance filtering
-async function getFullContext() {
+async function getFullContext(project = getCurrentProject()) {
   const context = {
     shortTerm: {},
     longTerm: {},
     episodic: {},
     semantic: {}, 
-    system: { healthy: true, timestamp: new Date().toISOString() }
+    system: { healthy: true, project, timestamp: new Date().toISOString() }
   };
   
   try {
@@ -5023,17 +12292,19 @@ async function getFullContext() {
     const messages = await db.prepare(`
       SELECT id, role, content, created_at, importance
       FROM messages
+      WHERE project_id = ?
       ORDER BY created_at DESC
       LIMIT 20
-    `).all();
+    `).all(project);
     
     // Get active files
     const files = await db.prepare(`
       SELECT id, filename, last_accessed
       FROM active_files
+      WHERE project_id = ?
       ORDER BY last_accessed DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
     context.shortTerm = {
       recentMessages: messages.map(msg => ({
@@ -5050,23 +12321,26 @@ async function getFullContext() {
     const milestones = await db.prepare(`
       SELECT id, title, description, importance, created_at
       FROM milestones
+      WHERE project_id = ?
       ORDER BY created_at DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
     const decisions = await db.prepare(`
-      SELECT id, title, content, reasoning, importance, created_at
+      SELECT id, title, content, reasoning, importance, status, supersedes, created_at
       FROM decisions
+      WHERE project_id = ? AND status != 'superseded'
       ORDER BY created_at DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
     const requirements = await db.prepare(`
-      SELECT id, title, content, importance, created_at
+      SELECT id, title, content, importance, status, created_at
       FROM requirements
+      WHERE project_id = ?
       ORDER BY created_at DESC
       LIMIT 10
-    `).all();
+    `).all(project);
     
     context.longTerm = {
       milestones: milestones.map(m => ({
@@ -5087,9 +12361,10 @@ async function getFullContext() {
     const episodes = await db.prepare(`
       SELECT id, actor, action, content, timestamp, importance, context
       FROM episodes
+      WHERE project_id = ?
       ORDER BY timestamp DESC
       LIMIT 20
-    `).all();
+    `).all(project);
     
     context.episodic = {
       recentEpisodes: episodes.map(ep => ({
@@ -5105,9 +12380,10 @@ async function getFullContext() {
         SELECT v.id, v.content_id, v.content_type, v.created_at, m.content
         FROM vectors v
         LEFT JOIN messages m ON v.content_id = m.id AND v.content_type IN ('user_message', 'assistant_message')
+        WHERE v.project_id = ?
         ORDER BY v.created_at DESC
         LIMIT 10
-      `).all();
+      `).all(project);
       
       context.semantic = {
         recentVectors: recentVectors.map(v => ({
@@ -0,0 +1,131 @@
+-- Initial schema
+-- Tables as they were before versioned migrations. Vector and full-text indexes
+-- depend on what the database supports and are created at startup instead
+
+CREATE TABLE IF NOT EXISTS messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  metadata TEXT,
+  importance TEXT DEFAULT 'low'
+);
+
+CREATE TABLE IF NOT EXISTS active_files (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  filename TEXT UNIQUE,
+  last_accessed INTEGER,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS milestones (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT,
+  description TEXT,
+  importance TEXT DEFAULT 'medium',
+  created_at INTEGER,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS decisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT,
+  content TEXT,
+  reasoning TEXT,
+  importance TEXT DEFAULT 'medium',
+  created_at INTEGER,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS requirements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT,
+  content TEXT,
+  importance TEXT DEFAULT 'medium',
+  created_at INTEGER,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS episodes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT,
+  action TEXT,
+  content TEXT,
+  timestamp INTEGER,
+  importance TEXT DEFAULT 'low',
+  context TEXT,
+  metadata TEXT
+);
+
+-- The vector column size is adjusted to VECTOR_DIMENSIONS at startup
+CREATE TABLE IF NOT EXISTS vectors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  content_id INTEGER NOT NULL,
+  content_type TEXT NOT NULL,
+  vector F32_BLOB(128) NOT NULL,
+  created_at INTEGER NOT NULL,
+  metadata TEXT,
+  model_id TEXT,
+  dimensions INTEGER,
+  chunk_index INTEGER,
+  chunk_start INTEGER,
+  chunk_end INTEGER,
+  encoding TEXT
+);
+
+-- Full precision copies of quantized vectors, used to re-score search candidates
+CREATE TABLE IF NOT EXISTS vector_full_precision (
+  vector_id INTEGER PRIMARY KEY,
+  vector BLOB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS code_files (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_path TEXT UNIQUE,
+  language TEXT,
+  last_indexed INTEGER,
+  size INTEGER,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS code_snippets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_id INTEGER,
+  start_line INTEGER,
+  end_line INTEGER,
+  content TEXT,
+  symbol_type TEXT,
+  metadata TEXT,
+  FOREIGN KEY (file_id) REFERENCES code_files(id)
+);
+
+-- Progress of background re-embedding runs after an embedding model change
+CREATE TABLE IF NOT EXISTS reembed_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  model_id TEXT NOT NULL,
+  dimensions INTEGER,
+  status TEXT NOT NULL DEFAULT 'pending',
+  cursor TEXT,
+  processed INTEGER DEFAULT 0,
+  failed INTEGER DEFAULT 0,
+  total INTEGER DEFAULT 0,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  completed_at INTEGER
+);
+
+-- Vectors of previously embedded text, so unchanged content is not embedded again
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  content_hash TEXT NOT NULL,
+  model_id TEXT NOT NULL,
+  vector BLOB NOT NULL,
+  dimensions INTEGER,
+  hit_count INTEGER DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  last_used_at INTEGER NOT NULL,
+  PRIMARY KEY (content_hash, model_id)
+);
+
+-- Least recently used entries are evicted first
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_embedding_jobs_due;
+DROP TABLE IF EXISTS embedding_jobs;
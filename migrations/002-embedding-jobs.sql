@@ -0,0 +1,17 @@
+-- Durable queue of records waiting for their embeddings
+-- A job is written in the same transaction as its record and deleted once the
+-- record is embedded. Jobs that keep failing end up with status 'dead'
+
+CREATE TABLE IF NOT EXISTS embedding_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source_table TEXT NOT NULL,
+  record_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_jobs_due ON embedding_jobs(status, next_attempt_at);
@@ -0,0 +1,53 @@
+-- Files tracked in several projects keep their most recent row only, and the
+-- snippets and vectors of the rows dropped go with them
+DROP INDEX IF EXISTS idx_messages_project;
+DROP INDEX IF EXISTS idx_active_files_project;
+DROP INDEX IF EXISTS idx_milestones_project;
+DROP INDEX IF EXISTS idx_decisions_project;
+DROP INDEX IF EXISTS idx_requirements_project;
+DROP INDEX IF EXISTS idx_episodes_project;
+DROP INDEX IF EXISTS idx_code_snippets_project;
+DROP INDEX IF EXISTS idx_vectors_project;
+
+CREATE TABLE active_files_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  filename TEXT UNIQUE,
+  last_accessed INTEGER,
+  metadata TEXT
+);
+INSERT OR IGNORE INTO active_files_old (id, filename, last_accessed, metadata)
+  SELECT id, filename, last_accessed, metadata FROM active_files ORDER BY last_accessed DESC;
+DROP TABLE active_files;
+ALTER TABLE active_files_old RENAME TO active_files;
+
+-- Snippets let go of their files while code_files is rebuilt, since dropping a
+-- table that rows still reference fails with foreign keys enforced
+CREATE TEMP TABLE snippet_files AS SELECT id, file_id FROM code_snippets;
+UPDATE code_snippets SET file_id = NULL;
+CREATE TABLE code_files_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_path TEXT UNIQUE,
+  language TEXT,
+  last_indexed INTEGER,
+  size INTEGER,
+  metadata TEXT
+);
+INSERT OR IGNORE INTO code_files_old (id, file_path, language, last_indexed, size, metadata)
+  SELECT id, file_path, language, last_indexed, size, metadata FROM code_files ORDER BY last_indexed DESC;
+DROP TABLE code_files;
+ALTER TABLE code_files_old RENAME TO code_files;
+DELETE FROM code_snippets WHERE id IN (
+  SELECT id FROM snippet_files WHERE file_id NOT IN (SELECT id FROM code_files)
+);
+UPDATE code_snippets SET file_id = (SELECT file_id FROM snippet_files WHERE snippet_files.id = code_snippets.id);
+DROP TABLE snippet_files;
+DELETE FROM vectors WHERE content_type = 'code_file' AND content_id NOT IN (SELECT id FROM code_files);
+DELETE FROM vectors WHERE content_type = 'code_snippet' AND content_id NOT IN (SELECT id FROM code_snippets);
+
+ALTER TABLE messages DROP COLUMN project_id;
+ALTER TABLE milestones DROP COLUMN project_id;
+ALTER TABLE decisions DROP COLUMN project_id;
+ALTER TABLE requirements DROP COLUMN project_id;
+ALTER TABLE episodes DROP COLUMN project_id;
+ALTER TABLE code_snippets DROP COLUMN project_id;
+ALTER TABLE vectors DROP COLUMN project_id;
@@ -0,0 +1,57 @@
+-- Project namespaces
+-- Every memory and vector belongs to a project, detected from the git repository
+-- or working directory of the server. Rows stored before namespaces get '' and
+-- are claimed at startup by the first project that opens the database
+
+ALTER TABLE messages ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE milestones ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE decisions ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE requirements ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE episodes ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE code_snippets ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE vectors ADD COLUMN project_id TEXT NOT NULL DEFAULT '';
+
+-- File paths are unique per project rather than globally, which takes
+-- rebuilding the tables that declare them unique
+CREATE TABLE active_files_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  filename TEXT,
+  last_accessed INTEGER,
+  metadata TEXT,
+  project_id TEXT NOT NULL DEFAULT '',
+  UNIQUE (project_id, filename)
+);
+INSERT INTO active_files_new (id, filename, last_accessed, metadata)
+  SELECT id, filename, last_accessed, metadata FROM active_files;
+DROP TABLE active_files;
+ALTER TABLE active_files_new RENAME TO active_files;
+
+-- Snippets let go of their files while code_files is rebuilt, since dropping a
+-- table that rows still reference fails with foreign keys enforced
+CREATE TEMP TABLE snippet_files AS SELECT id, file_id FROM code_snippets;
+UPDATE code_snippets SET file_id = NULL;
+CREATE TABLE code_files_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_path TEXT,
+  language TEXT,
+  last_indexed INTEGER,
+  size INTEGER,
+  metadata TEXT,
+  project_id TEXT NOT NULL DEFAULT '',
+  UNIQUE (project_id, file_path)
+);
+INSERT INTO code_files_new (id, file_path, language, last_indexed, size, metadata)
+  SELECT id, file_path, language, last_indexed, size, metadata FROM code_files;
+DROP TABLE code_files;
+ALTER TABLE code_files_new RENAME TO code_files;
+UPDATE code_snippets SET file_id = (SELECT file_id FROM snippet_files WHERE snippet_files.id = code_snippets.id);
+DROP TABLE snippet_files;
+
+CREATE INDEX IF NOT EXISTS idx_messages_project ON messages(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_active_files_project ON active_files(project_id, last_accessed);
+CREATE INDEX IF NOT EXISTS idx_milestones_project ON milestones(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_decisions_project ON decisions(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_requirements_project ON requirements(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_episodes_project ON episodes(project_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_code_snippets_project ON code_snippets(project_id);
+CREATE INDEX IF NOT EXISTS idx_vectors_project ON vectors(project_id, content_type);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_archived_memories_project;
+DROP TABLE IF EXISTS archived_memories;
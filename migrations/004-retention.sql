@@ -0,0 +1,15 @@
+-- Archive of memories pruned by the retention policy
+-- Messages and episodes pruned with the archive action are moved here as JSON,
+-- without their vectors, instead of being deleted
+
+CREATE TABLE IF NOT EXISTS archived_memories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source_table TEXT NOT NULL,
+  record_id INTEGER NOT NULL,
+  project_id TEXT NOT NULL DEFAULT '',
+  record TEXT NOT NULL,
+  created_at INTEGER,
+  archived_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_archived_memories_project ON archived_memories(project_id, source_table, archived_at);
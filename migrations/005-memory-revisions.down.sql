@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_memory_revisions_record;
+DROP TABLE IF EXISTS memory_revisions;
@@ -0,0 +1,16 @@
+-- Revision history of long-term memories
+-- Updating or deleting a milestone, decision or requirement first stores the row
+-- as it was, as JSON, under the next revision number of that record
+
+CREATE TABLE IF NOT EXISTS memory_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source_table TEXT NOT NULL,
+  record_id INTEGER NOT NULL,
+  project_id TEXT NOT NULL DEFAULT '',
+  revision INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  record TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_revisions_record ON memory_revisions(source_table, record_id, revision);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_decisions_status;
+ALTER TABLE decisions DROP COLUMN superseded_by;
+ALTER TABLE decisions DROP COLUMN supersedes;
+ALTER TABLE decisions DROP COLUMN status;
@@ -0,0 +1,10 @@
+-- Decision lifecycle
+-- Decisions are proposed, accepted, deprecated or superseded. A superseded
+-- decision names the decision that replaced it in superseded_by, and that
+-- decision names it back in supersedes. Decisions stored before are accepted
+
+ALTER TABLE decisions ADD COLUMN status TEXT NOT NULL DEFAULT 'accepted';
+ALTER TABLE decisions ADD COLUMN supersedes INTEGER;
+ALTER TABLE decisions ADD COLUMN superseded_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_decisions_status ON decisions(project_id, status);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_requirement_links_target;
+DROP TABLE IF EXISTS requirement_links;
+DROP INDEX IF EXISTS idx_acceptance_criteria_requirement;
+DROP TABLE IF EXISTS acceptance_criteria;
+DROP INDEX IF EXISTS idx_requirements_status;
+ALTER TABLE requirements DROP COLUMN status;
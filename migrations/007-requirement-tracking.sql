@@ -0,0 +1,33 @@
+-- Requirement tracking
+-- Requirements are open, in progress, done or dropped, with acceptance criteria
+-- checked off one by one. Links name the milestones, decisions, code files and
+-- code snippets that work on a requirement, for traceability reports
+
+ALTER TABLE requirements ADD COLUMN status TEXT NOT NULL DEFAULT 'open';
+
+CREATE INDEX IF NOT EXISTS idx_requirements_status ON requirements(project_id, status);
+
+CREATE TABLE IF NOT EXISTS acceptance_criteria (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  requirement_id INTEGER NOT NULL,
+  project_id TEXT NOT NULL DEFAULT '',
+  position INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  done INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  completed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_acceptance_criteria_requirement ON acceptance_criteria(requirement_id, position);
+
+CREATE TABLE IF NOT EXISTS requirement_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  requirement_id INTEGER NOT NULL,
+  project_id TEXT NOT NULL DEFAULT '',
+  target_type TEXT NOT NULL,
+  target_id INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  UNIQUE (requirement_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_requirement_links_target ON requirement_links(target_type, target_id);
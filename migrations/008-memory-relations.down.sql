@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_memory_relations_target;
+DROP TABLE IF EXISTS memory_relations;
@@ -0,0 +1,19 @@
+-- Memory relations
+-- Typed, weighted edges between memories, code files and code snippets, such as
+-- a decision that affects a file or a milestone that implements a requirement.
+-- Both ends are named by type and id, so one table links every kind of memory
+
+CREATE TABLE IF NOT EXISTS memory_relations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id TEXT NOT NULL DEFAULT '',
+  source_type TEXT NOT NULL,
+  source_id INTEGER NOT NULL,
+  relation TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id INTEGER NOT NULL,
+  weight REAL NOT NULL DEFAULT 1.0,
+  created_at INTEGER NOT NULL,
+  UNIQUE (project_id, source_type, source_id, relation, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_relations_target ON memory_relations(project_id, target_type, target_id);
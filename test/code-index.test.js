@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createTempDir, queryDatabase, startServer, waitFor } from './helpers.js';
+
+test('snippets keep their ids, links and relations when their file is indexed again', async (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'memory.db');
+  const source = path.join(dir, 'math.js');
+  const server = await startServer(t, dir, { TURSO_DATABASE_URL: `file:${file}` });
+  
+  // Files are indexed in the background, so wait for the snippets to change
+  const snippets = () => queryDatabase(file, 'SELECT id, start_line, end_line, metadata FROM code_snippets ORDER BY id')
+    .map(row => ({ id: row.id, symbol: JSON.parse(row.metadata).symbol, lines: `${row.start_line}-${row.end_line}` }));
+  const indexFile = async (content, expectedSymbols) => {
+    fs.writeFileSync(source, content);
+    await server.call('trackActiveFile', { filename: source, action: 'edit' });
+    return waitFor(() => {
+      const current = snippets();
+      return current.map(snippet => snippet.symbol).sort().join() === expectedSymbols.join() && current;
+    });
+  };
+  
+  const first = await indexFile([
+    'function add(a, b) {',
+    '  return a + b;',
+    '}',
+    '',
+    'function subtract(a, b) {',
+    '  return a - b;',
+    '}'
+  ].join('\n'), ['add', 'subtract']);
+  const add = first.find(snippet => snippet.symbol === 'add');
+  const subtract = first.find(snippet => snippet.symbol === 'subtract');
+  
+  const requirement = await server.call('storeRequirement', { title: 'Arithmetic', content: 'Add and subtract numbers' });
+  for (const snippet of [add, subtract]) {
+    await server.call('manageRequirement', { operation: 'link', requirementId: requirement.id, targetType: 'code_snippet', targetId: snippet.id });
+  }
+  await server.call('addRelation', { sourceType: 'code_snippet', sourceId: subtract.id, relation: 'depends_on', targetType: 'code_snippet', targetId: add.id });
+  
+  // add moves down and changes, subtract goes away, multiply is new
+  const second = await indexFile([
+    'function multiply(a, b) {',
+    '  return a * b;',
+    '}',
+    '',
+    'function add(a, b) {',
+    '  const sum = a + b;',
+    '  return sum;',
+    '}'
+  ].join('\n'), ['add', 'multiply']);
+  await server.close();
+  
+  assert.deepEqual(second.find(snippet => snippet.symbol === 'add'), { id: add.id, symbol: 'add', lines: '4-7' });
+  assert.ok(!second.some(snippet => snippet.id === subtract.id));
+  
+  assert.deepEqual(queryDatabase(file, 'SELECT target_type, target_id FROM requirement_links'), [{ target_type: 'code_snippet', target_id: add.id }]);
+  assert.deepEqual(queryDatabase(file, 'SELECT COUNT(*) AS count FROM memory_relations'), [{ count: 0 }]);
+  
+  // Each snippet has the vector of its current content, none is left for removed snippets
+  assert.deepEqual(
+    queryDatabase(file, "SELECT content_id FROM vectors WHERE content_type = 'code_snippet' ORDER BY content_id").map(row => row.content_id),
+    second.map(snippet => snippet.id).sort((a, b) => a - b)
+  );
+});
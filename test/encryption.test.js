@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, randomBytes } from 'node:crypto';
+import path from 'node:path';
+import { createTempDir, queryDatabase, runCli, startServer } from './helpers.js';
+
+const createKey = () => randomBytes(32).toString('base64');
+const keyId = (key) => createHash('sha256').update(Buffer.from(key, 'base64')).digest('hex').slice(0, 8);
+
+test('memories encrypted with one key are rotated to the next and decrypted again', async (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'memory.db');
+  const oldKey = createKey();
+  const newKey = createKey();
+  const env = { TURSO_DATABASE_URL: `file:${file}` };
+  
+  const server = await startServer(t, dir, { ...env, ENCRYPTION_KEY: oldKey });
+  const decision = await server.call('storeDecision', {
+    title: 'Rotate keys yearly',
+    content: 'Encryption keys are replaced every year',
+    reasoning: 'Limits what one leaked key exposes'
+  });
+  await server.close();
+  
+  const [stored] = queryDatabase(file, 'SELECT content, reasoning FROM decisions WHERE id = ?', decision.id);
+  for (const value of Object.values(stored)) {
+    assert.ok(value.startsWith(`enc:v1:${keyId(oldKey)}:`), value);
+  }
+  
+  // The new key comes first, the old one stays to read what it encrypted
+  const rotate = await runCli(dir, ['encryption', 'rotate'], { ...env, ENCRYPTION_KEY: `${newKey},${oldKey}` });
+  assert.equal(rotate.code, 0, rotate.stderr);
+  assert.match(rotate.stdout, /Re-encrypted \d+ value\(s\) in decisions/);
+  
+  const [rotated] = queryDatabase(file, 'SELECT content, reasoning FROM decisions WHERE id = ?', decision.id);
+  for (const value of Object.values(rotated)) {
+    assert.ok(value.startsWith(`enc:v1:${keyId(newKey)}:`), value);
+  }
+  
+  const status = await runCli(dir, ['encryption', 'status'], { ...env, ENCRYPTION_KEY: newKey });
+  assert.equal(status.code, 0, status.stderr);
+  assert.doesNotMatch(status.stdout, new RegExp(`key ${keyId(oldKey)}`));
+  
+  // The new key alone reads everything
+  const reopened = await startServer(t, dir, { ...env, ENCRYPTION_KEY: newKey });
+  const history = await reopened.call('getHistory', { type: 'decision', id: decision.id });
+  assert.equal(history.current.title, 'Rotate keys yearly');
+  assert.equal(history.current.content, 'Encryption keys are replaced every year');
+  assert.equal(history.current.reasoning, 'Limits what one leaked key exposes');
+  await reopened.close();
+  
+  const decrypt = await runCli(dir, ['encryption', 'decrypt'], { ...env, ENCRYPTION_KEY: newKey });
+  assert.equal(decrypt.code, 0, decrypt.stderr);
+  assert.deepEqual(queryDatabase(file, 'SELECT content, reasoning FROM decisions WHERE id = ?', decision.id), [{
+    content: 'Encryption keys are replaced every year',
+    reasoning: 'Limits what one leaked key exposes'
+  }]);
+});
+
+test('rotating without the key the memories were encrypted with fails and keeps them', async (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'memory.db');
+  const env = { TURSO_DATABASE_URL: `file:${file}` };
+  
+  const server = await startServer(t, dir, { ...env, ENCRYPTION_KEY: createKey() });
+  await server.call('storeUserMessage', { content: 'Only readable with the first key' });
+  await server.close();
+  
+  const [before] = queryDatabase(file, 'SELECT content FROM messages');
+  const rotate = await runCli(dir, ['encryption', 'rotate'], { ...env, ENCRYPTION_KEY: createKey() });
+  assert.notEqual(rotate.code, 0);
+  assert.deepEqual(queryDatabase(file, 'SELECT content FROM messages'), [before]);
+});
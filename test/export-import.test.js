@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createTempDir, queryDatabase, runCli, startServer } from './helpers.js';
+
+/**
+ * Store a requirement with an acceptance criterion, a milestone that implements
+ * it and a message
+ * @param {Object} server - Server from startServer
+ * @returns {Promise<void>}
+ */
+async function storeMemories(server) {
+  const requirement = await server.call('storeRequirement', {
+    title: 'Offline mode',
+    content: 'Writes made without a connection are kept and sent later',
+    importance: 'high'
+  });
+  await server.call('manageRequirement', {
+    operation: 'addCriterion',
+    requirementId: requirement.id,
+    criterion: 'Buffered writes survive a restart'
+  });
+  const milestone = await server.call('storeMilestone', {
+    title: 'Write buffer',
+    description: 'Writes are buffered in a local file while the database is down'
+  });
+  await server.call('addRelation', {
+    sourceType: 'milestone',
+    sourceId: milestone.id,
+    relation: 'implements',
+    targetType: 'requirement',
+    targetId: requirement.id
+  });
+  await server.call('storeUserMessage', { content: 'Make it work on the train' });
+}
+
+/**
+ * Check that a database holds the memories of storeMemories, under new ids
+ * @param {Object} server - Server from startServer
+ * @returns {Promise<void>}
+ */
+async function assertMemories(server) {
+  const { requirements } = await server.call('getTraceability');
+  assert.equal(requirements.length, 1);
+  assert.equal(requirements[0].title, 'Offline mode');
+  assert.deepEqual(requirements[0].acceptance_criteria.items.map(item => item.description), ['Buffered writes survive a restart']);
+  assert.deepEqual(requirements[0].milestones.map(milestone => milestone.title), ['Write buffer']);
+  
+  const { messages } = await server.call('getRecentMessages', { limit: 10 });
+  assert.deepEqual(messages.map(message => message.content), ['Make it work on the train']);
+}
+
+test('an export imported into another database holds the same memories, still encrypted', async (t) => {
+  const dir = createTempDir(t);
+  const key = randomBytes(32).toString('base64');
+  const source = { TURSO_DATABASE_URL: `file:${path.join(dir, 'source.db')}`, ENCRYPTION_KEY: key };
+  const target = { TURSO_DATABASE_URL: `file:${path.join(dir, 'target.db')}`, ENCRYPTION_KEY: key };
+  const exportPath = path.join(dir, 'memories.jsonl');
+  
+  const server = await startServer(t, dir, source);
+  await storeMemories(server);
+  await server.close();
+  
+  const exported = await runCli(dir, ['export', exportPath], source);
+  assert.equal(exported.code, 0, exported.stderr);
+  
+  const lines = fs.readFileSync(exportPath, 'utf8').trim().split('\n');
+  const header = JSON.parse(lines[0]);
+  assert.equal(header.project, 'test');
+  assert.equal(header.encrypted, true);
+  assert.doesNotMatch(lines.join('\n'), /kept and sent later|Buffered writes survive|on the train/);
+  
+  const imported = await runCli(dir, ['import', exportPath], target);
+  assert.equal(imported.code, 0, imported.stderr);
+  
+  const reopened = await startServer(t, dir, target);
+  await assertMemories(reopened);
+  await reopened.close();
+  
+  // Importing the same file again adds nothing
+  const again = await runCli(dir, ['import', exportPath], target);
+  assert.equal(again.code, 0, again.stderr);
+  assert.equal(queryDatabase(path.join(dir, 'target.db'), 'SELECT COUNT(*) AS count FROM requirements')[0].count, 1);
+  assert.equal(queryDatabase(path.join(dir, 'target.db'), 'SELECT COUNT(*) AS count FROM messages')[0].count, 1);
+});
+
+test('a decrypted export from the tools imports into a database with another key', async (t) => {
+  const dir = createTempDir(t);
+  const source = { TURSO_DATABASE_URL: `file:${path.join(dir, 'source.db')}`, ENCRYPTION_KEY: randomBytes(32).toString('base64') };
+  const target = { TURSO_DATABASE_URL: `file:${path.join(dir, 'target.db')}`, ENCRYPTION_KEY: randomBytes(32).toString('base64') };
+  
+  const server = await startServer(t, dir, source);
+  await storeMemories(server);
+  const { export: exported } = await server.call('exportMemory', { path: 'plain.jsonl', decrypt: true });
+  assert.equal(exported.encrypted, false);
+  await assert.rejects(server.call('exportMemory', { path: '../outside.jsonl' }), /export directory/);
+  await server.close();
+  
+  // The export directory defaults to ~/.cursor10x/exports, inside the test directory
+  const exportPath = path.join(dir, '.cursor10x', 'exports', 'plain.jsonl');
+  assert.match(fs.readFileSync(exportPath, 'utf8'), /kept and sent later/);
+  assert.ok(!fs.existsSync(path.join(dir, '.cursor10x', 'outside.jsonl')));
+  
+  const reopened = await startServer(t, dir, target);
+  await reopened.call('importMemory', { path: 'plain.jsonl', mode: 'replace' });
+  await assertMemories(reopened);
+  await reopened.close();
+  
+  // Content is encrypted with the key of the target database
+  const [requirement] = queryDatabase(path.join(dir, 'target.db'), 'SELECT content FROM requirements');
+  assert.ok(requirement.content.startsWith('enc:v1:'));
+});
@@ -0,0 +1,142 @@
+// Minimal Hrana over HTTP server on a local SQLite file, standing in for a
+// remote Turso database. It can be made unreachable to test offline writes
+
+import http from 'node:http';
+import Database from 'better-sqlite3';
+
+const decodeValue = (value) => {
+  switch (value?.type) {
+    case 'integer': return BigInt(value.value);
+    case 'float': return value.value;
+    case 'text': return value.value;
+    case 'blob': return Buffer.from(value.base64, 'base64');
+    default: return null;
+  }
+};
+
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return { type: 'null' };
+  if (typeof value === 'bigint') return { type: 'integer', value: String(value) };
+  if (typeof value === 'number') return Number.isInteger(value) ? { type: 'integer', value: String(value) } : { type: 'float', value };
+  if (Buffer.isBuffer(value)) return { type: 'blob', base64: value.toString('base64') };
+  return { type: 'text', value: String(value) };
+};
+
+/**
+ * Start the server on a free port
+ * @param {string} file - Path of the SQLite database it serves
+ * @returns {Promise<Object>} url, setReachable(boolean) and close()
+ */
+export async function startHranaServer(file) {
+  const database = new Database(file);
+  const storedSql = new Map();
+  let reachable = true;
+  
+  const execute = (stmt) => {
+    const statement = database.prepare(stmt.sql ?? storedSql.get(stmt.sql_id));
+    statement.safeIntegers(true);
+    const named = Object.fromEntries((stmt.named_args || []).map(arg => [arg.name.replace(/^[:@$]/, ''), decodeValue(arg.value)]));
+    const params = Object.keys(named).length > 0 ? [named] : (stmt.args || []).map(decodeValue);
+    
+    if (statement.reader) {
+      const cols = statement.columns().map(column => ({ name: column.name, decltype: column.type }));
+      const rows = statement.raw(true).all(...params).map(row => row.map(encodeValue));
+      return { cols, rows, affected_row_count: 0, last_insert_rowid: null };
+    }
+    
+    const result = statement.run(...params);
+    return { cols: [], rows: [], affected_row_count: result.changes, last_insert_rowid: String(result.lastInsertRowid) };
+  };
+  
+  const toError = (error) => ({ message: error.message, code: error.code || 'SQLITE_ERROR' });
+  
+  const evaluate = (condition, results, errors) => {
+    if (!condition) return true;
+    switch (condition.type) {
+      case 'ok': return results[condition.step] !== null;
+      case 'error': return errors[condition.step] !== null;
+      case 'not': return !evaluate(condition.cond, results, errors);
+      case 'and': return condition.conds.every(inner => evaluate(inner, results, errors));
+      case 'or': return condition.conds.some(inner => evaluate(inner, results, errors));
+      case 'is_autocommit': return !database.inTransaction;
+      default: return false;
+    }
+  };
+  
+  const handle = (request) => {
+    try {
+      switch (request.type) {
+        case 'execute':
+          return { type: 'ok', response: { type: 'execute', result: execute(request.stmt) } };
+        case 'batch': {
+          const results = [];
+          const errors = [];
+          for (const step of request.batch.steps) {
+            if (!evaluate(step.condition, results, errors)) {
+              results.push(null);
+              errors.push(null);
+              continue;
+            }
+            try {
+              results.push(execute(step.stmt));
+              errors.push(null);
+            } catch (error) {
+              results.push(null);
+              errors.push(toError(error));
+            }
+          }
+          return { type: 'ok', response: { type: 'batch', result: { step_results: results, step_errors: errors } } };
+        }
+        case 'sequence':
+          database.exec(request.sql ?? storedSql.get(request.sql_id));
+          return { type: 'ok', response: { type: 'sequence' } };
+        case 'get_autocommit':
+          return { type: 'ok', response: { type: 'get_autocommit', is_autocommit: !database.inTransaction } };
+        case 'store_sql':
+          storedSql.set(request.sql_id, request.sql);
+          return { type: 'ok', response: { type: 'store_sql' } };
+        case 'close_sql':
+          storedSql.delete(request.sql_id);
+          return { type: 'ok', response: { type: 'close_sql' } };
+        case 'close':
+          return { type: 'ok', response: { type: 'close' } };
+        default:
+          return { type: 'error', error: { message: `Unsupported request ${request.type}` } };
+      }
+    } catch (error) {
+      return { type: 'error', error: toError(error) };
+    }
+  };
+  
+  let batons = 0;
+  const server = http.createServer((req, res) => {
+    // Dropping the connection looks like a network failure to the client
+    if (!reachable) {
+      req.socket.destroy();
+      return;
+    }
+    
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const requests = JSON.parse(body || '{}').requests || [];
+      const closed = requests.some(request => request.type === 'close');
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ baton: closed ? null : `baton-${++batons}`, base_url: null, results: requests.map(handle) }));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `libsql://127.0.0.1:${server.address().port}?tls=0`,
+    setReachable(value) {
+      reachable = value;
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      database.close();
+    }
+  };
+}
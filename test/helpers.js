@@ -0,0 +1,142 @@
+// Helpers for the tests, which run the server and its command line in child
+// processes against throwaway databases
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * Create a directory that is removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} Path of the directory
+ */
+export function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor10x-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Environment of a server or command line run in a test directory. HOME points
+ * there too, so export files and caches stay inside it
+ * @param {string} dir - Test directory
+ * @param {Object} env - Variables to add
+ * @returns {Object} Environment
+ */
+function testEnv(dir, env) {
+  return {
+    PATH: process.env.PATH,
+    HOME: dir,
+    LOG_LEVEL: 'error',
+    MEMORY_PROJECT: 'test',
+    EMBEDDING_PROVIDER: 'hash',
+    ...env
+  };
+}
+
+/**
+ * Run the command line, e.g. runCli(dir, ['migrate', 'up'], { TURSO_DATABASE_URL })
+ * @param {string} dir - Test directory, used as working directory
+ * @param {Array<string>} args - Arguments after index.js
+ * @param {Object} env - Variables to add to the environment
+ * @returns {Promise<Object>} Exit code and output
+ */
+export function runCli(dir, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_PATH, ...args], { cwd: dir, env: testEnv(dir, env), timeout: 60000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/**
+ * Start the MCP server and connect a client to it. The server is stopped when
+ * the test ends, or earlier with close()
+ * @param {Object} t - Test context
+ * @param {string} dir - Test directory, used as working directory
+ * @param {Object} env - Variables to add to the environment
+ * @returns {Promise<Object>} call(tool, args) resolving to the parsed result, and close()
+ */
+export async function startServer(t, dir, env = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    cwd: dir,
+    env: testEnv(dir, env),
+    stderr: 'pipe'
+  });
+  const client = new Client({ name: 'cursor10x-test', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(transport);
+  
+  // stderr only closes once the server has exited and let go of the database
+  transport.stderr.resume();
+  const exited = new Promise(resolve => transport.stderr.on('close', resolve));
+  
+  let closed = false;
+  const close = async () => {
+    if (!closed) {
+      closed = true;
+      await client.close();
+      await exited;
+    }
+  };
+  t.after(close);
+  
+  const call = async (name, args = {}) => {
+    const response = await client.callTool({ name, arguments: args }, undefined, { timeout: 60000 });
+    const result = JSON.parse(response.content[0].text);
+    if (response.isError) {
+      throw new Error(`${name} failed: ${result.error}`);
+    }
+    return result;
+  };
+  
+  return { call, close };
+}
+
+/**
+ * Query a database file directly, bypassing the server
+ * @param {string} file - Path of the database
+ * @param {string} sql - Query
+ * @param {...any} params - Query parameters
+ * @returns {Array<Object>} Rows
+ */
+export function queryDatabase(file, sql, ...params) {
+  const database = new Database(file, { readonly: true });
+  try {
+    return database.prepare(sql).all(...params);
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Call fn until it returns a truthy value
+ * @param {Function} fn - Condition to wait for
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<any>} The value fn returned
+ */
+export async function waitFor(fn, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const value = await fn();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createTempDir, queryDatabase, runCli, startServer } from './helpers.js';
+
+const LATEST_VERSION = Math.max(...fs.readdirSync(new URL('../migrations/', import.meta.url))
+  .filter(file => /^\d+-.*\.sql$/.test(file) && !file.endsWith('.down.sql'))
+  .map(file => parseInt(file, 10)));
+
+const tableNames = (file) => queryDatabase(file, "SELECT name FROM sqlite_master WHERE type = 'table'").map(row => row.name);
+
+test('migrate up brings a new database to the latest version', async (t) => {
+  const dir = createTempDir(t);
+  const env = { TURSO_DATABASE_URL: `file:${path.join(dir, 'memory.db')}` };
+  
+  const up = await runCli(dir, ['migrate', 'up'], env);
+  assert.equal(up.code, 0, up.stderr);
+  assert.match(up.stdout, /Applied 1-initial-schema/);
+  
+  const status = await runCli(dir, ['migrate', 'status'], env);
+  assert.equal(status.code, 0, status.stderr);
+  assert.match(status.stdout, new RegExp(`Schema version ${LATEST_VERSION} \\(latest ${LATEST_VERSION}\\)`));
+  assert.doesNotMatch(status.stdout, /pending/);
+  
+  const again = await runCli(dir, ['migrate', 'up'], env);
+  assert.equal(again.code, 0, again.stderr);
+  assert.match(again.stdout, /No pending migrations/);
+});
+
+test('migrate down reverts to the initial schema and up applies the migrations again, keeping memories', async (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'memory.db');
+  const env = { TURSO_DATABASE_URL: `file:${file}` };
+  
+  const server = await startServer(t, dir, env);
+  await server.call('storeUserMessage', { content: 'Kept across migrations' });
+  await server.call('storeDecision', { title: 'Use SQLite', content: 'Store memories in SQLite', reasoning: 'No server needed' });
+  await server.close();
+  
+  const down = await runCli(dir, ['migrate', 'down', '--to', '1'], env);
+  assert.equal(down.code, 0, down.stderr);
+  assert.match(down.stdout, new RegExp(`Reverted ${LATEST_VERSION}-`));
+  assert.match(down.stdout, /Reverted 2-embedding-jobs/);
+  
+  const status = await runCli(dir, ['migrate', 'status'], env);
+  assert.match(status.stdout, new RegExp(`Schema version 1 \\(latest ${LATEST_VERSION}\\)`));
+  assert.ok(!tableNames(file).includes('memory_relations'));
+  assert.ok(!tableNames(file).includes('embedding_jobs'));
+  assert.ok(!queryDatabase(file, 'PRAGMA table_info(messages)').some(column => column.name === 'project_id'));
+  assert.deepEqual(queryDatabase(file, 'SELECT content FROM messages').map(row => row.content), ['Kept across migrations']);
+  assert.deepEqual(queryDatabase(file, 'SELECT title FROM decisions').map(row => row.title), ['Use SQLite']);
+  
+  const up = await runCli(dir, ['migrate', 'up'], env);
+  assert.equal(up.code, 0, up.stderr);
+  assert.match(up.stdout, new RegExp(`Applied ${LATEST_VERSION}-`));
+  assert.ok(tableNames(file).includes('memory_relations'));
+  assert.ok(tableNames(file).includes('embedding_jobs'));
+  assert.deepEqual(queryDatabase(file, 'SELECT content FROM messages').map(row => row.content), ['Kept across migrations']);
+  assert.deepEqual(queryDatabase(file, 'SELECT title, status FROM decisions'), [{ title: 'Use SQLite', status: 'accepted' }]);
+});
+
+test('migrate down --dry-run leaves the schema alone', async (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'memory.db');
+  const env = { TURSO_DATABASE_URL: `file:${file}` };
+  
+  await runCli(dir, ['migrate', 'up'], env);
+  const dryRun = await runCli(dir, ['migrate', 'down', '--to', '1', '--dry-run'], env);
+  assert.equal(dryRun.code, 0, dryRun.stderr);
+  assert.match(dryRun.stdout, /Would revert 2-embedding-jobs/);
+  
+  const status = await runCli(dir, ['migrate', 'status'], env);
+  assert.match(status.stdout, new RegExp(`Schema version ${LATEST_VERSION} `));
+  assert.ok(tableNames(file).includes('memory_relations'));
+});
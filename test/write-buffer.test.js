@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { startHranaServer } from './fixtures/hrana-server.js';
+import { createTempDir, queryDatabase, startServer, waitFor } from './helpers.js';
+
+test('writes buffered while the database is unreachable are replayed with provisional ids remapped', async (t) => {
+  const dir = createTempDir(t);
+  const remoteFile = path.join(dir, 'remote.db');
+  const remote = await startHranaServer(remoteFile);
+  t.after(() => remote.close());
+  
+  const server = await startServer(t, dir, {
+    TURSO_DATABASE_URL: remote.url,
+    TURSO_AUTH_TOKEN: 'test',
+    TURSO_WRITE_BUFFER_PATH: path.join(dir, 'write-buffer.jsonl'),
+    TURSO_RECONNECT_BACKOFF_MS: '200',
+    TURSO_RECONNECT_MAX_BACKOFF_MS: '500'
+  });
+  
+  const online = await server.call('storeDecision', { title: 'Online decision', content: 'Stored while connected', reasoning: 'r' });
+  assert.equal(online.id, 1);
+  
+  remote.setReachable(false);
+  
+  // Records stored offline get provisional ids, which the rows written along
+  // with them, such as acceptance criteria and embedding jobs, point at
+  const decision = await server.call('storeDecision', { title: 'Offline decision', content: 'Stored while offline', reasoning: 'r' });
+  const requirement = await server.call('storeRequirement', {
+    title: 'Offline requirement',
+    content: 'Stored while offline',
+    acceptanceCriteria: ['Replayed in order', 'Ids remapped']
+  });
+  assert.ok(decision.id < 0, `provisional decision id, got ${decision.id}`);
+  assert.ok(requirement.id < 0, `provisional requirement id, got ${requirement.id}`);
+  assert.notEqual(decision.id, requirement.id);
+  
+  const offline = await server.call('checkHealth');
+  assert.equal(offline.connection.state, 'offline');
+  assert.ok(offline.connection.buffered_writes > 0);
+  assert.ok(fs.existsSync(path.join(dir, 'write-buffer.jsonl')));
+  
+  remote.setReachable(true);
+  await waitFor(async () => {
+    const { connection } = await server.call('checkHealth');
+    return connection.state === 'connected' && connection.buffered_writes === 0;
+  });
+  
+  // The replayed records can be used by their real ids
+  await server.call('addRelation', { sourceType: 'decision', sourceId: 2, relation: 'satisfies', targetType: 'requirement', targetId: 1 });
+  const { requirements } = await server.call('getTraceability');
+  await server.close();
+  
+  assert.deepEqual(queryDatabase(remoteFile, 'SELECT id, title FROM decisions ORDER BY id'), [
+    { id: 1, title: 'Online decision' },
+    { id: 2, title: 'Offline decision' }
+  ]);
+  assert.deepEqual(requirements.map(entry => ({
+    id: entry.id,
+    title: entry.title,
+    criteria: entry.acceptance_criteria.items.map(item => item.description),
+    decisions: entry.decisions.map(linked => linked.id)
+  })), [{ id: 1, title: 'Offline requirement', criteria: ['Replayed in order', 'Ids remapped'], decisions: [2] }]);
+  
+  // No row is left pointing at a provisional id
+  assert.deepEqual(queryDatabase(remoteFile, 'SELECT DISTINCT requirement_id FROM acceptance_criteria'), [{ requirement_id: 1 }]);
+  assert.equal(queryDatabase(remoteFile, 'SELECT COUNT(*) AS count FROM embedding_jobs WHERE record_id < 0')[0].count, 0);
+  assert.equal(queryDatabase(remoteFile, 'SELECT COUNT(*) AS count FROM vectors WHERE content_id < 0')[0].count, 0);
+});